@@ -0,0 +1,385 @@
+/**
+ * Delmar Nazarene Church - Live Chat Moderation
+ * ==============================================
+ *
+ * The moderation page (admin/live-chat.html) for the chat beside the
+ * livestream. Moderators sign in with their Netlify Identity account,
+ * the same one as the Content Manager (it needs the "staff" role), and
+ * get a ticket from the live-chat function
+ * (netlify/functions/live-chat.js) that the chat server
+ * (scripts/lib/live-chat.js) takes as proof they're a moderator.
+ * From here they approve or take down messages waiting with a link,
+ * take down anything already in the chat, mute whoever sent it, and
+ * chat with a "Moderator" badge.
+ *
+ * On localhost there's no Identity to sign in to; scripts/dev-server.js
+ * lets any request with an Authorization header through instead, and
+ * runs the chat at /chat.
+ *
+ * Requires content-loader.js (for escapeHtml).
+ */
+
+'use strict';
+
+const LiveChatModeration = {
+    // Configuration
+    config: {
+        endpoint: '/.netlify/functions/live-chat',
+        nameKey: 'live-chat-moderator-name',
+        reconnectDelay: 5
+    },
+
+    elements: {},
+    socket: null,
+    name: '',
+    held: [],
+    messages: [],
+    joined: false,
+
+    /**
+     * Sign in, then connect to the chat
+     */
+    init() {
+        this.elements = {
+            chat: document.querySelector('[data-live-chat]'),
+            signIn: document.querySelector('[data-sign-in]'),
+            signOut: document.querySelector('[data-sign-out]')
+        };
+        this.name = this.loadName();
+
+        this.elements.chat.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (e.target.matches('[data-join]')) this.join(e.target.elements.name.value);
+            if (e.target.matches('[data-say]')) this.say(e.target.elements.message);
+        });
+        this.elements.chat.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) this.act(button.dataset.action, button.dataset.id);
+        });
+
+        if (this.isLocal()) {
+            this.renderJoin();
+            return;
+        }
+
+        const identity = window.netlifyIdentity;
+        document.querySelector('[data-sign-in-button]').addEventListener('click', () => identity.open('login'));
+        this.elements.signOut.addEventListener('click', () => identity.logout());
+
+        identity.on('init', user => (user ? this.renderJoin() : this.showSignIn()));
+        identity.on('login', () => {
+            identity.close();
+            this.renderJoin();
+        });
+        identity.on('logout', () => this.showSignIn());
+    },
+
+    isLocal() {
+        return ['localhost', '127.0.0.1'].includes(location.hostname);
+    },
+
+    showSignIn() {
+        this.disconnect();
+        this.elements.signIn.classList.remove('hidden');
+        this.elements.signOut.classList.add('hidden');
+        this.elements.chat.innerHTML = '';
+    },
+
+    loadName() {
+        try {
+            return localStorage.getItem(this.config.nameKey) || '';
+        } catch {
+            return '';
+        }
+    },
+
+    // ============================================
+    // Connection
+    // ============================================
+
+    /**
+     * Get a moderator ticket and where the chat is
+     * @returns {Promise<Object>} - { ticket, url }
+     */
+    async getTicket() {
+        const user = this.isLocal() ? null : window.netlifyIdentity.currentUser();
+        const token = user ? await user.jwt() : 'local';
+
+        const response = await fetch(this.config.endpoint, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}`, Accept: 'application/json' }
+        });
+
+        if (response.status === 401) {
+            this.showSignIn();
+            throw new Error('Not signed in');
+        }
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response.json();
+    },
+
+    /**
+     * Join the chat under a name, as a moderator
+     * @param {string} name - Shown beside what the moderator says
+     */
+    join(name) {
+        this.name = String(name || '').trim();
+        if (!this.name) return;
+
+        try {
+            localStorage.setItem(this.config.nameKey, this.name);
+        } catch {
+            // Private browsing: the name is asked for again next time
+        }
+        this.connect();
+    },
+
+    async connect() {
+        this.disconnect();
+        this.elements.chat.setAttribute('aria-busy', 'true');
+
+        let ticket;
+        let url;
+        try {
+            ({ ticket, url } = await this.getTicket());
+        } catch (error) {
+            console.warn('Could not get a chat ticket:', error);
+            if (error.status === 403) {
+                this.showError('This account can\'t moderate the chat. Please ask the church office to give it the "staff" role.');
+            } else if (error.message !== 'Not signed in') {
+                this.showError('The chat couldn\'t be reached. Please reload the page to try again.');
+            }
+            return;
+        }
+
+        // Locally the dev server runs the chat; on the live site it's chat_url
+        url = url || (this.isLocal() ? `ws://${location.host}/chat` : '');
+        if (!url) {
+            this.showError('The chat isn\'t set up yet: chat_url in the site settings is empty.');
+            return;
+        }
+
+        const socket = new WebSocket(url);
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            socket.send(JSON.stringify({ type: 'join', name: this.name, ticket }));
+        });
+        socket.addEventListener('message', (e) => {
+            try {
+                this.receive(JSON.parse(e.data));
+            } catch (error) {
+                console.warn('Could not read a chat message:', error);
+            }
+        });
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return;
+            this.joined = false;
+            this.announce(`Lost the chat connection. Trying again in ${this.config.reconnectDelay} seconds.`);
+            setTimeout(() => this.socket === socket && this.connect(), this.config.reconnectDelay * 1000);
+        });
+    },
+
+    disconnect() {
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) socket.close();
+    },
+
+    send(data) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            this.announce('Not connected to the chat. Please wait a moment and try again.');
+            return false;
+        }
+        this.socket.send(JSON.stringify(data));
+        return true;
+    },
+
+    /**
+     * Handle a message from the chat server
+     * @param {Object} data - { type, ... } (see scripts/lib/live-chat.js)
+     */
+    receive(data) {
+        if (data.type === 'welcome') {
+            if (!data.moderator) {
+                this.showError('The chat didn\'t accept the moderator ticket. Please reload the page to try again.');
+                return;
+            }
+            this.joined = true;
+            this.held = data.held || [];
+            this.messages = data.messages;
+            this.elements.signIn.classList.add('hidden');
+            if (!this.isLocal()) this.elements.signOut.classList.remove('hidden');
+            this.renderChat();
+        } else if (data.type === 'message') {
+            this.held = this.held.filter(message => message.id !== data.message.id);
+            this.messages.push(data.message);
+            this.renderLists();
+        } else if (data.type === 'review') {
+            this.held.push(data.message);
+            this.renderLists();
+            this.announce(`${data.message.name} sent a message that's waiting for approval.`);
+        } else if (data.type === 'removed') {
+            this.held = this.held.filter(message => message.id !== data.id);
+            this.messages = this.messages.filter(message => message.id !== data.id);
+            this.renderLists();
+        } else if (data.type === 'error') {
+            if (data.code === 'ticket') {
+                this.showError('The chat didn\'t accept the moderator ticket. Please reload the page to try again.');
+                return;
+            }
+            this.announce({
+                name: 'Enter a name first.',
+                empty: 'Write a message first.',
+                'too-long': 'That message is too long.',
+                muted: 'You\'ve been muted.'
+            }[data.code] || 'That didn\'t go through. Please try again.');
+        }
+    },
+
+    // ============================================
+    // Actions
+    // ============================================
+
+    /**
+     * Approve, take down or mute, from a message's buttons
+     * @param {string} action - 'approve', 'remove' or 'mute'
+     * @param {string} id - The message
+     */
+    act(action, id) {
+        const message = [...this.held, ...this.messages].find(item => item.id === id);
+        if (!message) return;
+
+        if (action === 'mute' && !confirm(`Mute ${message.name} and take down everything they've sent?`)) return;
+        if (this.send({ type: action, id })) {
+            this.announce({
+                approve: `Approved ${message.name}'s message.`,
+                remove: `Took down ${message.name}'s message.`,
+                mute: `Muted ${message.name}.`
+            }[action]);
+        }
+    },
+
+    /**
+     * Send what's in the message box
+     * @param {HTMLTextAreaElement} field
+     */
+    say(field) {
+        const text = field.value.trim();
+        if (!text) return;
+        if (this.send({ type: 'say', text })) field.value = '';
+    },
+
+    announce(message) {
+        document.getElementById('live-region').textContent = message;
+    },
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    formatTime(value) {
+        return new Date(value).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    },
+
+    showError(message) {
+        this.elements.chat.setAttribute('aria-busy', 'false');
+        this.elements.chat.innerHTML = `<p class="text-red-700">${ContentLoader.escapeHtml(message)}</p>`;
+    },
+
+    /**
+     * Ask for the name to chat under
+     */
+    renderJoin() {
+        const user = this.isLocal() ? null : window.netlifyIdentity.currentUser();
+        const name = this.name || (user && user.user_metadata && user.user_metadata.full_name) || '';
+
+        this.elements.signIn.classList.add('hidden');
+        if (!this.isLocal()) this.elements.signOut.classList.remove('hidden');
+        this.elements.chat.setAttribute('aria-busy', 'false');
+        this.elements.chat.innerHTML = `
+            <form class="bg-white rounded-lg shadow p-5 max-w-md" data-join>
+                <label for="moderator-name" class="block text-sm font-semibold mb-1">Your name in the chat</label>
+                <input type="text" id="moderator-name" name="name" maxlength="40" required value="${ContentLoader.escapeHtml(name)}" class="w-full border border-gray-300 rounded p-2 mb-3">
+                <p class="text-sm text-gray-500 mb-3">Everything you say is shown with a "Moderator" badge.</p>
+                <button type="submit" class="bg-green-800 hover:bg-green-700 text-white font-semibold px-4 py-2 rounded">Join the chat</button>
+            </form>
+        `;
+    },
+
+    renderChat() {
+        this.elements.chat.setAttribute('aria-busy', 'false');
+        this.elements.chat.innerHTML = `
+            <section class="mb-10" aria-labelledby="held-heading">
+                <h2 id="held-heading" class="text-xl font-bold text-green-900 mb-4" data-held-heading></h2>
+                <div data-held></div>
+            </section>
+            <section aria-labelledby="chat-heading">
+                <h2 id="chat-heading" class="text-xl font-bold text-green-900 mb-4">In the chat</h2>
+                <div class="bg-white rounded-lg shadow">
+                    <ol class="max-h-[32rem] overflow-y-auto divide-y divide-gray-100" data-messages></ol>
+                    <form class="border-t border-gray-200 p-4 flex gap-2 items-end" data-say>
+                        <label for="moderator-message" class="sr-only">Message, as ${ContentLoader.escapeHtml(this.name)}</label>
+                        <textarea id="moderator-message" name="message" rows="2" maxlength="500" class="flex-1 border border-gray-300 rounded p-2" placeholder="Say something as ${ContentLoader.escapeHtml(this.name)} (Moderator)"></textarea>
+                        <button type="submit" class="bg-green-800 hover:bg-green-700 text-white font-semibold px-4 py-2 rounded">Send</button>
+                    </form>
+                </div>
+            </section>
+        `;
+        this.renderLists();
+    },
+
+    renderLists() {
+        const held = this.elements.chat.querySelector('[data-held]');
+        const list = this.elements.chat.querySelector('[data-messages]');
+        if (!held || !list) return;
+
+        this.elements.chat.querySelector('[data-held-heading]').textContent = `Waiting for approval (${this.held.length})`;
+        held.innerHTML = this.held.length
+            ? this.held.map(message => this.renderMessage(message, true)).join('')
+            : '<p class="text-gray-500">None.</p>';
+
+        // Keep reading position, unless they were already at the bottom
+        const atBottom = list.scrollHeight - list.scrollTop - list.clientHeight < 40;
+        list.innerHTML = this.messages.length
+            ? this.messages.map(message => `<li>${this.renderMessage(message, false)}</li>`).join('')
+            : '<li class="p-4 text-gray-500">No messages yet.</li>';
+        if (atBottom) list.scrollTop = list.scrollHeight;
+    },
+
+    /**
+     * Render one message with its buttons
+     * @param {Object} message - { id, name, text, at, moderator }
+     * @param {boolean} waiting - In the approval queue
+     * @returns {string} - HTML
+     */
+    renderMessage(message, waiting) {
+        const esc = ContentLoader.escapeHtml;
+        const id = esc(message.id);
+        const button = 'border border-gray-300 px-3 py-1 rounded text-sm';
+
+        return `
+            <div class="${waiting ? 'bg-white rounded-lg shadow p-5 mb-4' : 'p-4'}">
+                <p class="text-sm">
+                    <span class="font-semibold">${esc(message.name)}</span>
+                    ${message.moderator ? '<span class="ml-1 text-xs bg-green-100 text-green-900 rounded px-1.5 py-0.5">Moderator</span>' : ''}
+                    <span class="ml-1 text-gray-500">${esc(this.formatTime(message.at))}</span>
+                </p>
+                <p class="text-sm whitespace-pre-line break-words mb-2">${esc(message.text)}</p>
+                <div class="flex flex-wrap gap-2">
+                    ${waiting ? `<button type="button" data-action="approve" data-id="${id}" class="bg-green-800 hover:bg-green-700 text-white font-semibold px-3 py-1 rounded text-sm">Approve</button>` : ''}
+                    <button type="button" data-action="remove" data-id="${id}" class="${button}">Take down</button>
+                    ${message.moderator ? '' : `<button type="button" data-action="mute" data-id="${id}" class="${button}">Mute ${esc(message.name)}</button>`}
+                </div>
+            </div>
+        `;
+    }
+};
+
+// Like the prayer wall page, this runs at the end of the page rather than
+// on DOMContentLoaded, so the Identity widget's "init" isn't missed
+LiveChatModeration.init();
@@ -0,0 +1,238 @@
+/**
+ * Delmar Nazarene Church - Prayer Wall Moderation
+ * ================================================
+ *
+ * The moderation page (admin/prayer-wall.html). Moderators sign in with
+ * their Netlify Identity account, the same one as the Content Manager
+ * (it needs the "staff" role), then approve, edit or archive the requests
+ * shared with the church family through the prayer-moderation function
+ * (netlify/functions/prayer-moderation.js).
+ *
+ * Requires content-loader.js (for escapeHtml).
+ *
+ * On localhost there's no Identity to sign in to; scripts/dev-server.js
+ * lets any request with an Authorization header through instead.
+ */
+
+'use strict';
+
+const PrayerModeration = {
+    // Configuration
+    config: {
+        endpoint: '/.netlify/functions/prayer-moderation',
+        // In the order they're listed on the page
+        statuses: {
+            pending: 'Waiting for approval',
+            approved: 'On the wall',
+            expired: 'Expired (taken down automatically)',
+            archived: 'Archived'
+        }
+    },
+
+    elements: {},
+    requests: [],
+    expireDays: null,
+
+    /**
+     * Sign in, then load the requests
+     */
+    init() {
+        this.elements = {
+            list: document.querySelector('[data-moderation]'),
+            signIn: document.querySelector('[data-sign-in]'),
+            signOut: document.querySelector('[data-sign-out]')
+        };
+
+        this.elements.list.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save(e.target, e.submitter ? e.submitter.value : 'save');
+        });
+
+        if (this.isLocal()) {
+            this.load();
+            return;
+        }
+
+        const identity = window.netlifyIdentity;
+        document.querySelector('[data-sign-in-button]').addEventListener('click', () => identity.open('login'));
+        this.elements.signOut.addEventListener('click', () => identity.logout());
+
+        identity.on('init', user => (user ? this.load() : this.showSignIn()));
+        identity.on('login', () => {
+            identity.close();
+            this.load();
+        });
+        identity.on('logout', () => this.showSignIn());
+    },
+
+    isLocal() {
+        return ['localhost', '127.0.0.1'].includes(location.hostname);
+    },
+
+    showSignIn() {
+        this.elements.signIn.classList.remove('hidden');
+        this.elements.signOut.classList.add('hidden');
+        this.elements.list.innerHTML = '';
+    },
+
+    // ============================================
+    // Requests
+    // ============================================
+
+    /**
+     * Call the moderation function as the signed-in moderator
+     * @param {string} method - 'GET' or 'POST'
+     * @param {Object} [body] - JSON body
+     * @returns {Promise<Object>} - The response data
+     */
+    async api(method, body) {
+        const user = this.isLocal() ? null : window.netlifyIdentity.currentUser();
+        const token = user ? await user.jwt() : 'local';
+
+        const response = await fetch(this.config.endpoint, {
+            method,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                Accept: 'application/json',
+                ...(body && { 'Content-Type': 'application/json' })
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (response.status === 401) {
+            this.showSignIn();
+            throw new Error('Not signed in');
+        }
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response.json();
+    },
+
+    async load() {
+        this.elements.signIn.classList.add('hidden');
+        if (!this.isLocal()) this.elements.signOut.classList.remove('hidden');
+
+        try {
+            const data = await this.api('GET');
+            this.requests = data.requests;
+            this.expireDays = data.expire_days;
+            this.render();
+        } catch (error) {
+            console.warn('Could not load prayer requests:', error);
+            this.elements.list.innerHTML = error.status === 403
+                ? '<p class="text-red-700">This account can\'t moderate the prayer wall. Please ask the church office to give it the "staff" role.</p>'
+                : '<p class="text-red-700">The prayer requests couldn\'t be loaded. Please reload the page to try again.</p>';
+        }
+        this.elements.list.setAttribute('aria-busy', 'false');
+    },
+
+    /**
+     * Approve, save or archive one request
+     * @param {HTMLFormElement} form - The request's form
+     * @param {string} action - 'approve', 'save' or 'archive'
+     */
+    async save(form, action) {
+        const buttons = form.querySelectorAll('button');
+        buttons.forEach(button => { button.disabled = true; });
+
+        try {
+            const saved = await this.api('POST', {
+                id: form.dataset.id,
+                action,
+                text: form.elements.text.value,
+                name: form.elements.name.value
+            });
+
+            this.requests = this.requests.map(request => (request.id === saved.id ? saved : request));
+            this.render();
+            this.announce(`${{ approve: 'Approved', save: 'Saved', archive: 'Archived' }[action]}. It's now under "${this.config.statuses[saved.status]}".`);
+        } catch (error) {
+            console.warn('Could not save the request:', error);
+            buttons.forEach(button => { button.disabled = false; });
+            this.announce('That didn\'t save. Please try again.');
+        }
+    },
+
+    announce(message) {
+        document.getElementById('live-region').textContent = message;
+    },
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    formatDate(value) {
+        return value ? new Date(value).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : '';
+    },
+
+    render() {
+        const groups = Object.keys(this.config.statuses).map(status => ({
+            status,
+            items: this.requests.filter(request => request.status === status)
+        }));
+
+        this.elements.list.innerHTML = `
+            <p class="text-sm text-gray-600 mb-6">Approved requests stay up for ${this.expireDays} days (change this under Site Settings &rarr; Form Notifications). Approving an expired request puts it back up for another ${this.expireDays} days.</p>
+            ${groups.map(({ status, items }) => `
+                <section class="mb-10" aria-labelledby="status-${status}">
+                    <h2 id="status-${status}" class="text-xl font-bold text-green-900 mb-4">${this.config.statuses[status]} (${items.length})</h2>
+                    ${items.length
+                        ? items.map(request => this.renderRequest(request)).join('')
+                        : '<p class="text-gray-500">None.</p>'}
+                </section>
+            `).join('')}
+        `;
+    },
+
+    /**
+     * Render one request as a small form
+     * @param {Object} request - From the moderation function
+     * @returns {string} - Form HTML
+     */
+    renderRequest(request) {
+        const esc = ContentLoader.escapeHtml;
+        const id = esc(request.id);
+        const from = [request.from.name || 'No name given', request.from.email, request.from.phone].filter(Boolean).join(' · ');
+        const details = [
+            `Received ${this.formatDate(request.received)}`,
+            request.type && `Type: ${request.type}`,
+            request.anonymous && 'Asked to stay anonymous',
+            request.approved_at && `Approved ${this.formatDate(request.approved_at)}`,
+            request.status === 'approved' && `Comes down ${this.formatDate(request.expires_at)}`,
+            request.approved_at && `${request.prayed} prayed`,
+            request.moderated_by && `Last moderated by ${request.moderated_by}`
+        ].filter(Boolean);
+
+        return `
+            <form class="bg-white rounded-lg shadow p-5 mb-4" data-id="${id}">
+                <p class="font-semibold">${esc(from)}</p>
+                <p class="text-sm text-gray-500 mb-3">${esc(details.join(' · '))}</p>
+                ${request.text !== request.original ? `
+                    <details class="mb-3 text-sm">
+                        <summary class="cursor-pointer text-gray-600">As sent</summary>
+                        <p class="mt-2 whitespace-pre-line text-gray-700">${esc(request.original)}</p>
+                    </details>
+                ` : ''}
+                <label for="text-${id}" class="block text-sm font-semibold mb-1">Text shown on the wall</label>
+                <textarea id="text-${id}" name="text" rows="4" required class="w-full border border-gray-300 rounded p-2 mb-3">${esc(request.text)}</textarea>
+                <label for="name-${id}" class="block text-sm font-semibold mb-1">Name shown</label>
+                <input id="name-${id}" name="name" value="${esc(request.name)}" aria-describedby="name-hint-${id}" class="w-full sm:w-1/2 border border-gray-300 rounded p-2">
+                <p id="name-hint-${id}" class="text-xs text-gray-500 mt-1 mb-4">Leave blank to show it anonymously.</p>
+                <div class="flex flex-wrap gap-2">
+                    ${request.status === 'approved'
+                        ? '<button type="submit" name="action" value="save" class="bg-green-800 hover:bg-green-700 text-white font-semibold px-4 py-2 rounded">Save changes</button>'
+                        : '<button type="submit" name="action" value="approve" class="bg-green-800 hover:bg-green-700 text-white font-semibold px-4 py-2 rounded">Approve</button>'}
+                    ${request.status !== 'approved' ? '<button type="submit" name="action" value="save" class="border border-gray-300 px-4 py-2 rounded">Save without approving</button>' : ''}
+                    ${request.status !== 'archived' ? '<button type="submit" name="action" value="archive" class="border border-red-300 text-red-800 px-4 py-2 rounded">Archive</button>' : ''}
+                </div>
+            </form>
+        `;
+    }
+};
+
+// Loaded at the end of the page, so the markup is there already. Running
+// now (not on DOMContentLoaded) catches the Identity widget's "init" event.
+PrayerModeration.init();
@@ -0,0 +1,261 @@
+/**
+ * Delmar Nazarene Church - Visitor Follow-up
+ * ===========================================
+ *
+ * The follow-up dashboard (admin/visitors.html). The welcome team signs
+ * in with their Netlify Identity account, the same one as the Content
+ * Manager (it needs the "staff" role), sees each visitor under the stage
+ * they're waiting on, and marks stages done through the
+ * visitor-follow-up function (netlify/functions/visitor-follow-up.js).
+ *
+ * Requires content-loader.js (for escapeHtml).
+ *
+ * On localhost there's no Identity to sign in to; scripts/dev-server.js
+ * lets any request with an Authorization header through instead.
+ */
+
+'use strict';
+
+const VisitorFollowUp = {
+    // Configuration
+    config: {
+        endpoint: '/.netlify/functions/visitor-follow-up',
+        languages: { en: 'English', ht: 'Haitian Creole', fr: 'French' }
+    },
+
+    elements: {},
+    stages: [],
+    visitors: [],
+
+    /**
+     * Sign in, then load the visitors
+     */
+    init() {
+        this.elements = {
+            list: document.querySelector('[data-visitors]'),
+            signIn: document.querySelector('[data-sign-in]'),
+            signOut: document.querySelector('[data-sign-out]')
+        };
+
+        this.elements.list.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const button = e.submitter || e.target.querySelector('[type="submit"]');
+            this.save(e.target, button.value, button.dataset.stage);
+        });
+
+        if (this.isLocal()) {
+            this.load();
+            return;
+        }
+
+        const identity = window.netlifyIdentity;
+        document.querySelector('[data-sign-in-button]').addEventListener('click', () => identity.open('login'));
+        this.elements.signOut.addEventListener('click', () => identity.logout());
+
+        identity.on('init', user => (user ? this.load() : this.showSignIn()));
+        identity.on('login', () => {
+            identity.close();
+            this.load();
+        });
+        identity.on('logout', () => this.showSignIn());
+    },
+
+    isLocal() {
+        return ['localhost', '127.0.0.1'].includes(location.hostname);
+    },
+
+    showSignIn() {
+        this.elements.signIn.classList.remove('hidden');
+        this.elements.signOut.classList.add('hidden');
+        this.elements.list.innerHTML = '';
+    },
+
+    // ============================================
+    // Visitors
+    // ============================================
+
+    /**
+     * Call the follow-up function as the signed-in team member
+     * @param {string} method - 'GET' or 'POST'
+     * @param {Object} [body] - JSON body
+     * @returns {Promise<Object>} - The response data
+     */
+    async api(method, body) {
+        const user = this.isLocal() ? null : window.netlifyIdentity.currentUser();
+        const token = user ? await user.jwt() : 'local';
+
+        const response = await fetch(this.config.endpoint, {
+            method,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                Accept: 'application/json',
+                ...(body && { 'Content-Type': 'application/json' })
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (response.status === 401) {
+            this.showSignIn();
+            throw new Error('Not signed in');
+        }
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response.json();
+    },
+
+    async load() {
+        this.elements.signIn.classList.add('hidden');
+        if (!this.isLocal()) this.elements.signOut.classList.remove('hidden');
+
+        try {
+            const data = await this.api('GET');
+            this.stages = data.stages;
+            this.visitors = data.visitors;
+            this.render();
+        } catch (error) {
+            console.warn('Could not load visitors:', error);
+            this.elements.list.innerHTML = error.status === 403
+                ? '<p class="text-red-700">This account can\'t see the visitors. Please ask the church office to give it the "staff" role.</p>'
+                : '<p class="text-red-700">The visitors couldn\'t be loaded. Please reload the page to try again.</p>';
+        }
+        this.elements.list.setAttribute('aria-busy', 'false');
+    },
+
+    /**
+     * Mark a stage done or not done, or add a note
+     * @param {HTMLFormElement} form - The visitor's form
+     * @param {string} action - 'complete', 'undo' or 'note'
+     * @param {string} [stage] - The stage, for 'complete' and 'undo'
+     */
+    async save(form, action, stage) {
+        if (action === 'note' && !form.elements.note.value.trim()) {
+            form.elements.note.focus();
+            this.announce('Write the note first.');
+            return;
+        }
+
+        const buttons = form.querySelectorAll('button');
+        buttons.forEach(button => { button.disabled = true; });
+
+        try {
+            const saved = await this.api('POST', { id: form.dataset.id, action, stage, note: form.elements.note.value });
+
+            this.visitors = this.visitors.map(visitor => (visitor.id === saved.id ? saved : visitor));
+            this.render();
+            this.announce({
+                complete: `${this.getLabel(stage)} marked done. ${saved.name} is now under "${this.getLabel(saved.stage)}".`,
+                undo: `${this.getLabel(stage)} marked not done. ${saved.name} is back under "${this.getLabel(saved.stage)}".`,
+                note: 'Note added.'
+            }[action]);
+        } catch (error) {
+            console.warn('Could not save the follow-up:', error);
+            buttons.forEach(button => { button.disabled = false; });
+            this.announce('That didn\'t save. Please try again.');
+        }
+    },
+
+    getLabel(stage) {
+        return stage === 'done' ? 'Done' : (this.stages.find(item => item.id === stage) || {}).label || stage;
+    },
+
+    announce(message) {
+        document.getElementById('live-region').textContent = message;
+    },
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    formatDate(value) {
+        return value ? new Date(value).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : '';
+    },
+
+    formatDay(value) {
+        // "2026-10-25" is a day, not midnight UTC
+        return value ? new Date(`${value}T12:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' }) : '';
+    },
+
+    render() {
+        const groups = [...this.stages.map(stage => stage.id), 'done'].map(stage => ({
+            stage,
+            items: this.visitors.filter(visitor => visitor.stage === stage)
+        }));
+
+        this.elements.list.innerHTML = groups.map(({ stage, items }) => `
+            <section class="mb-10" aria-labelledby="stage-${stage}">
+                <h2 id="stage-${stage}" class="text-xl font-bold text-green-900 mb-4">${stage === 'done' ? 'Done' : `Waiting on: ${ContentLoader.escapeHtml(this.getLabel(stage))}`} (${items.length})</h2>
+                ${items.length
+                    ? items.map(visitor => this.renderVisitor(visitor)).join('')
+                    : '<p class="text-gray-500">None.</p>'}
+            </section>
+        `).join('');
+    },
+
+    /**
+     * Render one visitor as a small form
+     * @param {Object} visitor - From the follow-up function
+     * @returns {string} - Form HTML
+     */
+    renderVisitor(visitor) {
+        const esc = ContentLoader.escapeHtml;
+        const id = esc(visitor.id);
+        const contact = [visitor.email, visitor.phone, visitor.address].filter(Boolean).join(' · ');
+        const details = [
+            `Received ${this.formatDate(visitor.received)}`,
+            visitor.source === 'livestream' && 'Raised a hand on the livestream',
+            visitor.visit_date && `Plans to visit ${this.formatDay(visitor.visit_date)}`,
+            visitor.group_size > 1 && `Coming as ${visitor.group_size}`,
+            visitor.heard_from && `Heard from: ${visitor.heard_from}`,
+            visitor.lang !== 'en' && `Wrote in ${this.config.languages[visitor.lang] || visitor.lang}`
+        ].filter(Boolean);
+        const household = visitor.household.map(member =>
+            [member.name, [member.relationship, member.age !== null && member.age !== undefined && `age ${member.age}`].filter(Boolean).join(', ')]
+                .filter(Boolean).join(' — '));
+        const done = this.stages.filter(stage => visitor.steps[stage.id]);
+        const last = done[done.length - 1];
+
+        return `
+            <form class="bg-white rounded-lg shadow p-5 mb-4" data-id="${id}">
+                <p class="font-semibold">${esc(visitor.name)}</p>
+                <p class="text-sm text-gray-700">${esc(contact) || 'No email or address given'}</p>
+                <p class="text-sm text-gray-500 mb-3">${esc(details.join(' · '))}</p>
+                ${household.length ? `
+                    <p class="text-sm font-semibold">Household</p>
+                    <ul class="text-sm list-disc pl-5 mb-3">${household.map(member => `<li>${esc(member)}</li>`).join('')}</ul>
+                ` : ''}
+                ${visitor.children.length ? `
+                    <p class="text-sm bg-yellow-50 border border-yellow-200 rounded p-2 mb-3">
+                        <strong>Children's check-in:</strong> ${esc(visitor.children.map(child => (child.age === null ? child.name : `${child.name} (${child.age})`)).join(', '))}
+                    </p>
+                ` : ''}
+                ${visitor.interests.length ? `<p class="text-sm mb-3"><strong>Interested in:</strong> ${esc(visitor.interests.join(', '))}</p>` : ''}
+                ${visitor.message ? `<p class="text-sm whitespace-pre-line bg-gray-50 rounded p-3 mb-3">${esc(visitor.message)}</p>` : ''}
+                ${done.length || visitor.notes.length ? `
+                    <ul class="text-sm text-gray-600 mb-3">
+                        ${done.map(stage => {
+                            const step = visitor.steps[stage.id];
+                            return `<li>✓ ${esc(stage.label)}: ${esc(step.by === 'website' ? 'sent automatically' : `by ${step.by}`)}, ${esc(this.formatDate(step.at))}${step.note ? ` — ${esc(step.note)}` : ''}</li>`;
+                        }).join('')}
+                        ${visitor.notes.map(note => `<li>Note from ${esc(note.by)}, ${esc(this.formatDate(note.at))}: ${esc(note.text)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+                <label for="note-${id}" class="block text-sm font-semibold mb-1">Note</label>
+                <textarea id="note-${id}" name="note" rows="2" class="w-full border border-gray-300 rounded p-2 mb-3" placeholder="e.g. Left a voicemail"></textarea>
+                <div class="flex flex-wrap gap-2">
+                    ${visitor.stage !== 'done'
+                        ? `<button type="submit" value="complete" data-stage="${esc(visitor.stage)}" class="bg-green-800 hover:bg-green-700 text-white font-semibold px-4 py-2 rounded">Mark "${esc(this.getLabel(visitor.stage))}" done</button>`
+                        : ''}
+                    <button type="submit" value="note" class="border border-gray-300 px-4 py-2 rounded">Add note only</button>
+                    ${last ? `<button type="submit" value="undo" data-stage="${esc(last.id)}" class="border border-gray-300 px-4 py-2 rounded">Undo "${esc(last.label)}"</button>` : ''}
+                </div>
+            </form>
+        `;
+    }
+};
+
+// Like the prayer wall page, this runs at the end of the page rather than
+// on DOMContentLoaded, so the Identity widget's "init" isn't missed
+VisitorFollowUp.init();
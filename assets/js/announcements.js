@@ -0,0 +1,256 @@
+/**
+ * Delmar Nazarene Church - Announcements
+ * ======================================
+ *
+ * Renders the "announcements" CMS collection in two places:
+ *
+ * - [data-announcement-banner]  High-priority announcements as a
+ *   dismissible strip (homepage). Dismissals are remembered per
+ *   announcement, so a new announcement still shows up.
+ * - [data-announcements-feed]   Every current announcement, grouped
+ *   by category (src/pages/en/announcements.html).
+ *
+ * Announcements past their "display_until" date are hidden.
+ *
+ * Requires content-loader.js.
+ */
+
+'use strict';
+
+const Announcements = {
+    // Configuration
+    config: {
+        storageKey: 'delmar-dismissed-announcements',
+        // Same order as the Category field in admin/config.yml; the
+        // labels are announcements.categories in the translations
+        categories: ['church-wide', 'ministry', 'event', 'prayer', 'other'],
+        priorities: ['high', 'normal', 'low']
+    },
+
+    elements: {},
+
+    /**
+     * Initialize the banner and feed, if present on the page
+     */
+    init() {
+        const banner = document.querySelector('[data-announcement-banner]');
+        const feed = document.querySelector('[data-announcements-feed]');
+
+        if (!banner && !feed) return;
+
+        this.elements = { banner, feed };
+
+        banner?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-dismiss-announcement]');
+            if (!button) return;
+
+            const item = button.closest('[data-announcement]');
+            this.dismiss(button.dataset.dismissAnnouncement);
+            item.remove();
+
+            if (typeof A11yHelpers !== 'undefined') {
+                A11yHelpers.announce(ContentLoader.t('announcements.dismissed'));
+            }
+        });
+
+        this.render();
+        document.addEventListener('languagechange', () => this.render());
+    },
+
+    /**
+     * Load announcements and render the banner and feed
+     */
+    async render() {
+        const { banner, feed } = this.elements;
+        let announcements = [];
+        try {
+            announcements = this.getActive(await ContentLoader.load('announcements'));
+        } catch (error) {
+            console.warn('Could not load announcements:', error);
+        }
+
+        if (banner) this.renderBanner(banner, announcements);
+        if (feed) this.renderFeed(feed, announcements);
+    },
+
+    /**
+     * Filter out announcements that have expired
+     * @param {Object[]} announcements - All announcements
+     * @param {Date} now - The current time
+     * @returns {Object[]} - Announcements still on display
+     */
+    getActive(announcements, now = new Date()) {
+        return announcements.filter(announcement => {
+            const until = ContentLoader.parseDate(announcement.display_until);
+            if (!until) return true;
+
+            // A date-only "display until" includes that whole day
+            if (ContentLoader.isDateOnly(announcement.display_until)) {
+                until.setHours(23, 59, 59, 999);
+            }
+            return until >= now;
+        });
+    },
+
+    // ============================================
+    // Dismissed banners
+    // ============================================
+
+    getDismissed() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.storageKey)) || [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /**
+     * Remember that an announcement was dismissed
+     * @param {string} slug - The announcement's slug
+     */
+    dismiss(slug) {
+        const dismissed = this.getDismissed();
+        if (dismissed.includes(slug)) return;
+
+        dismissed.push(slug);
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify(dismissed));
+        } catch (e) {
+            console.warn('Could not store dismissed announcement:', e);
+        }
+    },
+
+    // ============================================
+    // Banner
+    // ============================================
+
+    /**
+     * Render high-priority announcements the visitor hasn't dismissed
+     * @param {HTMLElement} container - The banner container
+     * @param {Object[]} announcements - Active announcements
+     */
+    renderBanner(container, announcements) {
+        const dismissed = this.getDismissed();
+        const items = announcements.filter(item => item.priority === 'high' && !dismissed.includes(item.slug));
+
+        container.innerHTML = items.map(item => this.renderBannerItem(item)).join('');
+    },
+
+    renderBannerItem(item) {
+        const esc = ContentLoader.escapeHtml;
+        const t = (key, params) => esc(ContentLoader.t(key, params));
+
+        return `
+            <div class="bg-accent-500 text-primary-900" role="region" aria-label="${t('announcements.label')}" data-announcement="${esc(item.slug)}"${ContentLoader.langAttribute(item)}>
+                <div class="container mx-auto px-4 py-3 flex items-start md:items-center gap-4">
+                    <svg xmlns="http://www.w3.org/2000/svg" class="h-6 w-6 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5.882V19.24a1.76 1.76 0 01-3.417.592l-2.147-6.15M18 13a3 3 0 100-6M5.436 13.683A4.001 4.001 0 017 6h1.832c4.1 0 7.625-1.234 9.168-3v14c-1.543-1.766-5.067-3-9.168-3H7a3.988 3.988 0 01-1.564-.317z" />
+                    </svg>
+                    <p class="flex-1 text-sm md:text-base">
+                        <strong class="font-bold">${esc(item.title)}</strong>
+                        <span class="hidden md:inline"> &mdash; ${esc(item.excerpt)}</span>
+                        <a href="${esc(item.link || '/en/announcements/')}" class="underline font-semibold ml-1 hover:text-primary-700">${item.link ? (esc(item.link_text) || t('common.learnMore')) : t('common.readMore')}</a>
+                    </p>
+                    <button type="button" class="flex-shrink-0 p-1 rounded hover:bg-primary-900/10 focus:outline-none focus:ring-2 focus:ring-primary-900" aria-label="${t('announcements.dismiss', { title: item.title })}" data-dismiss-announcement="${esc(item.slug)}">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+            </div>
+        `;
+    },
+
+    // ============================================
+    // Feed
+    // ============================================
+
+    /**
+     * Render all active announcements grouped by category
+     * @param {HTMLElement} container - The feed container
+     * @param {Object[]} announcements - Active announcements
+     */
+    renderFeed(container, announcements) {
+        if (!announcements.length) {
+            container.innerHTML = `
+                <div class="bg-white rounded-2xl shadow-lg p-8 text-center">
+                    <h2 class="font-serif text-xl font-bold text-primary-900 mb-2">${ContentLoader.escapeHtml(ContentLoader.t('announcements.emptyTitle'))}</h2>
+                    <p class="text-gray-600">${ContentLoader.escapeHtml(ContentLoader.t('announcements.emptyText'))}</p>
+                </div>
+            `;
+            return;
+        }
+
+        const groups = this.groupByCategory(announcements);
+
+        container.innerHTML = Object.entries(groups).map(([category, items]) => `
+            <section class="mb-12" aria-labelledby="announcements-${category}">
+                <h2 id="announcements-${category}" class="font-serif text-2xl md:text-3xl font-bold text-primary-900 mb-6 pb-2 border-b-2 border-accent-500">
+                    ${ContentLoader.escapeHtml(ContentLoader.t(`announcements.categories.${category}`))}
+                </h2>
+                <div class="space-y-6">
+                    ${items.map(item => this.renderFeedItem(item)).join('')}
+                </div>
+            </section>
+        `).join('');
+        ContentLoader.scrollToLinked(container);
+    },
+
+    /**
+     * Group announcements by category (in CMS order), high priority first
+     * @param {Object[]} announcements - Active announcements
+     * @returns {Object} - { category: [announcements] }
+     */
+    groupByCategory(announcements) {
+        const groups = {};
+
+        this.config.categories.forEach(category => {
+            const items = announcements.filter(item =>
+                (this.config.categories.includes(item.category) ? item.category : 'other') === category);
+
+            if (items.length) {
+                groups[category] = items.sort((a, b) => {
+                    const byPriority = this.config.priorities.indexOf(a.priority) - this.config.priorities.indexOf(b.priority);
+                    return byPriority || ContentLoader.parseDate(b.date) - ContentLoader.parseDate(a.date);
+                });
+            }
+        });
+
+        return groups;
+    },
+
+    renderFeedItem(item) {
+        const esc = ContentLoader.escapeHtml;
+        const date = ContentLoader.parseDate(item.date);
+
+        return `
+            <article class="bg-white rounded-2xl shadow-md overflow-hidden md:flex${item.priority === 'high' ? ' border-l-4 border-accent-500' : ''}" id="${esc(item.slug)}"${ContentLoader.langAttribute(item)}>
+                ${item.image ? ContentLoader.renderImage(item.image, { className: 'w-full md:w-56 h-48 md:h-auto object-cover', sizes: '(min-width: 768px) 14rem, 100vw' }) : ''}
+                <div class="p-6 flex-1">
+                    <div class="flex flex-wrap items-center gap-3 mb-2 text-sm">
+                        ${item.priority === 'high' ? `<span class="bg-accent-100 text-accent-800 font-semibold uppercase tracking-wider text-xs rounded-full px-3 py-1">${esc(ContentLoader.t('announcements.important'))}</span>` : ''}
+                        <time datetime="${esc(item.date)}" class="text-gray-500">${esc(ContentLoader.formatDate(date))}</time>
+                    </div>
+                    ${ContentLoader.renderTranslationNote(item)}
+                    <h3 class="font-serif text-xl font-bold text-primary-900 mb-3">${esc(item.title)}</h3>
+                    <div class="rich-text">${item.content_html}</div>
+                    ${item.link ? `
+                    <a href="${esc(item.link)}" class="inline-flex items-center gap-2 text-primary-700 font-semibold mt-4 hover:text-accent-600 transition-colors">
+                        ${esc(item.link_text || ContentLoader.t('common.learnMore'))}
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7" />
+                        </svg>
+                    </a>` : ''}
+                </div>
+            </article>
+        `;
+    }
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    Announcements.init();
+});
+
+// Make available globally for potential use in other scripts
+window.Announcements = Announcements;
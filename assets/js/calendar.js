@@ -0,0 +1,594 @@
+/**
+ * Delmar Nazarene Church - Events Calendar
+ * ========================================
+ *
+ * An interactive calendar on any element with [data-event-calendar]
+ * (see src/pages/en/events.html), showing the "events" CMS collection
+ * and the weekly services from the church settings.
+ *
+ * - Month, week and list views
+ * - Filter by ministry category (the "category" field in admin/config.yml).
+ *   Buttons elsewhere on the page marked data-calendar-filter="youth"
+ *   set the filter too.
+ * - Keyboard: the day grid is one tab stop. Arrow keys move by day and
+ *   week, Home/End go to the start/end of the week, Page Up/Page Down
+ *   change month (with Shift, year), and Enter or Space shows the day's
+ *   events below the calendar. Escape returns from there to the grid.
+ *   Changes are announced through A11yHelpers (main.js).
+ * - Re-renders when the visitor switches language
+ *
+ * Requires content-loader.js. Uses events.js and registration.js, when
+ * they're on the page, for the "Add to Calendar" links and Register
+ * buttons.
+ */
+
+'use strict';
+
+const EventCalendar = {
+    // Configuration
+    config: {
+        views: ['month', 'week', 'list'],
+        categories: ['worship', 'bible-study', 'youth', 'children', 'outreach', 'fellowship'],
+        weekdays: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+        // Month view shows this many events in a day before "+2 more"
+        maxPerDay: 3,
+        serviceTimesUrl: '/en/worship/service-times/'
+    },
+
+    container: null,
+    elements: {},
+    events: [],
+    services: [],
+    view: 'month',
+    category: '',
+    cursor: null,
+    selected: null,
+
+    /**
+     * Initialize the calendar, if the page has one
+     */
+    init() {
+        this.container = document.querySelector('[data-event-calendar]');
+        if (!this.container) return;
+
+        this.cursor = this.startOfDay(new Date());
+        this.bindEvents();
+        this.load();
+        document.addEventListener('languagechange', () => this.load());
+    },
+
+    /**
+     * Listen for clicks and keys (once - the markup is re-rendered often)
+     */
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const nav = e.target.closest('[data-calendar-nav]');
+            const view = e.target.closest('[data-calendar-view]');
+            const day = e.target.closest('[data-date]');
+
+            if (nav) this.navigate(nav.dataset.calendarNav);
+            if (view) this.setView(view.dataset.calendarView);
+            if (day) this.selectDay(this.parseKey(day.dataset.date));
+        });
+
+        this.container.addEventListener('change', (e) => {
+            if (e.target.matches('[data-calendar-category]')) this.setCategory(e.target.value);
+        });
+
+        this.container.addEventListener('keydown', (e) => {
+            if (e.target.matches('[data-date]')) {
+                this.handleGridKey(e);
+            } else if (e.key === 'Escape' && e.target.closest('[data-calendar-details]') && this.selected) {
+                this.focusDay(this.selected);
+            }
+        });
+
+        document.querySelectorAll('[data-calendar-filter]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setCategory(button.dataset.calendarFilter);
+                this.container.scrollIntoView({
+                    behavior: document.documentElement.classList.contains('reduced-motion') ? 'auto' : 'smooth'
+                });
+                this.elements.category?.focus({ preventScroll: true });
+            });
+        });
+    },
+
+    /**
+     * Load events and services, then draw the calendar
+     */
+    async load() {
+        this.container.setAttribute('aria-busy', 'true');
+
+        try {
+            const [events, settings] = await Promise.all([
+                ContentLoader.load('events'),
+                ContentLoader.loadSettings().catch(error => {
+                    console.warn('Could not load service times:', error);
+                    return { services: [] };
+                }),
+                // For the "Add to Calendar" links
+                window.EventsFeed && EventsFeed.loadTimeZone()
+            ]);
+
+            this.events = events;
+            this.services = settings.services || [];
+            this.render();
+        } catch (error) {
+            console.warn('Could not load the calendar:', error);
+            this.container.innerHTML = `<p class="text-center text-gray-600 py-8">${ContentLoader.escapeHtml(ContentLoader.t('calendar.error'))}</p>`;
+        } finally {
+            this.container.removeAttribute('aria-busy');
+        }
+    },
+
+    // ============================================
+    // Dates
+    // ============================================
+
+    startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    },
+
+    addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    },
+
+    /**
+     * Move a date by whole months, keeping the day where the month allows
+     * @param {Date} date - The date
+     * @param {number} months - Months to move (negative for back)
+     * @returns {Date}
+     */
+    addMonths(date, months) {
+        const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+        return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDay));
+    },
+
+    startOfWeek(date) {
+        return this.addDays(date, -date.getDay());
+    },
+
+    /**
+     * A date as "YYYY-MM-DD" (local time)
+     * @param {Date} date - The date
+     * @returns {string}
+     */
+    toKey(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    parseKey(key) {
+        return ContentLoader.parseDate(key);
+    },
+
+    isSameDay(a, b) {
+        return Boolean(a && b) && this.toKey(a) === this.toKey(b);
+    },
+
+    /**
+     * The days the current view covers
+     * @returns {Object} - { start, end } (inclusive)
+     */
+    getRange() {
+        if (this.view === 'week') {
+            const start = this.startOfWeek(this.cursor);
+            return { start, end: this.addDays(start, 6) };
+        }
+
+        const first = new Date(this.cursor.getFullYear(), this.cursor.getMonth(), 1);
+        const last = new Date(this.cursor.getFullYear(), this.cursor.getMonth() + 1, 0);
+
+        return this.view === 'month'
+            ? { start: this.startOfWeek(first), end: this.addDays(this.startOfWeek(last), 6) }
+            : { start: first, end: last };
+    },
+
+    // ============================================
+    // Events
+    // ============================================
+
+    /**
+     * Everything happening in a date range, by day
+     * Multi-day events appear on each of their days; weekly services on
+     * every matching weekday.
+     * @param {Date} start - First day
+     * @param {Date} end - Last day (inclusive)
+     * @returns {Map<string, Object[]>} - Occurrences keyed by "YYYY-MM-DD", sorted by time
+     */
+    getOccurrences(start, end) {
+        const days = new Map();
+        const add = (date, occurrence) => {
+            if (this.category && occurrence.category !== this.category) return;
+            const key = this.toKey(date);
+            if (!days.has(key)) days.set(key, []);
+            days.get(key).push(occurrence);
+        };
+
+        this.events.forEach(event => {
+            const eventStart = ContentLoader.parseDate(event.date);
+            if (!eventStart) return;
+
+            const eventEnd = ContentLoader.parseDate(event.end_date) || eventStart;
+            const allDay = ContentLoader.isDateOnly(event.date);
+
+            for (let day = this.startOfDay(eventStart); day <= eventEnd; day = this.addDays(day, 1)) {
+                if (day < start || day > end) continue;
+
+                const firstDay = this.isSameDay(day, eventStart);
+                add(day, {
+                    title: event.title,
+                    category: event.category || '',
+                    sortTime: firstDay && !allDay ? eventStart.getHours() * 60 + eventStart.getMinutes() : -1,
+                    time: firstDay && !allDay ? ContentLoader.formatTime(eventStart) : ContentLoader.t('calendar.allDay'),
+                    event
+                });
+            }
+        });
+
+        for (let day = start; day <= end; day = this.addDays(day, 1)) {
+            const weekday = this.config.weekdays[day.getDay()];
+
+            this.services.filter(service => service.day === weekday).forEach(service => {
+                const [hours, minutes] = service.start_time.split(':').map(Number);
+                const time = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+
+                add(day, {
+                    title: ContentLoader.t(`services.${service.id}`),
+                    category: service.category || '',
+                    sortTime: hours * 60 + minutes,
+                    time: ContentLoader.formatTime(time),
+                    service
+                });
+            });
+        }
+
+        days.forEach(list => list.sort((a, b) => a.sortTime - b.sortTime));
+        return days;
+    },
+
+    // ============================================
+    // State changes
+    // ============================================
+
+    /**
+     * Handle the previous / today / next buttons
+     * @param {string} direction - 'prev', 'today' or 'next'
+     */
+    navigate(direction) {
+        if (direction === 'today') {
+            this.cursor = this.startOfDay(new Date());
+        } else {
+            const step = direction === 'next' ? 1 : -1;
+            this.cursor = this.view === 'week'
+                ? this.addDays(this.cursor, 7 * step)
+                : this.addMonths(this.cursor, step);
+        }
+
+        this.renderBody();
+        this.announce(this.getTitle());
+    },
+
+    setView(view) {
+        if (!this.config.views.includes(view) || view === this.view) return;
+        this.view = view;
+        this.render();
+        this.container.querySelector(`[data-calendar-view="${view}"]`)?.focus();
+    },
+
+    setCategory(category) {
+        this.category = this.config.categories.includes(category) ? category : '';
+        if (this.elements.category) this.elements.category.value = this.category;
+
+        this.renderBody();
+        this.renderDetails();
+        this.announce(ContentLoader.t('calendar.showing', {
+            category: this.category ? ContentLoader.t(`calendar.categories.${this.category}`) : ContentLoader.t('calendar.allCategories')
+        }));
+    },
+
+    /**
+     * Show a day's events below the calendar
+     * @param {Date} date - The day
+     */
+    selectDay(date) {
+        if (!date) return;
+
+        this.cursor = date;
+        this.selected = date;
+
+        const { start, end } = this.getRange();
+        if (date < start || date > end) {
+            this.renderBody();
+        } else {
+            this.updateGridState();
+        }
+        this.renderDetails();
+
+        const count = (this.getOccurrences(date, date).get(this.toKey(date)) || []).length;
+        this.announce(`${ContentLoader.formatDate(date, { weekday: 'long', month: 'long', day: 'numeric' })}: ${ContentLoader.t('calendar.eventCount', { count })}`);
+    },
+
+    /**
+     * Arrow-key navigation around the day grid
+     * @param {KeyboardEvent} e - The keydown event
+     */
+    handleGridKey(e) {
+        const moves = {
+            ArrowLeft: () => this.addDays(this.cursor, -1),
+            ArrowRight: () => this.addDays(this.cursor, 1),
+            ArrowUp: () => this.addDays(this.cursor, -7),
+            ArrowDown: () => this.addDays(this.cursor, 7),
+            Home: () => this.startOfWeek(this.cursor),
+            End: () => this.addDays(this.startOfWeek(this.cursor), 6),
+            PageUp: () => this.addMonths(this.cursor, e.shiftKey ? -12 : -1),
+            PageDown: () => this.addMonths(this.cursor, e.shiftKey ? 12 : 1)
+        };
+
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.selectDay(this.cursor);
+            return;
+        }
+
+        if (!moves[e.key]) return;
+        e.preventDefault();
+
+        this.cursor = moves[e.key]();
+        const { start, end } = this.getRange();
+
+        if (this.cursor < start || this.cursor > end) {
+            this.renderBody();
+            this.announce(this.getTitle());
+        } else {
+            this.updateGridState();
+        }
+        this.focusDay(this.cursor);
+    },
+
+    /**
+     * Move the grid's tab stop to the cursor and mark the selected day
+     */
+    updateGridState() {
+        this.container.querySelectorAll('[data-date]').forEach(cell => {
+            cell.tabIndex = cell.dataset.date === this.toKey(this.cursor) ? 0 : -1;
+            cell.setAttribute('aria-selected', String(this.isSameDay(this.parseKey(cell.dataset.date), this.selected)));
+        });
+    },
+
+    focusDay(date) {
+        this.container.querySelector(`[data-date="${this.toKey(date)}"]`)?.focus();
+    },
+
+    announce(message) {
+        if (typeof A11yHelpers !== 'undefined') A11yHelpers.announce(message);
+    },
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    getTitle() {
+        if (this.view === 'week') {
+            const date = ContentLoader.formatDate(this.startOfWeek(this.cursor), { month: 'short', day: 'numeric', year: 'numeric' });
+            return ContentLoader.t('calendar.weekOf', { date });
+        }
+        return ContentLoader.formatDate(this.cursor, { month: 'long', year: 'numeric' });
+    },
+
+    /**
+     * Draw the toolbar and the current view
+     */
+    render() {
+        const esc = ContentLoader.escapeHtml;
+        const t = (key, params) => esc(ContentLoader.t(key, params));
+        const buttonClass = 'px-3 py-2 rounded-lg border border-gray-200 text-primary-800 font-semibold hover:bg-primary-50 transition-colors';
+
+        this.container.innerHTML = `
+            <div class="flex flex-wrap items-center justify-between gap-4 mb-6">
+                <div class="flex items-center gap-2">
+                    <button type="button" class="${buttonClass}" data-calendar-nav="prev" aria-label="${t('calendar.previous')}">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 19l-7-7 7-7" />
+                        </svg>
+                    </button>
+                    <button type="button" class="${buttonClass}" data-calendar-nav="today">${t('calendar.today')}</button>
+                    <button type="button" class="${buttonClass}" data-calendar-nav="next" aria-label="${t('calendar.next')}">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7" />
+                        </svg>
+                    </button>
+                    <h3 id="calendar-title" class="font-serif text-xl font-bold text-primary-900 ml-2" data-calendar-title></h3>
+                </div>
+                <div class="flex flex-wrap items-center gap-3">
+                    <label for="calendar-category" class="sr-only">${t('calendar.category')}</label>
+                    <select id="calendar-category" class="border border-gray-200 rounded-lg px-3 py-2 text-gray-700" data-calendar-category>
+                        <option value="">${t('calendar.allCategories')}</option>
+                        ${this.config.categories.map(category => `<option value="${category}"${category === this.category ? ' selected' : ''}>${t(`calendar.categories.${category}`)}</option>`).join('')}
+                    </select>
+                    <div class="inline-flex rounded-lg border border-gray-200 overflow-hidden" role="group" aria-label="${t('calendar.view')}">
+                        ${this.config.views.map(view => `<button type="button" class="px-3 py-2 font-semibold transition-colors ${view === this.view ? 'bg-primary-700 text-white' : 'text-primary-800 hover:bg-primary-50'}" data-calendar-view="${view}" aria-pressed="${view === this.view}">${t(`calendar.${view}`)}</button>`).join('')}
+                    </div>
+                </div>
+            </div>
+            <div data-calendar-body></div>
+            <div class="mt-6" data-calendar-details tabindex="-1"></div>
+        `;
+
+        this.elements = {
+            title: this.container.querySelector('[data-calendar-title]'),
+            category: this.container.querySelector('[data-calendar-category]'),
+            body: this.container.querySelector('[data-calendar-body]'),
+            details: this.container.querySelector('[data-calendar-details]')
+        };
+
+        this.renderBody();
+        this.renderDetails();
+    },
+
+    /**
+     * Draw the current view (grid or list) for the cursor's month/week
+     */
+    renderBody() {
+        const { start, end } = this.getRange();
+        const occurrences = this.getOccurrences(start, end);
+
+        this.elements.title.textContent = this.getTitle();
+        this.elements.body.innerHTML = this.view === 'list'
+            ? this.renderList(occurrences)
+            : this.renderGrid(start, end, occurrences);
+    },
+
+    /**
+     * Render the month or week grid
+     * @param {Date} start - First day shown
+     * @param {Date} end - Last day shown
+     * @param {Map<string, Object[]>} occurrences - From getOccurrences()
+     * @returns {string} - HTML
+     */
+    renderGrid(start, end, occurrences) {
+        const esc = ContentLoader.escapeHtml;
+        const today = this.startOfDay(new Date());
+        const weeks = [];
+
+        for (let day = start; day <= end; day = this.addDays(day, 7)) {
+            weeks.push(Array.from({ length: 7 }, (_, i) => this.addDays(day, i)));
+        }
+
+        const headings = weeks[0].map(day => `
+                        <th scope="col" class="py-2 text-xs font-semibold uppercase tracking-wide text-gray-500" abbr="${esc(ContentLoader.formatDate(day, { weekday: 'long' }))}">${esc(ContentLoader.formatDate(day, { weekday: 'short' }))}</th>`).join('');
+
+        const rows = weeks.map(week => `
+                    <tr>${week.map(day => this.renderDay(day, occurrences.get(this.toKey(day)) || [], today)).join('')}
+                    </tr>`).join('');
+
+        return `
+            <p id="calendar-help" class="sr-only">${esc(ContentLoader.t('calendar.keyboardHelp'))}</p>
+            <table class="w-full table-fixed border-collapse" role="grid" aria-labelledby="calendar-title" aria-describedby="calendar-help">
+                <thead>
+                    <tr>${headings}
+                    </tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>`;
+    },
+
+    /**
+     * Render one day of the grid
+     * @param {Date} day - The day
+     * @param {Object[]} items - Its occurrences
+     * @param {Date} today - Today's date
+     * @returns {string} - HTML
+     */
+    renderDay(day, items, today) {
+        const esc = ContentLoader.escapeHtml;
+        const isCursor = this.isSameDay(day, this.cursor);
+        const outside = this.view === 'month' && day.getMonth() !== this.cursor.getMonth();
+        const limit = this.view === 'month' ? this.config.maxPerDay : items.length;
+        const label = `${ContentLoader.formatDate(day, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}, ${ContentLoader.t('calendar.eventCount', { count: items.length })}`;
+
+        const chips = items.slice(0, limit).map(item => `
+                            <span class="block truncate text-xs rounded px-1.5 py-0.5 mt-1 ${item.service ? 'bg-primary-100 text-primary-800' : 'bg-accent-100 text-accent-800'}"><span class="font-semibold">${esc(item.time)}</span> ${esc(item.title)}</span>`).join('');
+
+        const more = items.length > limit
+            ? `<span class="block text-xs text-gray-500 mt-1">${esc(ContentLoader.t('calendar.more', { count: items.length - limit }))}</span>`
+            : '';
+
+        return `
+                        <td class="align-top border border-gray-100 p-1.5 cursor-pointer hover:bg-primary-50 focus:outline-none focus:ring-2 focus:ring-accent-500 focus:ring-inset ${this.view === 'month' ? 'h-24 md:h-28' : 'h-48'} ${outside ? 'bg-gray-50 text-gray-400' : ''} ${this.isSameDay(day, this.selected) ? 'bg-accent-50' : ''}"
+                            role="gridcell" data-date="${this.toKey(day)}" tabindex="${isCursor ? 0 : -1}" aria-selected="${this.isSameDay(day, this.selected)}" aria-label="${esc(label)}"${this.isSameDay(day, today) ? ' aria-current="date"' : ''}>
+                            <span class="inline-flex items-center justify-center w-7 h-7 text-sm font-semibold rounded-full ${this.isSameDay(day, today) ? 'bg-primary-700 text-white' : ''}" aria-hidden="true">${day.getDate()}</span>
+                            <span aria-hidden="true">${chips}${more}</span>
+                        </td>`;
+    },
+
+    /**
+     * Render the list view: the month's days that have something on
+     * @param {Map<string, Object[]>} occurrences - From getOccurrences()
+     * @returns {string} - HTML
+     */
+    renderList(occurrences) {
+        const esc = ContentLoader.escapeHtml;
+
+        if (!occurrences.size) {
+            return `<p class="text-center text-gray-600 py-8">${esc(ContentLoader.t('calendar.noEvents'))}</p>`;
+        }
+
+        return `
+            <ol class="space-y-6">
+                ${[...occurrences.keys()].sort().map(key => `
+                <li>
+                    <h4 class="font-semibold text-primary-900 border-b border-gray-100 pb-2 mb-3">${esc(ContentLoader.formatDate(this.parseKey(key), { weekday: 'long', month: 'long', day: 'numeric' }))}</h4>
+                    <ul class="space-y-4">
+                        ${occurrences.get(key).map(item => this.renderItem(item)).join('')}
+                    </ul>
+                </li>`).join('')}
+            </ol>`;
+    },
+
+    /**
+     * Render the selected day's events below the grid
+     */
+    renderDetails() {
+        const esc = ContentLoader.escapeHtml;
+        const details = this.elements.details;
+        if (!details) return;
+
+        if (!this.selected || this.view === 'list') {
+            details.innerHTML = '';
+            return;
+        }
+
+        const items = this.getOccurrences(this.selected, this.selected).get(this.toKey(this.selected)) || [];
+
+        details.innerHTML = `
+            <div class="border-t border-gray-100 pt-6">
+                <h4 class="font-serif text-lg font-bold text-primary-900 mb-4">${esc(ContentLoader.formatDate(this.selected, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }))}</h4>
+                ${items.length
+                    ? `<ul class="space-y-4">${items.map(item => this.renderItem(item)).join('')}</ul>`
+                    : `<p class="text-gray-600">${esc(ContentLoader.t('calendar.noEventsOnDay'))}</p>`}
+            </div>`;
+    },
+
+    /**
+     * Render one event or service in the list view and day details
+     * @param {Object} item - An occurrence
+     * @returns {string} - HTML
+     */
+    renderItem(item) {
+        const esc = ContentLoader.escapeHtml;
+        const { event, service } = item;
+
+        const category = item.category
+            ? `<span class="inline-block bg-gray-100 text-gray-600 text-xs rounded-full px-2 py-0.5 ml-2">${esc(ContentLoader.t(`calendar.categories.${item.category}`))}</span>`
+            : '';
+
+        const extra = event
+            ? `${event.location ? `<p class="text-gray-500 text-sm">${esc(event.location)}</p>` : ''}
+                    ${event.excerpt ? `<p class="text-gray-600 text-sm mt-1">${esc(event.excerpt)}</p>` : ''}
+                    ${window.EventRegistration ? EventRegistration.renderButton(event) : ''}
+                    ${window.EventsFeed ? EventsFeed.renderCalendarMenu(event) : ''}`
+            : `<p class="text-gray-500 text-sm">${esc(ContentLoader.t('calendar.weekly', { day: ContentLoader.t(`weekdays.${service.day}`) }))} &middot;
+                        <a href="${esc(this.config.serviceTimesUrl)}" class="text-primary-700 hover:text-accent-600">${esc(ContentLoader.t('calendar.serviceTimes'))}</a></p>`;
+
+        return `
+                <li class="flex gap-4"${event ? ContentLoader.langAttribute(event) : ''}>
+                    <p class="w-20 flex-shrink-0 text-sm font-semibold text-primary-700">${esc(item.time)}</p>
+                    <div>
+                        ${event ? ContentLoader.renderTranslationNote(event) : ''}
+                        <p class="font-semibold text-primary-900">${esc(item.title)}${category}</p>
+                        ${extra}
+                    </div>
+                </li>`;
+    }
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    EventCalendar.init();
+});
+
+// Make available globally for potential use in other scripts
+window.EventCalendar = EventCalendar;
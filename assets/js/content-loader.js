@@ -0,0 +1,283 @@
+/**
+ * Delmar Nazarene Church - Content Loader
+ * =======================================
+ *
+ * Loads the CMS collections (events, sermons, announcements, staff)
+ * and church settings that scripts/build-content.js writes to /data/
+ * at deploy time.
+ *
+ * Entries come in the visitor's language (LanguageSwitcher.currentLanguage).
+ * Entries that haven't been translated yet are English fallbacks; the
+ * modules flag them with renderTranslationNote().
+ *
+ * Also provides the small helpers the content modules share:
+ * date parsing/formatting, translation, HTML escaping and images (with
+ * the smaller copies scripts/lib/images.js makes of CMS uploads).
+ */
+
+'use strict';
+
+const ContentLoader = {
+    // Configuration
+    config: {
+        basePath: '/data/',
+        defaultLanguage: 'en'
+    },
+
+    // Responses already fetched on this page, keyed by URL
+    cache: {},
+
+    // Sizes and smaller copies of the site's images (/data/images.json)
+    images: {},
+
+    // The entry scrollToLinked() has scrolled to
+    scrolledTo: null,
+
+    /**
+     * Load all entries of a collection
+     * @param {string} collection - Collection name, e.g. 'events'
+     * @param {string} lang - Language code (defaults to the visitor's language)
+     * @returns {Promise<Object[]>} - The collection's entries
+     */
+    async load(collection, lang) {
+        // Wait for the translations too, so modules can render with t(),
+        // and the image list, for renderImage()
+        await Promise.all([window.LanguageSwitcher?.ready, this.loadImages()]);
+        lang = lang || this.getLanguage();
+
+        try {
+            return await this.fetchCollection(collection, lang);
+        } catch (error) {
+            if (lang === this.config.defaultLanguage) throw error;
+
+            // No data for this language at all - use English
+            console.warn(`Falling back to English ${collection}:`, error);
+            return this.fetchCollection(collection, this.config.defaultLanguage);
+        }
+    },
+
+    /**
+     * Fetch one language file of a collection (once per page)
+     * @param {string} collection - Collection name
+     * @param {string} lang - Language code
+     * @returns {Promise<Object[]>} - The entries
+     */
+    fetchCollection(collection, lang) {
+        return this.fetchJson(`${this.config.basePath}${collection}/${lang}.json`, collection)
+            .then(data => data.items || []);
+    },
+
+    /**
+     * Load the church settings: weekly services, address and contact
+     * details (data/settings.json, from content/settings/church.json)
+     * @returns {Promise<Object>} - The settings
+     */
+    loadSettings() {
+        return this.fetchJson(`${this.config.basePath}settings.json`, 'settings');
+    },
+
+    /**
+     * Fetch a JSON file from /data/ (once per page)
+     * @param {string} url - The file
+     * @param {string} name - What it holds, for the error message
+     * @returns {Promise<Object>} - The parsed JSON
+     */
+    fetchJson(url, name) {
+        if (!this.cache[url]) {
+            this.cache[url] = fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Could not load ${name} (HTTP ${response.status})`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    // Allow a retry on the next call
+                    delete this.cache[url];
+                    throw error;
+                });
+        }
+
+        return this.cache[url];
+    },
+
+    /**
+     * Load the list of images the build made smaller copies of. Without
+     * it, images are shown as uploaded.
+     * @returns {Promise<Object>} - Image URL → { width, height, sources, placeholder }
+     */
+    loadImages() {
+        return this.fetchJson(`${this.config.basePath}images.json`, 'images')
+            .then(images => (this.images = images))
+            .catch(() => (this.images = {}));
+    },
+
+    /**
+     * Check if a date string has no time component
+     * @param {string} value - Date string from the content data
+     * @returns {boolean} - Whether it is a date-only value
+     */
+    isDateOnly(value) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+    },
+
+    /**
+     * Parse a date string from the content data
+     * Date-only values are parsed as local midnight (not UTC)
+     * @param {string} value - Date string
+     * @returns {Date|null} - The parsed date, or null
+     */
+    parseDate(value) {
+        if (!value) return null;
+
+        if (this.isDateOnly(value)) {
+            const [year, month, day] = value.split('-').map(Number);
+            return new Date(year, month - 1, day);
+        }
+
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    },
+
+    /**
+     * Get the language content is shown in
+     * @returns {string} - Language code
+     */
+    getLanguage() {
+        return window.LanguageSwitcher?.currentLanguage || this.config.defaultLanguage;
+    },
+
+    /**
+     * Get the locale to format dates in
+     * @returns {string} - BCP 47 locale
+     */
+    getLocale() {
+        return { en: 'en-US', ht: 'ht-HT', fr: 'fr-FR' }[this.getLanguage()] || 'en-US';
+    },
+
+    /**
+     * Translate a UI string into the content language
+     * @param {string} key - Translation key, e.g. 'staff.readBio'
+     * @param {Object} params - Interpolation parameters
+     * @returns {string} - The translated string
+     */
+    t(key, params = {}) {
+        if (!window.LanguageSwitcher) return key;
+        return LanguageSwitcher.translate(key, params, this.getLanguage());
+    },
+
+    /**
+     * Format a date for display
+     * @param {Date} date - The date to format
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} - Formatted date
+     */
+    formatDate(date, options = { month: 'long', day: 'numeric', year: 'numeric' }) {
+        return date ? date.toLocaleDateString(this.getLocale(), options) : '';
+    },
+
+    /**
+     * Format a time for display, e.g. "7:00 PM"
+     * @param {Date} date - The date to format
+     * @returns {string} - Formatted time
+     */
+    formatTime(date) {
+        return date ? date.toLocaleTimeString(this.getLocale(), { hour: 'numeric', minute: '2-digit' }) : '';
+    },
+
+    // ============================================
+    // Translation fallbacks
+    // ============================================
+
+    /**
+     * Check if an entry is an English stand-in for a missing translation
+     * @param {Object} item - Entry from the content data
+     * @returns {boolean} - Whether it is a fallback
+     */
+    isFallback(item) {
+        return Boolean(item.language) && item.language !== this.getLanguage();
+    },
+
+    /**
+     * A lang attribute for an entry written in a different language
+     * from the page around it
+     * @param {Object} item - Entry from the content data
+     * @returns {string} - e.g. ' lang="en"', or ''
+     */
+    langAttribute(item) {
+        const pageLanguage = window.LanguageSwitcher?.pageLanguage || this.config.defaultLanguage;
+        return item.language && item.language !== pageLanguage ? ` lang="${this.escapeHtml(item.language)}"` : '';
+    },
+
+    /**
+     * Render the "not yet translated" note for fallback entries
+     * @param {Object} item - Entry from the content data
+     * @returns {string} - Note HTML ('' for translated entries)
+     */
+    renderTranslationNote(item) {
+        if (!this.isFallback(item)) return '';
+
+        return `
+            <p class="translation-note inline-flex items-center gap-1 text-xs text-gray-500 bg-gray-100 rounded-full px-3 py-1 mb-3" lang="${this.escapeHtml(this.getLanguage())}">
+                <svg xmlns="http://www.w3.org/2000/svg" class="h-3.5 w-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 5h12M9 3v2m1.048 9.5A18.022 18.022 0 016.412 9m6.088 9h7M11 21l5-10 5 10M12.751 5C11.783 10.77 8.07 15.61 3 18.129" />
+                </svg>
+                ${this.escapeHtml(this.t('content.notTranslated'))}
+            </p>`;
+    },
+
+    /**
+     * An image from the CMS, with its smaller AVIF/WebP copies if the
+     * build made them (see scripts/lib/images.js)
+     * @param {string} src - Image URL, e.g. '/images/uploads/picnic.jpg'
+     * @param {Object} [options]
+     * @param {string} [options.alt] - Alt text ('' for decorative images)
+     * @param {string} [options.className] - Classes for the <img>
+     * @param {string} [options.sizes] - How wide it's shown, e.g. '(min-width: 768px) 14rem, 100vw'
+     * @returns {string} - <picture> or <img> HTML
+     */
+    renderImage(src, { alt = '', className = '', sizes = '100vw' } = {}) {
+        const esc = (text) => this.escapeHtml(text);
+        const image = this.images[src];
+        const dimensions = image ? ` width="${image.width}" height="${image.height}"` : '';
+        const placeholder = image && image.placeholder && image.sources;
+        const img = `<img src="${esc(src)}" alt="${esc(alt)}" class="${esc(className)}${placeholder ? ' image-placeholder' : ''}"${dimensions} loading="lazy"${placeholder ? ` style="background-image: url(${image.placeholder})"` : ''}>`;
+
+        if (!image || !image.sources) return img;
+
+        return `<picture class="responsive-image">${Object.entries(image.sources)
+            .map(([format, srcset]) => `<source type="image/${format}" srcset="${esc(srcset)}" sizes="${esc(sizes)}">`)
+            .join('')}${img}</picture>`;
+    },
+
+    /**
+     * Scroll to the entry the address points at (e.g. the site search's
+     * /en/events/#3-day-revival), once it has been rendered. The browser
+     * can't, as it isn't on the page yet when it loads. Only done the
+     * first time, not each time the entries are re-rendered.
+     * @param {HTMLElement} container - Where the entries were rendered
+     */
+    scrollToLinked(container) {
+        const id = decodeURIComponent(location.hash.slice(1));
+        if (!id || this.scrolledTo === id) return;
+
+        const target = container.querySelector(`[id="${CSS.escape(id)}"]`);
+        if (!target) return;
+        this.scrolledTo = id;
+        target.scrollIntoView({ block: 'start' });
+    },
+
+    /**
+     * Escape text for safe insertion into HTML
+     * @param {*} text - The text to escape
+     * @returns {string} - Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+};
+
+// Make available globally for the content modules
+window.ContentLoader = ContentLoader;
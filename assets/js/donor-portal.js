@@ -0,0 +1,294 @@
+/**
+ * Delmar Nazarene Church - Donor Portal
+ * ======================================
+ *
+ * The My Giving page ([data-donor-portal], src/pages/en/my-giving.html).
+ * Donors sign in with Netlify Identity, the same login the home page
+ * loads for the Content Manager, and see their online gifts, download a
+ * statement for each year and stop recurring gifts, all through the
+ * donor-portal function (netlify/functions/donor-portal.js).
+ *
+ * On localhost there's no Identity to sign in to; scripts/dev-server.js
+ * lets any request with an Authorization header through instead.
+ *
+ * Requires content-loader.js.
+ */
+
+'use strict';
+
+const DonorPortal = {
+    // Configuration
+    config: {
+        endpoint: '/.netlify/functions/donor-portal'
+    },
+
+    container: null,
+    signIn: null,
+    data: null,
+    error: false,
+
+    /**
+     * Initialize the portal, if it's on the page
+     */
+    init() {
+        this.container = document.querySelector('[data-donor-portal]');
+        if (!this.container) return;
+        this.signIn = document.querySelector('[data-portal-sign-in]');
+
+        this.container.addEventListener('click', (e) => {
+            const statement = e.target.closest('[data-statement]');
+            const stop = e.target.closest('[data-stop]');
+            if (statement) this.download(statement);
+            if (stop) this.stop(stop);
+            if (e.target.closest('[data-portal-sign-out]')) window.netlifyIdentity.logout();
+        });
+        document.addEventListener('languagechange', () => this.render());
+
+        if (this.isLocal()) {
+            this.load();
+            return;
+        }
+
+        const identity = window.netlifyIdentity;
+        document.querySelector('[data-portal-sign-in-button]').addEventListener('click', () => identity.open('login'));
+        identity.on('login', () => {
+            identity.close();
+            this.load();
+        });
+        identity.on('logout', () => this.showSignIn());
+
+        identity.currentUser() ? this.load() : this.showSignIn();
+    },
+
+    isLocal() {
+        return ['localhost', '127.0.0.1'].includes(location.hostname);
+    },
+
+    getEmail() {
+        return this.isLocal() ? 'local@localhost' : (window.netlifyIdentity.currentUser() || {}).email;
+    },
+
+    showSignIn() {
+        this.data = null;
+        this.signIn.hidden = false;
+        this.container.hidden = true;
+    },
+
+    /**
+     * Call the donor-portal function as the signed-in donor
+     * @param {string} method - 'GET' or 'POST'
+     * @param {Object} [options] - { query, body }
+     * @returns {Promise<Response>}
+     */
+    async api(method, { query = '', body } = {}) {
+        const user = this.isLocal() ? null : window.netlifyIdentity.currentUser();
+        const token = user ? await user.jwt() : 'local';
+
+        const response = await fetch(`${this.config.endpoint}${query}`, {
+            method,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                ...(body && { 'Content-Type': 'application/json' })
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (response.status === 401) {
+            this.showSignIn();
+            throw new Error('Not signed in');
+        }
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response;
+    },
+
+    async load() {
+        this.signIn.hidden = true;
+        this.container.hidden = false;
+        this.container.setAttribute('aria-busy', 'true');
+
+        try {
+            this.data = await (await this.api('GET')).json();
+            this.error = false;
+        } catch (error) {
+            console.warn('Could not load the giving:', error);
+            this.error = true;
+        }
+
+        if (window.LanguageSwitcher) await LanguageSwitcher.ready;
+        this.render();
+    },
+
+    // ============================================
+    // Actions
+    // ============================================
+
+    /**
+     * Download a year's statement
+     * @param {HTMLButtonElement} button - Its button ([data-statement])
+     */
+    async download(button) {
+        button.disabled = true;
+        try {
+            const response = await this.api('GET', { query: `?statement=${encodeURIComponent(button.dataset.statement)}` });
+            const filename = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+            const url = URL.createObjectURL(await response.blob());
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename ? filename[1] : `giving-statement-${button.dataset.statement}.pdf`;
+            document.body.append(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.warn('Could not download the statement:', error);
+            this.announce(ContentLoader.t('giving.portal.statementError'));
+        } finally {
+            button.disabled = false;
+        }
+    },
+
+    /**
+     * Stop a recurring gift, once the donor confirms
+     * @param {HTMLButtonElement} button - Its button ([data-stop])
+     */
+    async stop(button) {
+        const gift = this.data.recurring.find(item => item.id === button.dataset.stop);
+        if (!gift || !window.confirm(ContentLoader.t('giving.portal.stopConfirm', this.describe(gift)))) return;
+
+        button.disabled = true;
+        try {
+            await this.api('POST', { body: { id: gift.id, action: 'cancel' } });
+            this.data.recurring = this.data.recurring.filter(item => item.id !== gift.id);
+            this.render();
+            this.container.querySelector('[data-recurring-heading]')?.focus();
+            this.announce(ContentLoader.t('giving.portal.stopped'));
+        } catch (error) {
+            console.warn('Could not stop the gift:', error);
+            button.disabled = false;
+            this.announce(ContentLoader.t('giving.portal.stopError'));
+        }
+    },
+
+    announce(message) {
+        if (typeof A11yHelpers !== 'undefined') A11yHelpers.announce(message);
+    },
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * The words describing a gift, for translations
+     * @param {Object} gift - From the donor-portal function
+     * @returns {Object} - { amount, fund, frequency }
+     */
+    describe(gift) {
+        const t = (key) => ContentLoader.t(key);
+        return {
+            amount: this.formatAmount(gift.total),
+            fund: t(`giving.funds.${gift.fund}`),
+            frequency: t(`giving.frequencies.${gift.frequency}`).toLocaleLowerCase(ContentLoader.getLocale())
+        };
+    },
+
+    formatAmount(cents) {
+        return new Intl.NumberFormat(ContentLoader.getLocale(), { style: 'currency', currency: 'USD' }).format(cents / 100);
+    },
+
+    render() {
+        const container = this.container;
+        const esc = ContentLoader.escapeHtml;
+        const t = (key, params) => ContentLoader.t(key, params);
+
+        if (!this.data && !this.error) return;
+        container.setAttribute('aria-busy', 'false');
+
+        if (this.error) {
+            container.innerHTML = `<p class="text-center text-gray-600">${esc(t('giving.portal.loadError'))}</p>`;
+            return;
+        }
+
+        const { gifts, recurring, years } = this.data;
+        const email = this.getEmail();
+        const heading = 'font-serif text-2xl font-bold text-primary-900 mb-4';
+        const card = 'bg-white rounded-2xl shadow-md border border-primary-100 p-6 md:p-8 mb-8';
+
+        container.innerHTML = `
+            <div class="flex flex-wrap items-center justify-between gap-3 mb-8">
+                <p class="text-gray-600">${esc(t('giving.portal.signedInAs', { email }))}</p>
+                <div class="flex gap-3">
+                    <a href="/en/give/#online-giving" class="bg-primary-800 hover:bg-primary-700 text-white font-bold py-2 px-5 rounded-lg transition-all">${esc(t('giving.portal.give'))}</a>
+                    ${this.isLocal() ? '' : `<button type="button" data-portal-sign-out class="border-2 border-primary-800 text-primary-800 hover:bg-primary-100 font-bold py-2 px-5 rounded-lg transition-all">${esc(t('giving.portal.signOut'))}</button>`}
+                </div>
+            </div>
+
+            ${years.length ? `<section class="${card}" aria-labelledby="portal-statements">
+                <h2 id="portal-statements" class="${heading}">${esc(t('giving.portal.statements'))}</h2>
+                <p class="text-gray-600 mb-4">${esc(t('giving.portal.statementsIntro'))}</p>
+                <div class="flex flex-wrap gap-3">
+                    ${years.map(year => `
+                        <button type="button" data-statement="${esc(year)}" class="inline-flex items-center gap-2 bg-pale-green hover:bg-primary-100 text-primary-800 font-semibold py-2 px-4 rounded-lg border border-primary-200 transition-all">
+                            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                            </svg>
+                            ${esc(t('giving.portal.statement', { year }))}
+                        </button>`).join('')}
+                </div>
+            </section>` : ''}
+
+            <section class="${card}" aria-labelledby="portal-recurring">
+                <h2 id="portal-recurring" class="${heading}" tabindex="-1" data-recurring-heading>${esc(t('giving.portal.recurring'))}</h2>
+                ${recurring.length ? `
+                    <ul class="divide-y divide-gray-200">
+                        ${recurring.map(gift => `
+                            <li class="py-4 flex flex-wrap items-center justify-between gap-3">
+                                <div>
+                                    <p class="font-semibold text-primary-900">${esc(t('giving.portal.recurringGift', this.describe(gift)))}</p>
+                                    <p class="text-sm text-gray-500">${esc(t('giving.portal.since', { date: ContentLoader.formatDate(new Date(gift.date)) }))}</p>
+                                </div>
+                                ${gift.cancellable
+                                    ? `<button type="button" data-stop="${esc(gift.id)}" class="border border-gray-300 hover:border-red-700 hover:text-red-700 font-semibold py-2 px-4 rounded-lg transition-all">${esc(t('giving.portal.stop'))}</button>`
+                                    : `<p class="text-sm text-gray-500 max-w-xs">${esc(t('giving.portal.manageElsewhere'))}</p>`}
+                            </li>`).join('')}
+                    </ul>
+                ` : `<p class="text-gray-600">${esc(t('giving.portal.recurringEmpty'))}</p>`}
+            </section>
+
+            <section class="${card}" aria-labelledby="portal-history">
+                <h2 id="portal-history" class="${heading}">${esc(t('giving.portal.history'))}</h2>
+                ${gifts.length ? `
+                    <div class="overflow-x-auto">
+                        <table class="w-full text-left">
+                            <thead class="text-sm text-gray-500 border-b border-gray-200">
+                                <tr>
+                                    <th scope="col" class="py-2 pr-4 font-semibold">${esc(t('giving.fields.date'))}</th>
+                                    <th scope="col" class="py-2 pr-4 font-semibold">${esc(t('giving.fields.fund'))}</th>
+                                    <th scope="col" class="py-2 pr-4 font-semibold">${esc(t('giving.fields.frequency'))}</th>
+                                    <th scope="col" class="py-2 font-semibold text-right">${esc(t('giving.fields.amount'))}</th>
+                                </tr>
+                            </thead>
+                            <tbody class="divide-y divide-gray-100">
+                                ${gifts.map(gift => `
+                                    <tr>
+                                        <td class="py-3 pr-4">${esc(ContentLoader.formatDate(new Date(gift.date)))}</td>
+                                        <td class="py-3 pr-4">${esc(t(`giving.funds.${gift.fund}`))}</td>
+                                        <td class="py-3 pr-4">${esc(t(`giving.frequencies.${gift.frequency}`))}</td>
+                                        <td class="py-3 text-right font-semibold">${esc(this.formatAmount(gift.total))}</td>
+                                    </tr>`).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                ` : `<p class="text-gray-600">${esc(t('giving.portal.historyEmpty', { email }))}</p>`}
+            </section>
+        `;
+    }
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    DonorPortal.init();
+});
+
+// Make available globally for potential use in other scripts
+window.DonorPortal = DonorPortal;
@@ -0,0 +1,383 @@
+/**
+ * Delmar Nazarene Church - Upcoming Events
+ * ========================================
+ *
+ * Renders the "events" CMS collection as event cards on any element
+ * with a [data-events-feed] attribute (see src/pages/en/events.html).
+ *
+ * - Events are sorted by start date
+ * - Past events are hidden automatically (an event stays visible
+ *   until its end_date, or until the end of its start day)
+ * - Optional attributes on the container:
+ *     data-limit="3"          Show at most this many events
+ *     data-featured-only      Only show events marked "Featured"
+ *     data-category="youth"   Only show events in this category (a
+ *                             ministry page's related events)
+ * - Each card has "Add to Calendar" links for Google, Outlook and
+ *   Apple Calendar (the .ics download written by scripts/build-site.js)
+ * - Links marked data-calendar-subscribe="webcal" or "google" subscribe
+ *   to the whole events feed (/events.ics)
+ * - Events that take registrations get a Register button
+ *   (registration.js, when it's on the page)
+ * - Feeds re-render when the visitor switches language
+ *
+ * Requires content-loader.js.
+ */
+
+'use strict';
+
+const EventsFeed = {
+    // Header backgrounds, rotated between cards without an image
+    gradients: [
+        'from-primary-600 to-primary-700',
+        'from-accent-500 to-accent-600',
+        'from-primary-700 to-primary-800'
+    ],
+
+    // Event times are the church's local time ("timezone" in
+    // src/data/site.json, passed on in /data/settings.json)
+    timeZone: null,
+
+    /**
+     * Initialize every events feed on the page
+     */
+    init() {
+        this.render();
+        document.addEventListener('languagechange', () => this.render());
+    },
+
+    /**
+     * (Re)load every events feed on the page
+     */
+    render() {
+        document.querySelectorAll('[data-events-feed]').forEach(container => {
+            this.load(container);
+        });
+        this.updateSubscribeLinks();
+    },
+
+    /**
+     * Point subscribe links at the feed in the visitor's language
+     */
+    updateSubscribeLinks() {
+        const feed = `${location.host}${this.getCalendarPath()}`;
+
+        document.querySelectorAll('[data-calendar-subscribe]').forEach(link => {
+            link.href = link.dataset.calendarSubscribe === 'google'
+                ? `https://calendar.google.com/calendar/render?cid=${encodeURIComponent(`webcal://${feed}`)}`
+                : `webcal://${feed}`;
+        });
+    },
+
+    /**
+     * Where the calendar files for the visitor's language are
+     * (mirrors calendarPath() in scripts/lib/calendar.js)
+     * @param {string} [slug] - An event, or leave out for the whole feed
+     * @returns {string} - e.g. '/events.ics' or '/ht/events/3-day-revival.ics'
+     */
+    getCalendarPath(slug) {
+        const lang = ContentLoader.getLanguage();
+        const prefix = lang === ContentLoader.config.defaultLanguage ? '' : `/${lang}`;
+        return slug ? `${prefix}/events/${slug}.ics` : `${prefix}/events.ics`;
+    },
+
+    /**
+     * Load events and render them into a container
+     * @param {HTMLElement} container - The feed container
+     */
+    async load(container) {
+        container.setAttribute('aria-busy', 'true');
+
+        try {
+            const [events] = await Promise.all([ContentLoader.load('events'), this.loadTimeZone()]);
+            let upcoming = this.getUpcoming(events);
+
+            if (container.hasAttribute('data-featured-only')) {
+                upcoming = upcoming.filter(event => event.featured);
+            }
+
+            if (container.dataset.category) {
+                upcoming = upcoming.filter(event => event.category === container.dataset.category);
+            }
+
+            const limit = parseInt(container.dataset.limit, 10);
+            if (limit > 0) {
+                upcoming = upcoming.slice(0, limit);
+            }
+
+            container.innerHTML = upcoming.length
+                ? upcoming.map((event, i) => this.renderCard(event, i)).join('')
+                : this.renderEmpty();
+            ContentLoader.scrollToLinked(container);
+        } catch (error) {
+            console.warn('Could not load events:', error);
+            container.innerHTML = this.renderEmpty();
+        } finally {
+            container.removeAttribute('aria-busy');
+        }
+    },
+
+    /**
+     * Load the church's time zone from the settings
+     */
+    async loadTimeZone() {
+        const settings = await ContentLoader.loadSettings().catch(error => {
+            console.warn('Could not load the church\'s time zone:', error);
+            return {};
+        });
+        // Without it, calendar links use the visitor's own time zone
+        this.timeZone = settings.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    },
+
+    /**
+     * Get events that haven't finished yet, soonest first
+     * @param {Object[]} events - All events
+     * @param {Date} now - The current time
+     * @returns {Object[]} - Upcoming events
+     */
+    getUpcoming(events, now = new Date()) {
+        return events
+            .filter(event => {
+                const end = this.getEndDate(event);
+                return end && end >= now;
+            })
+            .sort((a, b) => ContentLoader.parseDate(a.date) - ContentLoader.parseDate(b.date));
+    },
+
+    /**
+     * Get the moment an event is over
+     * @param {Object} event - The event
+     * @returns {Date|null} - When the event ends
+     */
+    getEndDate(event) {
+        const end = ContentLoader.parseDate(event.end_date);
+        if (end) return end;
+
+        // Single-time events stay listed for the rest of that day
+        const start = ContentLoader.parseDate(event.date);
+        if (!start) return null;
+
+        const endOfDay = new Date(start);
+        endOfDay.setHours(23, 59, 59, 999);
+        return endOfDay;
+    },
+
+    /**
+     * Build the time line shown on a card
+     * @param {Object} event - The event
+     * @returns {string} - e.g. "7:00 PM", "6:00 PM - 8:00 PM" or "March 11 - March 13"
+     */
+    getTimeDisplay(event) {
+        if (event.time_display) return event.time_display;
+
+        const start = ContentLoader.parseDate(event.date);
+        const end = ContentLoader.parseDate(event.end_date);
+        const hasTime = !ContentLoader.isDateOnly(event.date);
+
+        if (end && end.toDateString() !== start.toDateString()) {
+            const options = { month: 'long', day: 'numeric' };
+            return `${ContentLoader.formatDate(start, options)} - ${ContentLoader.formatDate(end, options)}`;
+        }
+
+        if (!hasTime) return ContentLoader.t('events.allDay');
+
+        return end
+            ? `${ContentLoader.formatTime(start)} - ${ContentLoader.formatTime(end)}`
+            : ContentLoader.formatTime(start);
+    },
+
+    /**
+     * Work out an event's start and end as church-local wall-clock times
+     * All-day events end the day after they finish; timed events without
+     * an end are given an hour (the same rules as the .ics files).
+     * @param {Object} event - The event
+     * @returns {Object} - { start, end, allDay }, with start/end as Dates
+     *   holding the wall-clock time in UTC
+     */
+    getCalendarRange(event) {
+        const toWallClock = (value) => {
+            const [date, time = '00:00'] = value.slice(0, 19).split('T');
+            return new Date(`${date}T${time.length === 5 ? `${time}:00` : time}Z`);
+        };
+
+        const allDay = ContentLoader.isDateOnly(event.date);
+        const start = toWallClock(event.date);
+        let end = event.end_date ? toWallClock(event.end_date) : new Date(start);
+
+        if (allDay) {
+            end.setUTCDate(end.getUTCDate() + 1);
+        } else if (end <= start) {
+            end = new Date(start.getTime() + 60 * 60 * 1000);
+        }
+
+        return { start, end, allDay };
+    },
+
+    /**
+     * The church's UTC offset at a wall-clock time, e.g. "-04:00"
+     * @param {Date} wallClock - From getCalendarRange()
+     * @returns {string}
+     */
+    getUtcOffset(wallClock) {
+        const name = new Intl.DateTimeFormat('en-US', { timeZone: this.timeZone, timeZoneName: 'longOffset' })
+            .formatToParts(wallClock)
+            .find(part => part.type === 'timeZoneName').value;
+
+        return name === 'GMT' ? '+00:00' : name.slice(3);
+    },
+
+    /**
+     * Build the "Add to Calendar" links for an event
+     * @param {Object} event - The event
+     * @returns {Object} - { google, outlook, ics }
+     */
+    getCalendarLinks(event) {
+        const { start, end, allDay } = this.getCalendarRange(event);
+        const iso = (date) => date.toISOString().slice(0, allDay ? 10 : 19);
+        const details = [event.excerpt, `${location.origin}${location.pathname}`]
+            .filter(Boolean).join('\n\n');
+
+        const google = new URLSearchParams({
+            action: 'TEMPLATE',
+            text: event.title || '',
+            dates: `${iso(start).replace(/[-:]/g, '')}/${iso(end).replace(/[-:]/g, '')}`,
+            details,
+            location: event.location || '',
+            ctz: this.timeZone
+        });
+
+        const outlook = new URLSearchParams({
+            path: '/calendar/action/compose',
+            rru: 'addevent',
+            subject: event.title || '',
+            startdt: allDay ? iso(start) : `${iso(start)}${this.getUtcOffset(start)}`,
+            enddt: allDay ? iso(end) : `${iso(end)}${this.getUtcOffset(end)}`,
+            body: details,
+            location: event.location || ''
+        });
+        if (allDay) outlook.set('allday', 'true');
+
+        return {
+            google: `https://calendar.google.com/calendar/render?${google}`,
+            outlook: `https://outlook.live.com/calendar/0/action/compose?${outlook}`,
+            ics: this.getCalendarPath(event.slug)
+        };
+    },
+
+    /**
+     * Render the "Add to Calendar" menu for a card
+     * @param {Object} event - The event
+     * @returns {string} - HTML
+     */
+    renderCalendarMenu(event) {
+        const esc = ContentLoader.escapeHtml;
+        const t = (key) => esc(ContentLoader.t(key));
+        const links = this.getCalendarLinks(event);
+        const linkClass = 'block py-1 text-primary-700 hover:text-accent-600 transition-colors';
+
+        return `
+                    <details class="add-to-calendar mt-4">
+                        <summary class="inline-flex items-center gap-2 text-primary-700 hover:text-accent-600 font-semibold text-sm cursor-pointer">
+                            <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                            </svg>
+                            ${t('events.addToCalendar')}
+                        </summary>
+                        <ul class="mt-2 pl-6 text-sm">
+                            <li><a href="${esc(links.google)}" class="${linkClass}" target="_blank" rel="noopener noreferrer">${t('events.googleCalendar')}</a></li>
+                            <li><a href="${esc(links.outlook)}" class="${linkClass}" target="_blank" rel="noopener noreferrer">${t('events.outlookCalendar')}</a></li>
+                            <li><a href="${esc(links.ics)}" class="${linkClass}" download>${t('events.appleCalendar')}</a></li>
+                        </ul>
+                    </details>`;
+    },
+
+    /**
+     * Render a single event card
+     * @param {Object} event - The event
+     * @param {number} index - Position in the list (for alternating colors)
+     * @returns {string} - Card HTML
+     */
+    renderCard(event, index) {
+        const esc = ContentLoader.escapeHtml;
+        const start = ContentLoader.parseDate(event.date);
+        const end = ContentLoader.parseDate(event.end_date);
+        const gradient = this.gradients[index % this.gradients.length];
+
+        const multiDay = end && end.toDateString() !== start.toDateString() && end.getMonth() === start.getMonth();
+        const day = multiDay ? `${start.getDate()}-${end.getDate()}` : start.getDate();
+        const monthYear = ContentLoader.formatDate(start, { month: 'long', year: 'numeric' });
+
+        const dateBadge = `
+            <div class="text-center text-white">
+                <div class="text-4xl font-bold">${day}</div>
+                <div class="text-sm uppercase tracking-wider opacity-80">${esc(monthYear)}</div>
+            </div>`;
+
+        const header = event.image
+            ? `<div class="relative h-40 bg-primary-800">
+                    ${ContentLoader.renderImage(event.image, { className: 'absolute inset-0 w-full h-full object-cover', sizes: '(min-width: 768px) 20rem, 100vw' })}
+                    <div class="absolute inset-0 bg-primary-900/60 flex items-center justify-center">${dateBadge}</div>
+               </div>`
+            : `<div class="bg-gradient-to-br ${gradient} h-40 flex items-center justify-center">${dateBadge}</div>`;
+
+        const contact = event.contact_email
+            ? `<p class="text-gray-500 text-xs mt-4">${esc(ContentLoader.t('events.questions'))} <a href="mailto:${esc(event.contact_email)}" class="text-primary-700 hover:text-accent-600">${esc(event.contact_person || event.contact_email)}</a></p>`
+            : '';
+
+        return `
+            <article class="event-card bg-white rounded-2xl shadow-lg overflow-hidden${event.featured ? ' ring-2 ring-accent-500' : ''}" id="${esc(event.slug)}"${ContentLoader.langAttribute(event)}>
+                ${header}
+                <div class="p-6">
+                    ${ContentLoader.renderTranslationNote(event)}
+                    ${event.featured ? `<span class="inline-block bg-accent-100 text-accent-800 text-xs font-semibold uppercase tracking-wider rounded-full px-3 py-1 mb-3">${esc(ContentLoader.t('events.featured'))}</span>` : ''}
+                    <h3 class="font-serif text-xl font-bold text-primary-900 mb-2">${esc(event.title)}</h3>
+                    <p class="text-gray-500 text-sm mb-1">
+                        <span class="inline-flex items-center gap-1">
+                            <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                            </svg>
+                            <time datetime="${esc(event.date)}">${esc(this.getTimeDisplay(event))}</time>
+                        </span>
+                    </p>
+                    ${event.location ? `
+                    <p class="text-gray-500 text-sm mb-3">
+                        <span class="inline-flex items-center gap-1">
+                            <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
+                            </svg>
+                            ${esc(event.location)}
+                        </span>
+                    </p>` : ''}
+                    <p class="text-gray-600 text-sm">${esc(event.excerpt)}</p>
+                    ${window.EventRegistration ? EventRegistration.renderButton(event) : ''}
+                    ${this.renderCalendarMenu(event)}
+                    ${contact}
+                </div>
+            </article>
+        `;
+    },
+
+    /**
+     * Render the message shown when there are no upcoming events
+     * @returns {string} - HTML
+     */
+    renderEmpty() {
+        const t = (key) => ContentLoader.escapeHtml(ContentLoader.t(key));
+
+        return `
+            <div class="md:col-span-3 bg-white rounded-2xl shadow-lg p-8 text-center">
+                <h3 class="font-serif text-xl font-bold text-primary-900 mb-2">${t('events.emptyTitle')}</h3>
+                <p class="text-gray-600">${t('events.emptyText')}</p>
+            </div>
+        `;
+    }
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    EventsFeed.init();
+});
+
+// Make available globally for potential use in other scripts
+window.EventsFeed = EventsFeed;
@@ -0,0 +1,100 @@
+/**
+ * Delmar Nazarene Church - Form Rules
+ * ====================================
+ *
+ * The checks a form field must pass. FormHelpers (main.js) runs them in
+ * the browser as visitors fill in a form, and the forms function
+ * (netlify/functions/forms.js) runs the same ones on what arrives, so
+ * both always agree.
+ *
+ * In a page, rules are written on the field:
+ *
+ *   required, type="email", type="tel"   As usual
+ *   minlength="10" maxlength="500"      Length limits
+ *   type="number" min="1" max="20"      A whole number within the limits
+ *   pattern="[A-Z]{3}"                  A pattern the whole value must match
+ *   data-format="zip"                   A US ZIP code ("zip"), state ("state")
+ *                                       or dollar amount ("amount")
+ *   data-match="email"                  Must equal the field named "email"
+ *   data-required-if="address"          Required once "address" is filled in
+ *   data-required-if="subject=Other"    ...or once "subject" is "Other"
+ *
+ * check() answers with a problem code; the messages for each code are in
+ * the dictionaries under forms.errors.
+ *
+ * Loaded on every page before main.js; in Node, require() it.
+ */
+
+'use strict';
+
+const FormRules = {
+    patterns: {
+        email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        tel: /^[\d\s\-\+\(\)]{10,}$/,
+        zip: /^\d{5}(-\d{4})?$/,
+        amount: /^\$?\s*(\d{1,3}(,\d{3})+|\d+)(\.\d{1,2})?$/
+    },
+
+    // USPS codes, including DC, the territories and military mail
+    states: [
+        'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA',
+        'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM',
+        'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA',
+        'WV', 'WI', 'WY', 'AS', 'GU', 'MP', 'PR', 'VI', 'AA', 'AE', 'AP'
+    ],
+
+    /**
+     * Check one field's value
+     * @param {Object} rules - { value, type, required, minLength, maxLength,
+     *                         min, max, pattern, format, match, requiredIf }
+     * @param {Object} [values] - The whole form's values by name, for
+     *                            match and requiredIf
+     * @returns {string|null} - What's wrong ('required', 'email', 'tel', 'zip',
+     *                          'state', 'amount', 'number', 'minlength', 'maxlength',
+     *                          'pattern' or 'match'), or null if it's fine
+     */
+    check(rules, values = {}) {
+        const text = String(rules.value ?? '').trim();
+        const required = rules.required || (rules.requiredIf && this.isMet(rules.requiredIf, values));
+
+        if (!text) return required ? 'required' : null;
+
+        const format = rules.format || rules.type;
+        if (format === 'state' && !this.states.includes(text.toUpperCase())) return 'state';
+        if (this.patterns[format] && !this.patterns[format].test(text)) return format;
+        if (format === 'number') {
+            const number = Number(text);
+            if (!Number.isInteger(number) || number < rules.min || number > rules.max) return 'number';
+        }
+
+        if (rules.minLength > 0 && text.length < rules.minLength) return 'minlength';
+        if (rules.maxLength > 0 && text.length > rules.maxLength) return 'maxlength';
+        // Anchored, like the HTML pattern attribute
+        if (rules.pattern && !new RegExp(`^(?:${rules.pattern})$`, 'u').test(text)) return 'pattern';
+        if (rules.match && text !== String(values[rules.match] ?? '').trim()) return 'match';
+
+        return null;
+    },
+
+    /**
+     * Does a data-required-if condition hold?
+     * @param {string} condition - 'name' (filled in or ticked) or 'name=value'
+     * @param {Object} values - The form's values by name (arrays for repeated names)
+     * @returns {boolean}
+     */
+    isMet(condition, values) {
+        const [name, expected] = condition.split('=');
+        const given = [].concat(values[name.trim()] ?? []).map(value => String(value).trim());
+
+        return expected === undefined
+            ? given.some(value => value && value !== 'false')
+            : given.includes(expected.trim());
+    }
+};
+
+// Shared with the serverless functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FormRules;
+} else {
+    window.FormRules = FormRules;
+}
@@ -0,0 +1,243 @@
+/**
+ * Delmar Nazarene Church - Online Giving
+ * =======================================
+ *
+ * The giving form on the Give page (form[data-giving-form]) and the gift
+ * confirmation on the thank-you page ([data-gift-confirmation]).
+ *
+ * The form shows the card fee a donor can choose to cover and what the
+ * gift adds up to, then sends it to the giving function
+ * (netlify/functions/giving.js), which answers with the payment page to
+ * go to. Without JavaScript it posts normally and is redirected there.
+ *
+ * The payment page sends the donor back to the thank-you page with
+ * ?gift=<id>, where the function confirms the gift and this shows how
+ * it went.
+ */
+
+'use strict';
+
+const Giving = {
+    // Configuration
+    config: {
+        endpoint: '/.netlify/functions/giving',
+        // How often to ask again about a gift still pending, and how many times
+        pollInterval: 3000,
+        pollAttempts: 5
+    },
+
+    form: null,
+    settings: null,
+
+    /**
+     * Initialize whichever part is on the page
+     */
+    init() {
+        this.form = document.querySelector('form[data-giving-form]');
+        if (this.form) this.initForm();
+
+        const confirmation = document.querySelector('[data-gift-confirmation]');
+        const gift = new URLSearchParams(window.location.search).get('gift');
+        if (confirmation && gift) this.showGift(confirmation, gift);
+    },
+
+    // ============================================
+    // Giving form
+    // ============================================
+
+    async initForm() {
+        this.form.noValidate = true;
+        this.form.addEventListener('submit', (e) => this.submit(e));
+        ['input', 'change'].forEach(type => this.form.addEventListener(type, (e) => {
+            FormHelpers.revalidate(this.form, e.target);
+            this.update();
+        }));
+        this.form.addEventListener('click', (e) => {
+            const preset = e.target.closest('[data-amount]');
+            if (preset) this.setAmount(preset.dataset.amount);
+            FormHelpers.followSummaryLink(e);
+        });
+        document.addEventListener('languagechange', () => this.update());
+
+        this.form.querySelector('[data-amount-presets]').classList.remove('hidden');
+
+        try {
+            const response = await fetch(this.config.endpoint, { headers: { Accept: 'application/json' } });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.settings = await response.json();
+        } catch (error) {
+            // The form still works; it just can't show the fee
+            console.warn('Could not load the giving settings:', error);
+        }
+
+        if (window.LanguageSwitcher) await LanguageSwitcher.ready;
+        this.update();
+    },
+
+    setAmount(amount) {
+        const input = this.form.elements.amount;
+        input.value = amount;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        input.focus();
+    },
+
+    /**
+     * The amount entered, in cents, or null if it isn't one yet
+     * @returns {number|null}
+     */
+    getAmount() {
+        const value = this.form.elements.amount.value.trim();
+        if (!value || FormRules.check({ value, format: 'amount' })) return null;
+        return Math.round(Number(value.replace(/[$,\s]/g, '')) * 100);
+    },
+
+    /**
+     * The card fee for an amount, as the function works it out
+     * (netlify/lib/giving/index.js)
+     * @param {number} amount - In cents
+     * @returns {number} - In cents
+     */
+    getFee(amount) {
+        const { percent, fixed } = this.settings.fee;
+        return Math.ceil((amount + fixed) / (1 - percent / 100)) - amount;
+    },
+
+    /**
+     * Show the fee and the total on the form
+     */
+    update() {
+        const amount = this.getAmount();
+        const inRange = amount !== null && (!this.settings || (amount >= this.settings.min && amount <= this.settings.max));
+        const fee = inRange && this.settings ? this.getFee(amount) : 0;
+        const coverFee = this.form.elements['cover-fee'].checked;
+
+        if (fee) {
+            this.form.querySelector('[data-fee-amount]').textContent = this.formatAmount(fee);
+        }
+
+        const frequency = this.form.elements.frequency.value;
+        this.form.querySelector('[data-give-button]').textContent = inRange
+            ? FormHelpers.t(`giving.button.${frequency}`, { amount: this.formatAmount(amount + (coverFee ? fee : 0)) })
+            : FormHelpers.t('giving.button.empty');
+    },
+
+    async submit(e) {
+        e.preventDefault();
+        FormHelpers.showStatus(this.form, null);
+
+        if (!FormHelpers.checkForm(this.form)) return;
+
+        FormHelpers.setBusy(this.form, true);
+        let redirecting = false;
+
+        try {
+            const response = await fetch(this.form.action, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: JSON.stringify(FormHelpers.serialize(this.form))
+            });
+            const result = await response.json().catch(() => ({}));
+
+            if (response.ok && result.redirect) {
+                redirecting = true;
+                FormHelpers.showStatus(this.form, 'success', FormHelpers.t('giving.redirecting'));
+                window.location.assign(result.redirect);
+            } else if (response.status === 422 && result.fields) {
+                FormHelpers.showFieldErrors(this.form, result.fields);
+            } else {
+                FormHelpers.showStatus(this.form, 'error', FormHelpers.t('giving.startError'));
+            }
+        } catch (error) {
+            console.warn('Could not start the gift:', error);
+            FormHelpers.showStatus(this.form, 'error', FormHelpers.t('giving.startError'));
+        } finally {
+            // Leaving for the payment page: keep the button from a second gift
+            if (!redirecting) FormHelpers.setBusy(this.form, false);
+        }
+    },
+
+    // ============================================
+    // Gift confirmation
+    // ============================================
+
+    /**
+     * Swap the thank-you page's usual message for how the gift went
+     * @param {HTMLElement} container - [data-gift-confirmation]
+     * @param {string} id - The gift's id
+     */
+    async showGift(container, id) {
+        if (window.LanguageSwitcher) await LanguageSwitcher.ready;
+
+        document.querySelectorAll('[data-thank-you-message]').forEach(element => {
+            element.hidden = true;
+        });
+        container.hidden = false;
+
+        const message = container.querySelector('[data-gift-message]');
+        message.textContent = FormHelpers.t('giving.confirmation.checking');
+
+        let gift = null;
+        for (let attempt = 0; attempt < this.config.pollAttempts; attempt++) {
+            if (attempt) await new Promise(resolve => setTimeout(resolve, this.config.pollInterval));
+            try {
+                const response = await fetch(`${this.config.endpoint}?gift=${encodeURIComponent(id)}`, { headers: { Accept: 'application/json' } });
+                if (response.status === 404) break;
+                if (response.ok) gift = await response.json();
+            } catch (error) {
+                console.warn('Could not check on the gift:', error);
+            }
+            if (gift && gift.status !== 'pending') break;
+        }
+
+        this.renderGift(container, gift);
+        document.addEventListener('languagechange', () => this.renderGift(container, gift));
+    },
+
+    /**
+     * @param {HTMLElement} container - [data-gift-confirmation]
+     * @param {Object|null} gift - From the giving function, or null if it wasn't found
+     */
+    renderGift(container, gift) {
+        const t = (key, params) => FormHelpers.t(key, params);
+        container.querySelector('[data-gift-message]').textContent = gift
+            ? t(`giving.confirmation.${gift.status}`, { fund: t(`giving.funds.${gift.fund}`) })
+            : t('giving.confirmation.notFound');
+
+        const details = container.querySelector('[data-gift-details]');
+        details.replaceChildren();
+        if (!gift || gift.status === 'failed') return;
+
+        [
+            ['amount', this.formatAmount(gift.amount)],
+            ...(gift.fee ? [['fee', this.formatAmount(gift.fee)], ['total', this.formatAmount(gift.total)]] : []),
+            ['fund', t(`giving.funds.${gift.fund}`)],
+            ['frequency', t(`giving.frequencies.${gift.frequency}`)],
+            ['reference', gift.id]
+        ].forEach(([name, value]) => {
+            const term = document.createElement('dt');
+            term.className = 'text-gray-500';
+            term.textContent = t(`giving.fields.${name}`);
+            const description = document.createElement('dd');
+            description.className = 'font-semibold text-primary-900 break-all';
+            description.textContent = value;
+            details.append(term, description);
+        });
+    },
+
+    /**
+     * @param {number} cents - e.g. 5000
+     * @returns {string} - e.g. "$50.00", in the visitor's language
+     */
+    formatAmount(cents) {
+        const lang = window.LanguageSwitcher ? LanguageSwitcher.currentLanguage : 'en';
+        return new Intl.NumberFormat(lang, { style: 'currency', currency: 'USD' }).format(cents / 100);
+    }
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    Giving.init();
+});
+
+// Make available globally for potential use in other scripts
+window.Giving = Giving;
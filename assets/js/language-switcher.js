@@ -2,17 +2,21 @@
  * Delmar Nazarene Church - Language Switcher
  * ==========================================
  *
- * This module handles language switching functionality.
+ * This module handles language switching and translation.
  *
- * CURRENT STATUS (Phase 1):
- * - Only English is active
- * - Haitian Creole and French buttons are disabled
- * - Language preference is stored but not acted upon
- *
- * FUTURE (Phase 2 & 3):
- * - Enable Haitian Creole and French buttons
- * - Implement full language switching
- * - Add language-specific content loading
+ * - Dictionaries live in /assets/i18n/<lang>.json (nested keys,
+ *   looked up as "nav.home"). English is the fallback for any key a
+ *   dictionary is missing.
+ * - Elements marked with data-i18n (text) or data-i18n-aria-label,
+ *   data-i18n-alt, data-i18n-title, data-i18n-placeholder (attributes)
+ *   are translated in place. data-i18n-params holds JSON parameters
+ *   for interpolation, e.g. data-i18n-params='{"time": "10:30 AM"}'.
+ * - Pages are translated one at a time. config.pages lists the pages
+ *   that exist in more than one language; switching language on one of
+ *   them goes to its translation. On any other page the shared chrome
+ *   (header, menus, footer) is translated and the page stays put.
+ *   Pages built from the CMS (the ministry pages) aren't listed; the
+ *   build names their translations in <link rel="alternate"> tags.
  */
 
 'use strict';
@@ -35,7 +39,7 @@ const LanguageSwitcher = {
                 name: 'Haitian Creole',
                 nativeName: 'Kreyòl Ayisyen',
                 dir: 'ltr',
-                enabled: false, // Phase 2
+                enabled: true,
                 path: '/ht/'
             },
             fr: {
@@ -43,10 +47,16 @@ const LanguageSwitcher = {
                 name: 'French',
                 nativeName: 'Français',
                 dir: 'ltr',
-                enabled: false, // Phase 3
+                enabled: true,
                 path: '/fr/'
             }
         },
+        // Pages that have been translated, keyed by language.
+        // Add a row here when a translation is added under src/pages/<lang>/.
+        pages: [
+            { en: '/en/', ht: '/ht/', fr: '/fr/' }
+        ],
+        dictionaryPath: '/assets/i18n/',
         defaultLanguage: 'en',
         storageKey: 'delmar-preferred-language'
     },
@@ -54,10 +64,22 @@ const LanguageSwitcher = {
     // Current language state
     currentLanguage: 'en',
 
+    // The language the page itself is written in (from <html lang>)
+    pageLanguage: 'en',
+
+    // Loaded dictionaries, keyed by language code
+    dictionaries: {},
+
+    // Resolves once the dictionaries for the current language are loaded
+    ready: Promise.resolve(),
+
     /**
      * Initialize the language switcher
      */
     init() {
+        this.pageLanguage = this.detectPageLanguage();
+        this.addPageTranslations();
+
         // Get stored preference or detect from URL/browser
         this.currentLanguage = this.detectCurrentLanguage();
 
@@ -70,20 +92,47 @@ const LanguageSwitcher = {
         // Set document language attribute
         this.updateDocumentLanguage();
 
+        // Translate the page chrome once the dictionaries arrive
+        this.ready = this.loadDictionaries(this.currentLanguage).then(() => {
+            this.applyTranslations();
+            this.localizeLinks();
+        });
+
         console.log(`Language Switcher initialized. Current language: ${this.currentLanguage}`);
     },
 
+    /**
+     * Detect the language the page content is written in
+     * @returns {string} - The page's language code
+     */
+    detectPageLanguage() {
+        const lang = (document.documentElement.lang || '').split('-')[0].toLowerCase();
+        return this.config.languages[lang] ? lang : this.config.defaultLanguage;
+    },
+
     /**
      * Detect the current language from URL or stored preference
      * @returns {string} - The detected language code
      */
     detectCurrentLanguage() {
-        // First, check URL path
+        // First, check URL path. English pages that haven't been translated
+        // are shared by every language (their chrome is translated in place),
+        // so their /en/ prefix doesn't say which language the visitor wants.
         const pathMatch = window.location.pathname.match(/^\/(en|ht|fr)\//);
-        if (pathMatch && this.config.languages[pathMatch[1]]) {
+        const isSharedPage = pathMatch?.[1] === this.config.defaultLanguage
+            && !this.findTranslations(window.location.pathname);
+
+        if (pathMatch && !isSharedPage && this.config.languages[pathMatch[1]]) {
             return pathMatch[1];
         }
 
+        // Then a link that names the language (?lang=ht), like the one
+        // donors who sign in are sent to their giving with
+        const requested = new URLSearchParams(window.location.search).get('lang');
+        if (requested && this.config.languages[requested]) {
+            return requested;
+        }
+
         // Then check stored preference
         const stored = localStorage.getItem(this.config.storageKey);
         if (stored && this.config.languages[stored]) {
@@ -126,11 +175,27 @@ const LanguageSwitcher = {
     setupButtons() {
         const buttons = document.querySelectorAll('.lang-btn');
 
+        this.updateButtons();
+
         buttons.forEach(button => {
             const langCode = button.dataset.lang;
 
             if (!langCode) return;
 
+            // Add click handler
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleLanguageChange(langCode);
+            });
+        });
+    },
+
+    /**
+     * Update the language buttons to reflect the current language
+     */
+    updateButtons() {
+        document.querySelectorAll('.lang-btn').forEach(button => {
+            const langCode = button.dataset.lang;
             const langConfig = this.config.languages[langCode];
 
             // Update button state
@@ -155,12 +220,6 @@ const LanguageSwitcher = {
                     button.setAttribute('title', langConfig.nativeName);
                 }
             }
-
-            // Add click handler
-            button.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.handleLanguageChange(langCode);
-            });
         });
     },
 
@@ -196,29 +255,70 @@ const LanguageSwitcher = {
      * Switch to a new language
      * @param {string} langCode - The language code to switch to
      */
-    switchLanguage(langCode) {
+    async switchLanguage(langCode) {
         const langConfig = this.config.languages[langCode];
 
         // Store preference
         this.storePreference(langCode);
 
-        // Navigate to the language-specific page
-        // This constructs the equivalent page path in the new language
-        const currentPath = window.location.pathname;
-        const currentLangMatch = currentPath.match(/^\/(en|ht|fr)(\/.*)?$/);
-
-        let newPath;
-        if (currentLangMatch) {
-            // Replace current language prefix with new one
-            const pagePath = currentLangMatch[2] || '/';
-            newPath = langConfig.path + pagePath.substring(1);
-        } else {
-            // No language prefix, just go to the language root
-            newPath = langConfig.path;
+        // Go to the translated version of this page, if there is one
+        const translatedPath = this.getTranslatedPath(window.location.pathname, langCode);
+        if (translatedPath) {
+            window.location.href = translatedPath + window.location.hash;
+            return;
         }
 
-        // Navigate to new language version
-        window.location.href = newPath;
+        // Otherwise translate the chrome and stay on this page
+        this.currentLanguage = langCode;
+        await this.loadDictionaries(langCode);
+
+        this.updateButtons();
+        this.updateDocumentLanguage();
+        this.applyTranslations();
+        this.localizeLinks();
+
+        if (langCode !== this.pageLanguage) {
+            this.showToast(langConfig.nativeName, this.translate('language.notTranslated'));
+        }
+
+        document.dispatchEvent(new CustomEvent('languagechange', { detail: { language: langCode } }));
+    },
+
+    /**
+     * Add this page's translations to config.pages, from the
+     * <link rel="alternate" hreflang> tags in its <head>
+     */
+    addPageTranslations() {
+        const links = [...document.querySelectorAll('link[rel="alternate"][hreflang]')];
+        if (!links.length || this.findTranslations(window.location.pathname)) return;
+
+        this.config.pages.push(Object.fromEntries(links.map(link => [link.hreflang, new URL(link.href).pathname])));
+    },
+
+    /**
+     * Find a page's row in config.pages
+     * @param {string} path - A page path, e.g. '/en/' or '/en/index.html'
+     * @returns {Object|undefined} - Its paths keyed by language, if it has been translated
+     */
+    findTranslations(path) {
+        const normalized = path.replace(/index\.html$/, '');
+        return this.config.pages.find(entry => Object.values(entry).includes(normalized));
+    },
+
+    /**
+     * Find the translation of a page in config.pages
+     * @param {string} path - A page path, e.g. '/en/' or '/en/index.html'
+     * @param {string} langCode - The language wanted
+     * @returns {string|null} - The translated page's path, or null if it has none
+     */
+    getTranslatedPath(path, langCode) {
+        const normalized = path.replace(/index\.html$/, '');
+        const page = this.findTranslations(normalized);
+
+        if (!page || !page[langCode] || page[langCode] === normalized) {
+            return null;
+        }
+        return page[langCode];
     },
 
     /**
@@ -248,11 +348,14 @@ const LanguageSwitcher = {
 
     /**
      * Update document language attribute and direction
+     *
+     * Only when the page itself is in the current language - an English
+     * page with translated menus is still an English document.
      */
     updateDocumentLanguage() {
         const langConfig = this.config.languages[this.currentLanguage];
 
-        if (langConfig) {
+        if (langConfig && this.currentLanguage === this.pageLanguage) {
             document.documentElement.lang = langConfig.code;
             document.documentElement.dir = langConfig.dir;
         }
@@ -263,16 +366,27 @@ const LanguageSwitcher = {
      * @param {Object} langConfig - The language configuration object
      */
     showComingSoonMessage(langConfig) {
+        this.showToast(langConfig.nativeName, 'Coming soon! / Byento! / Bientôt!');
+    },
+
+    /**
+     * Show a short toast notification
+     * @param {string} title - Bold first line
+     * @param {string} message - The message
+     */
+    showToast(title, message) {
         // Create and show a toast notification
         const toast = document.createElement('div');
         toast.className = 'language-toast';
         toast.setAttribute('role', 'alert');
         toast.innerHTML = `
             <div class="toast-content">
-                <strong>${langConfig.nativeName}</strong>
-                <p>Coming soon! / Byento! / Bientôt!</p>
+                <strong></strong>
+                <p></p>
             </div>
         `;
+        toast.querySelector('strong').textContent = title;
+        toast.querySelector('p').textContent = message;
 
         // Add toast styles if not already present
         if (!document.getElementById('toast-styles')) {
@@ -318,26 +432,196 @@ const LanguageSwitcher = {
             toast.classList.add('visible');
         });
 
-        // Remove after delay
+        // Remove after delay (longer messages stay up a little longer)
         setTimeout(() => {
             toast.classList.remove('visible');
             setTimeout(() => {
                 toast.remove();
             }, 300);
-        }, 3000);
+        }, message.length > 60 ? 6000 : 3000);
+    },
+
+    // ============================================
+    // Translations
+    // ============================================
+
+    /**
+     * Load the dictionaries needed for a language (plus the English fallback)
+     * @param {string} langCode - The language code
+     * @returns {Promise} - Resolves when loaded (never rejects)
+     */
+    loadDictionaries(langCode) {
+        const languages = [...new Set([this.config.defaultLanguage, langCode, this.pageLanguage])];
+        return Promise.all(languages.map(lang => this.loadDictionary(lang)));
+    },
+
+    /**
+     * Fetch a single dictionary (once)
+     * @param {string} langCode - The language code
+     * @returns {Promise<Object>} - The dictionary
+     */
+    loadDictionary(langCode) {
+        if (!this.dictionaries[langCode]) {
+            this.dictionaries[langCode] = fetch(`${this.config.dictionaryPath}${langCode}.json`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    // Missing dictionary: keys fall back to English (or the markup)
+                    console.warn(`Could not load ${langCode} translations:`, error);
+                    return {};
+                })
+                .then(dictionary => {
+                    this.dictionaries[langCode] = dictionary;
+                    return dictionary;
+                });
+        }
+
+        return Promise.resolve(this.dictionaries[langCode]);
+    },
+
+    /**
+     * Look up a dotted key in a loaded dictionary
+     * @param {string} key - e.g. 'nav.home'
+     * @param {string} langCode - The language code
+     * @returns {string|Object|undefined} - The entry, if any
+     */
+    lookup(key, langCode) {
+        const dictionary = this.dictionaries[langCode];
+        if (!dictionary || dictionary instanceof Promise) return undefined;
+
+        return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), dictionary);
     },
 
     /**
-     * Get translation for a key (for future use with JS-based translations)
+     * Get translation for a key
+     *
+     * Entries may contain {placeholders}, filled from params. An entry
+     * can also be an object of plural forms ({ one, other }, plus zero,
+     * few or many where a language needs them), chosen by params.count.
+     *
      * @param {string} key - The translation key
      * @param {Object} params - Optional parameters for interpolation
-     * @returns {string} - The translated string
+     * @param {string} langCode - Language to translate into (defaults to the current language)
+     * @returns {string} - The translated string (or the key, if it isn't in any dictionary)
      */
-    translate(key, params = {}) {
-        // This will be expanded in Phase 2/3 to support actual translations
-        // For now, it just returns the key
-        console.warn('Translation system not yet implemented. Key:', key);
-        return key;
+    translate(key, params = {}, langCode = this.currentLanguage) {
+        let entry = this.lookup(key, langCode);
+        if (entry === undefined) {
+            entry = this.lookup(key, this.config.defaultLanguage);
+        }
+
+        if (entry === undefined) {
+            console.warn('Missing translation:', key);
+            return key;
+        }
+
+        if (typeof entry === 'object') {
+            entry = this.selectPluralForm(entry, params.count, langCode);
+        }
+
+        return this.interpolate(String(entry), params);
+    },
+
+    /**
+     * Choose the plural form for a count
+     * @param {Object} forms - e.g. { one: '{count} sermon', other: '{count} sermons' }
+     * @param {number} count - The count
+     * @param {string} langCode - The language code
+     * @returns {string} - The matching form
+     */
+    selectPluralForm(forms, count = 0, langCode = this.currentLanguage) {
+        if (count === 0 && forms.zero !== undefined) {
+            return forms.zero;
+        }
+
+        let category = 'other';
+        try {
+            category = new Intl.PluralRules(langCode).select(count);
+        } catch (e) {
+            // Unknown locale - use "other"
+        }
+
+        return forms[category] ?? forms.other ?? Object.values(forms)[0];
+    },
+
+    /**
+     * Replace {name} placeholders with values from params
+     * @param {string} text - Text containing placeholders
+     * @param {Object} params - Placeholder values
+     * @returns {string} - The interpolated text
+     */
+    interpolate(text, params = {}) {
+        return text.replace(/\{(\w+)\}/g, (match, name) =>
+            (params[name] !== undefined && params[name] !== null ? String(params[name]) : match));
+    },
+
+    /**
+     * Translate every marked element under a root
+     * @param {ParentNode} root - Where to look (defaults to the whole document)
+     */
+    applyTranslations(root = document) {
+        const attributes = {
+            i18nAriaLabel: 'aria-label',
+            i18nAlt: 'alt',
+            i18nTitle: 'title',
+            i18nPlaceholder: 'placeholder'
+        };
+        const selector = '[data-i18n], [data-i18n-aria-label], [data-i18n-alt], [data-i18n-title], [data-i18n-placeholder]';
+
+        root.querySelectorAll(selector).forEach(element => {
+            const params = this.getElementParams(element);
+
+            if (element.dataset.i18n) {
+                element.textContent = this.translate(element.dataset.i18n, params);
+            }
+
+            Object.entries(attributes).forEach(([dataKey, attribute]) => {
+                if (element.dataset[dataKey]) {
+                    element.setAttribute(attribute, this.translate(element.dataset[dataKey], params));
+                }
+            });
+
+            // Mark chrome that no longer matches the page's language
+            if (this.currentLanguage === this.pageLanguage) {
+                element.removeAttribute('lang');
+            } else {
+                element.setAttribute('lang', this.currentLanguage);
+            }
+        });
+    },
+
+    /**
+     * Read an element's data-i18n-params
+     * @param {HTMLElement} element - The element
+     * @returns {Object} - Parsed parameters
+     */
+    getElementParams(element) {
+        if (!element.dataset.i18nParams) return {};
+
+        try {
+            return JSON.parse(element.dataset.i18nParams);
+        } catch (e) {
+            console.warn('Invalid data-i18n-params:', element.dataset.i18nParams);
+            return {};
+        }
+    },
+
+    /**
+     * Point links at translated pages in the current language
+     * (e.g. the logo's "/en/" becomes "/ht/" for Kreyòl readers)
+     */
+    localizeLinks() {
+        document.querySelectorAll('a[href^="/"]').forEach(link => {
+            const page = this.findTranslations(link.getAttribute('href'));
+
+            if (page && page[this.currentLanguage]) {
+                link.setAttribute('href', page[this.currentLanguage]);
+            }
+        });
     },
 
     /**
@@ -0,0 +1,286 @@
+/**
+ * Delmar Nazarene Church - Live Chat
+ * ===================================
+ *
+ * The chat beside the livestream ([data-live-chat],
+ * src/pages/en/worship/livestream.html), over a WebSocket to the chat
+ * server (scripts/lib/live-chat.js). Its address is the panel's
+ * data-chat-url, from chat_url in src/data/site.json; on localhost,
+ * scripts/dev-server.js runs the chat at /chat.
+ *
+ * - Visitors pick a name (remembered on this device) to join in
+ * - Messages with links wait for a moderator; the sender sees them
+ *   marked as waiting until they're approved or taken down
+ * - Reconnects by itself, waiting a little longer each time
+ *
+ * Requires content-loader.js.
+ */
+
+'use strict';
+
+const LiveChat = {
+    // Configuration
+    config: {
+        nameKey: 'live-chat-name',
+        maxLength: 500,
+        // Seconds to wait before each reconnection attempt (the last repeats)
+        retryDelays: [1, 2, 5, 10, 30]
+    },
+
+    container: null,
+    elements: {},
+    socket: null,
+    url: '',
+    name: '',
+    joined: false,
+    messages: [],
+    attempt: 0,
+
+    /**
+     * Initialize the chat, if it's on the page
+     */
+    init() {
+        this.container = document.querySelector('[data-live-chat]');
+        if (!this.container) return;
+
+        this.url = this.getUrl();
+        this.name = this.loadName();
+
+        this.container.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (e.target.matches('[data-chat-join]')) this.join(e.target.elements.name.value);
+            if (e.target.matches('[data-chat-form]')) this.say(e.target);
+        });
+        this.container.addEventListener('keydown', (e) => {
+            // Enter sends; Shift+Enter starts a new line
+            if (e.key === 'Enter' && !e.shiftKey && e.target.matches('[data-chat-form] textarea')) {
+                e.preventDefault();
+                e.target.form.requestSubmit();
+            }
+        });
+        document.addEventListener('languagechange', () => this.render());
+
+        const start = () => {
+            this.render();
+            if (this.url) this.connect();
+        };
+        window.LanguageSwitcher ? LanguageSwitcher.ready.then(start) : start();
+    },
+
+    isLocal() {
+        return ['localhost', '127.0.0.1'].includes(location.hostname);
+    },
+
+    /**
+     * Where the chat server is
+     * @returns {string} - A ws:// or wss:// URL, or '' if there's no chat
+     */
+    getUrl() {
+        if (this.container.dataset.chatUrl) return this.container.dataset.chatUrl;
+        if (!this.isLocal()) return '';
+        return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/chat`;
+    },
+
+    loadName() {
+        try {
+            return localStorage.getItem(this.config.nameKey) || '';
+        } catch {
+            return '';
+        }
+    },
+
+    saveName(name) {
+        try {
+            localStorage.setItem(this.config.nameKey, name);
+        } catch {
+            // Private browsing: the name is asked for again next time
+        }
+    },
+
+    // ============================================
+    // Connection
+    // ============================================
+
+    connect() {
+        this.socket = new WebSocket(this.url);
+
+        this.socket.addEventListener('open', () => {
+            this.attempt = 0;
+            this.setStatus('');
+            if (this.name) this.send({ type: 'join', name: this.name });
+        });
+        this.socket.addEventListener('message', (e) => {
+            try {
+                this.receive(JSON.parse(e.data));
+            } catch (error) {
+                console.warn('Could not read a chat message:', error);
+            }
+        });
+        this.socket.addEventListener('close', () => {
+            const delays = this.config.retryDelays;
+            const delay = delays[Math.min(this.attempt, delays.length - 1)];
+            this.attempt++;
+            this.joined = false;
+            this.setStatus(ContentLoader.t('liveChat.reconnecting'));
+            setTimeout(() => this.connect(), delay * 1000);
+        });
+    },
+
+    send(data) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(data));
+            return true;
+        }
+        return false;
+    },
+
+    /**
+     * Handle a message from the chat server
+     * @param {Object} data - { type, ... } (see scripts/lib/live-chat.js)
+     */
+    receive(data) {
+        if (data.type === 'welcome') {
+            const hadFocus = this.container.contains(document.activeElement);
+            this.joined = true;
+            this.messages = data.messages;
+            this.render();
+            if (hadFocus) this.container.querySelector('[data-chat-form] textarea').focus();
+        } else if (data.type === 'message') {
+            // A message of ours a moderator has just approved replaces its waiting copy
+            this.removeMessage(data.message.id);
+            this.addMessage(data.message);
+        } else if (data.type === 'held') {
+            this.addMessage({ ...data.message, held: true });
+        } else if (data.type === 'removed') {
+            this.removeMessage(data.id);
+        } else if (data.type === 'error') {
+            if (data.code === 'name') this.name = '';
+            this.setStatus(ContentLoader.t(`liveChat.errors.${data.code}`));
+        }
+    },
+
+    // ============================================
+    // Actions
+    // ============================================
+
+    join(name) {
+        this.name = String(name || '').trim();
+        if (!this.name) return;
+
+        this.saveName(this.name);
+        if (!this.send({ type: 'join', name: this.name })) this.setStatus(ContentLoader.t('liveChat.reconnecting'));
+    },
+
+    /**
+     * Send what's in the message box
+     * @param {HTMLFormElement} form - [data-chat-form]
+     */
+    say(form) {
+        const field = form.elements.message;
+        const text = field.value.trim();
+        if (!text) return;
+
+        if (this.send({ type: 'say', text })) {
+            field.value = '';
+            this.setStatus('');
+        } else {
+            this.setStatus(ContentLoader.t('liveChat.reconnecting'));
+        }
+    },
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    setStatus(text) {
+        if (this.elements.status) this.elements.status.textContent = text;
+    },
+
+    addMessage(message) {
+        this.messages.push(message);
+        const log = this.elements.log;
+        if (!log) return;
+
+        // Keep reading position, unless they were already at the bottom
+        const atBottom = log.scrollHeight - log.scrollTop - log.clientHeight < 40;
+        log.querySelector('[data-chat-empty]')?.remove();
+        log.insertAdjacentHTML('beforeend', this.renderMessage(message));
+        if (atBottom) log.scrollTop = log.scrollHeight;
+    },
+
+    removeMessage(id) {
+        this.messages = this.messages.filter(message => message.id !== id);
+        this.elements.log?.querySelector(`[data-message-id="${CSS.escape(id)}"]`)?.remove();
+    },
+
+    /**
+     * One chat message
+     * @param {Object} message - { id, name, text, at, moderator, held }
+     * @returns {string} - HTML
+     */
+    renderMessage(message) {
+        const esc = ContentLoader.escapeHtml;
+        const t = (key) => ContentLoader.t(key);
+
+        return `
+            <div class="text-sm${message.held ? ' opacity-60' : ''}" data-message-id="${esc(message.id)}">
+                <p>
+                    <span class="font-semibold text-primary-900">${esc(message.name)}</span>
+                    ${message.moderator ? `<span class="ml-1 text-xs bg-primary-100 text-primary-800 rounded px-1.5 py-0.5">${esc(t('liveChat.moderator'))}</span>` : ''}
+                    <time class="ml-1 text-xs text-gray-400" datetime="${esc(message.at)}">${esc(ContentLoader.formatTime(new Date(message.at)))}</time>
+                </p>
+                <p class="text-gray-700 whitespace-pre-line break-words">${esc(message.text)}</p>
+                ${message.held ? `<p class="text-xs text-gray-500 italic">${esc(t('liveChat.held'))}</p>` : ''}
+            </div>`;
+    },
+
+    render() {
+        const esc = ContentLoader.escapeHtml;
+        const t = (key, params) => ContentLoader.t(key, params);
+        const input = 'w-full px-3 py-2 rounded-lg border border-gray-300 focus:outline-none focus:border-primary-500 focus:ring-2 focus:ring-primary-200';
+        const button = 'bg-primary-700 hover:bg-primary-600 text-white font-semibold py-2 px-4 rounded-lg transition-all';
+
+        if (!this.url) {
+            this.container.innerHTML = `<p class="p-4 text-gray-600">${esc(t('liveChat.unavailable'))}</p>`;
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div role="log" aria-label="${esc(t('liveChat.label'))}" class="flex-1 overflow-y-auto p-4 space-y-3" data-chat-log>
+                ${this.messages.length
+                    ? this.messages.map(message => this.renderMessage(message)).join('')
+                    : `<p class="text-sm text-gray-500" data-chat-empty>${esc(t('liveChat.empty'))}</p>`}
+            </div>
+            <p class="px-4 text-sm text-red-700 min-h-[1.25rem]" role="status" data-chat-status></p>
+            ${this.joined ? `
+                <form class="p-4 border-t border-gray-200 flex gap-2 items-end" data-chat-form>
+                    <label for="chat-message" class="sr-only">${esc(t('liveChat.message'))}</label>
+                    <textarea id="chat-message" name="message" rows="2" maxlength="${this.config.maxLength}" class="${input} resize-none" placeholder="${esc(t('liveChat.placeholder', { name: this.name }))}"></textarea>
+                    <button type="submit" class="${button}">${esc(t('liveChat.send'))}</button>
+                </form>
+            ` : `
+                <form class="p-4 border-t border-gray-200" data-chat-join>
+                    <label for="chat-name" class="block text-sm font-semibold text-primary-900 mb-1">${esc(t('liveChat.name'))}</label>
+                    <div class="flex gap-2">
+                        <input type="text" id="chat-name" name="name" maxlength="40" autocomplete="nickname" required class="${input}" value="${esc(this.name)}">
+                        <button type="submit" class="${button}">${esc(t('liveChat.join'))}</button>
+                    </div>
+                    <p class="text-xs text-gray-500 mt-2">${esc(t('liveChat.guidelines'))}</p>
+                </form>
+            `}`;
+
+        this.elements = {
+            log: this.container.querySelector('[data-chat-log]'),
+            status: this.container.querySelector('[data-chat-status]')
+        };
+        this.elements.log.scrollTop = this.elements.log.scrollHeight;
+    }
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    LiveChat.init();
+});
+
+// Make available globally for potential use in other scripts
+window.LiveChat = LiveChat;
@@ -0,0 +1,429 @@
+/**
+ * Delmar Nazarene Church - Livestream
+ * ====================================
+ *
+ * The player on src/pages/en/worship/livestream.html ([data-livestream]).
+ * It shows one of three things:
+ *
+ * - live       The broadcast, when the church's YouTube channel is live
+ *              (asked of netlify/functions/livestream.js)
+ * - countdown  Time left until the next streamed service, from a day
+ *              before it starts until the broadcast begins
+ * - archive    The latest sermon from the "sermons" CMS collection
+ *
+ * Streamed services are those marked "Streamed Live" in the church
+ * settings. Their times are in the church's time zone, so the countdown
+ * is right for anyone watching from elsewhere.
+ *
+ * The channel is checked every half minute near a service and every few
+ * minutes otherwise, and not at all while the tab is hidden.
+ *
+ * Beside the player, the side panel's tabs ([data-livestream-panel])
+ * switch between the chat (live-chat.js), sermon notes (sermon-notes.js)
+ * and the "raise your hand" card. Arrow keys move between the tabs.
+ *
+ * Requires content-loader.js.
+ */
+
+'use strict';
+
+const Livestream = {
+    // Configuration
+    config: {
+        endpoint: '/.netlify/functions/livestream',
+        sermonsUrl: '/en/worship/sermons/',
+        weekdays: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+        // Show the countdown once the next service is this close
+        countdownHours: 24,
+        // A service with no end time is taken to last this long
+        defaultMinutes: 90,
+        pollSoon: 30 * 1000,
+        pollIdle: 5 * 60 * 1000
+    },
+
+    container: null,
+    settings: { services: [], social: {} },
+    sermon: null,
+    status: { live: false },
+    state: null,
+    videoId: '',
+    pollTimer: null,
+
+    /**
+     * Initialize the player, if it's on the page
+     */
+    async init() {
+        this.initPanel();
+        this.container = document.querySelector('[data-livestream]');
+        if (!this.container) return;
+
+        document.addEventListener('languagechange', async () => {
+            await this.loadSermon();
+            if (this.state) this.render();
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.poll();
+        });
+
+        this.container.setAttribute('aria-busy', 'true');
+        await Promise.all([
+            ContentLoader.loadSettings()
+                .then(settings => { this.settings = settings; })
+                .catch(error => console.warn('Could not load service times:', error)),
+            this.loadSermon(),
+            this.check()
+        ]);
+        if (window.LanguageSwitcher) await LanguageSwitcher.ready;
+        this.container.removeAttribute('aria-busy');
+
+        this.update();
+        this.schedulePoll();
+        setInterval(() => this.update(), 1000);
+    },
+
+    /**
+     * Find the latest sermon with a video
+     */
+    async loadSermon() {
+        try {
+            const sermons = await ContentLoader.load('sermons');
+            this.sermon = sermons.find(sermon => this.getYouTubeId(sermon.youtube_url)) || null;
+        } catch (error) {
+            console.warn('Could not load sermons:', error);
+            this.sermon = null;
+        }
+    },
+
+    /**
+     * Ask the livestream function whether the channel is live
+     * If it can't say, the page carries on as if not.
+     */
+    async check() {
+        try {
+            const response = await fetch(this.config.endpoint);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.status = await response.json();
+        } catch (error) {
+            console.warn('Could not check the livestream:', error);
+            this.status = { live: false };
+        }
+    },
+
+    async poll() {
+        clearTimeout(this.pollTimer);
+        await this.check();
+        this.update();
+        this.schedulePoll();
+    },
+
+    schedulePoll() {
+        clearTimeout(this.pollTimer);
+        if (document.hidden) return;
+
+        const delay = this.state === 'archive' ? this.config.pollIdle : this.config.pollSoon;
+        this.pollTimer = setTimeout(() => this.poll(), delay);
+    },
+
+    /**
+     * Get the video ID from a YouTube link (as sermons.js does)
+     * @param {string} url - Watch, share, embed or live link
+     * @returns {string} - ID, or '' if it isn't a YouTube link
+     */
+    getYouTubeId(url) {
+        const match = String(url || '').match(/(?:youtu\.be\/|[?&]v=|\/(?:embed|live|shorts|v)\/)([\w-]{11})/);
+        return match ? match[1] : '';
+    },
+
+    // ============================================
+    // Side panel
+    // ============================================
+
+    initPanel() {
+        const panel = document.querySelector('[data-livestream-panel]');
+        if (!panel) return;
+
+        const tabs = [...panel.querySelectorAll('[data-panel-tab]')];
+        panel.addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-panel-tab]');
+            if (tab) this.selectTab(tabs, tab);
+        });
+        panel.querySelector('[role="tablist"]').addEventListener('keydown', (e) => {
+            const index = tabs.indexOf(e.target);
+            const moves = { ArrowRight: index + 1, ArrowLeft: index - 1, Home: 0, End: tabs.length - 1 };
+            if (index === -1 || !(e.key in moves)) return;
+
+            e.preventDefault();
+            const tab = tabs[(moves[e.key] + tabs.length) % tabs.length];
+            this.selectTab(tabs, tab);
+            tab.focus();
+        });
+    },
+
+    /**
+     * Show one tab's panel
+     * @param {HTMLElement[]} tabs - The tab buttons
+     * @param {HTMLElement} selected - The one to show
+     */
+    selectTab(tabs, selected) {
+        tabs.forEach(tab => {
+            const active = tab === selected;
+            tab.setAttribute('aria-selected', String(active));
+            tab.tabIndex = active ? 0 : -1;
+            tab.classList.toggle('border-primary-700', active);
+            tab.classList.toggle('text-primary-800', active);
+            tab.classList.toggle('border-transparent', !active);
+            tab.classList.toggle('text-gray-600', !active);
+            document.getElementById(tab.getAttribute('aria-controls')).hidden = !active;
+        });
+    },
+
+    // ============================================
+    // Service times
+    // ============================================
+
+    /**
+     * The date and time parts of a moment on the church's clock
+     * @param {Date} date - The moment
+     * @returns {Object} - { year, month, day, hour, minute, second }, as numbers
+     */
+    churchClock(date) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.settings.timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }).formatToParts(date);
+
+        return Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)]));
+    },
+
+    /**
+     * The moment a time on a day happens on the church's clock
+     * @param {number} year
+     * @param {number} month - 1-12
+     * @param {number} day
+     * @param {string} time - "HH:MM"
+     * @returns {Date}
+     */
+    atChurchTime(year, month, day, time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const wanted = Date.UTC(year, month - 1, day, hours, minutes);
+        const offset = (moment) => {
+            const clock = this.churchClock(new Date(moment));
+            return Date.UTC(clock.year, clock.month - 1, clock.day, clock.hour, clock.minute, clock.second) - moment;
+        };
+
+        // Twice, in case the clocks change between the guess and the answer
+        const guess = wanted - offset(wanted);
+        return new Date(wanted - offset(guess));
+    },
+
+    /**
+     * The next streamed service that hasn't finished yet
+     * @param {Date} now
+     * @returns {Object|null} - { service, start, end }
+     */
+    getNextService(now) {
+        const today = this.churchClock(now);
+        const streamed = (this.settings.services || []).filter(service => service.livestream);
+        let next = null;
+
+        for (let offset = 0; offset <= 7; offset++) {
+            const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+            const weekday = this.config.weekdays[date.getUTCDay()];
+
+            streamed.filter(service => service.day === weekday).forEach(service => {
+                const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+                const start = this.atChurchTime(year, month, day, service.start_time);
+                const end = service.end_time
+                    ? this.atChurchTime(year, month, day, service.end_time)
+                    : new Date(start.getTime() + this.config.defaultMinutes * 60 * 1000);
+
+                if (end > now && (!next || start < next.start)) next = { service, start, end };
+            });
+            if (next) break;
+        }
+
+        return next;
+    },
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * Which of the three things to show right now
+     * @param {Date} now
+     * @returns {string} - 'live', 'countdown' or 'archive'
+     */
+    getState(now) {
+        if (this.status.live) return 'live';
+
+        const next = this.getNextService(now);
+        return next && next.start - now <= this.config.countdownHours * 60 * 60 * 1000 ? 'countdown' : 'archive';
+    },
+
+    /**
+     * Re-render when the state changes, or tick the countdown
+     */
+    update() {
+        const state = this.getState(new Date());
+
+        if (state !== this.state || (state === 'live' && this.status.videoId !== this.videoId)) {
+            const wasShowing = this.state !== null;
+            this.state = state;
+            this.videoId = this.status.videoId || '';
+            this.render();
+            this.schedulePoll();
+            if (wasShowing && state === 'live') this.announce(ContentLoader.t('livestream.announceLive'));
+        } else if (state === 'countdown') {
+            this.renderCountdown();
+        }
+    },
+
+    announce(message) {
+        if (typeof A11yHelpers !== 'undefined') A11yHelpers.announce(message);
+    },
+
+    /**
+     * When a service starts, in the church's time zone
+     * @param {Object} next - From getNextService()
+     * @returns {string} - e.g. "Sunday Worship · Sunday, October 25, 10:30 AM EDT"
+     */
+    describeService(next) {
+        const when = next.start.toLocaleString(ContentLoader.getLocale(), {
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZone: this.settings.timezone,
+            timeZoneName: 'short'
+        });
+        return ContentLoader.t('livestream.upcoming', { service: ContentLoader.t(`services.${next.service.id}`), when });
+    },
+
+    /**
+     * A YouTube player
+     * @param {string} videoId
+     * @param {string} title - For the frame's title
+     * @returns {string} - HTML
+     */
+    renderPlayer(videoId, title) {
+        const esc = ContentLoader.escapeHtml;
+        return `
+            <div class="bg-gray-900 rounded-xl aspect-video overflow-hidden shadow-lg">
+                <iframe src="https://www.youtube-nocookie.com/embed/${esc(videoId)}" title="${esc(title)}" class="w-full h-full" frameborder="0" allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" allowfullscreen></iframe>
+            </div>`;
+    },
+
+    render() {
+        const esc = ContentLoader.escapeHtml;
+        const t = (key, params) => ContentLoader.t(key, params);
+        const next = this.getNextService(new Date());
+        const channel = this.settings.social?.youtube;
+        const link = 'inline-flex items-center gap-2 text-primary-700 hover:text-primary-900 font-semibold';
+        this.container.dataset.livestreamState = this.state;
+
+        if (this.state === 'live') {
+            const title = this.status.title || t('livestream.liveNow');
+            this.container.innerHTML = `
+                <p class="flex items-center gap-2 mb-3 font-semibold text-red-700">
+                    <span class="inline-block h-3 w-3 rounded-full bg-red-600 animate-pulse" aria-hidden="true"></span>
+                    ${esc(t('livestream.liveNow'))}
+                </p>
+                ${this.renderPlayer(this.status.videoId, title)}
+                <div class="flex flex-wrap items-center justify-between gap-3 mt-4">
+                    <h2 class="font-serif text-2xl font-bold text-primary-900">${esc(title)}</h2>
+                    <a href="https://www.youtube.com/watch?v=${esc(this.status.videoId)}" target="_blank" rel="noopener noreferrer" class="${link}">${esc(t('livestream.watchOnYouTube'))}</a>
+                </div>`;
+            return;
+        }
+
+        if (this.state === 'countdown') {
+            const units = ['hours', 'minutes', 'seconds'];
+            this.container.innerHTML = `
+                <div class="bg-primary-900 text-white rounded-xl aspect-video flex flex-col items-center justify-center text-center p-6">
+                    <p class="uppercase tracking-wider text-sm opacity-75 mb-2">${esc(t('livestream.next'))}</p>
+                    <h2 class="font-serif text-2xl md:text-3xl font-bold mb-6">${esc(this.describeService(next))}</h2>
+                    <div data-countdown-timer>
+                        <p class="text-sm opacity-75 mb-3">${esc(t('livestream.startsIn'))}</p>
+                        <div class="flex justify-center gap-3 md:gap-6">
+                            ${units.map(unit => `
+                                <div class="bg-white/10 rounded-lg w-16 md:w-24 py-3">
+                                    <span class="block text-2xl md:text-4xl font-bold tabular-nums" data-countdown="${unit}"></span>
+                                    <span class="block text-xs uppercase tracking-wide opacity-75">${esc(t(`livestream.units.${unit}`))}</span>
+                                </div>`).join('')}
+                        </div>
+                    </div>
+                    <div data-countdown-soon hidden>
+                        <p class="text-xl font-semibold">${esc(t('livestream.startingSoon'))}</p>
+                        <p class="opacity-75 mt-2">${esc(t('livestream.startingSoonText'))}</p>
+                    </div>
+                </div>`;
+            this.renderCountdown();
+            return;
+        }
+
+        const sermon = this.sermon;
+        const nextLine = next ? `<p class="text-gray-600 mt-4">${esc(t('livestream.nextLine', { when: this.describeService(next) }))}</p>` : '';
+
+        if (!sermon) {
+            this.container.innerHTML = `
+                <div class="bg-gray-900 text-white rounded-xl aspect-video flex flex-col items-center justify-center text-center p-6">
+                    <p class="text-lg mb-4">${esc(t('livestream.noSermon'))}</p>
+                    ${channel ? `<a href="${esc(channel)}" target="_blank" rel="noopener noreferrer" class="btn btn-primary">${esc(t('livestream.watchOnYouTube'))}</a>` : ''}
+                </div>
+                ${nextLine}`;
+            return;
+        }
+
+        const date = ContentLoader.parseDate(sermon.date);
+        const details = [date && ContentLoader.formatDate(date), sermon.speaker, sermon.scripture].filter(Boolean).join(' · ');
+        this.container.innerHTML = `
+            <p class="uppercase tracking-wider text-sm font-semibold text-primary-700 mb-3">${esc(t('livestream.latest'))}</p>
+            ${this.renderPlayer(this.getYouTubeId(sermon.youtube_url), sermon.title)}
+            <div class="flex flex-wrap items-start justify-between gap-3 mt-4"${ContentLoader.langAttribute(sermon)}>
+                <div>
+                    <h2 class="font-serif text-2xl font-bold text-primary-900">${esc(sermon.title)}</h2>
+                    ${details ? `<p class="text-gray-600">${esc(details)}</p>` : ''}
+                </div>
+                <a href="${this.config.sermonsUrl}?sermon=${encodeURIComponent(sermon.slug)}" class="${link}">${esc(t('livestream.moreSermons'))}</a>
+            </div>
+            ${nextLine}`;
+    },
+
+    /**
+     * Fill in the time left, or "starting soon" once it's run out
+     */
+    renderCountdown() {
+        const next = this.getNextService(new Date());
+        const timer = this.container.querySelector('[data-countdown-timer]');
+        if (!next || !timer) return;
+
+        const left = Math.max(0, Math.floor((next.start - new Date()) / 1000));
+        const values = {
+            hours: Math.floor(left / 3600),
+            minutes: Math.floor(left / 60) % 60,
+            seconds: left % 60
+        };
+
+        Object.entries(values).forEach(([unit, value]) => {
+            this.container.querySelector(`[data-countdown="${unit}"]`).textContent = String(value).padStart(2, '0');
+        });
+        timer.hidden = left === 0;
+        this.container.querySelector('[data-countdown-soon]').hidden = left > 0;
+    }
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    Livestream.init();
+});
+
+// Make available globally for potential use in other scripts
+window.Livestream = Livestream;
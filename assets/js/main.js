@@ -12,6 +12,9 @@
  * - Sticky header behavior
  * - Accessibility enhancements
  * - Form validation helpers
+ * - Background form sending, with an offline queue
+ * - Lazy-loaded images with blurred placeholders
+ * - Offline support and "Add to Home Screen"
  */
 
 'use strict';
@@ -400,78 +403,627 @@ const FormHelpers = {
             form.addEventListener('submit', (e) => this.validateForm(e, form));
         });
 
+        // Forms sent in the background. Without JavaScript they post
+        // normally and the function redirects to the thank-you page.
+        document.querySelectorAll('form[data-ajax]').forEach(form => {
+            form.noValidate = true;
+            form.addEventListener('submit', (e) => this.submit(e, form));
+        });
+
         // Real-time validation
         document.querySelectorAll('[data-validate-field]').forEach(field => {
             field.addEventListener('blur', () => this.validateField(field));
         });
+
+        // Once a field is marked, check it again as it's corrected
+        document.querySelectorAll('form[data-validate], form[data-ajax]').forEach(form => {
+            ['input', 'change'].forEach(type => form.addEventListener(type, (e) => this.revalidate(form, e.target)));
+            form.addEventListener('click', (e) => this.followSummaryLink(e));
+        });
+
+        // The forms function answers in the language the visitor reads
+        this.updateLanguage((document.documentElement.lang || 'en').split('-')[0]);
+        document.addEventListener('languagechange', (e) => {
+            this.updateLanguage(e.detail.language);
+            this.translateErrors();
+        });
+    },
+
+    updateLanguage(lang) {
+        document.querySelectorAll('form input[type="hidden"][name="lang"]').forEach(input => {
+            input.value = lang;
+        });
+    },
+
+    /**
+     * Translate a UI string, if the dictionaries are loaded
+     * @param {string} key - e.g. 'forms.sendError'
+     * @param {Object} params - Interpolation parameters
+     * @returns {string}
+     */
+    t(key, params = {}) {
+        return window.LanguageSwitcher ? LanguageSwitcher.translate(key, params) : key;
     },
 
     validateForm(e, form) {
-        const requiredFields = form.querySelectorAll('[required]');
+        if (!this.checkForm(form)) {
+            e.preventDefault();
+        }
+    },
+
+    // Fields with a rule (see form-rules.js for the attributes)
+    ruleSelector: '[required], input[type="email"], input[type="tel"], [minlength], [maxlength], [pattern], [data-format], [data-match], [data-required-if]',
+
+    /**
+     * Check every field that has a rule; if any fail, list them in a
+     * summary at the top of the form and move focus there
+     * @param {HTMLElement} form - The form, or one step of it (a fieldset)
+     * @returns {boolean} - Whether the form can be sent
+     */
+    checkForm(form) {
+        const fields = form.querySelectorAll(this.ruleSelector);
         let isValid = true;
 
-        requiredFields.forEach(field => {
+        fields.forEach(field => {
             if (!this.validateField(field)) {
                 isValid = false;
             }
         });
 
-        if (!isValid) {
-            e.preventDefault();
-            // Focus first invalid field
-            const firstInvalid = form.querySelector('.is-invalid');
-            if (firstInvalid) firstInvalid.focus();
-        }
+        this.showSummary(form, !isValid);
+        return isValid;
+    },
+
+    /**
+     * A field's rules, read from its attributes
+     * @param {HTMLElement} field - Input, select or textarea
+     * @returns {Object} - Rules for FormRules.check()
+     */
+    getRules(field) {
+        const unticked = (field.type === 'checkbox' || field.type === 'radio') && !field.checked;
+
+        return {
+            value: unticked ? '' : field.value,
+            type: field.type,
+            required: field.required,
+            minLength: field.minLength,
+            maxLength: field.maxLength,
+            min: field.min ? Number(field.min) : undefined,
+            max: field.max ? Number(field.max) : undefined,
+            pattern: field.getAttribute('pattern'),
+            format: field.dataset.format,
+            match: field.dataset.match,
+            requiredIf: field.dataset.requiredIf
+        };
     },
 
     validateField(field) {
-        const value = field.value.trim();
-        const type = field.type;
-        let isValid = true;
-        let errorMessage = '';
+        // The rules are shared with the server (form-rules.js)
+        const problem = FormRules.check(this.getRules(field), field.form ? this.serialize(field.form) : {});
 
-        // Required check
-        if (field.required && !value) {
-            isValid = false;
-            errorMessage = 'This field is required';
-        }
+        this.setFieldState(field, !problem, problem);
+        return !problem;
+    },
 
-        // Email validation
-        if (type === 'email' && value) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(value)) {
-                isValid = false;
-                errorMessage = 'Please enter a valid email address';
-            }
-        }
+    /**
+     * Check a marked field again while it's being corrected
+     * @param {HTMLFormElement} form - The form
+     * @param {HTMLElement} field - The field that changed
+     */
+    revalidate(form, field) {
+        if (field.classList.contains('is-invalid')) this.validateField(field);
+
+        // Conditions and matches depend on other fields
+        form.querySelectorAll('.is-invalid[data-required-if], .is-invalid[data-match]').forEach(other => {
+            if (other !== field) this.validateField(other);
+        });
 
-        // Phone validation
-        if (type === 'tel' && value) {
-            const phoneRegex = /^[\d\s\-\+\(\)]{10,}$/;
-            if (!phoneRegex.test(value)) {
-                isValid = false;
-                errorMessage = 'Please enter a valid phone number';
-            }
-        }
+        form.querySelectorAll('.form-error-summary:not([hidden])').forEach(summary => {
+            this.showSummary(summary.parentElement);
+        });
+    },
 
-        // Update field state
-        this.setFieldState(field, isValid, errorMessage);
+    /**
+     * The message for a problem, in the visitor's language
+     * @param {HTMLElement} field - The field
+     * @param {string} problem - Problem code from FormRules.check()
+     * @returns {string}
+     */
+    getMessage(field, problem) {
+        const matched = field.dataset.match && field.form?.querySelector(`[name="${CSS.escape(field.dataset.match)}"]`);
+
+        const number = problem === 'number';
+
+        return this.t(`forms.errors.${problem}`, {
+            min: number ? field.min : field.minLength,
+            max: number ? field.max : field.maxLength,
+            field: matched ? this.getLabel(matched) : ''
+        });
+    },
 
-        return isValid;
+    /**
+     * What a field is called on the page
+     * @param {HTMLElement} field - The field
+     * @returns {string}
+     */
+    getLabel(field) {
+        const label = field.id && document.querySelector(`label[for="${CSS.escape(field.id)}"]`);
+        const text = label ? label.textContent : field.getAttribute('aria-label') || field.placeholder || field.name;
+        return text.replace(/\s+/g, ' ').replace(/\s*\*$/, '').trim();
     },
 
-    setFieldState(field, isValid, errorMessage) {
-        const formGroup = field.closest('.form-group');
-        const errorElement = formGroup?.querySelector('.form-error');
+    /**
+     * Mark a field valid or not, with its message in the field's error
+     * element (linked through aria-describedby)
+     * @param {HTMLElement} field - The field
+     * @param {boolean} isValid - Whether it passed
+     * @param {string} [problem] - Problem code from FormRules.check()
+     */
+    setFieldState(field, isValid, problem) {
+        const errorElement = this.getErrorElement(field, !isValid);
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(id => id && id !== errorElement?.id);
 
         if (isValid) {
             field.classList.remove('is-invalid');
             field.classList.add('is-valid');
+            field.removeAttribute('aria-invalid');
+            delete field.dataset.problem;
             if (errorElement) errorElement.textContent = '';
         } else {
             field.classList.remove('is-valid');
             field.classList.add('is-invalid');
-            if (errorElement) errorElement.textContent = errorMessage;
+            field.setAttribute('aria-invalid', 'true');
+            field.dataset.problem = problem;
+            errorElement.textContent = this.getMessage(field, problem);
+            describedBy.push(errorElement.id);
+        }
+
+        if (describedBy.length) {
+            field.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            field.removeAttribute('aria-describedby');
+        }
+    },
+
+    /**
+     * Find (or add, just after the field) the element for its message
+     * @param {HTMLElement} field - The field
+     * @param {boolean} create - Add one if there isn't one yet
+     * @returns {HTMLElement|null}
+     */
+    getErrorElement(field, create) {
+        let errorElement = field.closest('.form-group')?.querySelector('.form-error');
+        if (!field.id) field.id = `${field.form?.getAttribute('name') || 'form'}-${field.name}`;
+
+        if (!errorElement) {
+            errorElement = document.getElementById(`${field.id}-error`);
+        }
+        if (!errorElement && create) {
+            errorElement = document.createElement('p');
+            errorElement.className = 'form-error';
+            // Ticks sit inside their label; the message goes after the pair
+            const checkable = field.type === 'checkbox' || field.type === 'radio';
+            (checkable ? field.parentElement : field).after(errorElement);
+        }
+        if (errorElement && !errorElement.id) errorElement.id = `${field.id}-error`;
+
+        return errorElement;
+    },
+
+    /**
+     * List a form's problems at its top, each linking to its field
+     * @param {HTMLElement} form - The form, or one step of it (a fieldset)
+     * @param {boolean} [focus] - Move focus to the summary
+     */
+    showSummary(form, focus = false) {
+        const invalid = [...form.querySelectorAll('.is-invalid')];
+        let summary = form.querySelector(':scope > .form-error-summary');
+
+        if (!invalid.length) {
+            if (summary) summary.hidden = true;
+            return;
+        }
+
+        if (!summary) {
+            summary = document.createElement('div');
+            summary.className = 'form-error-summary';
+            summary.setAttribute('role', 'alert');
+            summary.tabIndex = -1;
+            // A fieldset's legend has to stay first
+            const legend = form.querySelector(':scope > legend');
+            legend ? legend.after(summary) : form.prepend(summary);
+        }
+
+        const heading = document.createElement('p');
+        heading.className = 'form-error-summary-title';
+        heading.textContent = this.t('forms.errorSummary', { count: invalid.length });
+
+        const list = document.createElement('ul');
+        invalid.forEach(field => {
+            const link = document.createElement('a');
+            link.href = `#${field.id}`;
+            link.dataset.summaryField = field.id;
+            link.textContent = `${this.getLabel(field)}: ${this.getMessage(field, field.dataset.problem || 'required')}`;
+            list.appendChild(document.createElement('li')).appendChild(link);
+        });
+
+        summary.replaceChildren(heading, list);
+        summary.hidden = false;
+        if (focus) summary.focus();
+    },
+
+    /**
+     * Summary links move focus to the field, not just scroll to it
+     * @param {MouseEvent} e - Click inside a form
+     */
+    followSummaryLink(e) {
+        const link = e.target.closest('[data-summary-field]');
+        if (!link) return;
+
+        const field = document.getElementById(link.dataset.summaryField);
+        if (!field) return;
+
+        e.preventDefault();
+        // Lets multi-step forms show the step the field is on
+        field.dispatchEvent(new CustomEvent('formreveal', { bubbles: true }));
+        field.focus();
+        field.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    },
+
+    /**
+     * Show the messages on screen in the newly chosen language
+     */
+    translateErrors() {
+        document.querySelectorAll('[data-problem]').forEach(field => {
+            const errorElement = this.getErrorElement(field, false);
+            if (errorElement) errorElement.textContent = this.getMessage(field, field.dataset.problem);
+        });
+        document.querySelectorAll('.form-error-summary:not([hidden])').forEach(summary => {
+            this.showSummary(summary.parentElement);
+        });
+    },
+
+    // ============================================
+    // Sending in the background
+    // ============================================
+
+    /**
+     * Send a form without leaving the page
+     * Offline (or when the connection drops), the submission is queued
+     * in FormQueue and sent once the connection is back.
+     * @param {SubmitEvent} e - The submit event
+     * @param {HTMLFormElement} form - The form
+     */
+    async submit(e, form) {
+        e.preventDefault();
+        this.showStatus(form, null);
+
+        if (!this.checkForm(form)) return;
+
+        const body = this.serialize(form);
+        this.setBusy(form, true);
+
+        try {
+            if (!navigator.onLine) {
+                await this.queue(form, body);
+                return;
+            }
+
+            let response;
+            try {
+                response = await fetch(form.action, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                    body: JSON.stringify(body)
+                });
+            } catch (error) {
+                // No connection after all
+                await this.queue(form, body);
+                return;
+            }
+
+            if (response.ok) {
+                this.showSuccess(form);
+                return;
+            }
+
+            const result = await response.json().catch(() => ({}));
+            if (response.status === 422 && result.fields) {
+                this.showFieldErrors(form, result.fields);
+            } else {
+                this.showStatus(form, 'error', this.t('forms.sendError'));
+            }
+        } catch (error) {
+            console.warn('Could not send the form:', error);
+            this.showStatus(form, 'error', this.t('forms.sendError'));
+        } finally {
+            this.setBusy(form, false);
+        }
+    },
+
+    /**
+     * Keep a submission to send later, and tell the visitor
+     * @param {HTMLFormElement} form - The form
+     * @param {Object} body - The submission
+     */
+    async queue(form, body) {
+        await FormQueue.add(form.action, body);
+        this.resetForm(form);
+        this.showStatus(form, 'queued', this.t('forms.queued'));
+    },
+
+    /**
+     * A form's values as an object; repeated names become arrays
+     * @param {HTMLFormElement} form - The form
+     * @returns {Object}
+     */
+    serialize(form) {
+        const data = {};
+        new FormData(form).forEach((value, name) => {
+            data[name] = name in data ? [].concat(data[name], value) : value;
+        });
+        return data;
+    },
+
+    /**
+     * Put values back into a form, as serialize() gave them
+     * @param {HTMLFormElement} form - The form
+     * @param {Object} values - Values by name (arrays for repeated names)
+     */
+    fill(form, values) {
+        Object.entries(values).forEach(([name, value]) => {
+            const given = [].concat(value).map(String);
+            form.querySelectorAll(`[name="${CSS.escape(name)}"]:not([type="hidden"])`).forEach((field, i) => {
+                if (field.type === 'checkbox' || field.type === 'radio') {
+                    field.checked = given.includes(field.value);
+                } else if (field.type !== 'file') {
+                    field.value = given[i] ?? '';
+                }
+            });
+        });
+    },
+
+    setBusy(form, busy) {
+        form.setAttribute('aria-busy', String(busy));
+        form.querySelectorAll('[type="submit"]').forEach(button => {
+            button.disabled = busy;
+        });
+    },
+
+    resetForm(form) {
+        form.reset();
+        this.updateLanguage((document.documentElement.lang || 'en').split('-')[0]);
+        form.querySelectorAll('.is-valid, .is-invalid').forEach(field => {
+            this.setFieldState(field, true);
+            field.classList.remove('is-valid');
+        });
+        this.showSummary(form);
+    },
+
+    /**
+     * Swap the form for its success message ([data-success])
+     * @param {HTMLFormElement} form - The form
+     */
+    showSuccess(form) {
+        const success = form.dataset.success && document.querySelector(form.dataset.success);
+        this.resetForm(form);
+
+        if (!success) {
+            this.showStatus(form, 'success', this.t('forms.sent'));
+            return;
+        }
+
+        form.hidden = true;
+        success.classList.add('show');
+        success.focus();
+    },
+
+    /**
+     * Mark the fields the server turned down
+     * @param {HTMLFormElement} form - The form
+     * @param {Object} fields - e.g. { email: 'email', message: 'required' }
+     */
+    showFieldErrors(form, fields) {
+        Object.entries(fields).forEach(([name, problem]) => {
+            const field = form.querySelector(`[name="${CSS.escape(name)}"]`);
+            if (field) this.setFieldState(field, false, problem);
+        });
+
+        this.showSummary(form, true);
+    },
+
+    /**
+     * Show a message above the submit button
+     * @param {HTMLFormElement} form - The form
+     * @param {string|null} type - 'error', 'queued' or 'success'; null hides it
+     * @param {string} [message] - The message
+     */
+    showStatus(form, type, message = '') {
+        let status = form.querySelector('.form-status');
+        if (!status) {
+            status = document.createElement('p');
+            status.setAttribute('role', 'status');
+            const submit = form.querySelector('[type="submit"]');
+            submit ? submit.before(status) : form.append(status);
+        }
+
+        status.className = `form-status${type ? ` is-${type}` : ''}`;
+        status.hidden = !type;
+        status.textContent = message;
+    }
+};
+
+// ============================================
+// Form Queue (offline submissions)
+// ============================================
+const FormQueue = {
+    config: {
+        dbName: 'delmar-forms',
+        storeName: 'outbox',
+        // Poor signal often reports "online" while nothing gets through,
+        // so retry on a timer too, backing off up to the maximum
+        retryDelay: 30000,
+        maxRetryDelay: 300000
+    },
+
+    db: null,
+    timer: null,
+    delay: 0,
+    flushing: false,
+
+    init() {
+        if (!('indexedDB' in window)) return;
+
+        this.delay = this.config.retryDelay;
+        window.addEventListener('online', () => this.flush());
+        this.flush();
+    },
+
+    /**
+     * The form on this page a queued submission came from, if it's here
+     * @param {Object} entry - From the outbox
+     * @returns {HTMLFormElement|undefined}
+     */
+    findForm(entry) {
+        return [...document.querySelectorAll('form')].find(form => form.action === entry.url
+            && form.querySelector('[name="form-name"]')?.value === entry.body['form-name']);
+    },
+
+    /**
+     * Open (once) the database holding queued submissions
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.config.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.config.storeName, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    },
+
+    /**
+     * Run one request against the outbox
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {function(IDBObjectStore): IDBRequest} work - Makes the request
+     * @returns {Promise<*>} - The request's result
+     */
+    async run(mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = work(db.transaction(this.config.storeName, mode).objectStore(this.config.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Queue a submission and schedule a retry
+     * @param {string} url - Where it goes
+     * @param {Object} body - The submission
+     */
+    async add(url, body) {
+        await this.run('readwrite', store => store.add({ url, body, queued_at: new Date().toISOString() }));
+        this.schedule();
+    },
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.delay);
+        this.delay = Math.min(this.delay * 2, this.config.maxRetryDelay);
+    },
+
+    /**
+     * Send whatever is queued, oldest first
+     */
+    async flush() {
+        if (this.flushing) return;
+        this.flushing = true;
+
+        let sent = 0;
+        try {
+            const entries = await this.run('readonly', store => store.getAll());
+            let waiting = false;
+
+            for (const entry of entries.filter(item => !item.rejected)) {
+                let response;
+                try {
+                    response = await fetch(entry.url, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                        body: JSON.stringify(entry.body)
+                    });
+                } catch (error) {
+                    // Still no connection
+                    waiting = true;
+                    break;
+                }
+
+                if (response.status >= 500) {
+                    waiting = true;
+                    break;
+                }
+                if (response.ok) {
+                    sent++;
+                    await this.run('readwrite', store => store.delete(entry.id));
+                } else {
+                    // Turned down (e.g. invalid): sending it again won't
+                    // help, so it's kept for the visitor to correct
+                    const result = await response.json().catch(() => ({}));
+                    await this.run('readwrite', store => store.put({ ...entry, rejected: { status: response.status, fields: result.fields || null } }));
+                }
+            }
+
+            if (waiting) {
+                this.schedule();
+            } else {
+                this.delay = this.config.retryDelay;
+            }
+        } catch (error) {
+            // The outbox couldn't be read; try again later
+            this.schedule();
+        } finally {
+            this.flushing = false;
+        }
+
+        if (sent) {
+            A11yHelpers.announce(FormHelpers.t('forms.queuedSent', { count: sent }));
+            document.querySelectorAll('.form-status.is-queued').forEach(status => {
+                status.className = 'form-status is-success';
+                status.textContent = FormHelpers.t('forms.queuedSent', { count: sent });
+            });
+        }
+
+        await this.restoreRejected();
+    },
+
+    /**
+     * Put submissions the server turned down back into their form, with
+     * what to fix, so the visitor can send them again. Ones whose form
+     * isn't on this page wait until the visitor opens it.
+     */
+    async restoreRejected() {
+        let entries;
+        try {
+            entries = await this.run('readonly', store => store.getAll());
+        } catch (error) {
+            return;
+        }
+
+        for (const entry of entries.filter(item => item.rejected)) {
+            const form = this.findForm(entry);
+            if (!form) continue;
+
+            FormHelpers.fill(form, entry.body);
+            if (entry.rejected.fields) FormHelpers.showFieldErrors(form, entry.rejected.fields);
+            FormHelpers.showStatus(form, 'error', FormHelpers.t('forms.queuedRejected'));
+            A11yHelpers.announce(FormHelpers.t('forms.queuedRejected'));
+            await this.run('readwrite', store => store.delete(entry.id));
         }
     }
 };
@@ -570,30 +1122,75 @@ const BackToTop = {
 // ============================================
 // Image Lazy Loading
 // ============================================
+// Images with their real sources in data-src/data-srcset are swapped in
+// here. The build's images (scripts/lib/images.js) keep real sources and
+// loading="lazy" instead; a tiny blurred copy shows as their background
+// until the real one has loaded, and is cleared here.
 const LazyLoad = {
     init() {
+        const images = document.querySelectorAll('img[data-src], img[data-srcset]');
+
         if ('loading' in HTMLImageElement.prototype) {
             // Browser supports native lazy loading
-            document.querySelectorAll('img[data-src]').forEach(img => {
-                img.src = img.dataset.src;
+            images.forEach(img => {
                 img.loading = 'lazy';
+                this.load(img);
             });
         } else {
             // Fallback for older browsers
-            this.useFallback();
+            this.useFallback(images);
         }
+
+        // The build's images have their sources already; just clear the placeholder
+        document.querySelectorAll('img.image-placeholder:not([data-src])').forEach(img => this.clearPlaceholder(img));
     },
 
-    useFallback() {
-        const images = document.querySelectorAll('img[data-src]');
+    /**
+     * Swap the real sources in
+     * @param {HTMLImageElement} img
+     */
+    load(img) {
+        const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+
+        if (picture) {
+            picture.querySelectorAll('source[data-srcset]').forEach(source => {
+                source.srcset = source.dataset.srcset;
+                source.removeAttribute('data-srcset');
+            });
+        }
+        if (img.dataset.srcset) {
+            img.srcset = img.dataset.srcset;
+            img.removeAttribute('data-srcset');
+        }
+
+        this.clearPlaceholder(img);
+        if (img.dataset.src) {
+            img.src = img.dataset.src;
+            img.removeAttribute('data-src');
+        }
+    },
+
+    /**
+     * Drop the blurred background once the image is showing, so it can't
+     * peek out around an image that doesn't fill its box
+     * @param {HTMLImageElement} img
+     */
+    clearPlaceholder(img) {
+        if (!img.classList.contains('image-placeholder')) return;
+
+        if (img.complete && img.naturalWidth > 1) {
+            img.classList.add('is-loaded');
+        } else {
+            img.addEventListener('load', () => this.clearPlaceholder(img), { once: true });
+        }
+    },
 
+    useFallback(images) {
         const observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
-                    const img = entry.target;
-                    img.src = img.dataset.src;
-                    img.removeAttribute('data-src');
-                    observer.unobserve(img);
+                    this.load(entry.target);
+                    observer.unobserve(entry.target);
                 }
             });
         }, {
@@ -604,6 +1201,56 @@ const LazyLoad = {
     }
 };
 
+// ============================================
+// Offline Support
+// ============================================
+// The service worker (/sw.js, built from src/service-worker.js) keeps
+// the site working without a connection. Only on the live site: the
+// dev server should always show the latest files.
+const OfflineSupport = {
+    installPrompt: null,
+
+    init() {
+        if ('serviceWorker' in navigator && window.location.protocol === 'https:') {
+            window.addEventListener('load', () => {
+                navigator.serviceWorker.register('/sw.js').catch(error => {
+                    console.warn('Service worker registration failed:', error);
+                });
+            });
+        }
+
+        // Browsers that can install the site as an app say so with this
+        // event; the footer's install button stays hidden until then
+        const containers = document.querySelectorAll('[data-install-app]');
+
+        window.addEventListener('beforeinstallprompt', (event) => {
+            event.preventDefault();
+            this.installPrompt = event;
+            containers.forEach(container => { container.hidden = false; });
+        });
+
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+            containers.forEach(container => { container.hidden = true; });
+        });
+
+        containers.forEach(container => {
+            container.querySelector('button').addEventListener('click', () => this.install());
+        });
+    },
+
+    async install() {
+        if (!this.installPrompt) return;
+
+        const prompt = this.installPrompt;
+        // It can only be shown once
+        this.installPrompt = null;
+        prompt.prompt();
+        await prompt.userChoice;
+        document.querySelectorAll('[data-install-app]').forEach(container => { container.hidden = true; });
+    }
+};
+
 // ============================================
 // Initialize Everything
 // ============================================
@@ -617,9 +1264,11 @@ document.addEventListener('DOMContentLoaded', () => {
     // Enhancements
     ScrollAnimations.init();
     FormHelpers.init();
+    FormQueue.init();
     A11yHelpers.init();
     BackToTop.init();
     LazyLoad.init();
+    OfflineSupport.init();
 
     // Mark page as loaded for CSS transitions
     document.body.classList.add('page-loaded');
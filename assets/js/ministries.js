@@ -0,0 +1,112 @@
+/**
+ * Delmar Nazarene Church - Ministries
+ * ===================================
+ *
+ * Lists the "ministries" CMS collection as cards on any element with a
+ * [data-ministries] attribute (see src/pages/en/ministries/index.html),
+ * in display order, with their leaders from the staff collection.
+ *
+ * Each card links to the ministry's page (scripts/lib/pages.js), in the
+ * visitor's language when the ministry has been translated into it.
+ *
+ * Requires content-loader.js.
+ */
+
+'use strict';
+
+const Ministries = {
+    /**
+     * Initialize any ministry listing on the page
+     */
+    init() {
+        const container = document.querySelector('[data-ministries]');
+        if (!container) return;
+
+        this.load(container);
+        document.addEventListener('languagechange', () => this.load(container));
+    },
+
+    /**
+     * Load the ministries and their leaders, and render the cards
+     * @param {HTMLElement} container - The listing container
+     */
+    async load(container) {
+        container.setAttribute('aria-busy', 'true');
+
+        try {
+            const [ministries, staff] = await Promise.all([
+                ContentLoader.load('ministries'),
+                ContentLoader.load('staff').catch(() => [])
+            ]);
+
+            container.innerHTML = ministries.length
+                ? ministries.map(ministry => this.renderCard(ministry, staff)).join('')
+                : this.renderEmpty();
+        } catch (error) {
+            console.warn('Could not load ministries:', error);
+            container.innerHTML = this.renderEmpty();
+        } finally {
+            container.removeAttribute('aria-busy');
+        }
+    },
+
+    /**
+     * The ministry's page in the language it's shown in
+     * @param {Object} ministry - Ministry entry
+     * @returns {string} - e.g. '/ht/ministries/youth/'
+     */
+    getUrl(ministry) {
+        return `/${ministry.language || ContentLoader.config.defaultLanguage}/ministries/${ministry.slug}/`;
+    },
+
+    /**
+     * Render a ministry card
+     * @param {Object} ministry - Ministry entry
+     * @param {Object[]} staff - Staff entries, for the leaders' names
+     * @returns {string} - Card HTML
+     */
+    renderCard(ministry, staff) {
+        const esc = ContentLoader.escapeHtml;
+        const t = (key, params) => ContentLoader.t(key, params);
+        const leaders = (ministry.leaders || [])
+            .map(slug => staff.find(person => person.slug === slug))
+            .filter(Boolean)
+            .map(person => person.name);
+
+        return `
+            <article class="ministry-card bg-white rounded-2xl shadow-lg overflow-hidden border-2 border-transparent hover:border-primary-200"${ContentLoader.langAttribute(ministry)}>
+                <div class="h-56 overflow-hidden bg-gradient-to-br from-primary-100 to-primary-200">
+                    ${ministry.image ? ContentLoader.renderImage(ministry.image, { alt: '', className: 'card-image w-full h-full object-cover', sizes: '(min-width: 768px) 32rem, 100vw' }) : ''}
+                </div>
+                <div class="p-6">
+                    ${ContentLoader.renderTranslationNote(ministry)}
+                    <h3 class="font-serif text-2xl font-bold text-primary-900 mb-2">${esc(ministry.title)}</h3>
+                    <p class="text-gray-600 mb-4">${esc(ministry.summary)}</p>
+                    <p class="text-sm text-primary-600 font-semibold mb-4">
+                        <span class="text-gray-500">${esc(t(leaders.length > 1 ? 'ministries.leaders' : 'ministries.leader'))}</span>
+                        ${esc(leaders.length ? leaders.join(', ') : t('ministries.contactOffice'))}
+                    </p>
+                    <a href="${esc(this.getUrl(ministry))}" class="inline-flex items-center gap-2 bg-primary-700 hover:bg-primary-600 text-white font-semibold py-3 px-6 rounded-lg transition-all" aria-label="${esc(t('ministries.learnMoreAbout', { ministry: ministry.title }))}">
+                        ${esc(t('ministries.learnMore'))}
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7" />
+                        </svg>
+                    </a>
+                </div>
+            </article>
+        `;
+    },
+
+    renderEmpty() {
+        return `
+            <p class="md:col-span-2 text-center text-gray-600">${ContentLoader.escapeHtml(ContentLoader.t('ministries.empty'))}</p>
+        `;
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    Ministries.init();
+});
+
+// Make available globally for potential use in other scripts
+window.Ministries = Ministries;
@@ -0,0 +1,191 @@
+/**
+ * Delmar Nazarene Church - Prayer Wall
+ * =====================================
+ *
+ * Shows the approved prayer requests ([data-prayer-wall],
+ * src/pages/en/connect/prayer-wall.html) from the prayer-wall function
+ * (netlify/functions/prayer-wall.js), with an "I prayed" button on each.
+ * The requests a visitor has prayed for are remembered in this browser,
+ * so each counts them once.
+ *
+ * Requires content-loader.js.
+ */
+
+'use strict';
+
+const PrayerWall = {
+    // Configuration
+    config: {
+        endpoint: '/.netlify/functions/prayer-wall',
+        storageKey: 'delmar-prayed-for'
+    },
+
+    container: null,
+    requests: null,
+
+    /**
+     * Initialize the wall, if it's on the page
+     */
+    init() {
+        this.container = document.querySelector('[data-prayer-wall]');
+        if (!this.container) return;
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-prayed]');
+            if (button) this.pray(button);
+        });
+
+        this.load();
+        document.addEventListener('languagechange', () => this.render());
+    },
+
+    /**
+     * Fetch the requests and render them
+     */
+    async load() {
+        try {
+            const response = await fetch(this.config.endpoint, { headers: { Accept: 'application/json' } });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.requests = (await response.json()).requests;
+        } catch (error) {
+            console.warn('Could not load the prayer wall:', error);
+            this.requests = null;
+        }
+
+        this.render();
+    },
+
+    // ============================================
+    // Prayed for
+    // ============================================
+
+    getPrayedFor() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.storageKey)) || [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /**
+     * Remember that this visitor prayed for a request
+     * @param {string} id - The request's id
+     */
+    rememberPrayer(id) {
+        // Requests come down after a few weeks; keep the list short
+        const prayedFor = [...this.getPrayedFor().filter(item => item !== id), id].slice(-200);
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify(prayedFor));
+        } catch (e) {
+            console.warn('Could not store prayed-for request:', e);
+        }
+    },
+
+    /**
+     * Count a prayer
+     * @param {HTMLButtonElement} button - The "I prayed" button
+     */
+    async pray(button) {
+        const id = button.dataset.prayed;
+        const request = (this.requests || []).find(item => item.id === id);
+        if (!request || this.getPrayedFor().includes(id)) return;
+
+        // Disabled while counting; prayed-for buttons stay focusable (aria-disabled)
+        button.disabled = true;
+        try {
+            const response = await fetch(this.config.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: JSON.stringify({ id })
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            request.prayed = (await response.json()).prayed;
+            this.rememberPrayer(id);
+            this.render();
+            this.container.querySelector(`[data-prayed="${CSS.escape(id)}"]`)?.focus();
+            this.announce(ContentLoader.t('prayerWall.thanks'));
+        } catch (error) {
+            console.warn('Could not count the prayer:', error);
+            button.disabled = false;
+            this.announce(ContentLoader.t('prayerWall.prayError'));
+        }
+    },
+
+    announce(message) {
+        if (typeof A11yHelpers !== 'undefined') A11yHelpers.announce(message);
+    },
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    render() {
+        const container = this.container;
+        container.setAttribute('aria-busy', 'false');
+
+        if (!this.requests) {
+            container.innerHTML = `<p class="text-center text-gray-600">${ContentLoader.escapeHtml(ContentLoader.t('prayerWall.error'))}</p>`;
+            return;
+        }
+
+        if (!this.requests.length) {
+            container.innerHTML = `
+                <div class="bg-white rounded-2xl shadow-lg p-8 text-center">
+                    <p class="text-gray-600">${ContentLoader.escapeHtml(ContentLoader.t('prayerWall.empty'))}</p>
+                </div>
+            `;
+            return;
+        }
+
+        const prayedFor = this.getPrayedFor();
+        container.innerHTML = `
+            <ul class="grid md:grid-cols-2 gap-6" role="list">
+                ${this.requests.map(request => this.renderRequest(request, prayedFor.includes(request.id))).join('')}
+            </ul>
+        `;
+    },
+
+    /**
+     * Render one request
+     * @param {Object} request - { id, name, text, prayed, date }
+     * @param {boolean} prayed - Has this visitor prayed for it already?
+     * @returns {string} - Card HTML
+     */
+    renderRequest(request, prayed) {
+        const esc = ContentLoader.escapeHtml;
+        const t = ContentLoader.t.bind(ContentLoader);
+        const name = request.name || t('prayerWall.anonymous');
+        const date = ContentLoader.parseDate(request.date);
+
+        return `
+            <li class="bg-white rounded-2xl shadow-md p-6 flex flex-col">
+                <p class="font-serif text-lg font-bold text-primary-900">${esc(name)}</p>
+                ${date ? `<p class="text-sm text-gray-500 mb-3">${esc(t('prayerWall.shared', { date: ContentLoader.formatDate(date) }))}</p>` : ''}
+                <p class="text-gray-700 leading-relaxed whitespace-pre-line flex-1">${esc(request.text)}</p>
+                <div class="flex flex-wrap items-center justify-between gap-3 mt-5 pt-4 border-t border-gray-100">
+                    <span class="text-sm text-gray-600">${esc(t('prayerWall.prayedCount', { count: request.prayed }))}</span>
+                    <button type="button"
+                        class="inline-flex items-center gap-2 font-semibold py-2 px-4 rounded-lg transition-all ${prayed ? 'bg-primary-100 text-primary-800' : 'bg-primary-700 hover:bg-primary-600 text-white'}"
+                        data-prayed="${esc(request.id)}"
+                        aria-pressed="${prayed}"
+                        aria-label="${esc(t('prayerWall.prayFor', { name }))}"
+                        ${prayed ? 'aria-disabled="true"' : ''}>
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
+                        </svg>
+                        ${esc(t(prayed ? 'prayerWall.youPrayed' : 'prayerWall.prayed'))}
+                    </button>
+                </div>
+            </li>
+        `;
+    }
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    PrayerWall.init();
+});
+
+// Make available globally for potential use in other scripts
+window.PrayerWall = PrayerWall;
@@ -0,0 +1,302 @@
+/**
+ * Delmar Nazarene Church - Push Notifications
+ * ============================================
+ *
+ * The notification settings ([data-push-settings], on the announcements
+ * page). Visitors pick what they want to hear about (high-priority
+ * announcements, the livestream starting, new events for a ministry)
+ * and turn notifications on for this browser. The choice is kept with
+ * the browser's subscription (netlify/functions/push.js) and on this
+ * device, so the settings show it next time.
+ *
+ * Notifications come in the language the site was last viewed in here.
+ * On iPhone and iPad they only work once the site has been added to the
+ * Home Screen.
+ *
+ * Requires content-loader.js.
+ */
+
+'use strict';
+
+const PushNotifications = {
+    // Configuration
+    config: {
+        endpoint: '/.netlify/functions/push',
+        storageKey: 'push-topics',
+        defaultTopics: ['announcements', 'livestream']
+    },
+
+    container: null,
+    publicKey: '',
+    topics: [],
+    subscription: null,
+    state: 'loading',
+    message: '',
+
+    /**
+     * Initialize the settings, if they're on the page
+     */
+    async init() {
+        this.container = document.querySelector('[data-push-settings]');
+        if (!this.container) return;
+
+        this.container.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('[data-push-off]')) this.turnOff();
+        });
+        document.addEventListener('languagechange', () => {
+            // Later notifications in the new language
+            if (this.subscription) {
+                this.send(this.subscription, this.getSaved())
+                    .catch(error => console.warn('Could not change the notification language:', error));
+            }
+            this.render();
+        });
+
+        await this.load();
+    },
+
+    /**
+     * Can this browser receive notifications at all?
+     * @returns {boolean}
+     */
+    isSupported() {
+        return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+    },
+
+    /**
+     * An iPhone or iPad browsing in Safari rather than from the Home Screen
+     * @returns {boolean}
+     */
+    needsHomeScreen() {
+        const ios = /iPad|iPhone|iPod/.test(navigator.userAgent) || (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+        return ios && !window.matchMedia('(display-mode: standalone)').matches;
+    },
+
+    async load() {
+        this.container.setAttribute('aria-busy', 'true');
+
+        if (!this.isSupported()) {
+            this.state = this.needsHomeScreen() ? 'home-screen' : 'unsupported';
+        } else {
+            try {
+                const response = await fetch(this.config.endpoint, { headers: { Accept: 'application/json' } });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                ({ publicKey: this.publicKey, topics: this.topics } = await response.json());
+
+                const registration = await navigator.serviceWorker.getRegistration();
+                this.subscription = registration ? await registration.pushManager.getSubscription() : null;
+                this.state = Notification.permission === 'denied' ? 'denied' : 'ready';
+            } catch (error) {
+                console.warn('Could not load the notification settings:', error);
+                this.state = 'unavailable';
+            }
+        }
+
+        if (window.LanguageSwitcher) await LanguageSwitcher.ready;
+        this.container.removeAttribute('aria-busy');
+        this.render();
+    },
+
+    // ============================================
+    // Saved topics
+    // ============================================
+
+    getSaved() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.storageKey)) || this.config.defaultTopics;
+        } catch {
+            return this.config.defaultTopics;
+        }
+    },
+
+    remember(topics) {
+        try {
+            if (topics) {
+                localStorage.setItem(this.config.storageKey, JSON.stringify(topics));
+            } else {
+                localStorage.removeItem(this.config.storageKey);
+            }
+        } catch {
+            // Storage turned off: the settings just start from the defaults
+        }
+    },
+
+    // ============================================
+    // Subscribing
+    // ============================================
+
+    /**
+     * Turn notifications on with the ticked topics, or change them
+     */
+    async save() {
+        const topics = [...this.container.querySelectorAll('[data-push-topic]:checked')].map(input => input.value);
+        if (!topics.length) {
+            this.show('ready', 'push.pickOne');
+            return;
+        }
+
+        this.setBusy(true);
+        try {
+            if (!this.subscription) {
+                if (await Notification.requestPermission() !== 'granted') {
+                    this.show(Notification.permission === 'denied' ? 'denied' : 'ready');
+                    return;
+                }
+
+                // The live site registers the worker as it loads (main.js);
+                // the local server doesn't, so do it here
+                await navigator.serviceWorker.register('/sw.js');
+                const registration = await navigator.serviceWorker.ready;
+                this.subscription = await registration.pushManager.subscribe({
+                    userVisibleOnly: true,
+                    applicationServerKey: this.decodeKey(this.publicKey)
+                });
+            }
+
+            await this.send(this.subscription, topics);
+            this.remember(topics);
+            this.show('ready', 'push.saved');
+        } catch (error) {
+            console.warn('Could not turn notifications on:', error);
+            this.show('ready', 'push.error');
+        } finally {
+            this.setBusy(false);
+        }
+    },
+
+    async turnOff() {
+        if (!this.subscription) return;
+
+        this.setBusy(true);
+        try {
+            const { endpoint } = this.subscription;
+            await this.subscription.unsubscribe();
+            this.subscription = null;
+            this.remember(null);
+
+            await fetch(this.config.endpoint, {
+                method: 'DELETE',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: JSON.stringify({ endpoint })
+            });
+            this.show('ready', 'push.turnedOff');
+        } catch (error) {
+            console.warn('Could not turn notifications off:', error);
+            this.show('ready', 'push.error');
+        } finally {
+            this.setBusy(false);
+        }
+    },
+
+    /**
+     * Tell the site about this browser's subscription
+     * @param {PushSubscription} subscription
+     * @param {string[]} topics
+     */
+    async send(subscription, topics) {
+        const response = await fetch(this.config.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+            body: JSON.stringify({ subscription: subscription.toJSON(), topics, lang: ContentLoader.getLanguage() })
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    },
+
+    /**
+     * The VAPID key as pushManager.subscribe() wants it
+     * @param {string} key - base64url
+     * @returns {Uint8Array}
+     */
+    decodeKey(key) {
+        const base64 = `${key}${'='.repeat((4 - key.length % 4) % 4)}`.replace(/-/g, '+').replace(/_/g, '/');
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    },
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * Re-render with a state and a status message
+     * @param {string} state
+     * @param {string} [messageKey] - Translation key
+     */
+    show(state, messageKey = '') {
+        this.state = state;
+        this.message = messageKey;
+        this.render();
+        const status = this.container.querySelector('[data-push-status]');
+        if (status && messageKey) status.focus();
+    },
+
+    setBusy(busy) {
+        this.container.querySelectorAll('button').forEach(button => { button.disabled = busy; });
+        this.container.setAttribute('aria-busy', String(busy));
+    },
+
+    /**
+     * A topic's label, e.g. "Youth events"
+     * @param {string} topic
+     * @returns {string}
+     */
+    topicLabel(topic) {
+        const t = (key, params) => ContentLoader.t(key, params);
+        const category = topic.match(/^events-(.+)$/);
+        return category
+            ? t('push.topics.events', { category: t(`calendar.categories.${category[1]}`) })
+            : t(`push.topics.${topic}`);
+    },
+
+    render() {
+        const esc = ContentLoader.escapeHtml;
+        const t = (key, params) => ContentLoader.t(key, params);
+        const note = (key) => `<p class="text-gray-600">${esc(t(key))}</p>`;
+
+        if (this.state === 'loading') return;
+        if (this.state !== 'ready') {
+            const keys = {
+                'home-screen': 'push.homeScreen',
+                unsupported: 'push.unsupported',
+                unavailable: 'push.unavailable',
+                denied: 'push.denied'
+            };
+            this.container.innerHTML = note(keys[this.state]);
+            return;
+        }
+
+        const saved = this.getSaved();
+        const on = Boolean(this.subscription);
+
+        this.container.innerHTML = `
+            <form novalidate>
+                <fieldset>
+                    <legend class="form-label">${esc(t('push.choose'))}</legend>
+                    <div class="grid sm:grid-cols-2 gap-3 mt-2">
+                        ${this.topics.map(topic => `
+                            <div class="flex items-start gap-3">
+                                <input type="checkbox" id="push-${esc(topic)}" value="${esc(topic)}" class="form-checkbox mt-1" data-push-topic${saved.includes(topic) ? ' checked' : ''}>
+                                <label for="push-${esc(topic)}" class="text-gray-700 cursor-pointer">${esc(this.topicLabel(topic))}</label>
+                            </div>
+                        `).join('')}
+                    </div>
+                </fieldset>
+                <p class="text-sm text-gray-600 mt-4" data-push-status tabindex="-1" role="status">${this.message ? esc(t(this.message)) : esc(t(on ? 'push.on' : 'push.off'))}</p>
+                <div class="flex flex-wrap gap-3 mt-4">
+                    <button type="submit" class="btn btn-primary">${esc(t(on ? 'push.update' : 'push.turnOn'))}</button>
+                    ${on ? `<button type="button" class="btn btn-outline-dark" data-push-off>${esc(t('push.turnOff'))}</button>` : ''}
+                </div>
+            </form>
+        `;
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    PushNotifications.init();
+});
+
+// Make available globally for potential use in other scripts
+window.PushNotifications = PushNotifications;
@@ -0,0 +1,370 @@
+/**
+ * Delmar Nazarene Church - Event Registration
+ * ============================================
+ *
+ * The "Register" button on events that take registrations, and the
+ * form it opens in a dialog. The form (party size, children, the
+ * event's own questions) and the places left come from the
+ * event-registration function (netlify/functions/event-registration.js),
+ * which also saves the registration and sends the confirmation email.
+ *
+ * Other scripts add the button with EventRegistration.renderButton(event).
+ */
+
+'use strict';
+
+const EventRegistration = {
+    // Configuration
+    config: {
+        endpoint: '/.netlify/functions/event-registration'
+    },
+
+    dialog: null,
+    lastFocusedElement: null,
+    current: null,
+
+    /**
+     * Initialize registration
+     */
+    init() {
+        // Buttons are rendered later by the events scripts
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-register]');
+            if (button) this.open(button.dataset.register);
+        });
+    },
+
+    /**
+     * Render the Register button for an event
+     * @param {Object} event - The event
+     * @returns {string} - Button HTML ('' if the event doesn't take registrations)
+     */
+    renderButton(event) {
+        if (!event.registration || !event.registration.enabled) return '';
+
+        const esc = ContentLoader.escapeHtml;
+        return `<button type="button" class="inline-block bg-primary-700 hover:bg-primary-600 text-white font-semibold py-2 px-5 rounded-lg transition-all mt-4" data-register="${esc(event.slug)}" aria-haspopup="dialog" aria-label="${esc(ContentLoader.t('registration.registerFor', { title: event.title }))}">${esc(ContentLoader.t('registration.register'))}</button>`;
+    },
+
+    // ============================================
+    // Dialog
+    // ============================================
+
+    /**
+     * Create the registration dialog (once)
+     * @returns {HTMLDialogElement} - The dialog
+     */
+    getDialog() {
+        if (this.dialog) return this.dialog;
+
+        const dialog = document.createElement('dialog');
+        dialog.className = 'registration-dialog rounded-2xl shadow-2xl p-0 w-full max-w-lg';
+        dialog.setAttribute('aria-labelledby', 'registration-title');
+        dialog.innerHTML = `
+            <div class="p-6 md:p-8">
+                <div class="flex items-start gap-4 mb-4">
+                    <div class="flex-1">
+                        <p class="text-primary-600 font-semibold text-sm" data-registration-label></p>
+                        <h2 id="registration-title" class="font-serif text-2xl font-bold text-primary-900" data-registration-title></h2>
+                    </div>
+                    <button type="button" class="p-2 rounded-lg text-gray-500 hover:bg-gray-100 hover:text-gray-800" aria-label="" data-registration-close>
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+                <div data-registration-body></div>
+            </div>
+        `;
+
+        dialog.addEventListener('click', (e) => {
+            // Close on the close button, or a click on the backdrop
+            if (e.target === dialog || e.target.closest('[data-registration-close]')) {
+                this.close();
+            }
+        });
+
+        dialog.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit(e.target);
+        });
+
+        // Escape closes the dialog natively; restore focus afterwards
+        dialog.addEventListener('close', () => this.restoreFocus());
+
+        document.body.appendChild(dialog);
+        this.dialog = dialog;
+        return dialog;
+    },
+
+    /**
+     * Open the registration form for an event
+     * @param {string} slug - The event's slug
+     */
+    async open(slug) {
+        const dialog = this.getDialog();
+        const body = dialog.querySelector('[data-registration-body]');
+
+        dialog.querySelector('[data-registration-label]').textContent = ContentLoader.t('registration.title');
+        dialog.querySelector('[data-registration-title]').textContent = '';
+        dialog.querySelector('[data-registration-close]').setAttribute('aria-label', ContentLoader.t('common.close'));
+        body.innerHTML = `<p class="text-gray-600" role="status">${ContentLoader.escapeHtml(ContentLoader.t('registration.loading'))}</p>`;
+
+        this.lastFocusedElement = document.activeElement;
+        document.body.style.overflow = 'hidden';
+
+        if (typeof dialog.showModal === 'function') {
+            dialog.showModal();
+        } else {
+            dialog.setAttribute('open', '');
+        }
+        dialog.querySelector('[data-registration-close]').focus();
+
+        try {
+            const params = new URLSearchParams({ event: slug, lang: ContentLoader.getLanguage() });
+            const response = await fetch(`${this.config.endpoint}?${params}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            this.current = await response.json();
+        } catch (error) {
+            console.warn('Could not load the registration form:', error);
+            body.innerHTML = this.renderMessage(ContentLoader.t('registration.loadError'), 'error');
+            return;
+        }
+
+        dialog.querySelector('[data-registration-title]').textContent = this.current.title;
+        body.innerHTML = this.current.open
+            ? this.renderForm(this.current)
+            : this.renderMessage(ContentLoader.t('registration.closed'), 'info');
+
+        body.querySelector('input')?.focus();
+    },
+
+    close() {
+        if (!this.dialog) return;
+
+        if (typeof this.dialog.close === 'function') {
+            this.dialog.close();
+        } else {
+            this.dialog.removeAttribute('open');
+            this.restoreFocus();
+        }
+    },
+
+    restoreFocus() {
+        document.body.style.overflow = '';
+        if (this.lastFocusedElement) {
+            this.lastFocusedElement.focus();
+        }
+    },
+
+    // ============================================
+    // Form
+    // ============================================
+
+    /**
+     * Render the registration form
+     * @param {Object} details - From the function: { remaining, waitlist, max_party, ask_children, questions }
+     * @returns {string} - HTML
+     */
+    renderForm(details) {
+        const esc = ContentLoader.escapeHtml;
+        const t = (key, params) => esc(ContentLoader.t(key, params));
+        const full = details.remaining === 0 || (details.remaining !== null && details.waitlist > 0);
+        const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+        const field = (name, label, input, required) => `
+                <div class="mb-4" data-field="${esc(name)}">
+                    <label for="registration-${esc(name)}" class="block font-semibold text-gray-800 mb-1">${esc(label)}${required ? ` <span class="text-red-700" aria-hidden="true">*</span><span class="sr-only">(${t('registration.required')})</span>` : ''}</label>
+                    ${input}
+                    <p id="registration-${esc(name)}-error" class="text-red-700 text-sm mt-1" hidden></p>
+                </div>`;
+
+        const questions = details.questions.map(question => {
+            const name = `answers.${question.id}`;
+            const id = `registration-${esc(name)}`;
+
+            if (question.type === 'checkbox') {
+                return `
+                <div class="mb-4" data-field="${esc(name)}">
+                    <label class="inline-flex items-start gap-2 text-gray-800">
+                        <input type="checkbox" id="${id}" name="${esc(name)}" class="mt-1"${question.required ? ' required' : ''}>
+                        <span>${esc(question.label)}</span>
+                    </label>
+                    <p id="${id}-error" class="text-red-700 text-sm mt-1" hidden></p>
+                </div>`;
+            }
+
+            const input = {
+                textarea: `<textarea id="${id}" name="${esc(name)}" rows="3" class="${inputClass}"${question.required ? ' required' : ''}></textarea>`,
+                select: `<select id="${id}" name="${esc(name)}" class="${inputClass}"${question.required ? ' required' : ''}>
+                        <option value=""></option>
+                        ${question.options.map(option => `<option>${esc(option)}</option>`).join('')}
+                    </select>`,
+                text: `<input type="text" id="${id}" name="${esc(name)}" class="${inputClass}"${question.required ? ' required' : ''}>`
+            }[question.type] || '';
+
+            return field(name, question.label, input, question.required);
+        }).join('');
+
+        const availability = details.remaining === null ? '' : `
+                <p class="mb-4 text-sm ${full ? 'text-accent-800 bg-accent-50' : 'text-primary-800 bg-primary-50'} rounded-lg px-3 py-2">
+                    ${t('registration.spotsLeft', { count: full ? 0 : details.remaining })}
+                    ${details.waitlist ? t('registration.waitlistNotice', { count: details.waitlist }) : ''}
+                </p>`;
+
+        return `
+            <form novalidate>
+                ${availability}
+                <div class="sr-only" role="alert" data-registration-summary></div>
+                ${field('name', ContentLoader.t('registration.name'), `<input type="text" id="registration-name" name="name" autocomplete="name" required class="${inputClass}">`, true)}
+                ${field('email', ContentLoader.t('registration.email'), `<input type="email" id="registration-email" name="email" autocomplete="email" required class="${inputClass}">`, true)}
+                ${field('phone', ContentLoader.t('registration.phone'), `<input type="tel" id="registration-phone" name="phone" autocomplete="tel" class="${inputClass}">`, false)}
+                <div class="grid grid-cols-2 gap-4">
+                    ${field('adults', ContentLoader.t('registration.adults'), `<input type="number" id="registration-adults" name="adults" min="1" max="${details.max_party}" value="1" required class="${inputClass}" aria-describedby="registration-party-hint">`, true)}
+                    ${details.ask_children ? field('children', ContentLoader.t('registration.children'), `<input type="number" id="registration-children" name="children" min="0" max="${details.max_party}" value="0" class="${inputClass}" aria-describedby="registration-party-hint">`, false) : ''}
+                </div>
+                <p id="registration-party-hint" class="text-gray-500 text-sm -mt-2 mb-4">${t('registration.partyHint', { count: details.max_party })}</p>
+                ${questions}
+                <!-- Left empty by people; bots fill it in -->
+                <div class="hidden" aria-hidden="true">
+                    <label for="registration-website">Website</label>
+                    <input type="text" id="registration-website" name="website" tabindex="-1" autocomplete="off">
+                </div>
+                <button type="submit" class="w-full bg-primary-700 hover:bg-primary-600 text-white font-semibold py-3 px-6 rounded-lg transition-all">
+                    ${t(full ? 'registration.joinWaitlist' : 'registration.submit')}
+                </button>
+            </form>`;
+    },
+
+    /**
+     * Render a message in the dialog
+     * @param {string} text - The message
+     * @param {string} type - 'success', 'info' or 'error'
+     * @returns {string} - HTML
+     */
+    renderMessage(text, type) {
+        const colors = {
+            success: 'bg-primary-50 text-primary-900',
+            info: 'bg-accent-50 text-accent-900',
+            error: 'bg-red-50 text-red-800'
+        };
+        return `<p class="rounded-lg px-4 py-3 ${colors[type]}" role="${type === 'error' ? 'alert' : 'status'}">${ContentLoader.escapeHtml(text)}</p>`;
+    },
+
+    /**
+     * Send the form
+     * @param {HTMLFormElement} form - The registration form
+     */
+    async submit(form) {
+        const button = form.querySelector('[type="submit"]');
+        const label = button.textContent;
+        const data = new FormData(form);
+        const answers = {};
+
+        this.current.questions.forEach(question => {
+            const value = data.get(`answers.${question.id}`);
+            answers[question.id] = question.type === 'checkbox' ? value !== null : value || '';
+        });
+
+        this.showErrors(form, {});
+        button.disabled = true;
+        button.textContent = ContentLoader.t('registration.sending');
+
+        try {
+            const response = await fetch(this.config.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    event: this.current.event,
+                    lang: ContentLoader.getLanguage(),
+                    name: data.get('name'),
+                    email: data.get('email'),
+                    phone: data.get('phone'),
+                    adults: Number(data.get('adults')),
+                    children: Number(data.get('children') || 0),
+                    answers,
+                    website: data.get('website')
+                })
+            });
+            const result = await response.json().catch(() => ({}));
+
+            if (response.status === 422 && result.fields) {
+                this.showErrors(form, result.fields);
+                return;
+            }
+
+            const messages = {
+                409: ['registration.alreadyRegistered', 'info'],
+                410: ['registration.closed', 'info']
+            };
+
+            if (!response.ok) {
+                const [key, type] = messages[response.status] || ['registration.error', 'error'];
+                form.insertAdjacentHTML('beforebegin', this.renderMessage(ContentLoader.t(key), type));
+                return;
+            }
+
+            const message = result.status === 'waitlisted'
+                ? ContentLoader.t('registration.waitlisted', { position: result.position })
+                : ContentLoader.t('registration.confirmed');
+
+            form.outerHTML = this.renderMessage(message, 'success');
+            this.dialog.querySelector('[data-registration-close]').focus();
+        } catch (error) {
+            console.warn('Registration failed:', error);
+            form.insertAdjacentHTML('beforebegin', this.renderMessage(ContentLoader.t('registration.error'), 'error'));
+        } finally {
+            button.disabled = false;
+            button.textContent = label;
+        }
+    },
+
+    /**
+     * Mark the fields the function rejected
+     * @param {HTMLFormElement} form - The form
+     * @param {Object} fields - e.g. { email: 'invalid', 'answers.dietary': 'required' }
+     */
+    showErrors(form, fields) {
+        this.dialog.querySelectorAll('[data-registration-body] > [role="alert"], [data-registration-body] > [role="status"]')
+            .forEach(message => message.remove());
+
+        form.querySelectorAll('[data-field]').forEach(wrapper => {
+            const name = wrapper.dataset.field;
+            const input = wrapper.querySelector('input, select, textarea');
+            const error = wrapper.querySelector(`[id$="-error"]`);
+            const problem = fields[name];
+
+            // Keep any hint the field already points to
+            input.dataset.hint = input.dataset.hint ?? (input.getAttribute('aria-describedby') || '');
+            const describedBy = [input.dataset.hint, problem ? error.id : ''].filter(Boolean).join(' ');
+
+            if (problem) {
+                input.setAttribute('aria-invalid', 'true');
+            } else {
+                input.removeAttribute('aria-invalid');
+            }
+            if (describedBy) {
+                input.setAttribute('aria-describedby', describedBy);
+            } else {
+                input.removeAttribute('aria-describedby');
+            }
+            error.textContent = problem ? ContentLoader.t(`registration.errors.${problem}`) : '';
+            error.hidden = !problem;
+        });
+
+        const names = Object.keys(fields);
+        form.querySelector('[data-registration-summary]').textContent = names.length ? ContentLoader.t('registration.fixErrors') : '';
+        if (names.length) {
+            form.querySelector(`[data-field="${CSS.escape(names[0])}"] input, [data-field="${CSS.escape(names[0])}"] select, [data-field="${CSS.escape(names[0])}"] textarea`)?.focus();
+        }
+    }
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    EventRegistration.init();
+});
+
+// Make available globally for potential use in other scripts
+window.EventRegistration = EventRegistration;
@@ -0,0 +1,483 @@
+/**
+ * Delmar Nazarene Church - Site Search
+ * =====================================
+ *
+ * The search box behind the header's magnifying glass ([data-search-open],
+ * or "/" or Ctrl+K anywhere). Results show as you type, from the index
+ * the site build writes for each language (scripts/lib/search.js): the
+ * pages, sermons, upcoming events, announcements and staff.
+ *
+ * In the box, the up and down arrows move through the results, Enter
+ * opens one and Escape closes the search.
+ *
+ * The 404 page ([data-search-suggestions]) uses the same index to offer
+ * the pages closest to the address that wasn't found.
+ *
+ * Requires content-loader.js.
+ */
+
+'use strict';
+
+const Search = {
+    // Configuration
+    config: {
+        indexUrl: '/data/search/{lang}.json',
+        maxResults: 8,
+        maxSuggestions: 4,
+        // How alike a mistyped address and a page's must be (0 to 1)
+        minSimilarity: 0.5,
+        // Too common to search on (as in scripts/lib/search.js)
+        stopWords: new Set([
+            'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'how', 'in', 'is', 'it',
+            'of', 'on', 'or', 'our', 'that', 'the', 'this', 'to', 'us', 'was', 'we', 'what', 'when', 'where',
+            'which', 'who', 'will', 'with', 'you', 'your',
+            'au', 'aux', 'ce', 'ces', 'dans', 'de', 'des', 'du', 'elle', 'en', 'est', 'et', 'il', 'la', 'le', 'les',
+            'leur', 'nos', 'notre', 'nous', 'ou', 'par', 'pas', 'pour', 'qu', 'que', 'qui', 'sa', 'se', 'ses', 'son',
+            'sont', 'sur', 'un', 'une', 'vos', 'votre', 'vous',
+            'ak', 'ki', 'li', 'nan', 'ou', 'pou', 'sa', 'yo', 'nou', 'ke', 'pa'
+        ])
+    },
+
+    // Loaded indexes, keyed by language (promises, so each loads once)
+    indexes: {},
+
+    dialog: null,
+    results: [],
+    activeIndex: -1,
+    lastFocusedElement: null,
+
+    /**
+     * Initialize the search button, shortcuts and 404 suggestions
+     */
+    init() {
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-search-open]')) {
+                e.preventDefault();
+                this.open();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            const typing = e.target.closest('input, textarea, select, [contenteditable="true"]');
+            const shortcut = (e.key === 'k' && (e.ctrlKey || e.metaKey)) || (e.key === '/' && !typing && !e.ctrlKey && !e.metaKey && !e.altKey);
+
+            if (shortcut && !this.isOpen()) {
+                e.preventDefault();
+                this.open();
+            }
+        });
+
+        document.addEventListener('languagechange', () => {
+            if (this.isOpen()) this.search();
+            this.suggest();
+        });
+
+        this.suggest();
+    },
+
+    // ============================================
+    // The Index
+    // ============================================
+
+    /**
+     * Lowercase words without accents, as the index keeps them
+     * @param {string} text
+     * @returns {string[]}
+     */
+    tokenize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length > 1);
+    },
+
+    /**
+     * Load a language's index (once)
+     * @param {string} lang - Language code
+     * @returns {Promise<Object[]>} - Its entries
+     */
+    loadIndex(lang) {
+        if (!this.indexes[lang]) {
+            this.indexes[lang] = fetch(this.config.indexUrl.replace('{lang}', lang), { headers: { Accept: 'application/json' } })
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(entries => entries.map(entry => ({
+                    ...entry,
+                    titleWords: this.tokenize(entry.t),
+                    words: (entry.w || '').split(' ')
+                })))
+                .catch(error => {
+                    // Try again next time
+                    delete this.indexes[lang];
+                    throw error;
+                });
+        }
+        return this.indexes[lang];
+    },
+
+    /**
+     * Score how well an entry matches one word of the query
+     * @param {Object} entry - Index entry
+     * @param {string} word - Normalized query word
+     * @returns {number} - 0 if it doesn't match
+     */
+    scoreWord(entry, word) {
+        if (entry.titleWords.includes(word)) return 10;
+        if (entry.titleWords.some(title => title.startsWith(word))) return 6;
+        if (entry.words.includes(word)) return 3;
+        if (entry.words.some(text => text.startsWith(word))) return 2;
+        return 0;
+    },
+
+    /**
+     * Find the entries matching a query, best first
+     * @param {Object[]} entries - The index
+     * @param {string[]} words - Normalized query words
+     * @param {Object} [options]
+     * @param {boolean} [options.every] - Must match every word (otherwise any)
+     * @returns {Object[]}
+     */
+    find(entries, words, { every = true } = {}) {
+        // Leave out common words, unless that leaves nothing
+        const wanted = words.filter(word => !this.config.stopWords.has(word));
+        const query = wanted.length ? wanted : words;
+        if (!query.length) return [];
+
+        return entries
+            .map(entry => {
+                const scores = query.map(word => this.scoreWord(entry, word));
+                const matched = scores.filter(Boolean).length;
+                if (!matched || (every && matched < query.length)) return null;
+                return { entry, score: scores.reduce((sum, score) => sum + score, 0) + matched * 5 };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || String(b.entry.d || '').localeCompare(String(a.entry.d || '')))
+            .map(result => result.entry);
+    },
+
+    // ============================================
+    // Search Dialog
+    // ============================================
+
+    isOpen() {
+        return Boolean(this.dialog && this.dialog.open);
+    },
+
+    /**
+     * Create the search dialog (once)
+     * @returns {HTMLDialogElement} - The dialog
+     */
+    getDialog() {
+        if (this.dialog) return this.dialog;
+
+        const dialog = document.createElement('dialog');
+        dialog.className = 'search-dialog rounded-2xl shadow-2xl p-0 w-full max-w-2xl';
+        dialog.setAttribute('aria-labelledby', 'search-title');
+        dialog.innerHTML = `
+            <div class="p-4 md:p-6">
+                <div class="flex items-center justify-between gap-4 mb-3">
+                    <h2 id="search-title" class="font-serif text-2xl font-bold text-primary-900" data-i18n="search.title"></h2>
+                    <button type="button" class="p-2 rounded-lg text-gray-500 hover:bg-gray-100 hover:text-gray-800" data-i18n-aria-label="common.close" data-search-close>
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+                <form role="search" novalidate data-search-form>
+                    <label for="search-input" class="sr-only" data-i18n="search.label"></label>
+                    <input type="search" id="search-input" class="form-input" role="combobox" aria-expanded="false" aria-controls="search-results" aria-autocomplete="list" autocomplete="off" spellcheck="false" data-i18n-placeholder="search.placeholder">
+                </form>
+                <p class="text-sm text-gray-600 mt-3" role="status" data-search-status></p>
+                <ul id="search-results" class="mt-2 space-y-1" role="listbox" aria-labelledby="search-title" data-search-results></ul>
+                <p class="hidden md:block text-xs text-gray-500 mt-4" data-i18n="search.hint"></p>
+            </div>
+        `;
+
+        const input = dialog.querySelector('#search-input');
+        input.addEventListener('input', () => this.search());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.move(e.key === 'ArrowDown' ? 1 : -1);
+            }
+        });
+
+        dialog.querySelector('[data-search-form]').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const result = this.results[Math.max(this.activeIndex, 0)];
+            if (result) this.go(result.u);
+        });
+
+        dialog.addEventListener('click', (e) => {
+            // Close on the close button, or a click on the backdrop
+            if (e.target === dialog || e.target.closest('[data-search-close]')) {
+                this.close();
+                return;
+            }
+
+            const option = e.target.closest('[role="option"]');
+            if (!option) return;
+            if (e.target.closest('a')) {
+                // The link takes it from here
+                this.close();
+            } else {
+                this.go(option.querySelector('a').href);
+            }
+        });
+
+        // Highlight the result under the mouse, as the arrows would
+        dialog.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.setActive(Number(option.dataset.index));
+        });
+
+        // Escape closes the dialog natively; restore focus afterwards
+        dialog.addEventListener('close', () => this.restoreFocus());
+
+        document.body.appendChild(dialog);
+        if (window.LanguageSwitcher) LanguageSwitcher.applyTranslations(dialog);
+        this.dialog = dialog;
+        return dialog;
+    },
+
+    /**
+     * Open the search, keeping what was last searched for
+     */
+    open() {
+        const dialog = this.getDialog();
+        const input = dialog.querySelector('#search-input');
+
+        this.lastFocusedElement = document.activeElement;
+        document.body.style.overflow = 'hidden';
+
+        if (typeof dialog.showModal === 'function') {
+            dialog.showModal();
+        } else {
+            dialog.setAttribute('open', '');
+        }
+
+        input.focus();
+        input.select();
+        this.search();
+    },
+
+    close() {
+        if (!this.dialog) return;
+
+        if (typeof this.dialog.close === 'function') {
+            this.dialog.close();
+        } else {
+            this.dialog.removeAttribute('open');
+            this.restoreFocus();
+        }
+    },
+
+    restoreFocus() {
+        document.body.style.overflow = '';
+        if (this.lastFocusedElement) {
+            this.lastFocusedElement.focus();
+        }
+    },
+
+    /**
+     * Go to a result. Links to another part of the same page (an event on
+     * the events page, say) only move the page, so close the search too.
+     * @param {string} url
+     */
+    go(url) {
+        this.close();
+        window.location.href = url;
+    },
+
+    /**
+     * Search for what's in the box and show the results
+     */
+    async search() {
+        const dialog = this.getDialog();
+        const query = dialog.querySelector('#search-input').value.trim();
+        const status = dialog.querySelector('[data-search-status]');
+
+        if (!query) {
+            this.showResults([]);
+            status.textContent = '';
+            return;
+        }
+
+        let entries;
+        try {
+            status.textContent = ContentLoader.t('search.loading');
+            entries = await this.loadIndex(ContentLoader.getLanguage());
+        } catch (error) {
+            console.warn('Could not load the search index:', error);
+            this.showResults([]);
+            status.textContent = ContentLoader.t('search.error');
+            return;
+        }
+
+        // A later keystroke has already searched again
+        if (dialog.querySelector('#search-input').value.trim() !== query) return;
+
+        const results = this.find(entries, this.tokenize(query));
+        this.showResults(results.slice(0, this.config.maxResults));
+        status.textContent = results.length
+            ? ContentLoader.t('search.resultCount', { count: results.length })
+            : ContentLoader.t('search.noResults', { query });
+    },
+
+    /**
+     * Render the results list
+     * @param {Object[]} results - Index entries
+     */
+    showResults(results) {
+        const list = this.dialog.querySelector('[data-search-results]');
+        const esc = ContentLoader.escapeHtml;
+
+        this.results = results;
+        list.innerHTML = results.map((result, i) => `
+            <li id="search-result-${i}" class="search-result rounded-lg px-3 py-2 cursor-pointer" role="option" aria-selected="false" data-index="${i}">
+                <a href="${esc(result.u)}" class="search-result-title block font-semibold text-primary-900" tabindex="-1">${esc(result.t)}</a>
+                <span class="block text-xs uppercase tracking-wider text-accent-700">${esc(this.describe(result))}</span>
+                ${result.s ? `<span class="block text-sm text-gray-600 mt-1">${esc(result.s)}</span>` : ''}
+            </li>
+        `).join('');
+
+        this.dialog.querySelector('#search-input').setAttribute('aria-expanded', String(results.length > 0));
+        this.setActive(results.length ? 0 : -1);
+    },
+
+    /**
+     * What kind of result it is, and its date, e.g. "Event · March 11, 2026"
+     * @param {Object} result - Index entry
+     * @returns {string}
+     */
+    describe(result) {
+        const kind = ContentLoader.t(`search.kinds.${result.k}`);
+        if (!result.d) return kind;
+
+        const locale = { en: 'en-US', ht: 'ht-HT', fr: 'fr-FR' }[ContentLoader.getLanguage()] || 'en-US';
+        const date = new Date(`${result.d}T12:00:00`).toLocaleDateString(locale, { month: 'long', day: 'numeric', year: 'numeric' });
+        return `${kind} · ${date}`;
+    },
+
+    /**
+     * Move the highlight up or down the results, wrapping around
+     * @param {number} step - 1 or -1
+     */
+    move(step) {
+        if (!this.results.length) return;
+        this.setActive((this.activeIndex + step + this.results.length) % this.results.length);
+    },
+
+    setActive(index) {
+        const input = this.dialog.querySelector('#search-input');
+        this.activeIndex = index;
+
+        this.dialog.querySelectorAll('[role="option"]').forEach((option, i) => {
+            option.setAttribute('aria-selected', String(i === index));
+            if (i === index) option.scrollIntoView({ block: 'nearest' });
+        });
+
+        if (index >= 0) {
+            input.setAttribute('aria-activedescendant', `search-result-${index}`);
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    },
+
+    // ============================================
+    // 404 Suggestions
+    // ============================================
+
+    /**
+     * A page address reduced to what tells pages apart,
+     * e.g. '/en/about/staff/' → 'about/staff'
+     * @param {string} url
+     * @returns {string}
+     */
+    pagePath(url) {
+        return decodeURIComponent(url)
+            .toLowerCase()
+            .replace(/^\/(en|ht|fr)(\/|$)/, '/')
+            .replace(/(index)?\.html?$/, '')
+            .replace(/^\/+|\/+$/g, '');
+    },
+
+    /**
+     * How alike two strings are, from 0 to 1 (by edit distance)
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    similarity(a, b) {
+        if (!a.length || !b.length) return 0;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return 1 - previous[b.length] / Math.max(a.length, b.length);
+    },
+
+    /**
+     * Fill in the 404 page's suggestions: the pages whose addresses are
+     * closest to the one that wasn't found, then pages about its words
+     */
+    async suggest() {
+        const container = document.querySelector('[data-search-suggestions]');
+        if (!container) return;
+
+        const wanted = this.pagePath(window.location.pathname);
+        if (!wanted) return;
+
+        let entries;
+        try {
+            if (window.LanguageSwitcher) await LanguageSwitcher.ready;
+            entries = await this.loadIndex(ContentLoader.getLanguage());
+        } catch (error) {
+            console.warn('Could not load the search index:', error);
+            return;
+        }
+
+        const lastPart = (path) => path.split('/').pop();
+        const closest = entries
+            .filter(entry => entry.k === 'page')
+            .map(entry => {
+                const path = this.pagePath(entry.u);
+                return { entry, score: Math.max(this.similarity(wanted, path), this.similarity(lastPart(wanted), lastPart(path))) };
+            })
+            .filter(({ score }) => score >= this.config.minSimilarity)
+            .sort((a, b) => b.score - a.score)
+            .map(({ entry }) => entry);
+
+        const related = this.find(entries, this.tokenize(wanted), { every: false });
+        const suggestions = [...new Set([...closest, ...related])].slice(0, this.config.maxSuggestions);
+
+        const esc = ContentLoader.escapeHtml;
+        container.querySelector('[data-search-suggestions-list]').innerHTML = suggestions.map(entry => `
+            <li>
+                <a href="${esc(entry.u)}" class="font-semibold text-primary-700 hover:underline">${esc(entry.t)}</a>
+                ${entry.s ? `<span class="block text-sm text-gray-600">${esc(entry.s)}</span>` : ''}
+            </li>
+        `).join('');
+        container.hidden = !suggestions.length;
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    Search.init();
+});
+
+// Make available globally for potential use in other scripts
+window.Search = Search;
@@ -0,0 +1,171 @@
+/**
+ * Delmar Nazarene Church - Sermon Notes
+ * ======================================
+ *
+ * Fill-in-the-blank notes beside the livestream ([data-sermon-notes],
+ * src/pages/en/worship/livestream.html), from the "notes" field of
+ * today's sermon in the CMS, or the latest one with notes. Editors mark
+ * the blanks with [[double brackets]] (see scripts/lib/markdown.js).
+ *
+ * What's typed into the blanks, and a box for the listener's own notes,
+ * is kept on this device so a reload doesn't lose it.
+ *
+ * Requires content-loader.js.
+ */
+
+'use strict';
+
+const SermonNotes = {
+    // Configuration
+    config: {
+        storageKey: 'sermon-notes',
+        sermonsUrl: '/en/worship/sermons/'
+    },
+
+    container: null,
+    sermon: null,
+
+    /**
+     * Initialize the notes, if they're on the page
+     */
+    init() {
+        this.container = document.querySelector('[data-sermon-notes]');
+        if (!this.container) return;
+
+        this.container.addEventListener('input', (e) => {
+            if (e.target.matches('[data-answer]')) this.check(e.target);
+            if (e.target.matches('[data-answer], [data-own-notes]')) this.save();
+        });
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('[data-show-answers]')) this.showAnswers();
+        });
+        document.addEventListener('languagechange', () => this.load());
+
+        this.load();
+    },
+
+    /**
+     * Find the sermon to follow along with: the newest with notes that
+     * isn't dated after today
+     */
+    async load() {
+        this.container.setAttribute('aria-busy', 'true');
+
+        try {
+            const sermons = await ContentLoader.load('sermons');
+            const now = new Date();
+            const endOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+            this.sermon = sermons.find(sermon => sermon.notes_html && ContentLoader.parseDate(sermon.date) < endOfToday) || null;
+        } catch (error) {
+            console.warn('Could not load sermon notes:', error);
+            this.sermon = null;
+        }
+
+        if (window.LanguageSwitcher) await LanguageSwitcher.ready;
+        this.container.removeAttribute('aria-busy');
+        this.render();
+    },
+
+    // ============================================
+    // Saved answers
+    // ============================================
+
+    read() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.config.storageKey) || 'null');
+            return saved && saved.slug === this.sermon.slug ? saved : { blanks: [], notes: '' };
+        } catch {
+            return { blanks: [], notes: '' };
+        }
+    },
+
+    /**
+     * Keep what's been typed, for this sermon only
+     */
+    save() {
+        const blanks = [...this.container.querySelectorAll('[data-answer]')].map(input => input.value);
+        const notes = this.container.querySelector('[data-own-notes]').value;
+
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify({ slug: this.sermon.slug, blanks, notes }));
+        } catch {
+            // Storage full or turned off: the notes just aren't kept
+        }
+    },
+
+    /**
+     * Mark a blank filled in correctly
+     * @param {HTMLInputElement} input - [data-answer]
+     */
+    check(input) {
+        const normalize = (text) => text.trim().toLocaleLowerCase().replace(/\s+/g, ' ');
+        input.classList.toggle('is-correct', normalize(input.value) === normalize(input.dataset.answer));
+    },
+
+    showAnswers() {
+        this.container.querySelectorAll('[data-answer]').forEach(input => {
+            input.value = input.dataset.answer;
+            this.check(input);
+        });
+        this.save();
+    },
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    render() {
+        const esc = ContentLoader.escapeHtml;
+        const t = (key, params) => ContentLoader.t(key, params);
+        const sermon = this.sermon;
+
+        if (!sermon) {
+            this.container.innerHTML = `<p class="text-gray-600">${esc(t('sermonNotes.none'))}</p>`;
+            return;
+        }
+
+        const date = ContentLoader.parseDate(sermon.date);
+        const details = [date && ContentLoader.formatDate(date), sermon.speaker, sermon.scripture].filter(Boolean).join(' · ');
+        const saved = this.read();
+
+        this.container.innerHTML = `
+            <div${ContentLoader.langAttribute(sermon)}>
+                ${ContentLoader.renderTranslationNote(sermon)}
+                <h2 class="font-serif text-xl font-bold text-primary-900">${esc(sermon.title)}</h2>
+                ${details ? `<p class="text-sm text-gray-500 mb-4">${esc(details)}</p>` : ''}
+                <div class="rich-text text-sm" data-notes-outline>${sermon.notes_html}</div>
+            </div>
+            <div class="mt-6">
+                <label for="own-notes" class="form-label">${esc(t('sermonNotes.ownNotes'))}</label>
+                <textarea id="own-notes" rows="5" class="form-textarea" data-own-notes>${esc(saved.notes)}</textarea>
+            </div>
+            <div class="flex flex-wrap items-center justify-between gap-3 mt-4 text-sm">
+                <button type="button" class="text-primary-700 hover:text-primary-900 font-semibold underline" data-show-answers hidden>${esc(t('sermonNotes.showAnswers'))}</button>
+                <a href="${this.config.sermonsUrl}?sermon=${encodeURIComponent(sermon.slug)}" class="text-primary-700 hover:text-primary-900 font-semibold">${esc(t('sermonNotes.viewSermon'))}</a>
+            </div>
+            <p class="text-xs text-gray-500 mt-4">${esc(t('sermonNotes.savedHere'))}</p>`;
+
+        // Turn each answer into a blank to fill in
+        const blanks = [...this.container.querySelectorAll('[data-notes-outline] [data-blank]')];
+        blanks.forEach((blank, index) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'sermon-blank-input';
+            input.dataset.answer = blank.textContent;
+            input.setAttribute('aria-label', t('sermonNotes.blank', { number: index + 1 }));
+            input.setAttribute('autocomplete', 'off');
+            input.value = saved.blanks[index] || '';
+            blank.replaceWith(input);
+            this.check(input);
+        });
+        this.container.querySelector('[data-show-answers]').hidden = !blanks.length;
+    }
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    SermonNotes.init();
+});
+
+// Make available globally for potential use in other scripts
+window.SermonNotes = SermonNotes;
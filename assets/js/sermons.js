@@ -0,0 +1,400 @@
+/**
+ * Delmar Nazarene Church - Sermon Archive
+ * =======================================
+ *
+ * Powers src/pages/en/worship/sermons.html from the "sermons" CMS collection.
+ *
+ * Features:
+ * - Thumbnail grid (custom thumbnail, or the YouTube thumbnail)
+ * - Filters by series, speaker, scripture book and year
+ *   (the same groupings editors see in the CMS)
+ * - Detail view with embedded video, audio player and sermon notes
+ * - Filters and the open sermon are kept in the URL
+ *   (?series=...&sermon=slug) so links can be shared
+ * - Reloads in the new language when the visitor switches language
+ *
+ * Requires content-loader.js.
+ */
+
+'use strict';
+
+const SermonArchive = {
+    // Configuration
+    config: {
+        pageSize: 12,
+        filters: ['series', 'speaker', 'book', 'year']
+    },
+
+    sermons: [],
+    visibleCount: 0,
+    elements: {},
+
+    /**
+     * Initialize the archive if the page has one
+     */
+    async init() {
+        const root = document.querySelector('[data-sermon-archive]');
+        if (!root) return;
+
+        this.elements = {
+            root,
+            list: root.querySelector('[data-sermon-list]'),
+            grid: root.querySelector('[data-sermon-grid]'),
+            count: root.querySelector('[data-sermon-count]'),
+            more: root.querySelector('[data-sermon-more]'),
+            form: root.querySelector('[data-sermon-filters]'),
+            detail: root.querySelector('[data-sermon-detail]')
+        };
+
+        this.bindEvents();
+        await this.load();
+    },
+
+    /**
+     * Load the sermons (in the current language) and show the page
+     */
+    async load() {
+        this.elements.grid.setAttribute('aria-busy', 'true');
+
+        try {
+            const sermons = await ContentLoader.load('sermons');
+            this.sermons = sermons.map(sermon => this.decorate(sermon));
+        } catch (error) {
+            console.warn('Could not load sermons:', error);
+            this.sermons = [];
+        }
+
+        this.elements.grid.removeAttribute('aria-busy');
+        this.buildFilterOptions();
+        this.route();
+    },
+
+    /**
+     * Add the derived fields used for filtering and display
+     * @param {Object} sermon - Sermon entry from the CMS
+     * @returns {Object} - Sermon with youtubeId, book and year
+     */
+    decorate(sermon) {
+        const date = ContentLoader.parseDate(sermon.date);
+
+        return {
+            ...sermon,
+            youtubeId: this.getYouTubeId(sermon.youtube_url),
+            book: this.getScriptureBook(sermon.scripture),
+            year: date ? String(date.getFullYear()) : ''
+        };
+    },
+
+    /**
+     * Extract the video ID from any common YouTube URL format
+     * @param {string} url - YouTube URL
+     * @returns {string|null} - The video ID
+     */
+    getYouTubeId(url) {
+        if (!url) return null;
+        const match = url.match(/(?:youtu\.be\/|[?&]v=|\/(?:embed|live|shorts|v)\/)([\w-]{11})/);
+        return match ? match[1] : null;
+    },
+
+    /**
+     * Get the book name from a scripture reference
+     * @param {string} reference - e.g. "1 John 3:16-21" or "Psalm 23"
+     * @returns {string} - e.g. "1 John" or "Psalms"
+     */
+    getScriptureBook(reference) {
+        if (!reference) return '';
+        const match = reference.trim().match(/^((?:[1-3]\s*)?[A-Za-zÀ-ÿ][A-Za-zÀ-ÿ.\s]*?)\s*\d/);
+        const book = (match ? match[1] : reference).replace(/\s+/g, ' ').trim();
+        return book === 'Psalm' ? 'Psalms' : book;
+    },
+
+    /**
+     * Get the thumbnail for a sermon
+     * @param {Object} sermon - The sermon
+     * @returns {string} - Image URL (empty if none)
+     */
+    getThumbnail(sermon) {
+        if (sermon.thumbnail) return sermon.thumbnail;
+        return sermon.youtubeId ? `https://img.youtube.com/vi/${sermon.youtubeId}/hqdefault.jpg` : '';
+    },
+
+    /**
+     * Fill the filter dropdowns with the values present in the data
+     */
+    buildFilterOptions() {
+        this.config.filters.forEach(name => {
+            const select = this.elements.form?.elements[name];
+            if (!select) return;
+
+            // Series and books are translated, so start from scratch
+            select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+
+            const values = [...new Set(this.sermons.map(sermon => sermon[name]).filter(Boolean))];
+            values.sort((a, b) => name === 'year' ? b.localeCompare(a) : a.localeCompare(b));
+
+            values.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                select.appendChild(option);
+            });
+
+            // Hide filters that have nothing to choose from
+            select.closest('.form-group')?.classList.toggle('hidden', values.length === 0);
+        });
+    },
+
+    bindEvents() {
+        const { form, grid, more, detail } = this.elements;
+
+        form?.addEventListener('change', () => {
+            this.updateUrl({ sermon: null, ...this.getFilterValues() }, true);
+            this.renderList();
+        });
+
+        form?.addEventListener('reset', () => {
+            // Wait for the browser to clear the fields
+            setTimeout(() => {
+                this.updateUrl({ sermon: null, ...this.getFilterValues() }, true);
+                this.renderList();
+            });
+        });
+
+        grid.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-sermon-link]');
+            if (!link) return;
+
+            e.preventDefault();
+            this.updateUrl({ sermon: link.dataset.sermonLink });
+            this.route();
+        });
+
+        more?.addEventListener('click', () => {
+            this.visibleCount += this.config.pageSize;
+            this.renderList(false);
+        });
+
+        detail.addEventListener('click', (e) => {
+            if (!e.target.closest('[data-sermon-back]')) return;
+
+            e.preventDefault();
+            this.updateUrl({ sermon: null });
+            this.route();
+        });
+
+        window.addEventListener('popstate', () => this.route());
+        document.addEventListener('languagechange', () => this.load());
+    },
+
+    /**
+     * Show the list or a single sermon, depending on the URL
+     */
+    route() {
+        const params = new URLSearchParams(window.location.search);
+        const slug = params.get('sermon');
+
+        this.config.filters.forEach(name => {
+            const select = this.elements.form?.elements[name];
+            if (select) select.value = params.get(name) || '';
+        });
+
+        const sermon = slug && this.sermons.find(item => item.slug === slug);
+
+        if (sermon) {
+            this.showDetail(sermon);
+        } else {
+            this.showList();
+        }
+    },
+
+    /**
+     * Update query string parameters
+     * @param {Object} changes - Parameters to set (null/empty removes)
+     * @param {boolean} replace - Replace the history entry instead of adding one
+     */
+    updateUrl(changes, replace = false) {
+        const params = new URLSearchParams(window.location.search);
+
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value) {
+                params.set(key, value);
+            } else {
+                params.delete(key);
+            }
+        });
+
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}`;
+        history[replace ? 'replaceState' : 'pushState'](null, '', url);
+    },
+
+    /**
+     * Get the current filter selections
+     * @returns {Object} - e.g. { series: 'Advent', speaker: '', ... }
+     */
+    getFilterValues() {
+        const values = {};
+        this.config.filters.forEach(name => {
+            values[name] = this.elements.form?.elements[name]?.value || '';
+        });
+        return values;
+    },
+
+    /**
+     * Get sermons matching the current filters, newest first
+     * @returns {Object[]} - Matching sermons
+     */
+    getFiltered() {
+        const filters = this.getFilterValues();
+
+        return this.sermons
+            .filter(sermon => Object.entries(filters).every(([name, value]) => !value || sermon[name] === value))
+            .sort((a, b) => ContentLoader.parseDate(b.date) - ContentLoader.parseDate(a.date));
+    },
+
+    showList() {
+        this.elements.detail.hidden = true;
+        this.elements.detail.innerHTML = '';
+        this.elements.list.hidden = false;
+        document.title = this.originalTitle || document.title;
+        this.renderList();
+    },
+
+    /**
+     * Render the grid of sermon cards
+     * @param {boolean} resetPaging - Start again from the first page
+     */
+    renderList(resetPaging = true) {
+        const { grid, count, more } = this.elements;
+        const sermons = this.getFiltered();
+
+        if (resetPaging) {
+            this.visibleCount = this.config.pageSize;
+        }
+
+        const visible = sermons.slice(0, this.visibleCount);
+
+        grid.innerHTML = visible.length
+            ? visible.map(sermon => this.renderCard(sermon)).join('')
+            : this.renderEmpty();
+
+        if (count) {
+            count.textContent = ContentLoader.t('sermons.count', { count: sermons.length });
+        }
+
+        if (more) {
+            more.hidden = sermons.length <= visible.length;
+        }
+    },
+
+    /**
+     * Render a sermon card
+     * @param {Object} sermon - The sermon
+     * @returns {string} - Card HTML
+     */
+    renderCard(sermon) {
+        const esc = ContentLoader.escapeHtml;
+        const thumbnail = this.getThumbnail(sermon);
+        const date = ContentLoader.formatDate(ContentLoader.parseDate(sermon.date));
+
+        return `
+            <article class="sermon-card bg-white rounded-2xl shadow-lg overflow-hidden"${ContentLoader.langAttribute(sermon)}>
+                <a href="?sermon=${encodeURIComponent(sermon.slug)}" data-sermon-link="${esc(sermon.slug)}" class="block group">
+                    <div class="relative aspect-video bg-primary-800">
+                        ${thumbnail ? ContentLoader.renderImage(thumbnail, { className: 'w-full h-full object-cover', sizes: '(min-width: 1024px) 24rem, (min-width: 640px) 50vw, 100vw' }) : ''}
+                        <div class="absolute inset-0 flex items-center justify-center bg-primary-900/20 group-hover:bg-primary-900/40 transition-colors">
+                            <span class="w-14 h-14 bg-white/90 rounded-full flex items-center justify-center shadow-lg">
+                                <svg xmlns="http://www.w3.org/2000/svg" class="h-6 w-6 text-primary-800 ml-1" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true"><path d="M8 5v14l11-7z"/></svg>
+                            </span>
+                        </div>
+                    </div>
+                    <div class="p-6">
+                        ${ContentLoader.renderTranslationNote(sermon)}
+                        ${sermon.series ? `<p class="text-xs font-semibold uppercase tracking-wider text-accent-700 mb-2">${esc(sermon.series)}</p>` : ''}
+                        <h3 class="font-serif text-xl font-bold text-primary-900 mb-2 group-hover:text-primary-700">${esc(sermon.title)}</h3>
+                        <p class="text-gray-500 text-sm">${esc(sermon.speaker)} &middot; <time datetime="${esc(sermon.date)}">${esc(date)}</time></p>
+                        ${sermon.scripture ? `<p class="text-gray-600 text-sm mt-1">${esc(sermon.scripture)}</p>` : ''}
+                    </div>
+                </a>
+            </article>
+        `;
+    },
+
+    renderEmpty() {
+        const filtered = Object.values(this.getFilterValues()).some(Boolean);
+        const t = (key) => ContentLoader.escapeHtml(ContentLoader.t(`sermons.${filtered ? 'noMatch' : 'comingSoon'}.${key}`));
+
+        return `
+            <div class="sm:col-span-2 lg:col-span-3 bg-white rounded-2xl shadow-lg p-8 text-center">
+                <h3 class="font-serif text-xl font-bold text-primary-900 mb-2">${t('title')}</h3>
+                <p class="text-gray-600">${t('text')}</p>
+            </div>
+        `;
+    },
+
+    /**
+     * Show a single sermon with its video, audio and notes
+     * @param {Object} sermon - The sermon
+     */
+    showDetail(sermon) {
+        const esc = ContentLoader.escapeHtml;
+        const t = (key) => esc(ContentLoader.t(key));
+        const { list, detail } = this.elements;
+        const date = ContentLoader.formatDate(ContentLoader.parseDate(sermon.date));
+
+        this.originalTitle = this.originalTitle || document.title;
+        document.title = `${sermon.title} | ${this.originalTitle}`;
+
+        detail.innerHTML = `
+            <a href="${window.location.pathname}" data-sermon-back class="inline-flex items-center gap-2 text-primary-700 font-semibold hover:text-accent-600 transition-colors mb-6">
+                <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 19l-7-7 7-7" />
+                </svg>
+                ${t('sermons.all')}
+            </a>
+            <article class="bg-white rounded-2xl shadow-lg overflow-hidden"${ContentLoader.langAttribute(sermon)}>
+                ${sermon.youtubeId ? `
+                <div class="aspect-video bg-black">
+                    <iframe src="https://www.youtube-nocookie.com/embed/${esc(sermon.youtubeId)}" title="${esc(sermon.title)}" class="w-full h-full" frameborder="0" allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" allowfullscreen loading="lazy"></iframe>
+                </div>` : ''}
+                <div class="p-6 md:p-10">
+                    ${ContentLoader.renderTranslationNote(sermon)}
+                    ${sermon.series ? `<p class="text-sm font-semibold uppercase tracking-wider text-accent-700 mb-2">${esc(sermon.series)}</p>` : ''}
+                    <h2 class="font-serif text-3xl md:text-4xl font-bold text-primary-900 mb-3" tabindex="-1" data-sermon-heading>${esc(sermon.title)}</h2>
+                    <p class="text-gray-600 mb-6">
+                        ${esc(sermon.speaker)} &middot; <time datetime="${esc(sermon.date)}">${esc(date)}</time>
+                        ${sermon.scripture ? ` &middot; <span class="font-semibold text-primary-800">${esc(sermon.scripture)}</span>` : ''}
+                    </p>
+                    ${sermon.description ? `<p class="text-lg text-gray-700 mb-6">${esc(sermon.description)}</p>` : ''}
+                    ${sermon.audio_url ? `
+                    <div class="bg-cream rounded-xl p-4 mb-6">
+                        <p class="text-sm font-semibold text-primary-900 mb-2">${t('sermons.listen')}</p>
+                        <audio controls preload="none" class="w-full" src="${esc(sermon.audio_url)}">
+                            <a href="${esc(sermon.audio_url)}">${t('sermons.download')}</a>
+                        </audio>
+                    </div>` : ''}
+                    ${sermon.notes_html ? `
+                    <section class="rich-text border-t border-gray-100 pt-6">
+                        <h3 class="font-serif text-2xl font-bold text-primary-900 mb-4">${t('sermons.notes')}</h3>
+                        ${sermon.notes_html}
+                    </section>` : ''}
+                </div>
+            </article>
+        `;
+
+        list.hidden = true;
+        detail.hidden = false;
+
+        // Move focus to the sermon for keyboard and screen reader users
+        detail.querySelector('[data-sermon-heading]')?.focus();
+        window.scrollTo({ top: detail.getBoundingClientRect().top + window.pageYOffset - 100 });
+    }
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    SermonArchive.init();
+});
+
+// Make available globally for potential use in other scripts
+window.SermonArchive = SermonArchive;
@@ -0,0 +1,292 @@
+/**
+ * Delmar Nazarene Church - Staff & Leadership
+ * ===========================================
+ *
+ * Builds staff listings from the "staff" CMS collection:
+ *
+ * - [data-staff-directory]  The full staff page (src/pages/en/about/staff.html),
+ *   grouped by staff type and sorted by display order
+ * - [data-staff-homepage]   Leadership cards on the homepage, for
+ *   entries marked "Show on Homepage"
+ *
+ * Bios open in an accessible modal dialog.
+ *
+ * Requires content-loader.js.
+ */
+
+'use strict';
+
+const StaffDirectory = {
+    // Configuration
+    config: {
+        // Sections of the staff page, in order. Each lists the
+        // staff_type values (from admin/config.yml) it contains; the
+        // headings are staff.groups.<id> in the translations.
+        groups: [
+            { id: 'pastoral', types: ['senior-pastor', 'associate-pastor'] },
+            { id: 'ministry', types: ['worship-leader', 'ministry-director', 'office-staff'] },
+            { id: 'board', types: ['board-member'] },
+            { id: 'other', types: ['other'] }
+        ]
+    },
+
+    staff: [],
+    dialog: null,
+    lastFocusedElement: null,
+
+    /**
+     * Initialize any staff listings on the page
+     */
+    init() {
+        const directory = document.querySelector('[data-staff-directory]');
+        const homepage = document.querySelector('[data-staff-homepage]');
+
+        if (!directory && !homepage) return;
+
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-staff-bio]');
+            if (button) this.openBio(button.dataset.staffBio);
+        });
+
+        this.load(directory, homepage);
+        document.addEventListener('languagechange', () => this.load(directory, homepage));
+    },
+
+    /**
+     * Load the staff and render the listings
+     * @param {HTMLElement|null} directory - The staff page container
+     * @param {HTMLElement|null} homepage - The homepage leadership container
+     */
+    async load(directory, homepage) {
+        try {
+            this.staff = this.sort(await ContentLoader.load('staff'));
+        } catch (error) {
+            console.warn('Could not load staff:', error);
+        }
+
+        if (directory) {
+            this.renderDirectory(directory);
+            ContentLoader.scrollToLinked(directory);
+        }
+        if (homepage) this.renderHomepage(homepage);
+    },
+
+    /**
+     * Sort by display order, then name
+     * @param {Object[]} staff - Staff entries
+     * @returns {Object[]} - Sorted entries
+     */
+    sort(staff) {
+        return [...staff].sort((a, b) =>
+            (a.display_order ?? 100) - (b.display_order ?? 100) || String(a.name).localeCompare(String(b.name)));
+    },
+
+    /**
+     * Find the page section a staff type belongs in
+     * @param {string} type - The staff_type value
+     * @returns {Object} - The group config
+     */
+    getGroup(type) {
+        return this.config.groups.find(group => group.types.includes(type))
+            || this.config.groups[this.config.groups.length - 1];
+    },
+
+    // ============================================
+    // Staff Page
+    // ============================================
+
+    renderDirectory(container) {
+        const t = (key) => ContentLoader.escapeHtml(ContentLoader.t(key));
+        const sections = this.config.groups
+            .map(group => ({ group, members: this.staff.filter(person => this.getGroup(person.staff_type) === group) }))
+            .filter(section => section.members.length);
+
+        if (!sections.length) {
+            container.innerHTML = `
+                <section class="py-16 md:py-20 bg-white">
+                    <p class="text-center text-gray-600">${t('staff.comingSoon')}</p>
+                </section>
+            `;
+            return;
+        }
+
+        container.innerHTML = sections.map(({ group, members }, i) => `
+            <section class="py-16 md:py-20 ${i % 2 ? 'bg-pale-green' : 'bg-white'}" aria-labelledby="staff-${group.id}">
+                <div class="container mx-auto px-4">
+                    <div class="text-center mb-12">
+                        <h2 id="staff-${group.id}" class="font-serif text-3xl md:text-4xl font-bold text-primary-900 mb-4">${t(`staff.groups.${group.id}.title`)}</h2>
+                        <p class="text-lg text-gray-600 max-w-2xl mx-auto">${t(`staff.groups.${group.id}.description`)}</p>
+                    </div>
+                    <div class="grid md:grid-cols-2 lg:grid-cols-3 gap-8 max-w-5xl mx-auto justify-center">
+                        ${members.map(person => this.renderCard(person)).join('')}
+                    </div>
+                </div>
+            </section>
+        `).join('');
+    },
+
+    /**
+     * Render a staff card
+     * @param {Object} person - Staff entry
+     * @returns {string} - Card HTML
+     */
+    renderCard(person) {
+        const esc = ContentLoader.escapeHtml;
+
+        return `
+            <article class="staff-card bg-white rounded-2xl shadow-lg overflow-hidden" id="${esc(person.slug)}"${ContentLoader.langAttribute(person)}>
+                <div class="h-72 overflow-hidden bg-primary-100">
+                    ${person.photo ? ContentLoader.renderImage(person.photo, { alt: `${person.name} - ${person.position}`, className: 'w-full h-full object-cover object-top', sizes: '(min-width: 1024px) 20rem, (min-width: 768px) 50vw, 100vw' }) : ''}
+                </div>
+                <div class="p-6 text-center">
+                    ${ContentLoader.renderTranslationNote(person)}
+                    <h3 class="font-serif text-2xl font-bold text-primary-900 mb-1">${esc(person.name)}</h3>
+                    <p class="text-primary-600 font-semibold">${esc(person.position)}</p>
+                    ${person.email ? `<p class="mt-3"><a href="mailto:${esc(person.email)}" class="text-sm text-gray-600 hover:text-primary-700">${esc(person.email)}</a></p>` : ''}
+                    ${person.phone ? `<p class="mt-1"><a href="tel:${esc(person.phone.replace(/[^\d+]/g, ''))}" class="text-sm text-gray-600 hover:text-primary-700">${esc(person.phone)}</a></p>` : ''}
+                    ${person.bio_html ? `
+                    <button type="button" class="mt-4 inline-flex items-center gap-2 text-primary-700 font-semibold hover:text-accent-600 transition-colors" data-staff-bio="${esc(person.slug)}" aria-haspopup="dialog" aria-label="${esc(ContentLoader.t('staff.readBioOf', { name: person.name }))}">
+                        ${esc(ContentLoader.t('staff.readBio'))}
+                    </button>` : ''}
+                </div>
+            </article>
+        `;
+    },
+
+    // ============================================
+    // Homepage Leadership
+    // ============================================
+
+    renderHomepage(container) {
+        const leaders = this.staff.filter(person => person.show_on_homepage);
+        const section = container.closest('section');
+
+        if (!leaders.length) {
+            // Nothing to show - hide the whole section
+            if (section) section.hidden = true;
+            return;
+        }
+
+        const esc = ContentLoader.escapeHtml;
+
+        container.innerHTML = leaders.map(person => `
+            <article class="text-center"${ContentLoader.langAttribute(person)}>
+                <div class="w-40 h-40 mx-auto rounded-full bg-primary-100 border-4 border-primary-200 overflow-hidden mb-4 shadow-lg">
+                    ${person.photo ? ContentLoader.renderImage(person.photo, { alt: person.name, className: 'w-full h-full object-cover object-top', sizes: '10rem' }) : ''}
+                </div>
+                <h3 class="font-serif text-xl font-bold text-primary-900">${esc(person.name)}</h3>
+                <p class="text-primary-600">${esc(person.position)}</p>
+                ${ContentLoader.renderTranslationNote(person)}
+                ${person.bio_html ? `<button type="button" class="mt-2 text-sm text-primary-700 font-semibold hover:text-accent-600" data-staff-bio="${esc(person.slug)}" aria-haspopup="dialog" aria-label="${esc(ContentLoader.t('staff.readBioOf', { name: person.name }))}">${esc(ContentLoader.t('staff.readBio'))}</button>` : ''}
+            </article>
+        `).join('');
+    },
+
+    // ============================================
+    // Bio Modal
+    // ============================================
+
+    /**
+     * Create the bio dialog (once)
+     * @returns {HTMLDialogElement} - The dialog
+     */
+    getDialog() {
+        if (this.dialog) return this.dialog;
+
+        const dialog = document.createElement('dialog');
+        dialog.className = 'staff-bio-dialog rounded-2xl shadow-2xl p-0 w-full max-w-2xl';
+        dialog.setAttribute('aria-labelledby', 'staff-bio-title');
+        dialog.innerHTML = `
+            <div class="p-6 md:p-8">
+                <div class="flex items-start gap-4 mb-6">
+                    <img src="" alt="" class="w-20 h-20 rounded-full object-cover object-top flex-shrink-0 bg-primary-100" data-bio-photo>
+                    <div class="flex-1">
+                        <h2 id="staff-bio-title" class="font-serif text-2xl font-bold text-primary-900" data-bio-name></h2>
+                        <p class="text-primary-600 font-semibold" data-bio-position></p>
+                    </div>
+                    <button type="button" class="p-2 rounded-lg text-gray-500 hover:bg-gray-100 hover:text-gray-800" aria-label="" data-bio-close>
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+                <div class="rich-text" data-bio-content></div>
+            </div>
+        `;
+
+        dialog.addEventListener('click', (e) => {
+            // Close on the close button, or a click on the backdrop
+            if (e.target === dialog || e.target.closest('[data-bio-close]')) {
+                this.closeBio();
+            }
+        });
+
+        // Escape closes the dialog natively; restore focus afterwards
+        dialog.addEventListener('close', () => this.restoreFocus());
+
+        document.body.appendChild(dialog);
+        this.dialog = dialog;
+        return dialog;
+    },
+
+    /**
+     * Open the bio modal for a staff member
+     * @param {string} slug - The staff member's slug
+     */
+    openBio(slug) {
+        const person = this.staff.find(item => item.slug === slug);
+        if (!person) return;
+
+        const dialog = this.getDialog();
+        const photo = dialog.querySelector('[data-bio-photo]');
+
+        photo.src = person.photo || '';
+        photo.hidden = !person.photo;
+        dialog.querySelector('[data-bio-name]').textContent = person.name;
+        dialog.querySelector('[data-bio-position]').textContent = person.position;
+        dialog.querySelector('[data-bio-content]').innerHTML = person.bio_html;
+        dialog.querySelector('[data-bio-close]').setAttribute('aria-label', ContentLoader.t('common.close'));
+
+        // The bio may be an English fallback on a translated page
+        if (person.language) {
+            dialog.setAttribute('lang', person.language);
+        }
+
+        this.lastFocusedElement = document.activeElement;
+        document.body.style.overflow = 'hidden';
+
+        if (typeof dialog.showModal === 'function') {
+            dialog.showModal();
+        } else {
+            dialog.setAttribute('open', '');
+        }
+
+        dialog.querySelector('[data-bio-close]').focus();
+    },
+
+    closeBio() {
+        if (!this.dialog) return;
+
+        if (typeof this.dialog.close === 'function') {
+            this.dialog.close();
+        } else {
+            this.dialog.removeAttribute('open');
+            this.restoreFocus();
+        }
+    },
+
+    restoreFocus() {
+        document.body.style.overflow = '';
+        if (this.lastFocusedElement) {
+            this.lastFocusedElement.focus();
+        }
+    }
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    StaffDirectory.init();
+});
+
+// Make available globally for potential use in other scripts
+window.StaffDirectory = StaffDirectory;
@@ -0,0 +1,293 @@
+/**
+ * Delmar Nazarene Church - Visitor Connection Card
+ * =================================================
+ *
+ * Turns the connection card on the New Here page (form[data-wizard],
+ * src/pages/en/connect/new-here.html) into steps, one fieldset
+ * ([data-step]) at a time. Each step is checked before moving on, and
+ * what's filled in is kept in this browser until the card is sent, so
+ * a visitor can finish it later.
+ *
+ * Household members are rows added from the [data-household-row]
+ * template. Without JavaScript the card is one long form with a single
+ * household row, and still works.
+ *
+ * FormHelpers (main.js) sends it; the forms function
+ * (netlify/functions/forms.js) takes it from there.
+ */
+
+'use strict';
+
+const VisitorCard = {
+    // Configuration
+    config: {
+        storageKey: 'delmar-visitor-card',
+        // Filled in by the page, not the visitor
+        skipFields: ['form-name', 'lang', 'bot-field']
+    },
+
+    form: null,
+    steps: [],
+    current: 0,
+    rowCount: 0,
+    blank: null,
+
+    /**
+     * Initialize the card, if it's on the page
+     */
+    init() {
+        this.form = document.querySelector('form[data-wizard]');
+        if (!this.form) return;
+
+        this.steps = [...this.form.querySelectorAll('[data-step]')];
+        this.list = this.form.querySelector('[data-household]');
+        this.template = this.form.querySelector('[data-household-row]');
+        this.progress = this.form.querySelector('[data-wizard-progress]');
+        this.rowCount = this.list.children.length;
+        this.blank = JSON.stringify(this.getValues());
+
+        this.form.querySelectorAll('[data-wizard-progress], [data-household-add], [data-household-remove]').forEach(element => {
+            element.hidden = false;
+        });
+        this.form.querySelectorAll('[data-wizard-nav]').forEach(nav => nav.classList.remove('hidden'));
+
+        this.form.addEventListener('click', (e) => {
+            if (e.target.closest('[data-wizard-next]')) this.next();
+            if (e.target.closest('[data-wizard-back]')) this.go(this.current - 1);
+            if (e.target.closest('[data-household-add]')) this.addMember().querySelector('input').focus();
+            if (e.target.closest('[data-household-remove]')) this.removeMember(e.target.closest('[data-household-member]'));
+            if (e.target.closest('[data-wizard-start-over]')) this.startOver();
+        });
+
+        ['input', 'change'].forEach(type => this.form.addEventListener(type, (e) => {
+            this.updateMember(e.target.closest('[data-household-member]'));
+            this.save();
+        }));
+
+        // Enter in a field moves on a step, rather than sending half a card
+        this.form.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.matches('input') && this.current < this.steps.length - 1) {
+                e.preventDefault();
+                this.next();
+            }
+        });
+
+        // Sent (or queued to send): start afresh next time
+        this.form.addEventListener('reset', () => this.clear());
+
+        // A summary link to a field on another step
+        this.form.addEventListener('formreveal', (e) => {
+            this.showStep(this.steps.findIndex(step => step.contains(e.target)));
+        });
+
+        document.addEventListener('languagechange', () => this.translate());
+
+        this.restore();
+        this.showStep(this.current);
+    },
+
+    // ============================================
+    // Steps
+    // ============================================
+
+    /**
+     * Show one step and mark it in the progress list
+     * @param {number} index - The step
+     */
+    showStep(index) {
+        if (index < 0 || index >= this.steps.length) return;
+
+        this.current = index;
+        this.steps.forEach((step, i) => {
+            step.hidden = i !== index;
+        });
+
+        [...this.progress.children].forEach((item, i) => {
+            item.classList.toggle('is-done', i < index);
+            if (i === index) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+    },
+
+    /**
+     * Move to a step, taking focus to its heading
+     * @param {number} index - The step
+     */
+    go(index) {
+        if (index < 0 || index >= this.steps.length) return;
+
+        this.showStep(index);
+        this.save();
+
+        const legend = this.steps[index].querySelector('legend');
+        legend.focus();
+        A11yHelpers.announce(FormHelpers.t('forms.wizard.step', {
+            step: index + 1,
+            total: this.steps.length,
+            title: legend.textContent.trim()
+        }));
+    },
+
+    next() {
+        if (FormHelpers.checkForm(this.steps[this.current])) {
+            this.go(this.current + 1);
+        }
+    },
+
+    // ============================================
+    // Household
+    // ============================================
+
+    /**
+     * Add a household member row
+     * @returns {HTMLElement} - The new row
+     */
+    addMember() {
+        this.rowCount++;
+        this.list.insertAdjacentHTML('beforeend', this.template.innerHTML.replace(/__n__/g, this.rowCount));
+
+        const row = this.list.lastElementChild;
+        row.querySelector('[data-household-remove]').hidden = false;
+        return row;
+    },
+
+    /**
+     * Remove a row; the last one left is emptied instead
+     * @param {HTMLElement} row - [data-household-member]
+     */
+    removeMember(row) {
+        if (this.list.children.length > 1) {
+            row.remove();
+        } else {
+            row.querySelectorAll('input, select').forEach(field => {
+                field.value = '';
+                FormHelpers.setFieldState(field, true);
+                field.classList.remove('is-valid');
+            });
+            this.updateMember(row);
+        }
+
+        this.form.querySelector('[data-household-add]').focus();
+        this.save();
+    },
+
+    /**
+     * A member needs a name once anything else about them is filled in
+     * @param {HTMLElement|null} row - [data-household-member]
+     */
+    updateMember(row) {
+        if (!row) return;
+
+        const name = row.querySelector('[name="household-name"]');
+        name.required = [...row.querySelectorAll('select, input:not([name="household-name"])')].some(field => field.value !== '');
+        if (!name.required && name.classList.contains('is-invalid')) FormHelpers.validateField(name);
+    },
+
+    // ============================================
+    // Saving progress
+    // ============================================
+
+    getValues() {
+        const values = FormHelpers.serialize(this.form);
+        this.config.skipFields.forEach(name => delete values[name]);
+        return values;
+    },
+
+    save() {
+        const values = this.getValues();
+
+        try {
+            if (JSON.stringify(values) === this.blank && !this.current) {
+                localStorage.removeItem(this.config.storageKey);
+            } else {
+                localStorage.setItem(this.config.storageKey, JSON.stringify({
+                    step: this.current,
+                    rows: this.list.children.length,
+                    values
+                }));
+            }
+        } catch (e) {
+            console.warn('Could not save the connection card:', e);
+        }
+    },
+
+    /**
+     * Fill the card back in from an earlier visit
+     */
+    restore() {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.config.storageKey));
+        } catch (e) {
+            saved = null;
+        }
+        if (!saved || !saved.values) return;
+
+        while (this.list.children.length < saved.rows) this.addMember();
+
+        Object.entries(saved.values).forEach(([name, value]) => {
+            const values = [].concat(value);
+            [...this.form.elements].filter(field => field.name === name).forEach((field, i) => {
+                if (field.type === 'checkbox' || field.type === 'radio') {
+                    field.checked = values.includes(field.value);
+                } else if (values[i] !== undefined) {
+                    field.value = values[i];
+                }
+            });
+        });
+
+        this.list.querySelectorAll('[data-household-member]').forEach(row => this.updateMember(row));
+        this.current = Math.min(Number(saved.step) || 0, this.steps.length - 1);
+        this.showRestored();
+    },
+
+    showRestored() {
+        const note = document.createElement('p');
+        note.className = 'wizard-restored';
+        note.innerHTML = '<span></span> <button type="button" data-wizard-start-over></button>';
+        this.progress.after(note);
+        this.translate();
+    },
+
+    translate() {
+        const note = this.form.querySelector('.wizard-restored');
+        if (!note) return;
+
+        note.querySelector('span').textContent = FormHelpers.t('forms.wizard.restored');
+        note.querySelector('button').textContent = FormHelpers.t('forms.wizard.startOver');
+    },
+
+    startOver() {
+        FormHelpers.resetForm(this.form);
+        this.go(0);
+    },
+
+    /**
+     * Forget the saved card and go back to the first step. Runs as the
+     * form resets, before its fields are cleared.
+     */
+    clear() {
+        try {
+            localStorage.removeItem(this.config.storageKey);
+        } catch (e) {
+            console.warn('Could not clear the connection card:', e);
+        }
+
+        [...this.list.children].slice(1).forEach(row => row.remove());
+        this.rowCount = this.list.children.length;
+        this.list.querySelector('[name="household-name"]').required = false;
+        this.form.querySelector('.wizard-restored')?.remove();
+        this.showStep(0);
+    }
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    VisitorCard.init();
+});
+
+// Make available globally for potential use in other scripts
+window.VisitorCard = VisitorCard;
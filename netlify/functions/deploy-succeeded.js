@@ -0,0 +1,31 @@
+/**
+ * Delmar Nazarene Church - After a Deploy
+ * ========================================
+ *
+ * Netlify runs a function with this name each time a deploy goes live,
+ * e.g. after an editor publishes in the CMS. It sends the notifications
+ * for any high-priority announcement or new ministry event that deploy
+ * published (see netlify/lib/push.js), without waiting for push-send's
+ * next scheduled run.
+ */
+
+'use strict';
+
+const { json, createHandler } = require('../lib/http');
+const { createStore } = require('../lib/store');
+const { getVapidKeys } = require('../lib/web-push');
+const { sendDue } = require('../lib/push');
+
+let store;
+
+function getStore() {
+    store = store || createStore();
+    return store;
+}
+
+exports.handler = createHandler({
+    async POST() {
+        const sent = getVapidKeys() ? await sendDue(getStore()) : [];
+        return json(200, { sent });
+    }
+});
@@ -0,0 +1,122 @@
+/**
+ * Delmar Nazarene Church - Donor Portal
+ * ======================================
+ *
+ * Serverless function behind the donor portal (src/pages/en/my-giving.html).
+ * Donors sign in with Netlify Identity, the same login as the Content
+ * Manager (though only accounts with the "staff" role can use that), and
+ * see the gifts given with their account's email address:
+ *
+ *   GET  /.netlify/functions/donor-portal
+ *        { gifts, recurring, years }: every completed gift, newest first;
+ *        the recurring gifts still going; the years with a statement
+ *   GET  /.netlify/functions/donor-portal?statement=2026
+ *        That year's statement, as a PDF
+ *   POST /.netlify/functions/donor-portal
+ *        { id, action: 'cancel' }  Stop a recurring gift
+ */
+
+'use strict';
+
+const { loadSite } = require('../../scripts/lib/settings');
+const { HttpError, json, readJson, createHandler, requireUser } = require('../lib/http');
+const { createStore } = require('../lib/store');
+const Giving = require('../lib/giving');
+const { localDate, getDonors, buildStatement } = require('../lib/giving/statements');
+
+let store;
+
+function getStore() {
+    store = store || createStore();
+    return store;
+}
+
+/**
+ * The signed-in donor's gifts
+ * @param {Object} context - Netlify function context
+ * @returns {Promise<Object[]>}
+ */
+async function getGifts(context) {
+    const email = String(requireUser(context).email || '').toLowerCase();
+    return getStore().list(Giving.KIND, { email });
+}
+
+/**
+ * A recurring gift as the portal shows it
+ * @param {Object} gift - The first gift
+ * @returns {Object}
+ */
+function toRecurring(gift) {
+    return {
+        ...Giving.toPublic(gift),
+        // ChurchTrac gifts are changed in ChurchTrac
+        cancellable: Boolean(Giving.getProvider(gift.provider).cancel)
+    };
+}
+
+exports.handler = createHandler({
+    async GET(request, context) {
+        const gifts = await getGifts(context);
+        const { timezone } = loadSite();
+        const year = (request.queryStringParameters || {}).statement;
+
+        if (year) {
+            const donor = /^\d{4}$/.test(year) && getDonors(gifts, Number(year), timezone)[0];
+            if (!donor) {
+                throw new HttpError(404, 'not-found');
+            }
+
+            const { filename, content } = buildStatement(donor, Number(year), loadSite());
+            return {
+                statusCode: 200,
+                headers: {
+                    'Content-Type': 'application/pdf',
+                    'Content-Disposition': `attachment; filename="${filename}"`,
+                    'Cache-Control': 'no-store'
+                },
+                body: content.toString('base64'),
+                isBase64Encoded: true
+            };
+        }
+
+        const completed = gifts
+            .filter(gift => gift.status === 'completed')
+            .sort((a, b) => b.completed_at.localeCompare(a.completed_at));
+
+        return json(200, {
+            gifts: completed.map(Giving.toPublic),
+            recurring: completed.filter(gift => Giving.isRecurring(gift) && !gift.cancelled_at).map(toRecurring),
+            years: [...new Set(completed.map(gift => Number(localDate(gift.completed_at, timezone).slice(0, 4))))]
+        });
+    },
+
+    async POST(request, context) {
+        const gifts = await getGifts(context);
+        const data = readJson(request);
+
+        if (data.action !== 'cancel') {
+            throw new HttpError(422, 'invalid', { action: 'invalid' });
+        }
+
+        const gift = gifts.find(item => item.id === data.id);
+        if (!gift || !Giving.isRecurring(gift) || gift.status !== 'completed') {
+            throw new HttpError(404, 'not-found');
+        }
+        if (gift.cancelled_at) {
+            return json(200, toRecurring(gift));
+        }
+
+        const provider = Giving.getProvider(gift.provider);
+        if (!provider.cancel) {
+            throw new HttpError(409, 'unsupported');
+        }
+
+        await provider.cancel(gift);
+        const cancelled = await getStore().transaction(tx => tx.update(Giving.KIND, {
+            ...tx.find(Giving.KIND, { id: gift.id }),
+            cancelled_at: new Date().toISOString()
+        }));
+
+        return json(200, toRecurring(cancelled));
+    }
+});
@@ -0,0 +1,387 @@
+/**
+ * Delmar Nazarene Church - Event Registration
+ * ============================================
+ *
+ * Serverless function behind the "Register" button on events
+ * (assets/js/registration.js).
+ *
+ *   GET  /.netlify/functions/event-registration?event=<slug>&lang=ht
+ *        The registration form for an event and how much room is left
+ *   POST /.netlify/functions/event-registration
+ *        { event, lang, name, email, phone, adults, children, answers: { <question id>: value } }
+ *        Registers a party, or adds it to the waitlist when the event is full
+ *
+ * Events take registrations when their "registration" front matter is
+ * enabled (see admin/config.yml):
+ *
+ *   registration:
+ *     enabled: true
+ *     capacity: 80          # seats (adults + children); blank for no limit
+ *     max_party: 10         # the most one registration can bring
+ *     ask_children: true
+ *     closes: 2026-03-10T12:00:00
+ *     questions:
+ *       - { id: dietary, label: "Any dietary needs?", type: text }
+ *
+ * Once every seat is taken, new parties join a waitlist, first come
+ * first served. Each visitor gets a confirmation email (with an .ics
+ * file when they have a place) and the event's contact gets a copy.
+ * Registrations are kept in the data store (netlify/lib/store.js).
+ */
+
+'use strict';
+
+const { DEFAULT_LANGUAGE, LANGUAGES, loadCollection, normalizeDate } = require('../../scripts/lib/content');
+const { createTranslator } = require('../../scripts/lib/i18n');
+const { loadSite, addressLine } = require('../../scripts/lib/settings');
+const { buildEventFile } = require('../../scripts/lib/calendar');
+const { HttpError, json, readJson, createHandler } = require('../lib/http');
+const { createStore } = require('../lib/store');
+const { sendMail } = require('../lib/mailer');
+
+const EVENTS_PAGE = '/en/events/';
+const QUESTION_TYPES = ['text', 'textarea', 'select', 'checkbox'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DEFAULT_MAX_PARTY = 10;
+
+let store;
+
+// ============================================
+// Events
+// ============================================
+
+/**
+ * Find an event that takes registrations
+ * Capacity and the questions asked come from the English entry; the
+ * question labels from the visitor's language where translated.
+ * @param {string} slug - The event
+ * @param {string} lang - The visitor's language
+ * @returns {Object} - { event, registration }
+ */
+function findEvent(slug, lang) {
+    const original = loadCollection('events', DEFAULT_LANGUAGE).find(item => item.slug === slug);
+    if (!original || !original.registration || !original.registration.enabled) {
+        throw new HttpError(404, 'not-found');
+    }
+
+    const event = lang === DEFAULT_LANGUAGE
+        ? original
+        : loadCollection('events', lang).find(item => item.slug === slug) || original;
+    const settings = original.registration;
+    const translated = (event.registration && event.registration.questions) || [];
+
+    const questions = (settings.questions || [])
+        .filter(question => question && question.id && QUESTION_TYPES.includes(question.type || 'text'))
+        .map(question => {
+            const local = translated.find(item => item && item.id === question.id) || question;
+            return {
+                id: String(question.id),
+                label: String(local.label || question.label || question.id),
+                type: question.type || 'text',
+                options: [].concat(local.options || question.options || []).map(String),
+                required: Boolean(question.required)
+            };
+        });
+
+    return {
+        event,
+        registration: {
+            capacity: Number(settings.capacity) > 0 ? Number(settings.capacity) : null,
+            maxParty: Number(settings.max_party) > 0 ? Number(settings.max_party) : DEFAULT_MAX_PARTY,
+            askChildren: Boolean(settings.ask_children),
+            closes: normalizeDate(settings.closes),
+            questions
+        }
+    };
+}
+
+/**
+ * The church's local time as a normalized content date
+ * @param {string} timeZone - e.g. 'America/New_York'
+ * @returns {string} - "YYYY-MM-DDTHH:mm:ss"
+ */
+function localNow(timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date()).map(part => [part.type, part.value]));
+
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/**
+ * Whether registration is still open: before it closes and before the
+ * event starts (date-only events take registrations through the day)
+ * @param {Object} event - The event
+ * @param {Object} registration - From findEvent()
+ * @param {string} now - From localNow()
+ * @returns {boolean}
+ */
+function isOpen(event, registration, now) {
+    const passed = (value) => Boolean(value) && (value.includes('T') ? now >= value : now.slice(0, 10) > value);
+    return !passed(registration.closes) && !passed(event.date);
+}
+
+/**
+ * Count the seats taken and the parties waiting
+ * @param {Object[]} registrations - The event's registrations
+ * @param {Object} registration - From findEvent()
+ * @returns {Object} - { capacity, taken, remaining, waitlist }
+ */
+function getAvailability(registrations, { capacity }) {
+    const taken = registrations
+        .filter(item => item.status === 'confirmed')
+        .reduce((sum, item) => sum + item.seats, 0);
+
+    return {
+        capacity,
+        taken,
+        remaining: capacity === null ? null : Math.max(capacity - taken, 0),
+        waitlist: registrations.filter(item => item.status === 'waitlisted').length
+    };
+}
+
+// ============================================
+// Checking a registration
+// ============================================
+
+/**
+ * Check and tidy what the visitor sent
+ * @param {Object} data - The request body
+ * @param {Object} registration - From findEvent()
+ * @returns {Object} - { name, email, phone, adults, children, answers }
+ */
+function validate(data, { maxParty, askChildren, questions }) {
+    const fields = {};
+    const text = (value, max) => String(value ?? '').trim().slice(0, max);
+    const count = (value) => (value === '' || value === undefined || value === null ? NaN : Number(value));
+
+    const name = text(data.name, 100);
+    const email = text(data.email, 200).toLowerCase();
+    const phone = text(data.phone, 30);
+    const adults = count(data.adults);
+    const children = askChildren ? count(data.children ?? 0) : 0;
+
+    if (!name) fields.name = 'required';
+    if (!email) fields.email = 'required';
+    else if (!EMAIL_PATTERN.test(email)) fields.email = 'invalid';
+    if (!Number.isInteger(adults) || adults < 1) fields.adults = 'invalid';
+    if (!Number.isInteger(children) || children < 0) fields.children = 'invalid';
+    if (!fields.adults && !fields.children && adults + children > maxParty) fields.adults = 'too-many';
+
+    const given = data.answers && typeof data.answers === 'object' ? data.answers : {};
+    const answers = {};
+
+    questions.forEach(question => {
+        const value = question.type === 'checkbox'
+            ? given[question.id] === true || given[question.id] === 'true'
+            : text(given[question.id], question.type === 'textarea' ? 2000 : 300);
+
+        if (question.required && !value) {
+            fields[`answers.${question.id}`] = 'required';
+        } else if (question.type === 'select' && value && !question.options.includes(value)) {
+            fields[`answers.${question.id}`] = 'invalid';
+        } else {
+            answers[question.id] = value;
+        }
+    });
+
+    if (Object.keys(fields).length) {
+        throw new HttpError(422, 'invalid', fields);
+    }
+
+    return { name, email, phone, adults, children, answers };
+}
+
+// ============================================
+// Emails
+// ============================================
+
+/**
+ * When an event is, for an email
+ * @param {Object} event - The event
+ * @param {string} lang - Language code
+ * @returns {string} - e.g. "Wednesday, March 11, 2026 at 7:09 PM"
+ */
+function formatWhen(event, lang) {
+    // Content dates are the church's wall-clock time; read them as UTC
+    // so the server's own time zone can't shift them
+    const format = (value) => new Date(`${value.includes('T') ? value : `${value}T00:00:00`}Z`)
+        .toLocaleString(lang, value.includes('T')
+            ? { dateStyle: 'full', timeStyle: 'short', timeZone: 'UTC' }
+            : { dateStyle: 'full', timeZone: 'UTC' });
+
+    return event.end_date ? `${format(event.date)} – ${format(event.end_date)}` : format(event.date);
+}
+
+/**
+ * The lines describing a party and its answers
+ * @param {Object} record - The saved registration
+ * @param {Object[]} questions - The event's questions
+ * @param {Function} t - Translator
+ * @returns {string[]}
+ */
+function describeParty(record, questions, t) {
+    return [
+        t('registration.emails.party', { adults: record.adults, children: record.children }),
+        ...questions
+            .filter(question => record.answers[question.id] !== undefined && record.answers[question.id] !== '')
+            .map(question => `${question.label}: ${question.type === 'checkbox'
+                ? t(record.answers[question.id] ? 'common.yes' : 'common.no')
+                : record.answers[question.id]}`)
+    ];
+}
+
+/**
+ * Email the visitor, and the event's contact
+ * @param {Object} options - { site, event, registration, record, lang }
+ */
+async function sendEmails({ site, event, registration, record, lang }) {
+    const t = createTranslator(lang);
+    const confirmed = record.status === 'confirmed';
+    const details = [
+        event.title,
+        formatWhen(event, lang),
+        event.location || `${site.name}, ${addressLine(site.address)}`,
+        '',
+        ...describeParty(record, registration.questions, t)
+    ];
+
+    await sendMail({
+        to: record.email,
+        replyTo: event.contact_email || site.email,
+        subject: t(confirmed ? 'registration.emails.confirmedSubject' : 'registration.emails.waitlistedSubject', { title: event.title }),
+        text: [
+            t('registration.emails.greeting', { name: record.name }),
+            '',
+            t(confirmed ? 'registration.emails.confirmed' : 'registration.emails.waitlisted', { title: event.title }),
+            '',
+            ...details,
+            '',
+            t('registration.emails.questions', { email: event.contact_email || site.email, phone: site.phone }),
+            '',
+            site.name,
+            site.url + EVENTS_PAGE
+        ].join('\n'),
+        attachments: confirmed
+            ? [{
+                filename: `${event.slug}.ics`,
+                contentType: 'text/calendar; charset=utf-8; method=PUBLISH',
+                content: buildEventFile({ site, lang, event, eventsPageUrl: EVENTS_PAGE })
+            }]
+            : []
+    });
+
+    // The office copy is in English, with the running totals
+    const office = createTranslator(DEFAULT_LANGUAGE);
+    const { questions } = lang === DEFAULT_LANGUAGE ? registration : findEvent(event.slug, DEFAULT_LANGUAGE).registration;
+
+    await sendMail({
+        to: event.contact_email || site.email,
+        replyTo: record.email,
+        subject: office(confirmed ? 'registration.emails.officeSubject' : 'registration.emails.officeWaitlistSubject', { title: event.title }),
+        text: [
+            `${record.name} <${record.email}>${record.phone ? `, ${record.phone}` : ''}`,
+            ...describeParty(record, questions, office),
+            '',
+            office('registration.emails.officeTotals', {
+                taken: record.totals.taken,
+                capacity: record.totals.capacity ?? '∞',
+                waitlist: record.totals.waitlist
+            })
+        ].join('\n')
+    });
+}
+
+// ============================================
+// Handler
+// ============================================
+
+function getStore() {
+    store = store || createStore();
+    return store;
+}
+
+function getLanguage(value) {
+    return LANGUAGES.includes(value) ? value : DEFAULT_LANGUAGE;
+}
+
+exports.handler = createHandler({
+    async GET(request) {
+        const params = request.queryStringParameters || {};
+        const lang = getLanguage(params.lang);
+        const { event, registration } = findEvent(params.event, lang);
+        const site = loadSite();
+        const registrations = await getStore().list('registrations', { event: event.slug });
+
+        return json(200, {
+            event: event.slug,
+            title: event.title,
+            open: isOpen(event, registration, localNow(site.timezone)),
+            ...getAvailability(registrations, registration),
+            max_party: registration.maxParty,
+            ask_children: registration.askChildren,
+            questions: registration.questions
+        });
+    },
+
+    async POST(request) {
+        const data = readJson(request);
+        const lang = getLanguage(data.lang);
+
+        // Bots fill in the hidden "website" field; pretend it worked
+        if (data.website) {
+            return json(201, { status: 'confirmed' });
+        }
+
+        const { event, registration } = findEvent(String(data.event || ''), lang);
+        const site = loadSite();
+
+        if (!isOpen(event, registration, localNow(site.timezone))) {
+            throw new HttpError(410, 'closed');
+        }
+
+        const party = validate(data, registration);
+
+        const record = await getStore().transaction(tx => {
+            const registrations = tx.list('registrations', { event: event.slug });
+            const existing = registrations.find(item => item.email === party.email);
+            if (existing) {
+                throw new HttpError(409, 'already-registered');
+            }
+
+            const seats = party.adults + party.children;
+            const availability = getAvailability(registrations, registration);
+            // Nobody jumps the queue: while anyone is waiting, new parties wait too
+            const fits = availability.remaining === null || (availability.waitlist === 0 && seats <= availability.remaining);
+            const status = fits ? 'confirmed' : 'waitlisted';
+
+            const saved = tx.insert('registrations', { event: event.slug, lang, ...party, seats, status });
+
+            return {
+                ...saved,
+                position: fits ? null : availability.waitlist + 1,
+                totals: {
+                    capacity: availability.capacity,
+                    taken: availability.taken + (fits ? seats : 0),
+                    waitlist: availability.waitlist + (fits ? 0 : 1)
+                }
+            };
+        });
+
+        // The place is saved; a mail problem shouldn't lose it
+        try {
+            await sendEmails({ site, event, registration, record, lang });
+        } catch (error) {
+            console.error(`Registration ${record.id} saved, but the emails failed:`, error);
+        }
+
+        return json(201, { status: record.status, position: record.position });
+    }
+});
@@ -0,0 +1,534 @@
+/**
+ * Delmar Nazarene Church - Forms
+ * ===============================
+ *
+ * Serverless function behind the contact, prayer request and new visitor
+ * forms, the "raise your hand" card beside the livestream and the
+ * ministry pages' sign-up forms:
+ *
+ *   POST /.netlify/functions/forms
+ *        form-name=contact-form&lang=en&name=...   (a plain form post)
+ *        { "form-name": "contact-form", lang, name, ... }   (JSON)
+ *
+ * Each submission is checked with the same rules the browser uses
+ * (assets/js/form-rules.js), kept in the data store, sent to the
+ * ministry inbox(es) it belongs to and acknowledged to the visitor by
+ * email in their language. The inboxes are set in the CMS
+ * (content/settings/forms.json); routing goes by the contact form's
+ * subject, the prayer request's type and the visitor's interests. A
+ * ministry sign-up goes to the ministry's leaders (their email in the
+ * staff collection), or the ministries inbox if none of them has one.
+ * New visitors, and livestream viewers who raise a hand, also start down
+ * the welcome team's follow-up stages (netlify/lib/follow-up.js).
+ *
+ * A plain form post is redirected to its thank-you page, or shown what
+ * to fix. A JSON post is answered { ok, redirect }, or 422
+ * { error: 'invalid', fields: { email: 'email', ... } }.
+ */
+
+'use strict';
+
+const FormRules = require('../../assets/js/form-rules');
+const { DEFAULT_LANGUAGE, LANGUAGES, loadCollection } = require('../../scripts/lib/content');
+const { createTranslator } = require('../../scripts/lib/i18n');
+const { escapeHtml } = require('../../scripts/lib/markdown');
+const { loadSite, loadInboxes, formatHours } = require('../../scripts/lib/settings');
+const { HttpError, json, readSubmission, createHandler } = require('../lib/http');
+const { createStore } = require('../lib/store');
+const { sendMail } = require('../lib/mailer');
+const FollowUp = require('../lib/follow-up');
+
+const MAX_LENGTH = { text: 200, email: 200, tel: 30, select: 100, textarea: 5000 };
+
+/**
+ * The forms this function takes. Fields not listed are dropped. Each
+ * field carries the same rules as its markup (see form-rules.js):
+ * required, minLength, maxLength, format, match and requiredIf. A 'rows'
+ * field is a list of rows posted as repeated <name>-<column> fields.
+ *   kind       Where submissions are kept in the data store
+ *   thankYou   The page a plain form post lands on
+ *   name       The fields that make up the visitor's name
+ *   route      The inboxes a submission goes to (their names in
+ *              forms.json, or email addresses)
+ *   notes      Extra lines for the inbox's copy (optional)
+ *   source     Where the visitor came from, kept with the record (optional)
+ *   acknowledged  Changes to the record once the visitor has been
+ *                 emailed (optional)
+ */
+const FORMS = {
+    'contact-form': {
+        kind: 'contact-messages',
+        thankYou: '/en/thank-you/',
+        fields: [
+            { name: 'name', type: 'text', required: true },
+            { name: 'email', type: 'email', required: true },
+            { name: 'phone', type: 'tel' },
+            { name: 'subject', type: 'select', required: true },
+            { name: 'message', type: 'textarea', required: true, minLength: 10 }
+        ],
+        name: ['name'],
+        route: (entry) => [{
+            'General Question': 'office',
+            'Prayer Request': 'prayer',
+            'Visit Information': 'welcome',
+            'Ministry Information': 'ministries'
+        }[entry.subject] || 'office']
+    },
+
+    'prayer-request-form': {
+        kind: 'prayer-requests',
+        thankYou: '/en/thank-you/',
+        fields: [
+            { name: 'name', type: 'text' },
+            { name: 'email', type: 'email' },
+            { name: 'phone', type: 'tel' },
+            { name: 'request-type', type: 'select' },
+            { name: 'prayer-request', type: 'textarea', required: true },
+            { name: 'share-with-church', type: 'checkbox' },
+            { name: 'share-anonymously', type: 'checkbox' }
+        ],
+        name: ['name'],
+        // The prayer team sees every request; pastoral care and the
+        // pastor are copied in where they may be able to help
+        route: (entry) => ['prayer', ...({
+            'Personal Health': ['care'],
+            'Spiritual Guidance': ['pastor'],
+            'Financial Need': ['care'],
+            'Relationship': ['pastor']
+        }[entry['request-type']] || [])],
+        // Shared requests wait for a moderator before they reach the prayer wall
+        notes: (entry, t, site) => (entry['share-with-church']
+            ? [t('forms.emails.prayer-request-form.moderate', { url: `${site.url}/admin/prayer-wall.html` })]
+            : [])
+    },
+
+    'new-visitor-form': {
+        kind: 'visitors',
+        thankYou: '/en/connect/thank-you/',
+        fields: [
+            { name: 'first-name', type: 'text', required: true },
+            { name: 'last-name', type: 'text', required: true },
+            { name: 'email', type: 'email' },
+            { name: 'phone', type: 'tel', required: true },
+            { name: 'address', type: 'text' },
+            { name: 'city', type: 'text', requiredIf: 'address' },
+            { name: 'state', type: 'text', format: 'state', requiredIf: 'address' },
+            { name: 'zip', type: 'text', format: 'zip', requiredIf: 'address' },
+            { name: 'heard-from', type: 'select' },
+            { name: 'visit-date', type: 'date' },
+            { name: 'group-size', type: 'number', min: 1, max: 20 },
+            {
+                name: 'household',
+                type: 'rows',
+                max: 10,
+                columns: [
+                    { name: 'name', type: 'text', required: true },
+                    { name: 'relationship', type: 'select' },
+                    { name: 'age', type: 'number', min: 0, max: 120 }
+                ]
+            },
+            { name: 'interests', type: 'list' },
+            { name: 'message', type: 'textarea' }
+        ],
+        name: ['first-name', 'last-name'],
+        // Interests beyond "learning more" are for the ministry leaders
+        route: (entry) => [
+            'welcome',
+            ...(entry.interests.some(interest => interest !== 'Learning more about the church') ? ['ministries'] : [])
+        ],
+        notes: (entry, t, site) => [t('forms.emails.new-visitor-form.followUp', { url: `${site.url}/admin/visitors.html` })],
+        // The acknowledgment is the welcome email
+        acknowledged: (record) => FollowUp.setStep(record, 'welcome-email', { at: new Date().toISOString(), by: 'website' })
+    },
+
+    // A connection card for people watching online
+    'raise-hand-form': {
+        kind: 'visitors',
+        thankYou: '/en/connect/thank-you/',
+        source: 'livestream',
+        fields: [
+            { name: 'first-name', type: 'text', required: true },
+            { name: 'last-name', type: 'text' },
+            { name: 'email', type: 'email', required: true },
+            { name: 'phone', type: 'tel' },
+            { name: 'interests', type: 'list' },
+            { name: 'message', type: 'textarea' }
+        ],
+        name: ['first-name', 'last-name'],
+        route: (entry) => [
+            'welcome',
+            ...(entry.interests.some(interest => ['I decided to follow Jesus', 'I would like to talk with a pastor'].includes(interest)) ? ['pastor'] : []),
+            ...(entry.interests.includes('I would like prayer') ? ['prayer'] : [])
+        ],
+        notes: (entry, t, site) => [t('forms.emails.new-visitor-form.followUp', { url: `${site.url}/admin/visitors.html` })],
+        acknowledged: (record) => FollowUp.setStep(record, 'welcome-email', { at: new Date().toISOString(), by: 'website' })
+    },
+
+    // "Get Involved" on a ministry's page (src/layouts/ministry.js)
+    'ministry-signup-form': {
+        kind: 'ministry-signups',
+        thankYou: '/en/thank-you/',
+        fields: [
+            { name: 'ministry', type: 'select', required: true },
+            { name: 'name', type: 'text', required: true },
+            { name: 'email', type: 'email', required: true },
+            { name: 'phone', type: 'tel' },
+            { name: 'involvement', type: 'select' },
+            { name: 'message', type: 'textarea' }
+        ],
+        name: ['name'],
+        route: (entry) => {
+            const leaders = getLeaderEmails(entry.ministry);
+            return leaders.length ? leaders : ['ministries'];
+        },
+        // Says who else got it, or why the leaders didn't
+        notes: (entry, t) => {
+            const ministry = findMinistry(entry.ministry);
+            const title = ministry ? ministry.title : entry.ministry;
+            return [getLeaderEmails(entry.ministry).length
+                ? t('forms.emails.ministry-signup-form.toLeaders', { ministry: title })
+                : t('forms.emails.ministry-signup-form.noLeaders', { ministry: title })];
+        }
+    }
+};
+
+let store;
+
+// ============================================
+// Ministries
+// ============================================
+
+/**
+ * A ministry, in English
+ * @param {string} slug
+ * @returns {Object|undefined}
+ */
+function findMinistry(slug) {
+    return loadCollection('ministries', DEFAULT_LANGUAGE).find(ministry => ministry.slug === slug);
+}
+
+/**
+ * The email addresses of a ministry's leaders, from the staff collection
+ * @param {string} slug - The ministry
+ * @returns {string[]} - [] for a ministry that doesn't exist, or whose
+ *   leaders have no email address
+ */
+function getLeaderEmails(slug) {
+    const ministry = findMinistry(slug);
+    if (!ministry) return [];
+
+    const staff = loadCollection('staff', DEFAULT_LANGUAGE);
+    return (ministry.leaders || [])
+        .map(leader => (staff.find(person => person.slug === leader) || {}).email)
+        .filter(Boolean);
+}
+
+// ============================================
+// Reading & checking
+// ============================================
+
+/**
+ * The longest a field may be: its own limit, or its type's
+ * @param {Object} field - From FORMS
+ * @returns {number}
+ */
+function getMaxLength(field) {
+    return field.maxLength || MAX_LENGTH[field.type] || MAX_LENGTH.text;
+}
+
+/**
+ * Find a field, or a column of a 'rows' field, by its posted name
+ * @param {Object} form - From FORMS
+ * @param {string} name - e.g. 'email' or 'household-age'
+ * @returns {Object|undefined}
+ */
+function findField(form, name) {
+    for (const field of form.fields) {
+        if (field.name === name) return field;
+        const column = (field.columns || []).find(item => `${field.name}-${item.name}` === name);
+        if (column) return column;
+    }
+    return undefined;
+}
+
+/**
+ * A checked value as it's kept
+ * @param {Object} field - From FORMS
+ * @param {string} value - Trimmed and checked
+ * @returns {*}
+ */
+function cleanValue(field, value) {
+    if (field.type === 'number') return value === '' ? null : Number(value);
+    if (field.type === 'date') return /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : '';
+    if (field.type === 'email') return value.toLowerCase();
+    return field.format === 'state' ? value.toUpperCase() : value;
+}
+
+/**
+ * Check the rows of a 'rows' field; rows left blank are dropped
+ * @param {Object} field - From FORMS
+ * @param {Object} data - What was posted
+ * @param {Object} fields - Problems by posted name, added to
+ * @returns {Object[]} - The rows, by column name
+ */
+function validateRows(field, data, fields) {
+    const columns = field.columns.map(column => ({
+        column,
+        name: `${field.name}-${column.name}`,
+        values: [].concat(data[`${field.name}-${column.name}`] ?? []).map(value => String(value).trim())
+    }));
+    const count = Math.min(Math.max(0, ...columns.map(({ values }) => values.length)), field.max);
+    const rows = [];
+
+    for (let i = 0; i < count; i++) {
+        if (columns.every(({ values }) => !values[i])) continue;
+
+        const row = {};
+        columns.forEach(({ column, name, values }) => {
+            const value = values[i] || '';
+            const problem = FormRules.check({ ...column, value, maxLength: getMaxLength(column) }, data);
+            if (problem) {
+                fields[name] = fields[name] || problem;
+            } else {
+                row[column.name] = cleanValue(column, value);
+            }
+        });
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Check a submission and keep only the fields the form has
+ * @param {Object} form - From FORMS
+ * @param {Object} data - What was posted
+ * @returns {Object} - The cleaned-up entry
+ */
+function validate(form, data) {
+    const fields = {};
+    const entry = {};
+
+    form.fields.forEach(field => {
+        const given = data[field.name];
+
+        if (field.type === 'rows') {
+            entry[field.name] = validateRows(field, data, fields);
+            return;
+        }
+        if (field.type === 'list') {
+            entry[field.name] = [].concat(given ?? []).map(value => String(value).trim().slice(0, MAX_LENGTH.select)).filter(Boolean);
+            return;
+        }
+        if (field.type === 'checkbox') {
+            entry[field.name] = [true, 'true', 'yes', 'on'].includes(given);
+            return;
+        }
+
+        const value = String(Array.isArray(given) ? given[0] : given ?? '').trim();
+        const problem = FormRules.check({ ...field, value, maxLength: getMaxLength(field) }, data);
+
+        if (problem) {
+            fields[field.name] = problem;
+        } else {
+            entry[field.name] = cleanValue(field, value);
+        }
+    });
+
+    if (Object.keys(fields).length) {
+        throw new HttpError(422, 'invalid', fields);
+    }
+
+    return entry;
+}
+
+// ============================================
+// Emails
+// ============================================
+
+/**
+ * The submission as "Label: value" lines
+ * @param {Object} form - From FORMS
+ * @param {Object} entry - The saved entry
+ * @param {Function} t - Translator
+ * @returns {string[]}
+ */
+function describeEntry(form, entry, t) {
+    return form.fields
+        .filter(field => field.type !== 'textarea')
+        .map(field => {
+            const value = entry[field.name];
+            if (field.type === 'checkbox') return `${t(`forms.fields.${field.name}`)}: ${t(value ? 'common.yes' : 'common.no')}`;
+            if (Array.isArray(value) ? !value.length : value === '' || value === null) return null;
+            if (field.type === 'rows') {
+                // e.g. "Lily (Child, 6)"
+                const rows = value.map(row => {
+                    const [first, ...rest] = field.columns.map(column => row[column.name]).filter(item => item !== '' && item !== null);
+                    return rest.length ? `${first} (${rest.join(', ')})` : first;
+                });
+                return `${t(`forms.fields.${field.name}`)}: ${rows.join('; ')}`;
+            }
+            return `${t(`forms.fields.${field.name}`)}: ${[].concat(value).join(', ')}`;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Tell the ministry inbox(es), then thank the visitor
+ * @param {Object} options - { site, formName, form, entry, name, lang }
+ * @returns {Promise<boolean>} - Whether the visitor was emailed
+ */
+async function sendEmails({ site, formName, form, entry, name, lang }) {
+    const inboxes = loadInboxes();
+    const to = [...new Set(form.route(entry).map(inbox => inboxes[inbox] || inbox))];
+    const message = form.fields.find(field => field.type === 'textarea');
+
+    // The inboxes get English, whatever language the visitor used
+    const office = createTranslator(DEFAULT_LANGUAGE);
+    await sendMail({
+        to,
+        ...(entry.email && { replyTo: entry.email }),
+        subject: office(`forms.emails.${formName}.officeSubject`, { name: name || office('forms.emails.anonymous') }),
+        text: [
+            ...describeEntry(form, entry, office),
+            ...(lang !== DEFAULT_LANGUAGE
+                ? [office('forms.emails.language', { language: (site.languages.find(item => item.code === lang) || {}).name || lang })]
+                : []),
+            ...(form.notes ? form.notes(entry, office, site) : []),
+            '',
+            entry[message.name] || ''
+        ].join('\n').trim()
+    });
+
+    if (!entry.email) return false;
+
+    const t = createTranslator(lang);
+    const services = form.kind === FollowUp.KIND
+        ? ['', t('forms.emails.serviceTimes'), ...site.services.map(service =>
+            `${t(`weekdays.${service.day}`)}, ${formatHours(service, lang)}: ${t(`services.${service.id}`)}`)]
+        : [];
+
+    await sendMail({
+        to: entry.email,
+        replyTo: to[0],
+        subject: t(`forms.emails.${formName}.subject`, { church: site.name }),
+        text: [
+            name ? t('forms.emails.greeting', { name }) : t('forms.emails.greetingAnonymous'),
+            '',
+            t(`forms.emails.${formName}.body`, { church: site.name }),
+            ...services,
+            '',
+            t('forms.emails.questions', { phone: site.phone }),
+            '',
+            site.name,
+            site.url
+        ].join('\n')
+    });
+    return true;
+}
+
+// ============================================
+// Responses
+// ============================================
+
+/**
+ * A page listing what to fix, for a plain form post
+ * @param {Object} form - From FORMS
+ * @param {Object} fields - Problems by field name
+ * @param {string} lang - Language code
+ * @returns {Object} - Netlify function response
+ */
+function errorPage(form, fields, lang) {
+    const t = createTranslator(lang);
+    const items = Object.entries(fields)
+        .map(([name, problem]) => {
+            const field = findField(form, name);
+            const number = problem === 'number';
+            const message = t(`forms.errors.${problem}`, {
+                min: number ? field.min : field.minLength,
+                max: number ? field.max : getMaxLength(field),
+                field: field.match && t(`forms.fields.${field.match}`)
+            });
+            return `<li>${escapeHtml(t(`forms.fields.${name}`))}: ${escapeHtml(message)}</li>`;
+        })
+        .join('\n        ');
+
+    return {
+        statusCode: 422,
+        headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' },
+        body: `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(t('forms.checkTitle'))}</title>
+</head>
+<body style="font-family: sans-serif; max-width: 40rem; margin: 3rem auto; padding: 0 1rem; line-height: 1.5;">
+    <h1>${escapeHtml(t('forms.checkTitle'))}</h1>
+    <ul>
+        ${items}
+    </ul>
+    <p><a href="javascript:history.back()">${escapeHtml(t('forms.back'))}</a></p>
+</body>
+</html>
+`
+    };
+}
+
+// ============================================
+// Handler
+// ============================================
+
+function getStore() {
+    store = store || createStore();
+    return store;
+}
+
+function getLanguage(value) {
+    return LANGUAGES.includes(value) ? value : DEFAULT_LANGUAGE;
+}
+
+exports.handler = createHandler({
+    async POST(request) {
+        const { data, native } = readSubmission(request);
+        const lang = getLanguage(data.lang);
+        const formName = String(data['form-name'] || '');
+        const form = FORMS[formName];
+
+        if (!form) {
+            throw new HttpError(404, 'not-found');
+        }
+
+        const done = native
+            ? { statusCode: 303, headers: { Location: form.thankYou }, body: '' }
+            : json(200, { ok: true, redirect: form.thankYou });
+
+        // Bots fill in the hidden "bot-field"; pretend it worked
+        if (data['bot-field']) {
+            return done;
+        }
+
+        let entry;
+        try {
+            entry = validate(form, data);
+        } catch (error) {
+            if (native && error instanceof HttpError) return errorPage(form, error.fields, lang);
+            throw error;
+        }
+
+        const name = form.name.map(field => entry[field]).filter(Boolean).join(' ');
+        const record = await getStore().transaction(tx => tx.insert(form.kind, { lang, ...entry, ...(form.source && { source: form.source }) }));
+
+        // The submission is saved; a mail problem shouldn't lose it
+        try {
+            const acknowledged = await sendEmails({ site: loadSite(), formName, form, entry, name, lang });
+            if (acknowledged && form.acknowledged) {
+                await getStore().transaction(tx => tx.update(form.kind, form.acknowledged(tx.find(form.kind, { id: record.id }))));
+            }
+        } catch (error) {
+            console.error(`${formName} ${record.id} saved, but the emails failed:`, error);
+        }
+
+        return done;
+    }
+});
@@ -0,0 +1,97 @@
+/**
+ * Delmar Nazarene Church - Giving Events
+ * =======================================
+ *
+ * Serverless function the payment provider posts to when something
+ * happens to a gift away from the site:
+ *
+ *   POST /.netlify/functions/giving-events
+ *
+ * Each later charge of a recurring gift is recorded as a gift of its
+ * own (so it's on the donor's statement) and receipted; a recurring gift
+ * stopped at the provider is marked cancelled. Notices are checked with
+ * the provider's readEvent() (see netlify/lib/giving/index.js), and a
+ * notice sent twice is only recorded once.
+ */
+
+'use strict';
+
+const { HttpError, json, createHandler } = require('../lib/http');
+const { createStore } = require('../lib/store');
+const Giving = require('../lib/giving');
+const { sendReceipt } = require('../lib/giving/receipts');
+
+let store;
+
+function getStore() {
+    store = store || createStore();
+    return store;
+}
+
+/**
+ * Record a recurring gift's later charge
+ * @param {Object} event - { gift, reference, amount, at }
+ * @returns {Promise<Object|null>} - The new gift, or null if it was
+ *                                   already recorded or isn't ours
+ */
+function recordRenewal(event) {
+    return getStore().transaction(tx => {
+        const first = tx.find(Giving.KIND, { id: event.gift });
+        if (!first || tx.find(Giving.KIND, { reference: event.reference })) return null;
+
+        // Split as the first gift was, unless the amount has changed since
+        const same = event.amount === first.amount + first.fee;
+        return tx.insert(Giving.KIND, {
+            amount: same ? first.amount : event.amount,
+            fee: same ? first.fee : 0,
+            fund: first.fund,
+            frequency: first.frequency,
+            name: first.name,
+            email: first.email,
+            lang: first.lang,
+            provider: first.provider,
+            status: 'completed',
+            completed_at: event.at,
+            reference: event.reference,
+            renewal_of: first.id
+        });
+    });
+}
+
+exports.handler = createHandler({
+    async POST(request) {
+        const provider = Giving.getProvider();
+        if (!provider.readEvent) {
+            throw new HttpError(404, 'not-found');
+        }
+
+        let event;
+        try {
+            event = await provider.readEvent(request);
+        } catch (error) {
+            console.warn('Giving event turned down:', error.message);
+            throw new HttpError(400, 'bad-request');
+        }
+
+        if (event && event.type === 'renewal') {
+            const gift = await recordRenewal(event);
+            if (gift) {
+                try {
+                    await sendReceipt(gift);
+                    await getStore().transaction(tx => tx.update(Giving.KIND, { ...tx.find(Giving.KIND, { id: gift.id }), receipted_at: new Date().toISOString() }));
+                } catch (error) {
+                    console.error(`Gift ${gift.id} recorded, but the receipt failed:`, error);
+                }
+            }
+        }
+
+        if (event && event.type === 'cancelled') {
+            await getStore().transaction(tx => {
+                const gift = tx.find(Giving.KIND, { id: event.gift });
+                if (gift && !gift.cancelled_at) tx.update(Giving.KIND, { ...gift, cancelled_at: new Date().toISOString() });
+            });
+        }
+
+        return json(200, { received: true });
+    }
+});
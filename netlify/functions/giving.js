@@ -0,0 +1,209 @@
+/**
+ * Delmar Nazarene Church - Giving
+ * ================================
+ *
+ * Serverless function behind the online giving form (give.html) and the
+ * gift confirmation on the thank-you page:
+ *
+ *   GET  /.netlify/functions/giving
+ *        The funds, schedules, limits and card fee the form offers
+ *   POST /.netlify/functions/giving
+ *        amount=50&fund=tithe&frequency=monthly&cover-fee=on&name=...&email=...
+ *        (a plain form post, or the same as JSON)
+ *        Saves the gift and sends the donor on to the payment provider
+ *   GET  /.netlify/functions/giving?gift=<id>
+ *        How the gift went, once the donor is back on the thank-you page
+ *
+ * The payment provider is chosen by the environment; see
+ * netlify/lib/giving/index.js. When a gift is confirmed the donor is
+ * emailed a receipt in their language.
+ *
+ * A plain form post is redirected to the provider. A JSON post is
+ * answered { ok, redirect }, or 422 { error: 'invalid', fields: { amount: 'amount', ... } }.
+ */
+
+'use strict';
+
+const FormRules = require('../../assets/js/form-rules');
+const { DEFAULT_LANGUAGE, LANGUAGES } = require('../../scripts/lib/content');
+const { createTranslator } = require('../../scripts/lib/i18n');
+const { loadSite } = require('../../scripts/lib/settings');
+const { HttpError, json, readSubmission, createHandler } = require('../lib/http');
+const { createStore } = require('../lib/store');
+const Giving = require('../lib/giving');
+const { sendReceipt } = require('../lib/giving/receipts');
+
+const MAX_LENGTH = 200;
+
+let store;
+
+function getStore() {
+    store = store || createStore();
+    return store;
+}
+
+function getLanguage(value) {
+    return LANGUAGES.includes(value) ? value : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Check a gift as posted
+ * @param {Object} data - The submission
+ * @param {Object} provider - The payment provider
+ * @returns {Object} - { amount, fee, fund, frequency, name, email }
+ * @throws {HttpError} - 422 listing the fields to fix
+ */
+function validate(data, provider) {
+    const fields = {};
+    const text = (name) => String([].concat(data[name] ?? '')[0]).trim();
+
+    // The same check as the form's data-format="amount", then the limits
+    const amount = Giving.parseAmount(text('amount'));
+    const amountProblem = FormRules.check({ value: text('amount'), required: true, format: 'amount' });
+    if (amountProblem) {
+        fields.amount = amountProblem;
+    } else if (amount < Giving.MIN_AMOUNT || amount > Giving.MAX_AMOUNT) {
+        fields.amount = 'amount';
+    }
+
+    const fund = text('fund');
+    if (!Giving.FUNDS.includes(fund)) fields.fund = 'required';
+
+    const frequency = text('frequency') || 'once';
+    if (!Giving.FREQUENCIES.includes(frequency)) fields.frequency = 'required';
+
+    ['name', 'email'].forEach(name => {
+        const problem = FormRules.check({ value: text(name), type: name === 'email' ? 'email' : 'text', required: true, maxLength: MAX_LENGTH });
+        if (problem) fields[name] = problem;
+    });
+
+    if (Object.keys(fields).length) {
+        throw new HttpError(422, 'invalid', fields);
+    }
+
+    const coverFee = ['on', 'true', true].includes(data['cover-fee']);
+    return {
+        amount,
+        fee: coverFee ? Giving.coverFee(amount, provider.fee) : 0,
+        fund,
+        frequency,
+        name: text('name'),
+        email: text('email').toLowerCase()
+    };
+}
+
+/**
+ * Where to send the donor back to after paying. A deploy preview or local
+ * copy brings them back to itself, but only one of this site's own
+ * addresses is used: any other Origin is ignored, so the payment pages
+ * can't be made to redirect somewhere else.
+ * @param {Object} request - The incoming request
+ * @param {Object} site - The site settings
+ * @returns {string} - The origin to build the return links on
+ */
+function returnOrigin(request, site) {
+    const origin = (request.headers || {}).origin;
+    const own = [site.url, process.env.URL, process.env.DEPLOY_PRIME_URL, process.env.DEPLOY_URL]
+        .filter(Boolean)
+        .map(url => url.replace(/\/+$/, ''));
+    return own.includes(origin) ? origin : site.url;
+}
+
+/**
+ * Ask the provider the gift went through how it went, and record the
+ * answer. That's the provider saved with the gift, so gifts started
+ * before the church changed providers are still confirmed.
+ * @param {string} id - The gift's id
+ * @returns {Promise<Object>} - The gift as it now stands
+ */
+async function confirmGift(id) {
+    const gift = (await getStore().list(Giving.KIND, { id }))[0];
+    if (!gift) {
+        throw new HttpError(404, 'not-found');
+    }
+    if (gift.status === 'completed' || gift.status === 'failed') {
+        return gift;
+    }
+
+    const status = await Giving.getProvider(gift.provider).confirm(gift);
+    if (status === gift.status) {
+        return gift;
+    }
+
+    // Checked again here, so two thank-you pages loading at once can't
+    // both complete the gift and send two receipts
+    const { updated, changed } = await getStore().transaction(tx => {
+        const record = tx.find(Giving.KIND, { id });
+        if (record.status === 'completed' || record.status === 'failed' || record.status === status) {
+            return { updated: record, changed: false };
+        }
+
+        record.status = status;
+        if (status === 'completed') record.completed_at = new Date().toISOString();
+        return { updated: tx.update(Giving.KIND, record), changed: true };
+    });
+
+    // The gift is recorded; a mail problem shouldn't undo that
+    if (changed && status === 'completed') {
+        try {
+            await sendReceipt(updated);
+            await getStore().transaction(tx => tx.update(Giving.KIND, { ...tx.find(Giving.KIND, { id }), receipted_at: new Date().toISOString() }));
+        } catch (error) {
+            console.error(`Gift ${id} completed, but the receipt failed:`, error);
+        }
+    }
+
+    return updated;
+}
+
+exports.handler = createHandler({
+    async GET(request) {
+        const id = (request.queryStringParameters || {}).gift;
+
+        if (id) {
+            return json(200, Giving.toPublic(await confirmGift(id)));
+        }
+
+        const provider = Giving.getProvider();
+        return json(200, {
+            provider: provider.name,
+            funds: Giving.FUNDS,
+            frequencies: Giving.FREQUENCIES,
+            fee: provider.fee,
+            min: Giving.MIN_AMOUNT,
+            max: Giving.MAX_AMOUNT
+        });
+    },
+
+    async POST(request) {
+        const { data, native } = readSubmission(request);
+        const provider = Giving.getProvider();
+        const lang = getLanguage(data.lang);
+        const entry = validate(data, provider);
+        const site = loadSite();
+        const origin = returnOrigin(request, site);
+
+        const gift = await getStore().transaction(tx => tx.insert(Giving.KIND, {
+            ...entry,
+            lang,
+            provider: provider.name,
+            status: 'pending',
+            reference: null
+        }));
+
+        const { url, reference } = await provider.start(gift, {
+            success: `${origin}/en/thank-you/?gift=${gift.id}`,
+            cancel: `${origin}/en/give/#online-giving`,
+            description: `${createTranslator(DEFAULT_LANGUAGE)(`giving.funds.${gift.fund}`)} – ${site.name}`
+        });
+
+        await getStore().transaction(tx => tx.update(Giving.KIND, {
+            ...tx.find(Giving.KIND, { id: gift.id }),
+            reference
+        }));
+
+        return native
+            ? { statusCode: 303, headers: { Location: url }, body: '' }
+            : json(200, { ok: true, redirect: url });
+    }
+});
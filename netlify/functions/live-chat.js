@@ -0,0 +1,26 @@
+/**
+ * Delmar Nazarene Church - Live Chat
+ * ===================================
+ *
+ * Serverless function behind the chat moderation page
+ * (admin/live-chat.html). Moderators sign in with their Netlify Identity
+ * (CMS) account, which needs the "staff" role:
+ *
+ *   POST /.netlify/functions/live-chat
+ *        { ticket, url }: a ticket to join the chat as a moderator
+ *        (see netlify/lib/live-chat.js) and where the chat server is
+ *        (chat_url in src/data/site.json; '' for the local server)
+ */
+
+'use strict';
+
+const { loadSite } = require('../../scripts/lib/settings');
+const { json, createHandler, requireRole } = require('../lib/http');
+const { createTicket } = require('../lib/live-chat');
+
+exports.handler = createHandler({
+    async POST(request, context) {
+        const user = requireRole(context, 'staff');
+        return json(200, { ticket: createTicket(user.email), url: loadSite().chat_url || '' });
+    }
+});
@@ -0,0 +1,48 @@
+/**
+ * Delmar Nazarene Church - Livestream
+ * ====================================
+ *
+ * Serverless function the livestream page (assets/js/livestream.js)
+ * asks whether the church is live on YouTube:
+ *
+ *   GET  /.netlify/functions/livestream
+ *        { live, videoId, title, checkedAt }
+ *
+ * Browsers can't read YouTube's pages themselves, so the check happens
+ * here (see netlify/lib/livestream.js). Netlify's CDN keeps each answer
+ * for a minute and shares it between its edge locations ("durable"), so
+ * a full sanctuary of phones refreshing at once only reaches this
+ * function about once a minute, and it asks YouTube then.
+ */
+
+'use strict';
+
+const { loadSettings } = require('../../scripts/lib/settings');
+const { HttpError, json, createHandler } = require('../lib/http');
+const { checkLive } = require('../lib/livestream');
+
+// How long an answer is reused, in seconds
+const MAX_AGE = 60;
+
+// Only this function instance's last answer. Netlify runs several
+// instances and starts new ones at will, so this just spares YouTube
+// when requests get past the CDN's copy; the CDN does the real saving.
+let cached = null;
+
+exports.handler = createHandler({
+    async GET() {
+        if (!cached || Date.now() - Date.parse(cached.checkedAt) > MAX_AGE * 1000) {
+            try {
+                cached = { ...await checkLive(loadSettings().social.youtube), checkedAt: new Date().toISOString() };
+            } catch (error) {
+                console.warn('Could not check the livestream:', error.message);
+                throw new HttpError(502, 'unavailable');
+            }
+        }
+
+        return json(200, cached, {
+            'Cache-Control': `public, max-age=${MAX_AGE}`,
+            'Netlify-CDN-Cache-Control': `public, durable, s-maxage=${MAX_AGE}`
+        });
+    }
+});
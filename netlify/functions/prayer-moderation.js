@@ -0,0 +1,112 @@
+/**
+ * Delmar Nazarene Church - Prayer Wall Moderation
+ * ================================================
+ *
+ * Serverless function behind the moderation page
+ * (admin/prayer-wall.html). Moderators sign in with their Netlify
+ * Identity (CMS) account, which needs the "staff" role.
+ *
+ *   GET  /.netlify/functions/prayer-moderation
+ *        Every request shared with the church family, with its status
+ *   POST /.netlify/functions/prayer-moderation
+ *        { id, action, text, name }
+ *        action: 'approve'  Put it on the wall (again, restarting the clock)
+ *                'save'     Change the text or name shown, nothing else
+ *                'archive'  Take it down
+ *        text and name are optional; name '' shows it anonymously.
+ *
+ * Private requests aren't listed here either: they're for the prayer
+ * team's inbox only.
+ */
+
+'use strict';
+
+const { loadPrayerWall } = require('../../scripts/lib/settings');
+const { HttpError, json, readJson, createHandler, requireRole } = require('../lib/http');
+const { createStore } = require('../lib/store');
+const { KIND, isShared, expiresAt, getStatus, displayName, displayText } = require('../lib/prayer-wall');
+
+const ACTIONS = ['approve', 'save', 'archive'];
+const MAX_TEXT = 5000;
+const MAX_NAME = 100;
+
+let store;
+
+function getStore() {
+    store = store || createStore();
+    return store;
+}
+
+/**
+ * A request as moderators see it
+ * @param {Object} record - A shared prayer request
+ * @param {number} expireDays - From loadPrayerWall()
+ * @returns {Object}
+ */
+function toModeration(record, expireDays) {
+    const expires = expiresAt(record, expireDays);
+
+    return {
+        id: record.id,
+        received: record.created_at,
+        status: getStatus(record, expireDays),
+        from: { name: record.name || '', email: record.email || '', phone: record.phone || '' },
+        type: record['request-type'] || '',
+        anonymous: Boolean(record['share-anonymously']),
+        original: record['prayer-request'],
+        text: displayText(record),
+        name: displayName(record),
+        prayed: record.prayed || 0,
+        approved_at: record.approved_at || null,
+        expires_at: expires ? expires.toISOString() : null,
+        moderated_by: record.moderated_by || null
+    };
+}
+
+exports.handler = createHandler({
+    async GET(request, context) {
+        requireRole(context, 'staff');
+        const { expireDays } = loadPrayerWall();
+        const requests = (await getStore().list(KIND))
+            .filter(isShared)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(record => toModeration(record, expireDays));
+
+        return json(200, { expire_days: expireDays, requests });
+    },
+
+    async POST(request, context) {
+        const user = requireRole(context, 'staff');
+        const data = readJson(request);
+        const { expireDays } = loadPrayerWall();
+
+        if (!ACTIONS.includes(data.action)) {
+            throw new HttpError(422, 'invalid', { action: 'invalid' });
+        }
+
+        const changes = {};
+        if (data.text !== undefined) {
+            const text = String(data.text).trim();
+            if (!text) throw new HttpError(422, 'invalid', { text: 'required' });
+            changes.wall_text = text.slice(0, MAX_TEXT);
+        }
+        if (data.name !== undefined) {
+            changes.wall_name = String(data.name).trim().slice(0, MAX_NAME);
+        }
+        if (data.action === 'approve') {
+            Object.assign(changes, { wall: 'approved', approved_at: new Date().toISOString() });
+        } else if (data.action === 'archive') {
+            changes.wall = 'archived';
+        }
+
+        const saved = await getStore().transaction(tx => {
+            const record = tx.find(KIND, { id: String(data.id || '') });
+            if (!record || !isShared(record)) {
+                throw new HttpError(404, 'not-found');
+            }
+            return tx.update(KIND, { ...record, ...changes, moderated_by: user.email });
+        });
+
+        return json(200, toModeration(saved, expireDays));
+    }
+});
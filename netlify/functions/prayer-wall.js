@@ -0,0 +1,87 @@
+/**
+ * Delmar Nazarene Church - Prayer Wall
+ * =====================================
+ *
+ * Serverless function behind the public prayer wall
+ * (assets/js/prayer-wall.js):
+ *
+ *   GET  /.netlify/functions/prayer-wall
+ *        The approved requests still on the wall, newest first
+ *   POST /.netlify/functions/prayer-wall
+ *        { id }   Someone prayed for a request; answers { prayed }
+ *
+ * Each address counts once for a request. The request keeps a hash of
+ * the addresses that have prayed for it, salted with its id so they
+ * can't be matched up between requests.
+ *
+ * Private requests, and shared ones still waiting for a moderator, are
+ * never sent (see netlify/lib/prayer-wall.js).
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { loadPrayerWall } = require('../../scripts/lib/settings');
+const { HttpError, json, readJson, createHandler, clientAddress } = require('../lib/http');
+const { createStore } = require('../lib/store');
+const { KIND, isShared, getStatus, toPublic } = require('../lib/prayer-wall');
+
+let store;
+
+function getStore() {
+    store = store || createStore();
+    return store;
+}
+
+/**
+ * Is a request on the wall right now?
+ * @param {Object} record - A prayer request
+ * @param {number} expireDays - From loadPrayerWall()
+ * @returns {boolean}
+ */
+function isOnWall(record, expireDays) {
+    return isShared(record) && getStatus(record, expireDays) === 'approved';
+}
+
+/**
+ * Who prayed, as kept on the request
+ * @param {string} id - The request's id
+ * @param {string} address - From clientAddress()
+ * @returns {string}
+ */
+function hashClient(id, address) {
+    return crypto.createHash('sha256').update(`${id}:${address}`).digest('hex').slice(0, 16);
+}
+
+exports.handler = createHandler({
+    async GET() {
+        const { expireDays } = loadPrayerWall();
+        const requests = (await getStore().list(KIND))
+            .filter(record => isOnWall(record, expireDays))
+            .sort((a, b) => b.approved_at.localeCompare(a.approved_at))
+            .map(toPublic);
+
+        return json(200, { requests });
+    },
+
+    async POST(request) {
+        const { id } = readJson(request);
+        const { expireDays } = loadPrayerWall();
+
+        const prayed = await getStore().transaction(tx => {
+            const record = tx.find(KIND, { id: String(id || '') });
+            if (!record || !isOnWall(record, expireDays)) {
+                throw new HttpError(404, 'not-found');
+            }
+
+            // Already counted from here: the count stays as it is
+            const client = hashClient(record.id, clientAddress(request));
+            const prayedBy = record.prayed_by || [];
+            if (prayedBy.includes(client)) return record.prayed || 0;
+
+            return tx.update(KIND, { ...record, prayed: (record.prayed || 0) + 1, prayed_by: [...prayedBy, client] }).prayed;
+        });
+
+        return json(200, { prayed });
+    }
+});
@@ -0,0 +1,53 @@
+/**
+ * Delmar Nazarene Church - Push Sender
+ * =====================================
+ *
+ * Serverless function that sends the notifications that are due (see
+ * netlify/lib/push.js):
+ *
+ *   - high-priority announcements and new ministry events, once they're
+ *     published
+ *   - the livestream, when it starts
+ *
+ * Netlify runs it every two minutes (netlify.toml), which is how a
+ * broadcast starting is noticed; YouTube is only asked near a streamed
+ * service. Announcements and events go out straight after the deploy
+ * that publishes them (deploy-succeeded.js), or on the next run.
+ *
+ * Scheduled functions can't be called by URL on Netlify. Locally,
+ * send it a POST:
+ *
+ *   POST /.netlify/functions/push-send
+ *        { sent: [{ key, topic, sent, failed, removed }] }
+ *
+ * Nothing is sent twice, so running it more often does no harm.
+ */
+
+'use strict';
+
+const { json, createHandler } = require('../lib/http');
+const { createStore } = require('../lib/store');
+const { getVapidKeys } = require('../lib/web-push');
+const { sendDue } = require('../lib/push');
+
+let store;
+
+function getStore() {
+    store = store || createStore();
+    return store;
+}
+
+exports.handler = createHandler({
+    async POST() {
+        if (!getVapidKeys()) {
+            console.warn('Push notifications are off: VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are not set');
+            return json(200, { sent: [] });
+        }
+
+        const sent = await sendDue(getStore(), { livestream: true });
+        sent.forEach(({ key, sent: count, failed, removed }) => {
+            console.log(`Push ${key}: ${count} sent, ${failed} failed, ${removed} removed`);
+        });
+        return json(200, { sent });
+    }
+});
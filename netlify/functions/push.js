@@ -0,0 +1,108 @@
+/**
+ * Delmar Nazarene Church - Push Subscriptions
+ * ============================================
+ *
+ * Serverless function behind the notification settings
+ * (assets/js/push-notifications.js):
+ *
+ *   GET    /.netlify/functions/push
+ *          { publicKey, topics }: the site's VAPID key, which browsers
+ *          subscribe with, and the topics there are to pick from
+ *   POST   /.netlify/functions/push
+ *          { subscription, topics, lang }: turn notifications on for this
+ *          browser, or change its topics
+ *   DELETE /.netlify/functions/push
+ *          { endpoint }: turn them off
+ *
+ * A browser is known only by its subscription; nothing else about the
+ * person is kept. What gets sent, and when, is push-send.js.
+ *
+ * Once MAX_SUBSCRIPTIONS (netlify/lib/push.js) are kept, a new one takes
+ * the place of one that was turned off, or is answered 503 'full'.
+ */
+
+'use strict';
+
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../../scripts/lib/content');
+const { HttpError, json, readJson, createHandler } = require('../lib/http');
+const { createStore } = require('../lib/store');
+const { getVapidKeys } = require('../lib/web-push');
+const { KIND, TOPICS, MAX_SUBSCRIPTIONS, isValidSubscription } = require('../lib/push');
+
+let store;
+
+function getStore() {
+    store = store || createStore();
+    return store;
+}
+
+/**
+ * The VAPID public key; without one, notifications are switched off
+ * @returns {string}
+ */
+function requirePublicKey() {
+    const keys = getVapidKeys();
+    if (!keys) {
+        throw new HttpError(503, 'unavailable');
+    }
+    return keys.publicKey;
+}
+
+exports.handler = createHandler({
+    async GET() {
+        return json(200, { publicKey: requirePublicKey(), topics: TOPICS });
+    },
+
+    async POST(request) {
+        requirePublicKey();
+        const { subscription, topics, lang } = readJson(request);
+
+        const fields = {};
+        if (!isValidSubscription(subscription)) fields.subscription = 'invalid';
+        if (!Array.isArray(topics) || !topics.length || !topics.every(topic => TOPICS.includes(topic))) fields.topics = 'invalid';
+        if (Object.keys(fields).length) {
+            throw new HttpError(400, 'invalid', fields);
+        }
+
+        const saved = await getStore().transaction(tx => {
+            const record = {
+                subscription: { endpoint: subscription.endpoint, keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth } },
+                topics: [...new Set(topics)],
+                lang: LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE,
+                removed_at: null
+            };
+            const records = tx.list(KIND);
+            const existing = records.find(item => item.subscription.endpoint === subscription.endpoint);
+            if (existing) {
+                return tx.update(KIND, { ...existing, ...record });
+            }
+            if (records.length < MAX_SUBSCRIPTIONS) {
+                return tx.insert(KIND, record);
+            }
+
+            // The one turned off longest ago
+            const replaced = records
+                .filter(item => item.removed_at)
+                .sort((a, b) => a.removed_at.localeCompare(b.removed_at))[0];
+            if (!replaced) {
+                throw new HttpError(503, 'full');
+            }
+            return tx.update(KIND, { id: replaced.id, created_at: new Date().toISOString(), ...record });
+        });
+
+        return json(200, { topics: saved.topics });
+    },
+
+    async DELETE(request) {
+        const { endpoint } = readJson(request);
+
+        await getStore().transaction(tx => {
+            const existing = tx.list(KIND).find(item => item.subscription.endpoint === String(endpoint || ''));
+            if (existing && !existing.removed_at) {
+                tx.update(KIND, { ...existing, removed_at: new Date().toISOString() });
+            }
+        });
+
+        return json(200, { topics: [] });
+    }
+});
@@ -0,0 +1,81 @@
+/**
+ * Delmar Nazarene Church - Visitor Follow-up
+ * ===========================================
+ *
+ * Serverless function behind the follow-up dashboard
+ * (admin/visitors.html). The welcome team signs in with their Netlify
+ * Identity (CMS) account, which needs the "staff" role.
+ *
+ *   GET  /.netlify/functions/visitor-follow-up
+ *        Every visitor, newest first, with the stage they're waiting on
+ *   POST /.netlify/functions/visitor-follow-up
+ *        { id, action, stage, note }
+ *        action: 'complete'  Mark stage done, with an optional note
+ *                'undo'      Mark stage not done again
+ *                'note'      Add a note, e.g. "Left a voicemail"
+ *
+ * The stages are in netlify/lib/follow-up.js.
+ */
+
+'use strict';
+
+const { HttpError, json, readJson, createHandler, requireRole } = require('../lib/http');
+const { createStore } = require('../lib/store');
+const { KIND, STAGES, setStep, addNote, toDashboard } = require('../lib/follow-up');
+
+const ACTIONS = ['complete', 'undo', 'note'];
+const MAX_NOTE = 1000;
+
+let store;
+
+function getStore() {
+    store = store || createStore();
+    return store;
+}
+
+exports.handler = createHandler({
+    async GET(request, context) {
+        requireRole(context, 'staff');
+        const visitors = (await getStore().list(KIND))
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(toDashboard);
+
+        return json(200, { stages: STAGES, visitors });
+    },
+
+    async POST(request, context) {
+        const user = requireRole(context, 'staff');
+        const data = readJson(request);
+        const note = String(data.note ?? '').trim().slice(0, MAX_NOTE);
+        const at = new Date().toISOString();
+
+        if (!ACTIONS.includes(data.action)) {
+            throw new HttpError(422, 'invalid', { action: 'invalid' });
+        }
+        if (data.action !== 'note' && !STAGES.some(stage => stage.id === data.stage)) {
+            throw new HttpError(422, 'invalid', { stage: 'invalid' });
+        }
+        if (data.action === 'note' && !note) {
+            throw new HttpError(422, 'invalid', { note: 'required' });
+        }
+
+        const saved = await getStore().transaction(tx => {
+            const record = tx.find(KIND, { id: String(data.id || '') });
+            if (!record) {
+                throw new HttpError(404, 'not-found');
+            }
+
+            let changed;
+            if (data.action === 'complete') {
+                changed = setStep(record, data.stage, { at, by: user.email, ...(note && { note }) });
+            } else if (data.action === 'undo') {
+                changed = setStep(record, data.stage, null);
+            } else {
+                changed = addNote(record, { at, by: user.email, text: note });
+            }
+            return tx.update(KIND, changed);
+        });
+
+        return json(200, toDashboard(saved));
+    }
+});
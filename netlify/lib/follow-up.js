@@ -0,0 +1,117 @@
+/**
+ * Delmar Nazarene Church - Visitor Follow-up
+ * ===========================================
+ *
+ * Every connection card (the new visitor form, or a hand raised beside
+ * the livestream) becomes a follow-up record: the visitor as kept in
+ * the data store ('visitors'), moving through the welcome team's stages
+ * in order:
+ *
+ *   welcome-email → pastor-call → first-visit-gift → done
+ *
+ * A stage is finished when someone marks it done on the dashboard
+ * (admin/visitors.html). The welcome email finishes itself when the
+ * forms function sends the visitor's acknowledgment; without an email
+ * address, the team marks it done once they've said hello another way.
+ */
+
+'use strict';
+
+const KIND = 'visitors';
+
+// In order; the labels are for the dashboard
+const STAGES = [
+    { id: 'welcome-email', label: 'Welcome email' },
+    { id: 'pastor-call', label: 'Pastor call' },
+    { id: 'first-visit-gift', label: 'First-visit gift' }
+];
+
+// Anyone younger is listed for children's ministry check-in
+const CHILD_AGE = 18;
+
+/**
+ * The stage a visitor is waiting on
+ * @param {Object} record - A visitor
+ * @returns {string} - A stage id, or 'done'
+ */
+function getStage(record) {
+    const steps = (record.follow_up || {}).steps || {};
+    const stage = STAGES.find(item => !steps[item.id]);
+    return stage ? stage.id : 'done';
+}
+
+/**
+ * Mark a stage done (or not done again)
+ * @param {Object} record - A visitor
+ * @param {string} stage - A stage id
+ * @param {Object|null} step - { at, by, note }, or null to undo it
+ * @returns {Object} - The updated record
+ */
+function setStep(record, stage, step) {
+    const followUp = { steps: {}, notes: [], ...record.follow_up };
+    const steps = { ...followUp.steps };
+
+    if (step) {
+        steps[stage] = step;
+    } else {
+        delete steps[stage];
+    }
+
+    return { ...record, follow_up: { ...followUp, steps } };
+}
+
+/**
+ * Add a note to a visitor's follow-up
+ * @param {Object} record - A visitor
+ * @param {Object} note - { at, by, text }
+ * @returns {Object} - The updated record
+ */
+function addNote(record, note) {
+    const followUp = { steps: {}, notes: [], ...record.follow_up };
+    return { ...record, follow_up: { ...followUp, notes: [...followUp.notes, note] } };
+}
+
+/**
+ * The household members young enough for children's check-in
+ * @param {Object} record - A visitor
+ * @returns {Object[]} - [{ name, age }]
+ */
+function getChildren(record) {
+    return (record.household || [])
+        .filter(member => (member.age === null || member.age === undefined
+            ? member.relationship === 'Child'
+            : member.age < CHILD_AGE))
+        .map(({ name, age }) => ({ name, age: age ?? null }));
+}
+
+/**
+ * A visitor as the welcome team sees them
+ * @param {Object} record - A visitor
+ * @returns {Object}
+ */
+function toDashboard(record) {
+    const followUp = record.follow_up || {};
+
+    return {
+        id: record.id,
+        received: record.created_at,
+        stage: getStage(record),
+        name: [record['first-name'], record['last-name']].filter(Boolean).join(' '),
+        email: record.email || '',
+        phone: record.phone || '',
+        address: [record.address, [record.city, record.state].filter(Boolean).join(', '), record.zip].filter(Boolean).join(' '),
+        lang: record.lang,
+        source: record.source || '',
+        heard_from: record['heard-from'] || '',
+        visit_date: record['visit-date'] || '',
+        group_size: record['group-size'] || null,
+        household: record.household || [],
+        children: getChildren(record),
+        interests: record.interests || [],
+        message: record.message || '',
+        steps: followUp.steps || {},
+        notes: followUp.notes || []
+    };
+}
+
+module.exports = { KIND, STAGES, getStage, setStep, addNote, getChildren, toDashboard };
@@ -0,0 +1,38 @@
+/**
+ * Delmar Nazarene Church - ChurchTrac Giving Provider
+ * ====================================================
+ *
+ * ChurchTrac has no way for another site to start a gift, so donors are
+ * handed over to the church's ChurchTrac giving page to pay. There they
+ * pick the fund, schedule and fee coverage again (ChurchTrac doesn't
+ * take them from a link), and ChurchTrac sends the receipt and keeps
+ * the record of the gift.
+ *
+ *   CHURCHTRAC_GIVING_URL    The giving page, from ChurchTrac under
+ *                            Giving → Online Giving → Settings
+ *
+ * Gifts handed over stay 'pending' here: ChurchTrac doesn't tell the
+ * site whether they went through. For the same reason they aren't on
+ * the donor portal's statements, and donors change recurring gifts in
+ * ChurchTrac itself.
+ */
+
+'use strict';
+
+module.exports = {
+    name: 'churchtrac',
+
+    // ChurchTrac's standard card rate; the donor sees the real one there
+    fee: { percent: 2.9, fixed: 30 },
+
+    async start() {
+        if (!process.env.CHURCHTRAC_GIVING_URL) {
+            throw new Error('CHURCHTRAC_GIVING_URL is not set');
+        }
+        return { url: process.env.CHURCHTRAC_GIVING_URL, reference: null };
+    },
+
+    async confirm() {
+        return 'pending';
+    }
+};
@@ -0,0 +1,146 @@
+/**
+ * Delmar Nazarene Church - Online Giving
+ * =======================================
+ *
+ * What the giving functions (netlify/functions/giving*.js and
+ * donor-portal.js) need to know about gifts, and the payment provider
+ * that takes them. Gifts are kept in the data store as 'gifts', with
+ * amounts in cents. A recurring gift is recorded when it's first given;
+ * each later charge the provider reports is a gift of its own, with
+ * renewal_of set to the first one's id.
+ *
+ * The GIVING_PROVIDER environment variable picks the provider:
+ *
+ *   stripe        Stripe Checkout (needs STRIPE_SECRET_KEY); see stripe.js
+ *   churchtrac    The church's ChurchTrac giving page (needs
+ *                 CHURCHTRAC_GIVING_URL); see churchtrac.js
+ *   mock          No money moves; every gift succeeds. For trying the
+ *                 site out locally (scripts/dev-server.js sets it when
+ *                 no other provider is set up); see mock.js
+ *
+ * Left unset, it's Stripe if STRIPE_SECRET_KEY is set, then ChurchTrac
+ * if CHURCHTRAC_GIVING_URL is. With neither, giving is an error: the
+ * mock is only used when GIVING_PROVIDER=mock asks for it, since its
+ * gifts get receipts and appear on year-end statements.
+ *
+ * Every provider has the same shape:
+ *
+ *   name          'stripe', 'churchtrac' or 'mock'
+ *   fee           { percent, fixed } charged per gift (fixed in cents)
+ *   start(gift, options)  Resolves { url, reference }: where to send
+ *                         the donor to pay, and the provider's id for
+ *                         the gift. options is { success, cancel,
+ *                         description }: where the donor comes back to
+ *                         and what the gift is called on their statement.
+ *   confirm(gift)         Resolves 'completed', 'pending' or 'failed'
+ *
+ * and may have:
+ *
+ *   cancel(gift)          Stops a recurring gift
+ *   readEvent(request)    Reads a notice the provider posted to
+ *                         giving-events.js: resolves { type: 'renewal',
+ *                         gift, reference, amount, at } for a recurring
+ *                         gift charged again, { type: 'cancelled', gift }
+ *                         for one stopped, or null for anything else
+ */
+
+'use strict';
+
+const KIND = 'gifts';
+
+// In the order they're offered
+const FUNDS = ['tithe', 'missions', 'building', 'benevolence'];
+const FREQUENCIES = ['once', 'weekly', 'biweekly', 'monthly'];
+
+// In cents
+const MIN_AMOUNT = 100;
+const MAX_AMOUNT = 5000000;
+
+const PROVIDERS = {
+    stripe: () => require('./stripe'),
+    churchtrac: () => require('./churchtrac'),
+    mock: () => require('./mock')
+};
+
+/**
+ * The provider to use, from the environment
+ * @param {string} [name] - A particular provider instead, e.g. the one
+ *                          an earlier gift went through
+ * @returns {Object} - See above
+ */
+function getProvider(name) {
+    name = name
+        || process.env.GIVING_PROVIDER
+        || (process.env.STRIPE_SECRET_KEY && 'stripe')
+        || (process.env.CHURCHTRAC_GIVING_URL && 'churchtrac');
+
+    if (!name) {
+        throw new Error('No giving provider is set up: set STRIPE_SECRET_KEY or CHURCHTRAC_GIVING_URL (or GIVING_PROVIDER=mock to try giving out)');
+    }
+    if (!PROVIDERS[name]) {
+        throw new Error(`GIVING_PROVIDER should be ${Object.keys(PROVIDERS).join(', ')}, not "${name}"`);
+    }
+    return PROVIDERS[name]();
+}
+
+/**
+ * What a donor covering the fee pays, so the whole amount reaches the fund
+ * @param {number} amount - The gift, in cents
+ * @param {Object} fee - { percent, fixed }
+ * @returns {number} - The fee to add, in cents
+ */
+function coverFee(amount, fee) {
+    const total = Math.ceil((amount + fee.fixed) / (1 - fee.percent / 100));
+    return total - amount;
+}
+
+/**
+ * Read a dollar amount, e.g. "50" or "$1,250.00"
+ * @param {*} value - As posted
+ * @returns {number|null} - Cents, or null if it isn't an amount
+ */
+function parseAmount(value) {
+    const text = String(value ?? '').replace(/[$,\s]/g, '');
+    if (!/^\d+(\.\d{1,2})?$/.test(text)) return null;
+    return Math.round(Number(text) * 100);
+}
+
+/**
+ * Write an amount the way a language expects
+ * @param {number} cents - e.g. 125000
+ * @param {string} lang - Language code
+ * @returns {string} - e.g. "$1,250.00" (en) or "1 250,00 $US" (fr)
+ */
+function formatAmount(cents, lang) {
+    return new Intl.NumberFormat(lang, { style: 'currency', currency: 'USD' }).format(cents / 100);
+}
+
+/**
+ * Whether a gift repeats (rather than being one charge of a repeating gift)
+ * @param {Object} record - A gift
+ * @returns {boolean}
+ */
+function isRecurring(record) {
+    return record.frequency !== 'once' && !record.renewal_of;
+}
+
+/**
+ * A gift as the donor sees it
+ * @param {Object} record - A gift
+ * @returns {Object}
+ */
+function toPublic(record) {
+    return {
+        id: record.id,
+        status: record.status,
+        amount: record.amount,
+        fee: record.fee,
+        total: record.amount + record.fee,
+        fund: record.fund,
+        frequency: record.frequency,
+        date: record.completed_at || record.created_at,
+        cancelled_at: record.cancelled_at || null
+    };
+}
+
+module.exports = { KIND, FUNDS, FREQUENCIES, MIN_AMOUNT, MAX_AMOUNT, getProvider, coverFee, parseAmount, formatAmount, isRecurring, toPublic };
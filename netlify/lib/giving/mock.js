@@ -0,0 +1,27 @@
+/**
+ * Delmar Nazarene Church - Mock Giving Provider
+ * ==============================================
+ *
+ * Takes no money: the donor goes straight to the thank-you page and the
+ * gift counts as given. Lets the giving flow, receipts and statements be
+ * tried out locally (scripts/dev-server.js) without a payment account.
+ */
+
+'use strict';
+
+module.exports = {
+    name: 'mock',
+
+    // Stripe's card rate, so the "cover the fee" sums look real
+    fee: { percent: 2.9, fixed: 30 },
+
+    async start(gift, { success }) {
+        return { url: success, reference: `mock_${gift.id}` };
+    },
+
+    async confirm() {
+        return 'completed';
+    },
+
+    async cancel() {}
+};
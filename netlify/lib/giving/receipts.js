@@ -0,0 +1,90 @@
+/**
+ * Delmar Nazarene Church - Giving Receipts
+ * =========================================
+ *
+ * The emails donors get, in the language they gave in: a receipt for
+ * each gift, and their year-end statement (statements.js) attached to
+ * a short note.
+ */
+
+'use strict';
+
+const { createTranslator } = require('../../../scripts/lib/i18n');
+const { loadSite, loadInboxes } = require('../../../scripts/lib/settings');
+const { sendMail } = require('../mailer');
+const { formatAmount } = require('./index');
+
+/**
+ * The lines every giving email ends with
+ * @param {Function} t - Translator
+ * @param {Object} site - From loadSite()
+ * @returns {string[]}
+ */
+function signOff(t, site) {
+    return [
+        '',
+        t('forms.emails.questions', { phone: site.phone }),
+        '',
+        site.name,
+        site.url
+    ];
+}
+
+/**
+ * Email the donor a receipt for a completed gift
+ * @param {Object} gift - The gift
+ * @returns {Promise<void>}
+ */
+async function sendReceipt(gift) {
+    const site = loadSite();
+    const t = createTranslator(gift.lang);
+    const money = (cents) => formatAmount(cents, gift.lang);
+
+    await sendMail({
+        to: gift.email,
+        replyTo: loadInboxes().office,
+        subject: t('giving.emails.receipt.subject', { church: site.name }),
+        text: [
+            t('forms.emails.greeting', { name: gift.name }),
+            '',
+            t('giving.emails.receipt.body', { church: site.name }),
+            '',
+            `${t('giving.fields.amount')}: ${money(gift.amount)}`,
+            ...(gift.fee ? [`${t('giving.fields.fee')}: ${money(gift.fee)}`] : []),
+            `${t('giving.fields.fund')}: ${t(`giving.funds.${gift.fund}`)}`,
+            `${t('giving.fields.frequency')}: ${t(`giving.frequencies.${gift.frequency}`)}`,
+            `${t('giving.fields.date')}: ${new Date(gift.completed_at).toLocaleDateString(gift.lang, { dateStyle: 'long', timeZone: site.timezone })}`,
+            `${t('giving.fields.reference')}: ${gift.id}`,
+            '',
+            t('giving.emails.receipt.noGoods'),
+            ...signOff(t, site)
+        ].join('\n')
+    });
+}
+
+/**
+ * Email a donor their statement for a year
+ * @param {Object} donor - From statements.getDonors()
+ * @param {number} year - e.g. 2026
+ * @param {Object} file - { filename, content }, the PDF
+ * @returns {Promise<void>}
+ */
+async function sendStatement(donor, year, file) {
+    const site = loadSite();
+    const t = createTranslator(donor.lang);
+
+    await sendMail({
+        to: donor.email,
+        replyTo: loadInboxes().office,
+        subject: t('giving.emails.statement.subject', { year, church: site.name }),
+        text: [
+            t('forms.emails.greeting', { name: donor.name }),
+            '',
+            t('giving.emails.statement.body', { year, church: site.name, url: `${site.url}/en/my-giving/` }),
+            ...signOff(t, site)
+        ].join('\n'),
+        attachments: [{ ...file, contentType: 'application/pdf' }]
+    });
+}
+
+module.exports = { sendReceipt, sendStatement };
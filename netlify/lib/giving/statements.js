@@ -0,0 +1,174 @@
+/**
+ * Delmar Nazarene Church - Giving Statements
+ * ===========================================
+ *
+ * Year-end contribution statements, for donors' tax records, and the
+ * treasurer's exports. The same statement comes from the donor portal
+ * (netlify/functions/donor-portal.js) and the batch run
+ * (scripts/giving-statements.js):
+ *
+ *   buildStatement()   One donor's gifts for a year, as a PDF in their
+ *                      language
+ *   buildFundCsv()     Every gift to one fund, for the books
+ *
+ * A gift counts toward the year it was completed in, in the church's
+ * time zone, and for the whole amount the donor paid, including any
+ * card fee they chose to cover.
+ */
+
+'use strict';
+
+const { createTranslator } = require('../../../scripts/lib/i18n');
+const { addressLine } = require('../../../scripts/lib/settings');
+const { createPdf } = require('../pdf');
+const { FUNDS, formatAmount } = require('./index');
+
+// The church's green, for the heading
+const HEADING_COLOR = '0.18 0.31 0.09';
+
+/**
+ * A moment as a date in the church's time zone
+ * @param {string} value - ISO timestamp
+ * @param {string} timezone - e.g. 'America/New_York'
+ * @returns {string} - "YYYY-MM-DD"
+ */
+function localDate(value, timezone) {
+    return new Date(value).toLocaleDateString('en-CA', { timeZone: timezone });
+}
+
+/**
+ * The completed gifts in a year
+ * @param {Object[]} gifts - Gift records
+ * @param {number} year - e.g. 2026
+ * @param {string} timezone - The church's
+ * @returns {Object[]} - Oldest first
+ */
+function giftsInYear(gifts, year, timezone) {
+    return gifts
+        .filter(gift => gift.status === 'completed' && localDate(gift.completed_at, timezone).startsWith(`${year}-`))
+        .sort((a, b) => a.completed_at.localeCompare(b.completed_at));
+}
+
+/**
+ * Group a year's gifts by donor (by email address)
+ * @param {Object[]} gifts - Gift records
+ * @param {number} year - e.g. 2026
+ * @param {string} timezone - The church's
+ * @returns {Object[]} - { email, name, lang, gifts }, by name; name and
+ *                       lang are from the donor's latest gift
+ */
+function getDonors(gifts, year, timezone) {
+    const donors = new Map();
+    giftsInYear(gifts, year, timezone).forEach(gift => {
+        const donor = donors.get(gift.email) || { email: gift.email, gifts: [] };
+        donor.gifts.push(gift);
+        donor.name = gift.name;
+        donor.lang = gift.lang;
+        donors.set(gift.email, donor);
+    });
+
+    return [...donors.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * A donor's statement for a year
+ * @param {Object} donor - From getDonors()
+ * @param {number} year - e.g. 2026
+ * @param {Object} site - From loadSite()
+ * @returns {Object} - { filename, content }, content being the PDF
+ */
+function buildStatement(donor, year, site) {
+    const t = createTranslator(donor.lang);
+    const money = (cents) => formatAmount(cents, donor.lang);
+    const date = (value) => new Date(value).toLocaleDateString(donor.lang, { dateStyle: 'medium', timeZone: site.timezone });
+    const pdf = createPdf();
+    const columns = { fund: pdf.left + 120, amount: pdf.right };
+
+    pdf.text(site.name, { size: 18, bold: true, color: HEADING_COLOR });
+    pdf.text(addressLine(site.address), { size: 10 });
+    pdf.text(`${site.phone} · ${site.email} · ${site.url.replace(/^https?:\/\//, '')}`, { size: 10 });
+    pdf.space(18);
+
+    pdf.text(t('giving.statement.title', { year }), { size: 15, bold: true });
+    pdf.text(`${donor.name} <${donor.email}>`);
+    pdf.space(6);
+    pdf.text(t('giving.statement.intro', { year, church: site.name }));
+    pdf.space(12);
+
+    pdf.row([
+        { text: t('giving.fields.date') },
+        { text: t('giving.fields.fund'), x: columns.fund },
+        { text: t('giving.fields.amount'), x: columns.amount, align: 'right' }
+    ], { bold: true });
+    pdf.rule();
+    donor.gifts.forEach(gift => pdf.row([
+        { text: date(gift.completed_at) },
+        { text: t(`giving.funds.${gift.fund}`), x: columns.fund },
+        { text: money(gift.amount + gift.fee), x: columns.amount, align: 'right' }
+    ]));
+    pdf.rule();
+
+    FUNDS.forEach(fund => {
+        const total = donor.gifts.filter(gift => gift.fund === fund).reduce((sum, gift) => sum + gift.amount + gift.fee, 0);
+        if (!total) return;
+        pdf.row([
+            { text: t('giving.statement.fundTotal', { fund: t(`giving.funds.${fund}`) }), x: columns.fund },
+            { text: money(total), x: columns.amount, align: 'right' }
+        ]);
+    });
+    pdf.row([
+        { text: t('giving.statement.total', { year }), x: columns.fund },
+        { text: money(donor.gifts.reduce((sum, gift) => sum + gift.amount + gift.fee, 0)), x: columns.amount, align: 'right' }
+    ], { bold: true });
+    pdf.space(18);
+
+    pdf.text(t('giving.statement.noGoods', { church: site.name }), { size: 10 });
+    pdf.space(6);
+    pdf.text(t('giving.statement.issued', { date: date(new Date().toISOString()) }), { size: 10 });
+
+    const slug = donor.email.replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    return { filename: `giving-statement-${year}-${slug}.pdf`, content: pdf.toBuffer() };
+}
+
+/**
+ * Quote a CSV cell when it needs it
+ * Text a spreadsheet would run as a formula (a donor named "=HYPERLINK(...)")
+ * gets a leading ' so it stays text.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Every gift to one fund, one row each, in dollars
+ * @param {Object[]} gifts - That fund's completed gifts
+ * @param {string} timezone - The church's
+ * @returns {string} - CSV, with a header row
+ */
+function buildFundCsv(gifts, timezone) {
+    const dollars = (cents) => (cents / 100).toFixed(2);
+    const rows = [
+        ['Date', 'Donor', 'Email', 'Fund', 'Gift', 'Fee covered', 'Total', 'Schedule', 'Provider', 'Reference', 'Gift ID'],
+        ...gifts.map(gift => [
+            localDate(gift.completed_at, timezone),
+            gift.name,
+            gift.email,
+            gift.fund,
+            dollars(gift.amount),
+            dollars(gift.fee),
+            dollars(gift.amount + gift.fee),
+            gift.frequency,
+            gift.provider,
+            gift.reference,
+            gift.id
+        ])
+    ];
+
+    return `${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+module.exports = { localDate, giftsInYear, getDonors, buildStatement, buildFundCsv };
@@ -0,0 +1,170 @@
+/**
+ * Delmar Nazarene Church - Stripe Giving Provider
+ * ================================================
+ *
+ * Gifts are paid on a Stripe Checkout page. One-time gifts are a
+ * payment; recurring ones a subscription that Stripe charges weekly,
+ * every two weeks or monthly until the donor cancels. Stripe emails its
+ * own card receipts as well as ours.
+ *
+ *   STRIPE_SECRET_KEY        The account's secret key (sk_live_... or sk_test_...)
+ *   STRIPE_WEBHOOK_SECRET    The signing secret (whsec_...) of a webhook
+ *                            endpoint for /.netlify/functions/giving-events,
+ *                            sending invoice.paid and
+ *                            customer.subscription.deleted
+ *
+ * A gift is confirmed when the donor lands back on the thank-you page,
+ * by looking up its Checkout Session. Later charges of a recurring gift,
+ * and recurring gifts stopped from Stripe's side, arrive through the
+ * webhook.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const API_URL = 'https://api.stripe.com/v1';
+
+// How old a webhook notice may be, in seconds, before it's taken as a replay
+const WEBHOOK_TOLERANCE = 300;
+
+// Stripe's "interval" and "interval_count" for each schedule
+const INTERVALS = {
+    weekly: ['week', 1],
+    biweekly: ['week', 2],
+    monthly: ['month', 1]
+};
+
+/**
+ * Call the Stripe API
+ * @param {string} method - 'GET', 'POST' or 'DELETE'
+ * @param {string} endpoint - e.g. '/checkout/sessions'
+ * @param {Object} [params] - Form fields, already flattened
+ * @returns {Promise<Object>}
+ */
+async function stripe(method, endpoint, params) {
+    if (!process.env.STRIPE_SECRET_KEY) {
+        throw new Error('STRIPE_SECRET_KEY is not set');
+    }
+
+    const response = await fetch(`${API_URL}${endpoint}`, {
+        method,
+        headers: {
+            Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+            ...(params && { 'Content-Type': 'application/x-www-form-urlencoded' })
+        },
+        body: params ? new URLSearchParams(params).toString() : undefined
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(`Stripe ${endpoint} failed: ${response.status} ${(data.error || {}).message || ''}`);
+    }
+    return data;
+}
+
+/**
+ * Check a webhook notice came from Stripe
+ * https://docs.stripe.com/webhooks#verify-manually
+ * @param {string} body - The request body, exactly as sent
+ * @param {string} header - The Stripe-Signature header
+ * @throws {Error} - If it didn't
+ */
+function verifySignature(body, header) {
+    if (!process.env.STRIPE_WEBHOOK_SECRET) {
+        throw new Error('STRIPE_WEBHOOK_SECRET is not set');
+    }
+
+    const parts = String(header || '').split(',').map(part => part.split('='));
+    const timestamp = Number((parts.find(([key]) => key === 't') || [])[1]);
+    const expected = crypto.createHmac('sha256', process.env.STRIPE_WEBHOOK_SECRET)
+        .update(`${timestamp}.${body}`)
+        .digest();
+
+    const signed = parts
+        .filter(([key]) => key === 'v1')
+        .some(([, value]) => {
+            const given = Buffer.from(value || '', 'hex');
+            return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+        });
+
+    if (!signed || Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE) {
+        throw new Error('The webhook signature is missing, wrong or too old');
+    }
+}
+
+module.exports = {
+    name: 'stripe',
+
+    // US card rate
+    fee: { percent: 2.9, fixed: 30 },
+
+    async start(gift, { success, cancel, description }) {
+        const interval = INTERVALS[gift.frequency];
+        const item = 'line_items[0][price_data]';
+
+        const session = await stripe('POST', '/checkout/sessions', {
+            mode: interval ? 'subscription' : 'payment',
+            ...(!interval && { submit_type: 'donate' }),
+            success_url: success,
+            cancel_url: cancel,
+            client_reference_id: gift.id,
+            ...(gift.email && { customer_email: gift.email }),
+            'metadata[gift]': gift.id,
+            'metadata[fund]': gift.fund,
+            'line_items[0][quantity]': 1,
+            [`${item}[currency]`]: 'usd',
+            [`${item}[unit_amount]`]: gift.amount + gift.fee,
+            [`${item}[product_data][name]`]: description,
+            ...(interval && {
+                [`${item}[recurring][interval]`]: interval[0],
+                [`${item}[recurring][interval_count]`]: interval[1],
+                // So the webhook knows which gift a later charge belongs to
+                'subscription_data[metadata][gift]': gift.id
+            })
+        });
+
+        return { url: session.url, reference: session.id };
+    },
+
+    async confirm(gift) {
+        const session = await stripe('GET', `/checkout/sessions/${encodeURIComponent(gift.reference)}`);
+
+        if (session.status === 'expired') return 'failed';
+        if (session.status === 'complete' && ['paid', 'no_payment_required'].includes(session.payment_status)) return 'completed';
+        return 'pending';
+    },
+
+    async cancel(gift) {
+        const session = await stripe('GET', `/checkout/sessions/${encodeURIComponent(gift.reference)}`);
+        if (session.subscription) {
+            await stripe('DELETE', `/subscriptions/${encodeURIComponent(session.subscription)}`);
+        }
+    },
+
+    async readEvent(request) {
+        const body = request.isBase64Encoded
+            ? Buffer.from(request.body || '', 'base64').toString('utf8')
+            : request.body || '';
+        verifySignature(body, (request.headers || {})['stripe-signature']);
+
+        const event = JSON.parse(body);
+        const object = event.data.object;
+
+        if (event.type === 'customer.subscription.deleted' && object.metadata.gift) {
+            return { type: 'cancelled', gift: object.metadata.gift };
+        }
+
+        // The first charge is the gift itself, confirmed on the thank-you page
+        if (event.type === 'invoice.paid' && object.billing_reason === 'subscription_cycle') {
+            // Where the subscription's metadata is depends on the API version
+            const details = object.subscription_details || (object.parent || {}).subscription_details || {};
+            const gift = (details.metadata || {}).gift;
+            return gift
+                ? { type: 'renewal', gift, reference: object.id, amount: object.amount_paid, at: new Date(object.status_transitions.paid_at * 1000).toISOString() }
+                : null;
+        }
+
+        return null;
+    }
+};
@@ -0,0 +1,163 @@
+/**
+ * Delmar Nazarene Church - Function Requests & Responses
+ * =======================================================
+ *
+ * Small helpers shared by the serverless functions in netlify/functions/:
+ * JSON responses, reading a JSON body or plain form post, routing by
+ * HTTP method and checking who is signed in.
+ *
+ * Anyone can create a Netlify Identity account (donors do, for the donor
+ * portal), so functions for church staff check the account's role too.
+ * Roles are given in Netlify's Identity settings (Users → Edit settings).
+ *
+ * Errors meant for the visitor are thrown as HttpError and turned into
+ * a JSON response ({ error, fields }). Anything else is logged and
+ * answered with a plain 500, so no internals leak out.
+ */
+
+'use strict';
+
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} code - Machine-readable error, e.g. 'invalid', 'full'
+     * @param {Object} [fields] - Problems with individual fields, e.g. { email: 'invalid' }
+     */
+    constructor(status, code, fields) {
+        super(code);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+        this.fields = fields;
+    }
+}
+
+/**
+ * A JSON response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response data
+ * @param {Object} [headers] - Extra headers
+ * @returns {Object} - Netlify function response
+ */
+function json(status, body, headers = {}) {
+    return {
+        statusCode: status,
+        headers: {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': 'no-store',
+            ...headers
+        },
+        body: JSON.stringify(body)
+    };
+}
+
+/**
+ * Read a request's JSON body
+ * @param {Object} request - Netlify function event
+ * @returns {Object}
+ */
+function readJson(request) {
+    const raw = request.isBase64Encoded
+        ? Buffer.from(request.body || '', 'base64').toString('utf8')
+        : request.body || '';
+
+    try {
+        const data = JSON.parse(raw);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('not an object');
+        return data;
+    } catch (error) {
+        throw new HttpError(400, 'bad-request');
+    }
+}
+
+/**
+ * Read a submission, whichever way it was posted
+ * @param {Object} request - Netlify function event
+ * @returns {Object} - { data, native } where data maps names to values
+ *                     (arrays for repeated names) and native is true for
+ *                     a plain form post
+ */
+function readSubmission(request) {
+    const type = String((request.headers || {})['content-type'] || '');
+    if (type.includes('application/json')) {
+        return { data: readJson(request), native: false };
+    }
+
+    const raw = request.isBase64Encoded
+        ? Buffer.from(request.body || '', 'base64').toString('utf8')
+        : request.body || '';
+    const params = new URLSearchParams(raw);
+    const data = {};
+    params.forEach((value, name) => {
+        data[name] = name in data ? [].concat(data[name], value) : value;
+    });
+
+    return { data, native: true };
+}
+
+/**
+ * Build a function handler that routes by HTTP method
+ * @param {Object} methods - e.g. { GET: async (request, context) => json(200, {...}) }
+ * @returns {Function} - The handler to export
+ */
+function createHandler(methods) {
+    return async function handler(request, context = {}) {
+        const method = methods[request.httpMethod];
+        if (!method) {
+            return json(405, { error: 'method-not-allowed' }, { Allow: Object.keys(methods).join(', ') });
+        }
+
+        try {
+            return await method(request, context);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                return json(error.status, { error: error.code, ...(error.fields && { fields: error.fields }) });
+            }
+            console.error(error);
+            return json(500, { error: 'server-error' });
+        }
+    };
+}
+
+/**
+ * The address a request came from
+ * Netlify passes the browser's own in x-nf-client-connection-ip (as
+ * scripts/dev-server.js does locally).
+ * @param {Object} request - Netlify function event
+ * @returns {string} - e.g. '203.0.113.7', or '' if it isn't known
+ */
+function clientAddress(request) {
+    return String((request.headers || {})['x-nf-client-connection-ip'] || '').trim();
+}
+
+/**
+ * The signed-in Netlify Identity user (the same accounts as the CMS)
+ * Netlify checks the "Authorization: Bearer <token>" header and passes
+ * the user in the function's context.
+ * @param {Object} context - Netlify function context
+ * @returns {Object} - The user ({ email, ... })
+ */
+function requireUser(context) {
+    const user = context && context.clientContext && context.clientContext.user;
+    if (!user) {
+        throw new HttpError(401, 'unauthorized');
+    }
+    return user;
+}
+
+/**
+ * The signed-in Netlify Identity user, if their account has a role
+ * @param {Object} context - Netlify function context
+ * @param {string} role - e.g. 'staff'
+ * @returns {Object} - The user ({ email, app_metadata: { roles }, ... })
+ */
+function requireRole(context, role) {
+    const user = requireUser(context);
+    const roles = (user.app_metadata && user.app_metadata.roles) || [];
+    if (!roles.includes(role)) {
+        throw new HttpError(403, 'forbidden');
+    }
+    return user;
+}
+
+module.exports = { HttpError, json, readJson, readSubmission, createHandler, clientAddress, requireUser, requireRole };
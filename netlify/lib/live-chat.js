@@ -0,0 +1,60 @@
+/**
+ * Delmar Nazarene Church - Live Chat Tickets
+ * ===========================================
+ *
+ * The livestream chat runs on its own server (scripts/live-chat-server.js),
+ * since Netlify functions can't hold a WebSocket open. Moderators sign in
+ * with Netlify Identity like everywhere else, and the live-chat function
+ * gives them a ticket the chat server can check without Identity: their
+ * email address and an expiry, signed with a secret both sides know.
+ *
+ *   CHAT_SECRET    Any long random string, set on Netlify and on the
+ *                  chat server
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+// How long a moderator's ticket lasts (a long Sunday)
+const TICKET_HOURS = 12;
+
+function sign(payload) {
+    if (!process.env.CHAT_SECRET) {
+        throw new Error('CHAT_SECRET is not set');
+    }
+    return crypto.createHmac('sha256', process.env.CHAT_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * A moderator's ticket
+ * @param {string} email - Who it's for
+ * @returns {string}
+ */
+function createTicket(email) {
+    const payload = Buffer.from(JSON.stringify({ email, exp: Date.now() + TICKET_HOURS * 60 * 60 * 1000 })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check a ticket
+ * @param {string} ticket - From createTicket()
+ * @returns {Object|null} - { email }, or null if it's forged or expired
+ */
+function readTicket(ticket) {
+    const [payload, signature] = String(ticket || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    try {
+        const { email, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return exp > Date.now() ? { email } : null;
+    } catch {
+        return null;
+    }
+}
+
+module.exports = { createTicket, readTicket };
@@ -0,0 +1,83 @@
+/**
+ * Delmar Nazarene Church - Livestream Check
+ * ==========================================
+ *
+ * Whether the church's YouTube channel (social.youtube in the church
+ * settings) is live right now. YouTube's own /live address for a channel
+ * opens the current broadcast when there is one, so its page says which
+ * video is on and whether it's live. That needs no API key; the Data
+ * API's search costs too much of the daily quota to ask every minute.
+ *
+ *   LIVESTREAM_MOCK=live:<videoId>   Answer "live" with that video
+ *   LIVESTREAM_MOCK=offline          Answer "not live"
+ *
+ * without asking YouTube, for trying the livestream page out locally
+ * (scripts/dev-server.js) and for tests.
+ */
+
+'use strict';
+
+const MOCK_PATTERN = /^(?:live:([\w-]{11})|offline)$/;
+
+const ENTITIES = { amp: '&', quot: '"', lt: '<', gt: '>', '#39': "'" };
+
+/**
+ * Undo the HTML escaping in a page attribute
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(amp|quot|lt|gt|#39);/g, (entity, name) => ENTITIES[name]);
+}
+
+/**
+ * The answer LIVESTREAM_MOCK asks for
+ * @param {string} value - The variable's value
+ * @returns {Object} - { live, videoId, title }
+ */
+function mockStatus(value) {
+    const match = value.match(MOCK_PATTERN);
+    if (!match) {
+        throw new Error('LIVESTREAM_MOCK should be "live:<videoId>" or "offline"');
+    }
+    return match[1]
+        ? { live: true, videoId: match[1], title: 'Sunday Worship (mock livestream)' }
+        : { live: false, videoId: '', title: '' };
+}
+
+/**
+ * Is the channel live?
+ * @param {string} channel - e.g. 'https://www.youtube.com/@delmarchurchofthenazarene'
+ * @returns {Promise<Object>} - { live, videoId, title }
+ */
+async function checkLive(channel) {
+    if (process.env.LIVESTREAM_MOCK) {
+        return mockStatus(process.env.LIVESTREAM_MOCK);
+    }
+    if (!channel) {
+        throw new Error('The church settings have no YouTube channel');
+    }
+
+    const response = await fetch(`${channel.replace(/\/+$/, '')}/live`, {
+        headers: {
+            'Accept-Language': 'en-US,en;q=0.8',
+            // Skip the cookie consent page YouTube shows some regions
+            Cookie: 'CONSENT=YES+1'
+        }
+    });
+    if (!response.ok) {
+        throw new Error(`YouTube answered ${response.status}`);
+    }
+
+    const html = await response.text();
+    const video = html.match(/<link rel="canonical" href="https:\/\/www\.youtube\.com\/watch\?v=([\w-]{11})"/);
+    // A broadcast that's only scheduled has a video too, but isn't live yet
+    if (!video || !/"isLiveNow":\s*true/.test(html)) {
+        return { live: false, videoId: '', title: '' };
+    }
+
+    const title = html.match(/<meta name="title" content="([^"]*)"/);
+    return { live: true, videoId: video[1], title: title ? decodeEntities(title[1]) : '' };
+}
+
+module.exports = { checkLive };
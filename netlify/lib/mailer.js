@@ -0,0 +1,147 @@
+/**
+ * Delmar Nazarene Church - Email
+ * ===============================
+ *
+ * Sends the emails the serverless functions write (confirmations,
+ * notices to the church office).
+ *
+ * How mail is sent depends on the environment:
+ *
+ *   RESEND_API_KEY    Through Resend (https://resend.com)
+ *   SMTP_URL          Through an SMTP server (see smtp.js). The local
+ *                     server (scripts/dev-server.js) sets this to its
+ *                     SMTP stand-in, which saves mail to .data/outbox/
+ *   neither           Saved straight to .data/outbox/ as .eml files
+ *
+ * MAIL_FROM sets the sender, e.g.
+ * "Delmar Church of Nazarene <office@delmarnaz.com>". With Resend it
+ * must be on a domain verified there.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('../../scripts/lib/content');
+const { sendSmtp } = require('./smtp');
+
+const OUTBOX_DIR = path.join(ROOT_DIR, '.data', 'outbox');
+const RESEND_URL = 'https://api.resend.com/emails';
+
+/**
+ * Encode a header value that isn't plain ASCII (RFC 2047)
+ * @param {string} value - Header text
+ * @returns {string}
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+/**
+ * Base64 in 76-character lines, as MIME expects
+ * @param {string|Buffer} content - The content
+ * @returns {string}
+ */
+function base64Lines(content) {
+    return Buffer.from(content).toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+/**
+ * Write a message as a MIME document
+ * @param {Object} message - See sendMail()
+ * @returns {string} - The .eml file
+ */
+function toMime({ from, to, replyTo, subject, text, attachments = [] }) {
+    const boundary = `----=_Part_${Date.now().toString(36)}`;
+    const headers = [
+        `From: ${from}`,
+        `To: ${[].concat(to).join(', ')}`,
+        ...(replyTo ? [`Reply-To: ${replyTo}`] : []),
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/mixed; boundary="${boundary}"`
+    ];
+
+    const parts = [
+        ['Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: base64', '', base64Lines(text)],
+        ...attachments.map(file => [
+            `Content-Type: ${file.contentType || 'application/octet-stream'}; name="${file.filename}"`,
+            'Content-Transfer-Encoding: base64',
+            `Content-Disposition: attachment; filename="${file.filename}"`,
+            '',
+            base64Lines(file.content)
+        ])
+    ];
+
+    return [
+        ...headers,
+        '',
+        ...parts.map(part => [`--${boundary}`, ...part].join('\r\n')),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+}
+
+/**
+ * The bare address from "Name <address>"
+ * @param {string} value - A sender or recipient
+ * @returns {string}
+ */
+function bareAddress(value) {
+    const match = String(value).match(/<([^>]+)>/);
+    return match ? match[1] : String(value).trim();
+}
+
+/**
+ * Send an email
+ * @param {Object} message
+ * @param {string|string[]} message.to - Recipient(s)
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @param {string} [message.replyTo] - Where replies should go
+ * @param {Object[]} [message.attachments] - { filename, content, contentType }
+ * @returns {Promise<void>}
+ */
+async function sendMail(message) {
+    const from = process.env.MAIL_FROM || 'Delmar Church of Nazarene <office@delmarnaz.com>';
+
+    if (!process.env.RESEND_API_KEY && process.env.SMTP_URL) {
+        const to = [].concat(message.to);
+        await sendSmtp(process.env.SMTP_URL, { from: bareAddress(from), to: to.map(bareAddress) }, toMime({ from, ...message, to }));
+        return;
+    }
+
+    if (!process.env.RESEND_API_KEY) {
+        const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${String([].concat(message.to)[0]).replace(/[^\w.@-]/g, '_')}.eml`;
+        fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+        fs.writeFileSync(path.join(OUTBOX_DIR, name), toMime({ from, ...message }));
+        console.log(`  Email saved to .data/outbox/${name}`);
+        return;
+    }
+
+    const response = await fetch(RESEND_URL, {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${process.env.RESEND_API_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            from,
+            to: [].concat(message.to),
+            subject: message.subject,
+            text: message.text,
+            ...(message.replyTo && { reply_to: message.replyTo }),
+            attachments: (message.attachments || []).map(file => ({
+                filename: file.filename,
+                content: Buffer.from(file.content).toString('base64')
+            }))
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`Email to ${message.to} failed: ${response.status} ${await response.text()}`);
+    }
+}
+
+module.exports = { sendMail };
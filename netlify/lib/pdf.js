@@ -0,0 +1,193 @@
+/**
+ * Delmar Nazarene Church - PDF Documents
+ * =======================================
+ *
+ * Just enough PDF to print a giving statement: lines of text in
+ * Helvetica, some right-aligned, with rules between sections, flowing
+ * onto new US Letter pages as needed. No dependencies.
+ *
+ *   const pdf = createPdf();
+ *   pdf.text('Giving statement 2026', { size: 16, bold: true });
+ *   pdf.row([{ text: 'Missions' }, { text: '$50.00', x: pdf.right, align: 'right' }]);
+ *   fs.writeFileSync('statement.pdf', pdf.toBuffer());
+ *
+ * Text is written in the standard fonts' Windows-1252 encoding, which
+ * covers English, French and Haitian Creole; anything else prints as "?".
+ */
+
+'use strict';
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+
+// Helvetica's widths (thousandths of the font size) for the characters
+// amounts and dates are made of; others are taken as 556, near enough
+// for wrapping text
+const WIDTHS = {
+    ' ': 278, ',': 278, '.': 278, ':': 278, '/': 278, '-': 333, '(': 333, ')': 333,
+    i: 222, l: 222, j: 222, f: 278, t: 278, r: 333, I: 278, m: 833, w: 722, M: 833, W: 944
+};
+
+// Windows-1252 bytes for the characters it has outside Latin-1
+const WIN_ANSI = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+    '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+    'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F,
+    // Narrow and thin spaces (French number formatting uses them)
+    '\u202F': 0x20, '\u2009': 0x20
+};
+
+/**
+ * A string as a PDF hex string in Windows-1252
+ * @param {string} text
+ * @returns {string} - e.g. "<48656C6C6F>"
+ */
+function encode(text) {
+    const bytes = [...String(text)].map(char => {
+        const code = char.codePointAt(0);
+        if (WIN_ANSI[char] !== undefined) return WIN_ANSI[char];
+        if (code >= 0x20 && code <= 0xFF && !(code >= 0x7F && code < 0xA0)) return code;
+        return 0x3F;
+    });
+    return `<${bytes.map(byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase()}>`;
+}
+
+/**
+ * How wide a string prints
+ * @param {string} text
+ * @param {number} size - Font size
+ * @returns {number} - Points
+ */
+function measure(text, size) {
+    return [...String(text)].reduce((width, char) => width + (WIDTHS[char] || 556), 0) * size / 1000;
+}
+
+/**
+ * Start a document
+ * @returns {Object} - { text, row, rule, space, toBuffer }
+ */
+function createPdf() {
+    const pages = [];
+    let page;
+    let y;
+
+    function newPage() {
+        page = [];
+        pages.push(page);
+        y = PAGE_HEIGHT - MARGIN;
+    }
+
+    // Move down a line, starting a new page if this one is full
+    function advance(height) {
+        if (!page || y - height < MARGIN) newPage();
+        y -= height;
+    }
+
+    function draw({ text, x = MARGIN, align = 'left', size, bold, color }) {
+        const left = align === 'right' ? x - measure(text, size) : x;
+        page.push(`BT ${color || '0 0 0'} rg /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td ${encode(text)} Tj ET`);
+    }
+
+    return {
+        width: PAGE_WIDTH - 2 * MARGIN,
+        left: MARGIN,
+        right: PAGE_WIDTH - MARGIN,
+
+        /**
+         * Write a paragraph, wrapped to the page
+         * @param {string} text
+         * @param {Object} [options] - { size, bold, color ('r g b', 0–1) }
+         */
+        text(text, { size = 11, bold = false, color } = {}) {
+            const lines = [];
+            String(text).split(/\s+/).filter(Boolean).forEach(word => {
+                const last = lines[lines.length - 1];
+                if (last !== undefined && measure(`${last} ${word}`, size) <= this.width) {
+                    lines[lines.length - 1] = `${last} ${word}`;
+                } else {
+                    lines.push(word);
+                }
+            });
+
+            lines.forEach(line => {
+                advance(size * 1.4);
+                draw({ text: line, size, bold, color });
+            });
+        },
+
+        /**
+         * Write one line of cells
+         * @param {Object[]} cells - { text, x, align ('left' or 'right'), bold }
+         * @param {Object} [options] - { size, bold }
+         */
+        row(cells, { size = 11, bold = false } = {}) {
+            advance(size * 1.4);
+            cells.forEach(cell => draw({ size, bold, ...cell }));
+        },
+
+        /**
+         * A thin line across the page
+         */
+        rule() {
+            advance(8);
+            page.push(`0.6 G 0.5 w ${MARGIN} ${y + 4} m ${PAGE_WIDTH - MARGIN} ${y + 4} l S`);
+        },
+
+        /**
+         * @param {number} height - Points
+         */
+        space(height) {
+            advance(height);
+        },
+
+        /**
+         * The finished file
+         * @returns {Buffer}
+         */
+        toBuffer() {
+            if (!pages.length) newPage();
+
+            // 1 catalog, 2 page tree, 3–4 fonts, then a page and its contents for each page
+            const objects = [
+                '<< /Type /Catalog /Pages 2 0 R >>',
+                `<< /Type /Pages /Kids [${pages.map((_, i) => `${5 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+            ];
+            pages.forEach((content, i) => {
+                const stream = content.join('\n');
+                objects.push(
+                    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`,
+                    `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`
+                );
+            });
+
+            let output = '%PDF-1.4\n';
+            const offsets = objects.map((object, i) => {
+                const offset = Buffer.byteLength(output, 'latin1');
+                output += `${i + 1} 0 obj\n${object}\nendobj\n`;
+                return offset;
+            });
+
+            const xref = Buffer.byteLength(output, 'latin1');
+            output += [
+                'xref',
+                `0 ${objects.length + 1}`,
+                '0000000000 65535 f ',
+                ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+                'trailer',
+                `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+                'startxref',
+                String(xref),
+                '%%EOF',
+                ''
+            ].join('\n');
+
+            return Buffer.from(output, 'latin1');
+        }
+    };
+}
+
+module.exports = { createPdf };
@@ -0,0 +1,91 @@
+/**
+ * Delmar Nazarene Church - Prayer Wall
+ * =====================================
+ *
+ * What the prayer wall functions share. Prayer requests come in through
+ * the forms function and are kept in the data store as 'prayer-requests'.
+ * Only the ones whose sender ticked "share with the church family" ever
+ * reach the wall, and only once a moderator has approved them:
+ *
+ *   pending  → approved → (expired after prayer_wall.expire_days)
+ *                       → archived
+ *
+ * The wall shows a moderator's edited text and name when there is one.
+ * Otherwise it shows the request as sent, under the sender's first name,
+ * or under no name at all if they left it out or asked to stay
+ * anonymous.
+ */
+
+'use strict';
+
+const KIND = 'prayer-requests';
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Did the sender ask for the request to be shared?
+ * @param {Object} record - A prayer request
+ * @returns {boolean}
+ */
+function isShared(record) {
+    return record['share-with-church'] === true;
+}
+
+/**
+ * When an approved request comes down
+ * @param {Object} record - A prayer request
+ * @param {number} expireDays - From loadPrayerWall()
+ * @returns {Date|null} - null if it hasn't been approved
+ */
+function expiresAt(record, expireDays) {
+    return record.approved_at ? new Date(Date.parse(record.approved_at) + expireDays * DAY) : null;
+}
+
+/**
+ * Where a shared request is in moderation
+ * @param {Object} record - A shared prayer request
+ * @param {number} expireDays - From loadPrayerWall()
+ * @param {Date} [now] - The current time
+ * @returns {string} - 'pending', 'approved', 'expired' or 'archived'
+ */
+function getStatus(record, expireDays, now = new Date()) {
+    const status = record.wall || 'pending';
+    return status === 'approved' && expiresAt(record, expireDays) <= now ? 'expired' : status;
+}
+
+/**
+ * The name shown on the wall
+ * @param {Object} record - A prayer request
+ * @returns {string} - '' for anonymous
+ */
+function displayName(record) {
+    if (typeof record.wall_name === 'string') return record.wall_name;
+    if (record['share-anonymously']) return '';
+    return String(record.name || '').trim().split(/\s+/)[0];
+}
+
+/**
+ * The text shown on the wall
+ * @param {Object} record - A prayer request
+ * @returns {string}
+ */
+function displayText(record) {
+    return typeof record.wall_text === 'string' ? record.wall_text : record['prayer-request'];
+}
+
+/**
+ * A request as the public sees it: nothing that identifies the sender
+ * beyond the name shown
+ * @param {Object} record - An approved prayer request
+ * @returns {Object} - { id, name, text, prayed, date }
+ */
+function toPublic(record) {
+    return {
+        id: record.id,
+        name: displayName(record) || null,
+        text: displayText(record),
+        prayed: record.prayed || 0,
+        date: record.approved_at
+    };
+}
+
+module.exports = { KIND, isShared, expiresAt, getStatus, displayName, displayText, toPublic };
@@ -0,0 +1,347 @@
+/**
+ * Delmar Nazarene Church - Push Notifications
+ * ============================================
+ *
+ * What the push functions share. Each browser that turns notifications
+ * on is kept in the data store as a 'push-subscriptions' record with
+ * the topics it picked and its language:
+ *
+ *   announcements      High-priority announcements
+ *   livestream         The Sunday livestream starting
+ *   events-<category>  New events for one ministry, by the events
+ *                      calendar's categories (youth, children, ...)
+ *
+ * Everything that has been sent is noted in 'push-sent' under a key
+ * ('announcement:<slug>', 'event:<slug>', 'livestream:<videoId>'), so
+ * nothing goes out twice. The first check takes note of what's already
+ * published without sending it, so turning this on doesn't announce
+ * every old entry at once.
+ *
+ * A notification goes out in batches sent side by side. The record
+ * notes who each batch reached, so if a run stops partway (a function
+ * can only run so long) the next one carries on with the rest.
+ */
+
+'use strict';
+
+const { loadCollection } = require('../../scripts/lib/content');
+const { createTranslator } = require('../../scripts/lib/i18n');
+const { loadSite } = require('../../scripts/lib/settings');
+const { checkLive } = require('./livestream');
+const { sendNotification } = require('./web-push');
+
+const KIND = 'push-subscriptions';
+const SENT_KIND = 'push-sent';
+
+// The events calendar's categories (assets/js/calendar.js)
+const EVENT_CATEGORIES = ['worship', 'bible-study', 'youth', 'children', 'outreach', 'fellowship'];
+
+const TOPICS = ['announcements', 'livestream', ...EVENT_CATEGORIES.map(category => `events-${category}`)];
+
+// Marks the first check (see above)
+const FIRST_CHECK = 'first-check';
+
+// The browsers' push services: Chrome and Edge (Google), Firefox,
+// Windows and Safari. push-send.js posts to every endpoint, so anything
+// else is turned down.
+const PUSH_SERVICES = [
+    'fcm.googleapis.com',
+    'updates.push.services.mozilla.com',
+    '*.notify.windows.com',
+    'web.push.apple.com'
+];
+
+// Subscriptions kept at most, counting those turned off, whose places
+// new ones take
+const MAX_SUBSCRIPTIONS = 2000;
+
+// Subscriptions sent to at once
+const BATCH_SIZE = 50;
+
+// How long a run has a notification to itself before another may carry
+// on with it (longer than a function runs)
+const CLAIM_SECONDS = 60;
+
+// The livestream is looked for from this long before a streamed service
+// until it ends (or this long after it starts, without an end time)
+const LIVE_WINDOW = { before: 15, defaultMinutes: 90 };
+
+/**
+ * Is this a subscription a browser could have made, with a push service?
+ * @param {Object} subscription - PushSubscription.toJSON()
+ * @returns {boolean}
+ */
+function isValidSubscription(subscription) {
+    if (!subscription || typeof subscription !== 'object') return false;
+    const { endpoint, keys } = subscription;
+
+    let url;
+    try {
+        url = new URL(String(endpoint));
+    } catch {
+        return false;
+    }
+
+    // The local stand-in (scripts/lib/push-stand-in.js) is the one
+    // exception to the known push services
+    const standIn = process.env.PUSH_STAND_IN_URL;
+    const known = url.protocol === 'https:' && !url.port && PUSH_SERVICES.some(host => (host.startsWith('*.')
+        ? url.hostname.endsWith(host.slice(1))
+        : url.hostname === host));
+    if (!known && !(standIn && url.href.startsWith(standIn))) return false;
+
+    const decoded = (value, length) => typeof value === 'string' && Buffer.from(value, 'base64url').length === length;
+    return Boolean(keys) && decoded(keys.p256dh, 65) && decoded(keys.auth, 16);
+}
+
+/**
+ * The date and time at the church
+ * @param {Date} now
+ * @param {string} timezone - e.g. 'America/New_York'
+ * @returns {Object} - { date: 'YYYY-MM-DD', day: 'sunday', minutes } (since midnight)
+ */
+function localTime(now, timezone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'long',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value]));
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        day: parts.weekday.toLowerCase(),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+/**
+ * Is a streamed service about to start or under way?
+ * @param {Object} site - From loadSite()
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isServiceTime(site, now) {
+    const { day, minutes } = localTime(now, site.timezone);
+    const toMinutes = (time) => {
+        const [hours, mins] = String(time).split(':').map(Number);
+        return hours * 60 + (mins || 0);
+    };
+
+    return site.services.some(service => {
+        if (!service.livestream || service.day !== day) return false;
+        const start = toMinutes(service.start_time);
+        const end = service.end_time ? toMinutes(service.end_time) : start + LIVE_WINDOW.defaultMinutes;
+        return minutes >= start - LIVE_WINDOW.before && minutes <= end;
+    });
+}
+
+/**
+ * Shorten text for a notification
+ * @param {string} text
+ * @param {number} length
+ * @returns {string}
+ */
+function truncate(text, length = 120) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > length ? `${clean.slice(0, length - 1).trimEnd()}…` : clean;
+}
+
+/**
+ * Published announcements and events that should have a notification:
+ * high-priority announcements dated today or earlier and still showing,
+ * and upcoming events in a ministry category
+ * @param {Object} site - From loadSite()
+ * @param {Date} now
+ * @returns {Object[]} - { key, topic, message(lang) }
+ */
+function findContent(site, now) {
+    const today = localTime(now, site.timezone).date;
+    // Each language's entries, loaded once however many subscribers
+    const loaded = {};
+    const inLanguage = (collection, slug, lang) => {
+        loaded[`${collection}/${lang}`] = loaded[`${collection}/${lang}`] || loadCollection(collection, lang);
+        return loaded[`${collection}/${lang}`].find(entry => entry.slug === slug);
+    };
+
+    const announcements = loadCollection('announcements', 'en')
+        .filter(item => item.priority === 'high' && item.date && item.date.slice(0, 10) <= today)
+        .filter(item => !item.display_until || item.display_until.slice(0, 10) >= today)
+        .map(item => ({
+            key: `announcement:${item.slug}`,
+            topic: 'announcements',
+            options: { urgency: 'high' },
+            message: (lang) => {
+                const entry = inLanguage('announcements', item.slug, lang) || item;
+                return {
+                    title: entry.title,
+                    body: truncate(entry.excerpt),
+                    url: `/en/announcements/#${item.slug}`,
+                    tag: `announcement-${item.slug}`
+                };
+            }
+        }));
+
+    const events = loadCollection('events', 'en')
+        .filter(item => EVENT_CATEGORIES.includes(item.category) && item.date && item.date.slice(0, 10) >= today)
+        .map(item => ({
+            key: `event:${item.slug}`,
+            topic: `events-${item.category}`,
+            options: {},
+            message: (lang) => {
+                const entry = inLanguage('events', item.slug, lang) || item;
+                const t = createTranslator(lang);
+                const date = new Date(`${item.date.slice(0, 10)}T12:00:00Z`)
+                    .toLocaleDateString(lang, { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' });
+                return {
+                    title: t('push.newEvent', { category: t(`calendar.categories.${item.category}`) }),
+                    body: truncate(`${entry.title} · ${date}`),
+                    url: '/en/events/',
+                    tag: `event-${item.slug}`
+                };
+            }
+        }));
+
+    return [...announcements, ...events];
+}
+
+/**
+ * The livestream, if it has just started
+ * @param {Object} site - From loadSite()
+ * @param {Date} now
+ * @returns {Promise<Object[]>} - At most one { key, topic, message(lang) }
+ */
+async function findLivestream(site, now) {
+    // LIVESTREAM_MOCK is for trying this out, at any hour
+    if (!process.env.LIVESTREAM_MOCK && !isServiceTime(site, now)) return [];
+
+    const status = await checkLive(site.social.youtube);
+    if (!status.live) return [];
+
+    return [{
+        key: `livestream:${status.videoId}`,
+        topic: 'livestream',
+        options: { urgency: 'high', ttl: 30 * 60, topic: 'livestream' },
+        message: (lang) => {
+            const t = createTranslator(lang);
+            return {
+                title: t('push.liveTitle'),
+                body: truncate(status.title || t('push.liveBody')),
+                url: '/en/worship/livestream/',
+                tag: 'livestream'
+            };
+        }
+    }];
+}
+
+/**
+ * When a claim on a notification made now runs out
+ * @returns {string}
+ */
+function claimUntil() {
+    return new Date(Date.now() + CLAIM_SECONDS * 1000).toISOString();
+}
+
+/**
+ * Send one notification to everyone following its topic who it hasn't
+ * reached yet, a batch at a time
+ * Subscriptions the push service says have ended are marked removed.
+ * @param {Object} store - From createStore()
+ * @param {Object} item - { key, topic, options, message(lang), reached }
+ * @returns {Promise<Object>} - { sent, failed, removed }
+ */
+async function sendToTopic(store, { key, topic, options, message, reached }) {
+    const site = loadSite();
+    const subscriptions = (await store.list(KIND))
+        .filter(record => !record.removed_at && record.topics.includes(topic) && !reached.includes(record.id));
+    const result = { sent: 0, failed: 0, removed: 0 };
+
+    for (let i = 0; i < subscriptions.length; i += BATCH_SIZE) {
+        const batch = subscriptions.slice(i, i + BATCH_SIZE);
+        const outcomes = await Promise.allSettled(batch.map(record =>
+            sendNotification(record.subscription, { ...message(record.lang), icon: site.logo }, options)));
+        const gone = [];
+
+        outcomes.forEach((outcome, index) => {
+            if (outcome.status === 'rejected') {
+                console.warn(`Push to subscription ${batch[index].id} failed:`, outcome.reason.message);
+                result.failed++;
+                return;
+            }
+            if (outcome.value.ok) result.sent++;
+            if (outcome.value.gone) gone.push(batch[index].id);
+        });
+
+        // Noted after each batch, for a run that has to carry on from here
+        await store.transaction(tx => {
+            const sent = tx.find(SENT_KIND, { key });
+            tx.update(SENT_KIND, { ...sent, reached: [...sent.reached, ...batch.map(record => record.id)], claimed_until: claimUntil() });
+            gone.forEach(id => {
+                const record = tx.find(KIND, { id });
+                if (record) tx.update(KIND, { ...record, removed_at: new Date().toISOString() });
+            });
+        });
+        result.removed += gone.length;
+    }
+
+    await store.transaction(tx => {
+        const sent = tx.find(SENT_KIND, { key });
+        tx.update(SENT_KIND, { ...sent, pending: false, reached: [], claimed_until: null });
+    });
+
+    return result;
+}
+
+/**
+ * Send whatever is due: new announcements and events, and the
+ * livestream if asked to look for it
+ * @param {Object} store - From createStore()
+ * @param {Object} [options]
+ * @param {boolean} [options.livestream] - Look for the livestream too
+ * @param {Date} [options.now]
+ * @returns {Promise<Object[]>} - { key, topic, sent, failed, removed } for each notification
+ */
+async function sendDue(store, { livestream = false, now = new Date() } = {}) {
+    const site = loadSite();
+    const found = [
+        ...findContent(site, now),
+        ...(livestream ? await findLivestream(site, now) : [])
+    ];
+
+    // Claimed before sending, so two checks at once can't both send it.
+    // One a run stopped partway through is claimed again once its claim
+    // runs out.
+    const due = await store.transaction(tx => {
+        const first = !tx.find(SENT_KIND, { key: FIRST_CHECK });
+        const until = claimUntil();
+        const claimed = [];
+
+        found.forEach(item => {
+            const sent = tx.find(SENT_KIND, { key: item.key });
+            if (!sent) {
+                // The livestream isn't old news
+                const skipped = first && item.topic !== 'livestream';
+                tx.insert(SENT_KIND, { key: item.key, topic: item.topic, skipped, pending: !skipped, reached: [], claimed_until: skipped ? null : until });
+                if (!skipped) claimed.push({ ...item, reached: [] });
+            } else if (sent.pending && sent.claimed_until < new Date().toISOString()) {
+                tx.update(SENT_KIND, { ...sent, claimed_until: until });
+                claimed.push({ ...item, reached: sent.reached });
+            }
+        });
+
+        if (first) tx.insert(SENT_KIND, { key: FIRST_CHECK });
+        return claimed;
+    });
+
+    const results = [];
+    for (const item of due) {
+        results.push({ key: item.key, topic: item.topic, ...await sendToTopic(store, item) });
+    }
+    return results;
+}
+
+module.exports = { KIND, TOPICS, MAX_SUBSCRIPTIONS, isValidSubscription, sendDue };
@@ -0,0 +1,379 @@
+/**
+ * Delmar Nazarene Church - Data Store
+ * ====================================
+ *
+ * Where the serverless functions keep what visitors send in (event
+ * registrations and so on). Records are plain objects grouped by kind,
+ * e.g. 'registrations'.
+ *
+ * The DATA_STORE environment variable picks the backend:
+ *
+ *   file:.data/store.json     One JSON file (the default)
+ *   sqlite:.data/church.db    A SQLite database (needs Node 22.5 or later,
+ *                             which has SQLite built in)
+ *   upstash                   An Upstash Redis database, over its REST API
+ *                             (UPSTASH_REDIS_REST_URL and
+ *                             UPSTASH_REDIS_REST_TOKEN, which Netlify's
+ *                             Upstash integration sets)
+ *
+ * Relative paths are from the repository root. The file and SQLite
+ * stores suit running the site locally (scripts/dev-server.js) or on a
+ * server with a disk. Netlify's own function instances don't keep files
+ * between requests, so there the store has to be "upstash": on Netlify,
+ * createStore() refuses the others rather than lose what people send in.
+ *
+ * Work that reads and then writes (like "is there still room?") goes
+ * in store.transaction(), which runs one transaction at a time. Upstash
+ * is shared by every function instance, so a transaction there is
+ * started again if another one saved first (or to read a kind it hadn't
+ * asked for): work should only read and write through tx, and send
+ * emails and the like after it's done. A transaction that only reads
+ * saves nothing.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ROOT_DIR } = require('../../scripts/lib/content');
+
+const DEFAULT_STORE = 'file:.data/store.json';
+
+// Times a transaction is started again after another one saved first
+const MAX_RETRIES = 5;
+
+// Netlify runs functions on AWS Lambda, which sets this
+const ON_NETLIFY = Boolean(process.env.AWS_LAMBDA_FUNCTION_NAME);
+
+/**
+ * Thrown by a backend that reads kinds only when asked (Upstash) when a
+ * transaction lists a kind it didn't read. The transaction is started
+ * again with that kind read too.
+ */
+class NotRead extends Error {
+    constructor(kind) {
+        super(`"${kind}" wasn't read for this transaction`);
+        this.kind = kind;
+    }
+}
+
+/**
+ * Keep records in a JSON file: { "<kind>": [record, ...] }
+ * @param {string} file - Absolute path
+ * @returns {Object} - { read, commit, rollback } for createStore()
+ */
+function fileBackend(file) {
+    let data = null;
+
+    return {
+        read() {
+            data = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+            return {
+                list: (kind) => (data[kind] || []).map(record => ({ ...record })),
+                insert: (kind, record) => { (data[kind] = data[kind] || []).push(record); },
+                update: (kind, record) => {
+                    const records = data[kind] || [];
+                    records[records.findIndex(item => item.id === record.id)] = record;
+                }
+            };
+        },
+
+        commit() {
+            // Write beside the file then rename, so a crash never leaves half a file
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(`${file}.tmp`, `${JSON.stringify(data, null, 2)}\n`);
+            fs.renameSync(`${file}.tmp`, file);
+        },
+
+        rollback() {
+            // Nothing was written; the next read starts from the file again
+        }
+    };
+}
+
+/**
+ * Keep records in SQLite, one row per record
+ * @param {string} file - Absolute path
+ * @returns {Object} - { read, commit, rollback } for createStore()
+ */
+function sqliteBackend(file) {
+    let DatabaseSync;
+    try {
+        ({ DatabaseSync } = require('node:sqlite'));
+    } catch (error) {
+        throw new Error(`DATA_STORE=sqlite needs Node 22.5 or later (this is ${process.version})`);
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new DatabaseSync(file);
+    db.exec(`CREATE TABLE IF NOT EXISTS records (
+        kind TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (kind, id)
+    )`);
+
+    const select = db.prepare('SELECT data FROM records WHERE kind = ? ORDER BY rowid');
+    const insert = db.prepare('INSERT INTO records (kind, id, data) VALUES (?, ?, ?)');
+    const update = db.prepare('UPDATE records SET data = ? WHERE kind = ? AND id = ?');
+
+    return {
+        read() {
+            db.exec('BEGIN IMMEDIATE');
+            return {
+                list: (kind) => select.all(kind).map(row => JSON.parse(row.data)),
+                insert: (kind, record) => insert.run(kind, record.id, JSON.stringify(record)),
+                update: (kind, record) => update.run(JSON.stringify(record), kind, record.id)
+            };
+        },
+
+        commit() {
+            db.exec('COMMIT');
+        },
+
+        rollback() {
+            db.exec('ROLLBACK');
+        }
+    };
+}
+
+/**
+ * Keep records in Upstash Redis. Each kind has its own keys: a hash of
+ * its records by id, a list of the ids in the order they were added, and
+ * a version number that goes up with each save. A transaction reads only
+ * the kinds it lists, and its save only goes through if none of those
+ * has changed since.
+ * @param {string} url - The REST URL
+ * @param {string} token - The REST token
+ * @returns {Object} - { read, commit, rollback } for createStore()
+ */
+function upstashBackend(url, token) {
+    const keys = (kind) => [`church:${kind}:version`, `church:${kind}:ids`, `church:${kind}`];
+    const READ_SCRIPT = `
+        return { redis.call('GET', KEYS[1]) or '', redis.call('LRANGE', KEYS[2], 0, -1), redis.call('HGETALL', KEYS[3]) }`;
+    // KEYS: the version key of each kind read, then the version, ids and
+    // records keys of each kind written. ARGV: how many kinds were read and
+    // their versions ('' before the first save), then for each kind written
+    // how many records, and for each record 'insert' or 'update', its id and
+    // its JSON.
+    const SAVE_SCRIPT = `
+        local read = tonumber(ARGV[1])
+        for i = 1, read do
+            if (redis.call('GET', KEYS[i]) or '') ~= ARGV[i + 1] then return 0 end
+        end
+        local arg = read + 2
+        for key = read + 1, #KEYS, 3 do
+            local count = tonumber(ARGV[arg])
+            arg = arg + 1
+            for _ = 1, count do
+                if ARGV[arg] == 'insert' then redis.call('RPUSH', KEYS[key + 1], ARGV[arg + 1]) end
+                redis.call('HSET', KEYS[key + 2], ARGV[arg + 1], ARGV[arg + 2])
+                arg = arg + 3
+            end
+            redis.call('INCR', KEYS[key])
+        end
+        return 1`;
+
+    let data = {};
+    let versions = {};
+    let writes = {};
+
+    const command = async (...args) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify(args)
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok || body.error) {
+            throw new Error(`Upstash ${args[0]} failed: ${body.error || `HTTP ${response.status}`}`);
+        }
+        return body.result;
+    };
+
+    const write = (kind, action, record) => {
+        writes[kind] = writes[kind] || new Map();
+        // A record added then changed in one transaction is still added
+        const earlier = writes[kind].get(record.id);
+        writes[kind].set(record.id, [earlier ? earlier[0] : action, record]);
+    };
+
+    return {
+        async read(kinds) {
+            data = {};
+            versions = {};
+            writes = {};
+            for (const kind of kinds) {
+                const [version, ids, fields] = await command('EVAL', READ_SCRIPT, '3', ...keys(kind));
+                const records = {};
+                for (let i = 0; i < fields.length; i += 2) records[fields[i]] = JSON.parse(fields[i + 1]);
+                data[kind] = ids.map(id => records[id]).filter(Boolean);
+                versions[kind] = version;
+            }
+
+            return {
+                list: (kind) => {
+                    if (!data[kind]) throw new NotRead(kind);
+                    return data[kind].map(record => ({ ...record }));
+                },
+                insert: (kind, record) => {
+                    if (data[kind]) data[kind].push(record);
+                    write(kind, 'insert', record);
+                },
+                update: (kind, record) => {
+                    if (data[kind]) data[kind][data[kind].findIndex(item => item.id === record.id)] = record;
+                    write(kind, 'update', record);
+                }
+            };
+        },
+
+        async commit() {
+            const read = Object.keys(versions);
+            const written = Object.keys(writes);
+            const saved = await command('EVAL', SAVE_SCRIPT, String(read.length + written.length * 3),
+                ...read.map(kind => keys(kind)[0]),
+                ...written.flatMap(keys),
+                String(read.length),
+                ...read.map(kind => versions[kind]),
+                ...written.flatMap(kind => [
+                    String(writes[kind].size),
+                    ...[...writes[kind].values()].flatMap(([action, record]) => [action, record.id, JSON.stringify(record)])
+                ]));
+            // 0: another function instance saved first
+            return saved === 1;
+        },
+
+        rollback() {
+            // Nothing was written; the next read starts from Upstash again
+        }
+    };
+}
+
+/**
+ * Open the store named by DATA_STORE
+ * @param {string} [spec] - e.g. 'sqlite:.data/church.db' (defaults to DATA_STORE)
+ * @returns {Object} - The store
+ */
+function createStore(spec = process.env.DATA_STORE || (ON_NETLIFY ? '' : DEFAULT_STORE)) {
+    let backend;
+
+    if (spec === 'upstash') {
+        const { UPSTASH_REDIS_REST_URL: url, UPSTASH_REDIS_REST_TOKEN: token } = process.env;
+        if (!url || !token) {
+            throw new Error('DATA_STORE=upstash needs UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN');
+        }
+        backend = upstashBackend(url, token);
+    } else {
+        if (ON_NETLIFY) {
+            throw new Error(`DATA_STORE is ${spec ? `"${spec}"` : 'not set'}: Netlify's function instances don't keep files, so set DATA_STORE=upstash`);
+        }
+
+        const match = spec.match(/^(file|sqlite):(.+)$/);
+        if (!match) {
+            throw new Error(`DATA_STORE should look like "file:.data/store.json", "sqlite:.data/church.db" or "upstash", not "${spec}"`);
+        }
+
+        const file = path.resolve(ROOT_DIR, match[2]);
+        backend = match[1] === 'sqlite' ? sqliteBackend(file) : fileBackend(file);
+    }
+
+    let queue = Promise.resolve();
+
+    /**
+     * Run work once against what's saved now
+     * @param {function(Object): Promise<*>} work - See transaction()
+     * @param {string[]} kinds - The kinds work lists, where the backend
+     *                           needs to know them up front
+     * @returns {Promise<Object>} - { saved, result }, where saved is false
+     *                              if another transaction saved first, or
+     *                              { notRead } naming a kind to read too
+     */
+    async function attemptTransaction(work, kinds) {
+        const records = await backend.read(kinds);
+        let changed = false;
+        const tx = {
+            list: (kind, filter = {}) => records.list(kind)
+                .filter(record => Object.entries(filter).every(([key, value]) => record[key] === value)),
+            find: (kind, filter) => tx.list(kind, filter)[0] || null,
+            insert: (kind, record) => {
+                const saved = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...record };
+                records.insert(kind, saved);
+                changed = true;
+                return saved;
+            },
+            update: (kind, record) => {
+                const saved = { ...record, updated_at: new Date().toISOString() };
+                records.update(kind, saved);
+                changed = true;
+                return saved;
+            }
+        };
+
+        let result;
+        try {
+            result = await work(tx);
+        } catch (error) {
+            await backend.rollback();
+            if (error instanceof NotRead) return { notRead: error.kind };
+            throw error;
+        }
+
+        // Nothing to save when work only read
+        if (!changed) {
+            await backend.rollback();
+            return { saved: true, result };
+        }
+        return { saved: await backend.commit() !== false, result };
+    }
+
+    /**
+     * Queue work, starting it again until it saves
+     * @param {function(Object): Promise<*>} work - See transaction()
+     * @param {string[]} kinds - The kinds work is known to list
+     * @returns {Promise<*>} - Whatever work returns
+     */
+    function runTransaction(work, kinds) {
+        const run = queue.then(async () => {
+            for (let attempt = 0; ;) {
+                const { saved, result, notRead } = await attemptTransaction(work, kinds);
+                if (notRead) {
+                    kinds = [...kinds, notRead];
+                    continue;
+                }
+                if (saved) return result;
+                if (++attempt > MAX_RETRIES) {
+                    throw new Error('The store is busy: too many changes at once');
+                }
+            }
+        });
+
+        // A failed transaction mustn't block the ones after it
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    return {
+        /**
+         * Run work against the store, one transaction at a time
+         * Changes are saved when work resolves and dropped if it throws.
+         * @param {function(Object): Promise<*>} work - Gets { list, find, insert, update }
+         * @returns {Promise<*>} - Whatever work returns
+         */
+        transaction(work) {
+            return runTransaction(work, []);
+        },
+
+        /**
+         * Read records outside a transaction
+         * @param {string} kind - e.g. 'registrations'
+         * @param {Object} [filter] - Fields to match, e.g. { event: 'picnic' }
+         * @returns {Promise<Object[]>}
+         */
+        list(kind, filter) {
+            return runTransaction(tx => tx.list(kind, filter), [kind]);
+        }
+    };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,167 @@
+/**
+ * Delmar Nazarene Church - Web Push
+ * ==================================
+ *
+ * Sends a notification to one browser's push subscription, the way the
+ * Web Push standards describe, with nothing but Node's crypto:
+ *
+ *   - The message is encrypted for that browser alone (RFC 8291,
+ *     "aes128gcm"), so the push service passing it on can't read it.
+ *   - The request is signed with the site's VAPID key (RFC 8292), which
+ *     the browser was given when it subscribed, so the push service
+ *     knows it comes from us.
+ *
+ * The key pair comes from the environment:
+ *
+ *   VAPID_PUBLIC_KEY    Both base64url, from scripts/vapid-keys.js
+ *   VAPID_PRIVATE_KEY
+ *   VAPID_SUBJECT       How push services can reach us, e.g.
+ *                       "mailto:office@delmarnaz.com" (defaults to the
+ *                       church's email address)
+ *
+ * Changing the key pair leaves every existing subscription unusable.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { loadSettings } = require('../../scripts/lib/settings');
+
+// Encrypted in one record, so its size only has to fit the message
+const RECORD_SIZE = 4096;
+
+// How long a signature is good for (push services allow up to a day)
+const SIGNATURE_HOURS = 12;
+
+/**
+ * A new VAPID key pair
+ * @returns {Object} - { publicKey, privateKey }, base64url
+ */
+function generateVapidKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    return {
+        publicKey: ecdh.getPublicKey().toString('base64url'),
+        privateKey: ecdh.getPrivateKey().toString('base64url')
+    };
+}
+
+/**
+ * The site's VAPID keys, or null if they aren't set
+ * @returns {Object|null} - { publicKey, privateKey, subject }
+ */
+function getVapidKeys() {
+    const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+    if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) return null;
+
+    return {
+        publicKey: VAPID_PUBLIC_KEY,
+        privateKey: VAPID_PRIVATE_KEY,
+        subject: VAPID_SUBJECT || `mailto:${loadSettings().email}`
+    };
+}
+
+/**
+ * The Authorization header for a push service
+ * @param {string} endpoint - The subscription's endpoint
+ * @param {Object} keys - From getVapidKeys()
+ * @returns {string}
+ */
+function vapidAuthorization(endpoint, { publicKey, privateKey, subject }) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const point = Buffer.from(publicKey, 'base64url');
+
+    const key = crypto.createPrivateKey({
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            d: privateKey,
+            x: point.subarray(1, 33).toString('base64url'),
+            y: point.subarray(33, 65).toString('base64url')
+        },
+        format: 'jwk'
+    });
+
+    const unsigned = `${encode({ typ: 'JWT', alg: 'ES256' })}.${encode({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(Date.now() / 1000) + SIGNATURE_HOURS * 60 * 60,
+        sub: subject
+    })}`;
+    const signature = crypto.sign('sha256', Buffer.from(unsigned), { key, dsaEncoding: 'ieee-p1363' });
+
+    return `vapid t=${unsigned}.${signature.toString('base64url')}, k=${publicKey}`;
+}
+
+/**
+ * Encrypt a message for one subscription (RFC 8291)
+ * @param {string} payload - The message
+ * @param {Object} keys - The subscription's { p256dh, auth }, base64url
+ * @returns {Buffer} - The request body
+ */
+function encrypt(payload, { p256dh, auth }) {
+    const browserKey = Buffer.from(p256dh, 'base64url');
+    const authSecret = Buffer.from(auth, 'base64url');
+
+    // A one-off key pair of our own for this message
+    const ecdh = crypto.createECDH('prime256v1');
+    const serverKey = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(browserKey);
+    const salt = crypto.randomBytes(16);
+
+    const hkdf = (key, salt, info, length) => Buffer.from(crypto.hkdfSync('sha256', key, salt, info, length));
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), browserKey, serverKey]);
+    const ikm = hkdf(sharedSecret, authSecret, keyInfo, 32);
+    const contentKey = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+    const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    // 0x02 marks the last (and only) record
+    const encrypted = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverKey.length, 20);
+
+    return Buffer.concat([header, serverKey, encrypted]);
+}
+
+/**
+ * Send a notification
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @param {Object} message - Sent as JSON, for the service worker
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - Seconds the push service should keep
+ *                                 trying a browser that's offline
+ * @param {string} [options.urgency] - 'very-low', 'low', 'normal' or 'high'
+ * @param {string} [options.topic] - A newer message with the same topic
+ *                                   replaces one not yet delivered
+ * @returns {Promise<Object>} - { ok, gone } where gone means the
+ *                              subscription has ended and can be dropped
+ */
+async function sendNotification(subscription, message, { ttl = 24 * 60 * 60, urgency = 'normal', topic } = {}) {
+    const vapid = getVapidKeys();
+    if (!vapid) {
+        throw new Error('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are not set (see scripts/vapid-keys.js)');
+    }
+
+    const response = await fetch(subscription.endpoint, {
+        method: 'POST',
+        headers: {
+            Authorization: vapidAuthorization(subscription.endpoint, vapid),
+            'Content-Encoding': 'aes128gcm',
+            'Content-Type': 'application/octet-stream',
+            TTL: String(ttl),
+            Urgency: urgency,
+            ...(topic && { Topic: topic })
+        },
+        body: encrypt(JSON.stringify(message), subscription.keys)
+    });
+
+    if (!response.ok && response.status !== 404 && response.status !== 410) {
+        throw new Error(`The push service answered ${response.status}: ${(await response.text()).slice(0, 200)}`);
+    }
+    return { ok: response.ok, gone: response.status === 404 || response.status === 410 };
+}
+
+module.exports = { generateVapidKeys, getVapidKeys, sendNotification };
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Delmar Nazarene Church - Content Build
+ * =======================================
+ *
+ * Turns the Decap CMS markdown files in content/ into JSON the
+ * website loads in the browser:
+ *
+ *   content/events/en/*.md          →  data/events/en.json
+ *   content/settings/church.json    →  data/settings.json
+ *
+ * (the settings are checked on the way, and give the browser the weekly
+ * services for the events calendar and the livestream countdown, with
+ * the church's time zone)
+ *
+ * Netlify runs this on every deploy (see netlify.toml), so anything
+ * published through /admin/ shows up on the site automatically.
+ *
+ * Usage:
+ *   node scripts/build-content.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { COLLECTIONS, ROOT_DIR, listLanguages, loadCollection } = require('./lib/content');
+const { loadSettings, loadSite } = require('./lib/settings');
+
+const OUTPUT_DIR = path.join(ROOT_DIR, 'data');
+
+function build() {
+    let total = 0;
+
+    Object.keys(COLLECTIONS).forEach(collection => {
+        listLanguages(collection).forEach(lang => {
+            const items = loadCollection(collection, lang);
+            const outputFile = path.join(OUTPUT_DIR, collection, `${lang}.json`);
+
+            fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+            fs.writeFileSync(outputFile, JSON.stringify({
+                collection,
+                language: lang,
+                generated_at: new Date().toISOString(),
+                items
+            }, null, 2));
+
+            total += items.length;
+            console.log(`  ${collection}/${lang}: ${items.length} entr${items.length === 1 ? 'y' : 'ies'}`);
+        });
+    });
+
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'settings.json'), JSON.stringify({
+        generated_at: new Date().toISOString(),
+        ...loadSettings(),
+        timezone: loadSite().timezone
+    }, null, 2));
+    console.log('  settings');
+
+    console.log(`Content build complete: ${total} entries written to data/`);
+}
+
+try {
+    build();
+} catch (error) {
+    console.error(`Content build failed: ${error.message}`);
+    process.exit(1);
+}
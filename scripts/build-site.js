@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+/**
+ * Delmar Nazarene Church - Site Build
+ * ====================================
+ *
+ * Assembles the website in dist/ from:
+ *
+ *   src/pages/      Page content (HTML with front matter), one folder per language
+ *   content/ministries/
+ *                   A page per ministry, from the CMS (see scripts/lib/pages.js)
+ *   src/layouts/    Page layouts ("default", "minimal" and "ministry")
+ *   src/partials/   The shared head, header, navigation, language switcher,
+ *                   footer and scripts
+ *   src/data/       Site details (site.json) and menus (navigation.json)
+ *   content/settings/church.json
+ *                   Address, phone, email, social links and service
+ *                   times, edited in the CMS (see scripts/lib/settings.js)
+ *
+ * and copies in the static files (assets/, admin/, images/, data/).
+ * Change a menu link or a service time once and every page picks it up.
+ *
+ * It also writes the events calendar feeds and downloads (.ics, see
+ * scripts/lib/calendar.js), and smaller AVIF/WebP copies of the photos,
+ * which every <img> of them is rewritten to use (see scripts/lib/images.js).
+ *
+ * Stylesheets and scripts are published a second time under names with a
+ * hash of their contents, which the pages link to, and the web app
+ * manifest and the service worker (src/service-worker.js) are written for
+ * the installable, offline-capable site (see scripts/lib/offline.js).
+ *
+ * The site search's index is written to data/search/<lang>.json, from
+ * the built pages and the CMS collections (see scripts/lib/search.js).
+ *
+ * The build fails if any page links to a page, script or image that
+ * doesn't exist.
+ *
+ * Usage (run the content build first, so data/ is up to date):
+ *   node scripts/build-content.js && node scripts/build-site.js
+ *
+ * Then serve dist/ locally, with the serverless functions:
+ *   node scripts/dev-server.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, LANGUAGES, loadCollection } = require('./lib/content');
+const { loadPages } = require('./lib/pages');
+const { checkLinks } = require('./lib/links');
+const { createTranslator, formatTime } = require('./lib/i18n');
+const { escapeHtml } = require('./lib/markdown');
+const { loadSite, fillTags } = require('./lib/settings');
+const { calendarPath, buildFeed, buildEventFile } = require('./lib/calendar');
+const { buildImages, rewriteImages } = require('./lib/images');
+const { versionAssets, useVersionedAssets, buildManifest, buildServiceWorker } = require('./lib/offline');
+const { buildSearchIndex } = require('./lib/search');
+
+const SRC_DIR = path.join(ROOT_DIR, 'src');
+const OUTPUT_DIR = path.join(ROOT_DIR, 'dist');
+
+// Copied into dist/ as they are
+const STATIC_PATHS = ['assets', 'admin', 'images', 'data'];
+
+// Shown by the service worker for pages it hasn't saved
+const OFFLINE_PAGE = '/offline.html';
+
+/**
+ * Read the site details, church settings and menus
+ * @returns {Object} - { site, navigation }
+ */
+function loadSiteData() {
+    return {
+        site: loadSite(),
+        navigation: JSON.parse(fs.readFileSync(path.join(SRC_DIR, 'data', 'navigation.json'), 'utf8'))
+    };
+}
+
+/**
+ * Load a layout by name
+ * @param {string} name - Layout name from front matter
+ * @param {string} source - The page using it (for the error message)
+ * @returns {Function} - The layout
+ */
+function getLayout(name, source) {
+    const file = path.join(SRC_DIR, 'layouts', `${name}.js`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`${source}: unknown layout "${name}"`);
+    }
+    return require(file);
+}
+
+/**
+ * Build the values the layouts and partials render with
+ * @param {Object} page - The page being built
+ * @param {Object} siteData - { site, navigation, pagesByUrl }
+ * @returns {Object} - Render context
+ */
+function createContext(page, { site, navigation, pagesByUrl }) {
+    const { lang } = page;
+
+    // The same path in each language, e.g. /en/ → /ht/
+    const inLanguage = (url, code) => url.replace(/^\/[a-z]{2}\//, `/${code}/`);
+
+    const translations = site.languages
+        .map(language => ({ lang: language.code, url: inLanguage(page.url, language.code) }))
+        .filter(({ url }) => pagesByUrl.has(url));
+
+    const ctx = {
+        site,
+        navigation,
+        lang,
+        page: { url: page.url },
+        translations: translations.length > 1 ? translations : [],
+        year: new Date().getFullYear(),
+        phoneHref: `+1${site.phone.replace(/\D/g, '')}`,
+        t: createTranslator(lang),
+        esc: escapeHtml,
+        service: (id) => {
+            const service = site.services.find(item => item.id === id);
+            if (!service) throw new Error(`no "${id}" service in the church settings`);
+            return service;
+        },
+        time: (id) => formatTime(ctx.service(id).start_time, lang),
+        // Link to the current language's version of a page, if it has one
+        localize: (url) => (pagesByUrl.has(inLanguage(url, lang)) ? inLanguage(url, lang) : url)
+    };
+
+    // Fill in {{ tags }} (service times, address, ...) in the page and its
+    // front matter. Front matter is escaped later, by the partials.
+    Object.entries(page.data).forEach(([key, value]) => {
+        ctx.page[key] = typeof value === 'string' ? fillTags(value, { ...ctx, esc: String }) : value;
+    });
+    ctx.page.content = fillTags(page.content, ctx);
+
+    return ctx;
+}
+
+/**
+ * Render one page to HTML
+ * @param {Object} page - The page
+ * @param {Object} siteData - { site, navigation, pagesByUrl }
+ * @returns {string} - The finished HTML
+ */
+function renderPage(page, siteData) {
+    const layout = page.data.layout || 'default';
+
+    // "none" publishes the page as written (e.g. the root redirect page)
+    if (layout === 'none') {
+        return `${page.content}\n`;
+    }
+
+    if (!page.data.title && !page.data.document_title) {
+        throw new Error('front matter needs a "title"');
+    }
+
+    return getLayout(layout, page.source)(createContext(page, siteData));
+}
+
+/**
+ * Netlify redirects for pages that moved (front matter "redirect_from")
+ * @param {Object[]} pages - Every page
+ * @returns {string} - _redirects file contents
+ */
+function buildRedirects(pages) {
+    const lines = pages.flatMap(page => [].concat(page.data.redirect_from || [])
+        .map(from => `${from}  ${page.url}  301`));
+
+    return `# Generated by scripts/build-site.js from each page's "redirect_from"\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Write each language's events feed and a download for every event
+ * @param {Object} siteData - { site, navigation, pagesByUrl }
+ * @returns {number} - Files written
+ */
+function writeCalendars({ site, pagesByUrl }) {
+    const pageUrl = (url, lang) => {
+        const translated = url.replace(/^\/en\//, `/${lang}/`);
+        return pagesByUrl.has(translated) ? translated : url;
+    };
+    let count = 0;
+
+    const write = (url, contents) => {
+        const file = path.join(OUTPUT_DIR, url);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, contents);
+        count++;
+    };
+
+    LANGUAGES.forEach(lang => {
+        const events = loadCollection('events', lang);
+        const eventsPageUrl = pageUrl('/en/events/', lang);
+
+        write(calendarPath(lang), buildFeed({
+            site,
+            lang,
+            t: createTranslator(lang),
+            events,
+            eventsPageUrl,
+            servicesPageUrl: pageUrl('/en/worship/service-times/', lang)
+        }));
+
+        events.filter(event => event.date).forEach(event => {
+            write(calendarPath(lang, event.slug), buildEventFile({ site, lang, event, eventsPageUrl }));
+        });
+    });
+
+    return count;
+}
+
+/**
+ * Make the smaller copies of the photos. Rich text from the CMS in
+ * /data/ (descriptions, bios...) is pointed at them too, and they're
+ * listed in /data/images.json for the images the content modules draw
+ * (ContentLoader.renderImage).
+ * @returns {Object} - The image manifest (see scripts/lib/images.js)
+ */
+function writeImages() {
+    const { manifest, encoder, written } = buildImages(OUTPUT_DIR);
+    const dataDir = path.join(OUTPUT_DIR, 'data');
+
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.readdirSync(dataDir, { recursive: true })
+        .filter(name => name.endsWith('.json'))
+        .forEach(name => {
+            const file = path.join(dataDir, name);
+            let changed = false;
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'), (key, value) => {
+                if (!key.endsWith('_html') || typeof value !== 'string') return value;
+                const html = rewriteImages(value, manifest);
+                changed = changed || html !== value;
+                return html;
+            });
+            if (changed) fs.writeFileSync(file, JSON.stringify(data, null, 2));
+        });
+    fs.writeFileSync(path.join(dataDir, 'images.json'), JSON.stringify(manifest));
+
+    if (encoder) console.log(`  ${written} image files (${encoder})`);
+    return manifest;
+}
+
+/**
+ * Write the web app manifest and the service worker. It saves the
+ * offline page (as built) and the translations when it installs, and the
+ * root page, so the app starts without a connection.
+ * @param {Object} site - From loadSite()
+ * @param {Object} images - The image manifest, for the icon's size
+ */
+function writeOfflineSupport(site, images) {
+    const offlineFile = path.join(OUTPUT_DIR, OFFLINE_PAGE);
+    if (!fs.existsSync(offlineFile)) {
+        throw new Error(`no ${OFFLINE_PAGE} page (src/pages${OFFLINE_PAGE})`);
+    }
+
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'manifest.webmanifest'), buildManifest(site, images));
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'sw.js'), buildServiceWorker({
+        template: fs.readFileSync(path.join(SRC_DIR, 'service-worker.js'), 'utf8'),
+        offlinePage: OFFLINE_PAGE,
+        offlineHtml: fs.readFileSync(offlineFile, 'utf8'),
+        extra: ['/', ...LANGUAGES.map(lang => `/assets/i18n/${lang}.json`)]
+    }));
+}
+
+/**
+ * Write each language's search index
+ * @param {Object} site - From loadSite()
+ * @param {Object[]} built - { page, html } for every page
+ * @param {Map} pagesByUrl
+ */
+function writeSearchIndex(site, built, pagesByUrl) {
+    const searchDir = path.join(OUTPUT_DIR, 'data', 'search');
+    const index = buildSearchIndex({
+        pages: built,
+        timezone: site.timezone,
+        localize: (url, lang) => {
+            const translated = url.replace(/^\/[a-z]{2}\//, `/${lang}/`);
+            return pagesByUrl.has(translated) ? translated : url;
+        }
+    });
+
+    fs.mkdirSync(searchDir, { recursive: true });
+    Object.entries(index).forEach(([lang, entries]) => {
+        fs.writeFileSync(path.join(searchDir, `${lang}.json`), JSON.stringify(entries));
+        console.log(`  /data/search/${lang}.json (${entries.length} entries)`);
+    });
+}
+
+/**
+ * Point the admin pages (copied in as they are) at the versioned
+ * stylesheets and scripts too
+ * @param {Map<string, string>} versions - From versionAssets()
+ */
+function useVersionedAdminAssets(versions) {
+    const adminDir = path.join(OUTPUT_DIR, 'admin');
+    if (!fs.existsSync(adminDir)) return;
+
+    fs.readdirSync(adminDir)
+        .filter(name => name.endsWith('.html'))
+        .forEach(name => {
+            const file = path.join(adminDir, name);
+            fs.writeFileSync(file, useVersionedAssets(fs.readFileSync(file, 'utf8'), versions));
+        });
+}
+
+function build() {
+    const { site, navigation } = loadSiteData();
+
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+    STATIC_PATHS.forEach(name => {
+        const from = path.join(ROOT_DIR, name);
+        if (!fs.existsSync(from)) {
+            console.warn(`  ! ${name}/ not found${name === 'data' ? ' (run scripts/build-content.js first)' : ''}`);
+            return;
+        }
+        fs.cpSync(from, path.join(OUTPUT_DIR, name), { recursive: true });
+    });
+
+    const images = writeImages();
+    const versions = versionAssets(OUTPUT_DIR);
+    useVersionedAdminAssets(versions);
+    const pages = loadPages();
+    const siteData = { site, navigation, pagesByUrl: new Map(pages.map(page => [page.url, page])) };
+    const built = [];
+
+    pages.forEach(page => {
+        const outputFile = path.join(OUTPUT_DIR, page.output);
+        let html;
+
+        try {
+            html = useVersionedAssets(rewriteImages(renderPage(page, siteData), images), versions);
+        } catch (error) {
+            throw new Error(`${page.source}: ${error.message}`);
+        }
+
+        fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+        fs.writeFileSync(outputFile, html);
+        built.push({ page, html });
+        console.log(`  ${page.url}`);
+    });
+
+    fs.writeFileSync(path.join(OUTPUT_DIR, '_redirects'), buildRedirects(pages));
+    console.log(`  ${writeCalendars(siteData)} calendar files`);
+    writeOfflineSupport(site, images);
+    writeSearchIndex(site, built, siteData.pagesByUrl);
+
+    const problems = checkLinks(pages, OUTPUT_DIR, site.url);
+    if (problems.length) {
+        problems.forEach(({ page, reference }) => {
+            console.error(`  ✗ ${page.source}: broken link or image "${reference}"`);
+        });
+        throw new Error(`${problems.length} broken link${problems.length === 1 ? '' : 's'}`);
+    }
+
+    console.log(`Site build complete: ${pages.length} pages written to dist/`);
+}
+
+try {
+    build();
+} catch (error) {
+    console.error(`Site build failed: ${error.message}`);
+    process.exit(1);
+}
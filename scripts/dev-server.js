@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * Delmar Nazarene Church - Local Server
+ * ======================================
+ *
+ * Serves the built site (dist/) together with the serverless functions
+ * in netlify/functions/, so forms like event registration work locally
+ * without a Netlify account. The livestream chat runs here too, at
+ * ws://localhost:8888/chat (see scripts/lib/live-chat.js):
+ *
+ *   node scripts/build-content.js && node scripts/build-site.js
+ *   node scripts/dev-server.js            # http://localhost:8888
+ *
+ * Options come from the environment:
+ *   PORT=3000                             Listen on another port
+ *   DATA_STORE=sqlite:.data/church.db     Keep data in SQLite instead of
+ *                                         .data/store.json (see netlify/lib/store.js)
+ *   SMTP_PORT=2525                        Move the SMTP stand-in
+ *   SMTP_URL=smtp://localhost:1025        Send mail to your own test server instead
+ *   GIVING_PROVIDER=stripe                Take gifts with Stripe (test keys) rather
+ *                                         than the mock (see netlify/lib/giving/)
+ *   LIVESTREAM_MOCK=live:<videoId>        Pretend the YouTube channel is live (or
+ *                                         "offline"; see netlify/lib/livestream.js)
+ *   CHAT_HOLD_WORDS=a,b                   Hold chat messages with these words for a
+ *                                         moderator
+ *   VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY   Sign push notifications with this pair
+ *                                         rather than .data/vapid-keys.json
+ *
+ * Emails go to a built-in SMTP stand-in on port 1025, which saves them
+ * to .data/outbox/ (see scripts/lib/smtp-stand-in.js), unless SMTP_URL
+ * or RESEND_API_KEY is set (see netlify/lib/mailer.js).
+ *
+ * Push notifications are signed with a key pair made on the first run
+ * (.data/vapid-keys.json). Besides the browser's own push service, they
+ * can go to a stand-in at /push-service/, which saves them to
+ * .data/push-outbox/ (see scripts/lib/push-stand-in.js):
+ *
+ *   curl -X POST localhost:8888/push-service/subscriptions
+ *   (POST what it answers to /.netlify/functions/push as "subscription",
+ *   with "topics", then:)
+ *   curl -X POST localhost:8888/.netlify/functions/push-send
+ *
+ * There's no Netlify Identity here: any request with an Authorization
+ * header counts as signed in, with the "staff" role, so admin pages like
+ * /admin/prayer-wall.html and /admin/live-chat.html can be tried out.
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./lib/content');
+const crypto = require('crypto');
+const { startSmtpStandIn } = require('./lib/smtp-stand-in');
+const { createLiveChat } = require('./lib/live-chat');
+const { createPushStandIn } = require('./lib/push-stand-in');
+const { generateVapidKeys } = require('../netlify/lib/web-push');
+
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+const FUNCTIONS_DIR = path.join(ROOT_DIR, 'netlify', 'functions');
+const PORT = Number(process.env.PORT) || 8888;
+const SMTP_PORT = Number(process.env.SMTP_PORT) || 1025;
+const VAPID_FILE = path.join(ROOT_DIR, '.data', 'vapid-keys.json');
+const PUSH_STAND_IN_PATH = '/push-service/';
+
+let pushStandIn;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.ics': 'text/calendar; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.woff2': 'font/woff2',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+/**
+ * Run a function the way Netlify does
+ * @param {string} name - File name in netlify/functions/, without .js
+ * @param {http.IncomingMessage} req - The request
+ * @param {URL} url - The parsed request URL
+ * @param {http.ServerResponse} res - The response
+ */
+async function runFunction(name, req, url, res) {
+    const file = path.join(FUNCTIONS_DIR, `${name}.js`);
+    if (!/^[\w-]+$/.test(name) || !fs.existsSync(file)) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Function not found');
+        return;
+    }
+
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+
+    const result = await require(file).handler({
+        httpMethod: req.method,
+        path: url.pathname,
+        headers: { ...req.headers, 'x-nf-client-connection-ip': req.socket.remoteAddress },
+        queryStringParameters: Object.fromEntries(url.searchParams),
+        body: Buffer.concat(chunks).toString('utf8'),
+        isBase64Encoded: false
+    }, {
+        clientContext: req.headers.authorization ? { user: { email: 'local@localhost', app_metadata: { roles: ['staff'] } } } : {}
+    });
+
+    res.writeHead(result.statusCode, result.headers || {});
+    res.end(result.isBase64Encoded ? Buffer.from(result.body, 'base64') : result.body);
+}
+
+/**
+ * Serve a file from dist/, with the same clean URLs as Netlify
+ * @param {URL} url - The parsed request URL
+ * @param {http.ServerResponse} res - The response
+ */
+function serveFile(url, res) {
+    let pathname = decodeURIComponent(url.pathname);
+
+    // netlify.toml sends the home page to English
+    if (pathname === '/') {
+        res.writeHead(302, { Location: '/en/' }).end();
+        return;
+    }
+
+    let file = path.join(DIST_DIR, pathname);
+    if (!file.startsWith(DIST_DIR)) {
+        res.writeHead(403).end();
+        return;
+    }
+
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+        if (!pathname.endsWith('/')) {
+            res.writeHead(301, { Location: `${pathname}/${url.search}` }).end();
+            return;
+        }
+        file = path.join(file, 'index.html');
+    }
+
+    let status = 200;
+    if (!fs.existsSync(file)) {
+        status = 404;
+        file = path.join(DIST_DIR, '404.html');
+    }
+
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(res);
+}
+
+async function start() {
+    if (!fs.existsSync(DIST_DIR)) {
+        throw new Error('dist/ not found. Build the site first: node scripts/build-content.js && node scripts/build-site.js');
+    }
+
+    if (!process.env.SMTP_URL && !process.env.RESEND_API_KEY) {
+        await startSmtpStandIn(SMTP_PORT);
+        process.env.SMTP_URL = `smtp://127.0.0.1:${SMTP_PORT}`;
+        console.log(`SMTP stand-in on port ${SMTP_PORT} saves emails to .data/outbox/`);
+    }
+
+    // As on Netlify, so gifts come back here rather than to the live site
+    process.env.URL = process.env.URL || `http://localhost:${PORT}`;
+
+    // Gifts go through the mock provider unless another one is set up
+    if (!process.env.GIVING_PROVIDER && !process.env.STRIPE_SECRET_KEY && !process.env.CHURCHTRAC_GIVING_URL) {
+        process.env.GIVING_PROVIDER = 'mock';
+    }
+
+    // Kept between runs, so browsers that subscribed stay subscribed
+    if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) {
+        if (!fs.existsSync(VAPID_FILE)) {
+            fs.mkdirSync(path.dirname(VAPID_FILE), { recursive: true });
+            fs.writeFileSync(VAPID_FILE, `${JSON.stringify(generateVapidKeys(), null, 2)}\n`);
+        }
+        const { publicKey, privateKey } = JSON.parse(fs.readFileSync(VAPID_FILE, 'utf8'));
+        process.env.VAPID_PUBLIC_KEY = publicKey;
+        process.env.VAPID_PRIVATE_KEY = privateKey;
+    }
+    process.env.PUSH_STAND_IN_URL = `http://localhost:${PORT}${PUSH_STAND_IN_PATH}`;
+    pushStandIn = createPushStandIn(process.env.PUSH_STAND_IN_URL);
+
+    // Moderators' chat tickets only need to last while this runs
+    process.env.CHAT_SECRET = process.env.CHAT_SECRET || crypto.randomBytes(32).toString('hex');
+    const chat = createLiveChat({
+        holdWords: String(process.env.CHAT_HOLD_WORDS || '').split(',').map(word => word.trim()).filter(Boolean)
+    });
+
+    const server = http.createServer(handleRequest);
+    server.on('upgrade', (req, socket) => {
+        if (new URL(req.url, `http://${req.headers.host}`).pathname === '/chat') {
+            chat.handleUpgrade(req, socket);
+        } else {
+            socket.destroy();
+        }
+    });
+    server.listen(PORT, () => {
+        console.log(`Serving dist/ and netlify/functions/ at http://localhost:${PORT}`);
+    });
+}
+
+function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const match = url.pathname.match(/^\/\.netlify\/functions\/([^/]+)/);
+
+    let handle;
+    if (match) {
+        handle = runFunction(match[1], req, url, res);
+    } else if (url.pathname.startsWith(PUSH_STAND_IN_PATH)) {
+        handle = pushStandIn.handle(req, url, res);
+    } else {
+        handle = Promise.resolve(serveFile(url, res));
+    }
+
+    handle.catch(error => {
+        console.error(error);
+        if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('Server error');
+    }).finally(() => {
+        console.log(`${req.method} ${url.pathname} ${res.statusCode}`);
+    });
+}
+
+start().catch(error => {
+    console.error(error.code === 'EADDRINUSE' ? `Port ${error.port} is already in use` : error.message);
+    process.exit(1);
+});
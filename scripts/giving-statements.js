@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Delmar Nazarene Church - Year-end Giving Statements
+ * ====================================================
+ *
+ * The treasurer's batch run at the end of the year. From the online
+ * gifts in the data store (see netlify/lib/giving/) it writes:
+ *
+ *   .data/statements/2026/giving-statement-2026-<donor>.pdf   One per donor
+ *   .data/statements/2026/2026-<fund>.csv                     One per fund
+ *
+ * and, with --email, sends each donor their statement in the language
+ * they gave in. Donors can also download theirs from the donor portal
+ * (/en/my-giving/) at any time.
+ *
+ * Run it where the data store is (DATA_STORE, as for the functions).
+ *
+ * Usage:
+ *   node scripts/giving-statements.js              # last year
+ *   node scripts/giving-statements.js 2026
+ *   node scripts/giving-statements.js 2026 --email
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./lib/content');
+const { loadSite } = require('./lib/settings');
+const { createStore } = require('../netlify/lib/store');
+const { KIND, FUNDS } = require('../netlify/lib/giving');
+const { giftsInYear, getDonors, buildStatement, buildFundCsv } = require('../netlify/lib/giving/statements');
+const { sendStatement } = require('../netlify/lib/giving/receipts');
+
+async function run() {
+    const args = process.argv.slice(2);
+    const year = Number(args.find(arg => /^\d{4}$/.test(arg))) || new Date().getFullYear() - 1;
+    const email = args.includes('--email');
+    const site = loadSite();
+    const outputDir = path.join(ROOT_DIR, '.data', 'statements', String(year));
+
+    const gifts = await createStore().list(KIND);
+    const donors = getDonors(gifts, year, site.timezone);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    for (const donor of donors) {
+        const file = buildStatement(donor, year, site);
+        fs.writeFileSync(path.join(outputDir, file.filename), file.content);
+        if (email) await sendStatement(donor, year, file);
+    }
+    console.log(`  ${donors.length} statement${donors.length === 1 ? '' : 's'}${email ? ', emailed' : ''}`);
+
+    FUNDS.forEach(fund => {
+        const fundGifts = giftsInYear(gifts, year, site.timezone).filter(gift => gift.fund === fund);
+        fs.writeFileSync(path.join(outputDir, `${year}-${fund}.csv`), buildFundCsv(fundGifts, site.timezone));
+        console.log(`  ${fund}: ${fundGifts.length} gift${fundGifts.length === 1 ? '' : 's'}`);
+    });
+
+    console.log(`Giving statements for ${year} written to ${path.relative(ROOT_DIR, outputDir)}/`);
+}
+
+run().catch(error => {
+    console.error(`Giving statements failed: ${error.message}`);
+    process.exit(1);
+});
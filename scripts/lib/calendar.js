@@ -0,0 +1,264 @@
+/**
+ * Delmar Nazarene Church - Calendar Files
+ * ========================================
+ *
+ * Writes events as iCalendar (.ics) so visitors can add them to Google,
+ * Outlook or Apple Calendar, or subscribe to the whole feed:
+ *
+ *   /events.ics               Every event plus the weekly services (English)
+ *   /ht/events.ics            The same feed in Kreyòl, /fr/events.ics in French
+ *   /events/<slug>.ics        One event, for an "Add to Calendar" download
+ *   /ht/events/<slug>.ics     ...in Kreyòl, and so on
+ *
+ * Weekly services from the church settings repeat with an RRULE.
+ * Times are the church's local time (site.json "timezone").
+ */
+
+'use strict';
+
+const { DEFAULT_LANGUAGE } = require('./content');
+const { toPlainText } = require('./markdown');
+const { addressLine, nextServiceDate } = require('./settings');
+
+// iCalendar needs the zone's daylight saving rules spelled out
+const TIME_ZONES = {
+    'America/New_York': [
+        'BEGIN:VTIMEZONE',
+        'TZID:America/New_York',
+        'BEGIN:DAYLIGHT',
+        'TZOFFSETFROM:-0500',
+        'TZOFFSETTO:-0400',
+        'TZNAME:EDT',
+        'DTSTART:19700308T020000',
+        'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+        'END:DAYLIGHT',
+        'BEGIN:STANDARD',
+        'TZOFFSETFROM:-0400',
+        'TZOFFSETTO:-0500',
+        'TZNAME:EST',
+        'DTSTART:19701101T020000',
+        'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+    ]
+};
+
+const BYDAY = { sunday: 'SU', monday: 'MO', tuesday: 'TU', wednesday: 'WE', thursday: 'TH', friday: 'FR', saturday: 'SA' };
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Where a language's calendar files are published
+ * @param {string} lang - Language code
+ * @param {string} [slug] - An event, or leave out for the whole feed
+ * @returns {string} - e.g. '/events.ics', '/ht/events/3-day-revival.ics'
+ */
+function calendarPath(lang, slug) {
+    const prefix = lang === DEFAULT_LANGUAGE ? '' : `/${lang}`;
+    return slug ? `${prefix}/events/${slug}.ics` : `${prefix}/events.ics`;
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11)
+ * @param {*} value - The text
+ * @returns {string}
+ */
+function escapeText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 bytes, without splitting a character
+ * @param {string} line - The unfolded line
+ * @returns {string}
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const character of line) {
+        const size = Buffer.byteLength(character);
+        // Continuation lines start with a space, which counts toward the 75
+        if (bytes + size > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += character;
+        bytes += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Read a normalized content date as a wall-clock time
+ * @param {string} value - "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm:ss"
+ * @returns {Date} - The same wall-clock time, held as UTC
+ */
+function toWallClock(value) {
+    const [date, time = '00:00'] = value.slice(0, 19).split('T');
+    return new Date(`${date}T${time.length === 5 ? `${time}:00` : time}Z`);
+}
+
+/**
+ * Format a wall-clock date for DTSTART/DTEND
+ * @param {Date} date - From toWallClock()
+ * @param {boolean} dateOnly - Leave out the time
+ * @returns {string} - e.g. "20260311T190900" or "20260311"
+ */
+function formatWallClock(date, dateOnly) {
+    const day = `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+    return dateOnly ? day : `${day}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`;
+}
+
+/**
+ * DTSTART/DTEND lines for a start and (optional) end
+ * All-day events end the day after they finish; timed events without
+ * an end are given an hour.
+ * @param {string} start - Normalized start date
+ * @param {string} [end] - Normalized end date
+ * @param {string} timeZone - TZID
+ * @returns {string[]}
+ */
+function dateLines(start, end, timeZone) {
+    const dateOnly = !start.includes('T');
+    const from = toWallClock(start);
+    let to = end ? toWallClock(end) : new Date(from);
+
+    if (dateOnly) {
+        to.setUTCDate(to.getUTCDate() + 1);
+        return [`DTSTART;VALUE=DATE:${formatWallClock(from, true)}`, `DTEND;VALUE=DATE:${formatWallClock(to, true)}`];
+    }
+
+    if (to <= from) to = new Date(from.getTime() + 60 * 60 * 1000);
+    return [
+        `DTSTART;TZID=${timeZone}:${formatWallClock(from)}`,
+        `DTEND;TZID=${timeZone}:${formatWallClock(to)}`
+    ];
+}
+
+/**
+ * A VEVENT for an entry in the events collection
+ * @param {Object} event - Normalized event
+ * @param {Object} options - { site, lang, pageUrl, stamp }
+ * @returns {string[]}
+ */
+function eventLines(event, { site, lang, pageUrl, stamp }) {
+    const host = new URL(site.url).hostname;
+    const link = site.url + pageUrl;
+    const description = [toPlainText(event.description), link].filter(Boolean).join('\n\n');
+    const language = event.language || lang;
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${event.slug}@${host}`,
+        `DTSTAMP:${stamp}`,
+        ...dateLines(event.date, event.end_date, site.timezone),
+        `SUMMARY;LANGUAGE=${language}:${escapeText(event.title)}`,
+        `DESCRIPTION;LANGUAGE=${language}:${escapeText(description)}`,
+        `LOCATION:${escapeText(event.location || addressLine(site.address))}`,
+        `URL:${link}`,
+        ...(event.contact_email
+            ? [`ORGANIZER;CN="${String(event.contact_person || site.name).replace(/"/g, '')}":mailto:${event.contact_email}`]
+            : []),
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * A repeating VEVENT for one of the weekly services
+ * @param {Object} service - From the church settings
+ * @param {Object} options - { site, lang, t, pageUrl, stamp }
+ * @returns {string[]}
+ */
+function serviceLines(service, { site, lang, t, pageUrl, stamp }) {
+    const host = new URL(site.url).hostname;
+    const date = nextServiceDate(service.day);
+    const start = `${date}T${service.start_time}:00`;
+    const end = service.end_time ? `${date}T${service.end_time}:00` : null;
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:service-${service.id}@${host}`,
+        `DTSTAMP:${stamp}`,
+        ...dateLines(start, end, site.timezone),
+        `RRULE:FREQ=WEEKLY;BYDAY=${BYDAY[service.day]}`,
+        `SUMMARY;LANGUAGE=${lang}:${escapeText(t(`services.${service.id}`))}`,
+        `LOCATION:${escapeText(`${site.name}, ${addressLine(site.address)}`)}`,
+        `URL:${site.url + pageUrl}`,
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * Wrap events in a VCALENDAR
+ * @param {string[][]} events - VEVENT lines
+ * @param {Object} site - Site details
+ * @param {Object} [extra] - Extra calendar properties, e.g. { 'X-WR-CALNAME': '...' }
+ * @returns {string} - The .ics file
+ */
+function wrapCalendar(events, site, extra = {}) {
+    const timeZone = TIME_ZONES[site.timezone];
+    if (!timeZone) {
+        throw new Error(`no calendar time zone rules for "${site.timezone}" (add them to scripts/lib/calendar.js)`);
+    }
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:-//${site.name}//Website//EN`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        ...Object.entries(extra).map(([name, value]) => `${name}:${value}`),
+        ...timeZone,
+        ...events.flat(),
+        'END:VCALENDAR'
+    ];
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * The current time as an iCalendar UTC timestamp
+ * @returns {string} - e.g. "20261019T150000Z"
+ */
+function timestamp() {
+    return `${new Date().toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+}
+
+/**
+ * Build a language's subscribable feed: every event and weekly service
+ * @param {Object} options - { site, lang, t, events, eventsPageUrl, servicesPageUrl }
+ * @returns {string} - The .ics file
+ */
+function buildFeed({ site, lang, t, events, eventsPageUrl, servicesPageUrl }) {
+    const stamp = timestamp();
+
+    return wrapCalendar([
+        ...site.services.map(service => serviceLines(service, { site, lang, t, pageUrl: servicesPageUrl, stamp })),
+        ...events.filter(event => event.date).map(event => eventLines(event, { site, lang, pageUrl: eventsPageUrl, stamp }))
+    ], site, {
+        'X-WR-CALNAME': escapeText(site.name),
+        'X-WR-TIMEZONE': site.timezone,
+        'REFRESH-INTERVAL;VALUE=DURATION': 'PT12H',
+        'X-PUBLISHED-TTL': 'PT12H'
+    });
+}
+
+/**
+ * Build the download for a single event
+ * @param {Object} options - { site, lang, event, eventsPageUrl }
+ * @returns {string} - The .ics file
+ */
+function buildEventFile({ site, lang, event, eventsPageUrl }) {
+    return wrapCalendar([eventLines(event, { site, lang, pageUrl: eventsPageUrl, stamp: timestamp() })], site);
+}
+
+module.exports = { calendarPath, buildFeed, buildEventFile };
@@ -0,0 +1,283 @@
+/**
+ * Delmar Nazarene Church - Content Collections
+ * =============================================
+ *
+ * Loads the markdown entries that Decap CMS saves under
+ * content/<collection>/<language>/ and normalizes them into plain
+ * objects the website can render.
+ *
+ * Translations (Decap's "multiple_folders" i18n structure) sit next to
+ * the English entries under the same slug. Each language's output holds
+ * every English entry, with the translated fields laid over it where a
+ * translation exists. Entries are tagged with the language their text
+ * is in ("language") and whether they were translated ("translated"),
+ * so the website can flag English fallbacks.
+ *
+ * Normalization:
+ * - Dates are converted to ISO-style local strings ("2026-03-11T19:09:00",
+ *   or "2026-03-11" for date-only values)
+ * - Markdown fields get a rendered "<field>_html" twin
+ * - String values are trimmed
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontMatter } = require('./front-matter');
+const { renderMarkdown, toPlainText } = require('./markdown');
+
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+const CONTENT_DIR = path.join(ROOT_DIR, 'content');
+
+// Every entry is written in this language first (default_locale in admin/config.yml)
+const DEFAULT_LANGUAGE = 'en';
+
+// The site's languages (locales in admin/config.yml). Each gets a JSON
+// file per collection, even before anything has been translated.
+const LANGUAGES = ['en', 'ht', 'fr'];
+
+// ============================================
+// Collection Settings
+// ============================================
+// Mirrors the collections defined in admin/config.yml
+const COLLECTIONS = {
+    events: {
+        dateFields: ['date', 'end_date'],
+        markdownFields: ['description'],
+        summaryField: 'description',
+        sortBy: 'date',
+        sortOrder: 'asc'
+    },
+    sermons: {
+        dateFields: ['date'],
+        markdownFields: ['notes'],
+        summaryField: 'description',
+        sortBy: 'date',
+        sortOrder: 'desc'
+    },
+    announcements: {
+        dateFields: ['date', 'display_until'],
+        markdownFields: ['content'],
+        summaryField: 'content',
+        sortBy: 'date',
+        sortOrder: 'desc'
+    },
+    staff: {
+        dateFields: [],
+        markdownFields: ['bio'],
+        sortBy: 'display_order',
+        sortOrder: 'asc'
+    },
+    ministries: {
+        dateFields: [],
+        markdownFields: ['body'],
+        summaryField: 'summary',
+        sortBy: 'display_order',
+        sortOrder: 'asc'
+    }
+};
+
+const MONTHS = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Normalize the date formats the CMS may have saved
+ *
+ * Handles ISO strings as well as the display formats configured in
+ * admin/config.yml, e.g. "March 11, 2026" and "March 11, 2026T7:09 PM".
+ *
+ * @param {*} value - The raw front matter value
+ * @returns {string|null} - "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm:00", or null if unparseable
+ */
+function normalizeDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const text = String(value).trim();
+
+    // Already ISO (e.g. "2026-03-11" or "2026-03-11T19:00:00.000Z")
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text;
+
+    const match = text.match(/^([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})(?:\s*T?\s*(\d{1,2}):(\d{2})\s*([AaPp][Mm])?)?$/);
+    if (!match) return null;
+
+    const month = MONTHS.findIndex(name => name.startsWith(match[1].toLowerCase()));
+    if (month === -1) return null;
+
+    const date = `${match[3]}-${pad(month + 1)}-${pad(match[2])}`;
+    if (match[4] === undefined) return date;
+
+    let hours = Number(match[4]);
+    const meridiem = (match[6] || '').toLowerCase();
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+
+    return `${date}T${pad(hours)}:${match[5]}:00`;
+}
+
+/**
+ * Normalize a single entry's front matter
+ * @param {Object} data - Parsed front matter
+ * @param {Object} settings - The collection settings
+ * @returns {Object} - Normalized entry
+ */
+function normalizeEntry(data, settings) {
+    const entry = {};
+
+    Object.entries(data).forEach(([key, value]) => {
+        entry[key] = typeof value === 'string' ? value.trim() : value;
+    });
+
+    settings.dateFields.forEach(field => {
+        if (field in entry) {
+            const normalized = normalizeDate(entry[field]);
+            if (entry[field] && !normalized) {
+                console.warn(`  ! Could not understand ${field} "${entry[field]}" in ${entry.slug}`);
+            }
+            entry[field] = normalized;
+        }
+    });
+
+    settings.markdownFields.forEach(field => {
+        entry[`${field}_html`] = renderMarkdown(entry[field]);
+    });
+
+    if (settings.summaryField) {
+        entry.excerpt = toPlainText(entry[settings.summaryField], 180);
+    }
+
+    return entry;
+}
+
+/**
+ * Sort entries by the collection's sort field
+ * @param {Object[]} entries - Normalized entries
+ * @param {Object} settings - The collection settings
+ * @returns {Object[]} - The sorted entries
+ */
+function sortEntries(entries, settings) {
+    const direction = settings.sortOrder === 'desc' ? -1 : 1;
+
+    return entries.sort((a, b) => {
+        const left = a[settings.sortBy] ?? '';
+        const right = b[settings.sortBy] ?? '';
+        if (left < right) return -1 * direction;
+        if (left > right) return 1 * direction;
+        return String(a.title || a.name || a.slug).localeCompare(String(b.title || b.name || b.slug));
+    });
+}
+
+/**
+ * List the languages to build for a collection: the site's languages,
+ * plus any other language folder that exists
+ * @param {string} collection - Collection name
+ * @returns {string[]} - Language codes, e.g. ['en', 'fr', 'ht']
+ */
+function listLanguages(collection) {
+    const dir = path.join(CONTENT_DIR, collection);
+    const folders = fs.existsSync(dir)
+        ? fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name)
+        : [];
+
+    return [...new Set([...LANGUAGES, ...folders])].sort();
+}
+
+/**
+ * Read the raw front matter of every entry in one language folder
+ * @param {string} collection - Collection name
+ * @param {string} lang - Language folder, e.g. 'en'
+ * @returns {Object[]} - Un-normalized entries, with their slug
+ */
+function readEntries(collection, lang) {
+    const dir = path.join(CONTENT_DIR, collection, lang);
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.md'))
+        .map(file => {
+            const source = fs.readFileSync(path.join(dir, file), 'utf8');
+            const slug = path.basename(file, '.md');
+
+            try {
+                const { data, body } = parseFrontMatter(source);
+                return { slug, ...data, ...(body ? { body } : {}) };
+            } catch (error) {
+                throw new Error(`${collection}/${lang}/${file}: ${error.message}`);
+            }
+        });
+}
+
+/**
+ * Lay a translation over its English entry
+ * Empty translated fields keep the English value.
+ * @param {Object} original - The English entry
+ * @param {Object} translation - The translated entry
+ * @returns {Object} - The merged entry
+ */
+function mergeTranslation(original, translation) {
+    const merged = { ...original };
+
+    Object.entries(translation).forEach(([key, value]) => {
+        if (value !== null && value !== undefined && value !== '') {
+            merged[key] = value;
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Load every entry of a collection in one language
+ * Entries without a translation fall back to English.
+ * @param {string} collection - Collection name (must be in COLLECTIONS)
+ * @param {string} lang - Language folder, e.g. 'en'
+ * @returns {Object[]} - Normalized, sorted entries
+ */
+function loadCollection(collection, lang) {
+    const settings = COLLECTIONS[collection];
+    if (!settings) {
+        throw new Error(`Unknown collection "${collection}"`);
+    }
+
+    const translations = new Map(readEntries(collection, lang).map(entry => [entry.slug, entry]));
+    const originals = lang === DEFAULT_LANGUAGE ? [...translations.values()] : readEntries(collection, DEFAULT_LANGUAGE);
+
+    const entries = originals.map(original => {
+        const translation = translations.get(original.slug);
+        translations.delete(original.slug);
+
+        return translation
+            ? { ...mergeTranslation(original, translation), language: lang, translated: true }
+            : { ...original, language: DEFAULT_LANGUAGE, translated: false };
+    });
+
+    // Entries that only exist in this language
+    translations.forEach(entry => {
+        entries.push({ ...entry, language: lang, translated: true });
+    });
+
+    return sortEntries(entries.map(entry => {
+        try {
+            return normalizeEntry(entry, settings);
+        } catch (error) {
+            throw new Error(`${collection}/${entry.language}/${entry.slug}.md: ${error.message}`);
+        }
+    }), settings);
+}
+
+module.exports = {
+    COLLECTIONS,
+    ROOT_DIR,
+    CONTENT_DIR,
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    normalizeDate,
+    listLanguages,
+    loadCollection
+};
@@ -0,0 +1,306 @@
+/**
+ * Delmar Nazarene Church - Front Matter Parser
+ * =============================================
+ *
+ * Reads the YAML front matter that Decap CMS writes at the top of
+ * every markdown file in content/.
+ *
+ * This is intentionally a small YAML subset so the build has no
+ * dependencies. It understands everything the CMS produces:
+ * - key: value pairs (plain, "double" and 'single' quoted)
+ * - plain values that wrap onto indented continuation lines
+ * - block scalars (| and >, with - and + chomping)
+ * - nested objects and lists (including lists of objects)
+ * - booleans, numbers, null and [inline, lists]
+ */
+
+'use strict';
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)([\s\S]*)$/;
+
+/**
+ * Split a markdown file into its front matter data and body
+ * @param {string} source - The raw file contents
+ * @returns {{data: Object, body: string}} - Parsed front matter and remaining markdown
+ */
+function parseFrontMatter(source) {
+    const match = source.replace(/^﻿/, '').match(FRONT_MATTER_PATTERN);
+
+    if (!match) {
+        return { data: {}, body: source };
+    }
+
+    return {
+        data: parseYaml(match[1]) || {},
+        body: match[2].trim()
+    };
+}
+
+/**
+ * Parse a YAML document (subset) into a plain object
+ * @param {string} text - YAML source
+ * @returns {*} - The parsed value
+ */
+function parseYaml(text) {
+    const parser = new YamlParser(text);
+    return parser.parseBlock(0);
+}
+
+// ============================================
+// Parser
+// ============================================
+class YamlParser {
+    constructor(text) {
+        this.lines = text.replace(/\t/g, '    ').split(/\r?\n/);
+        this.index = 0;
+    }
+
+    /**
+     * Skip blank and comment-only lines
+     * @returns {number} - Index of the next meaningful line (or lines.length)
+     */
+    skipBlank() {
+        while (this.index < this.lines.length && /^\s*(#.*)?$/.test(this.lines[this.index])) {
+            this.index++;
+        }
+        return this.index;
+    }
+
+    indentOf(line) {
+        return line.match(/^ */)[0].length;
+    }
+
+    isSequenceItem(line) {
+        return /^\s*-(\s|$)/.test(line);
+    }
+
+    /**
+     * Parse whatever block starts at the next meaningful line
+     * @param {number} minIndent - Lines indented less than this end the block
+     * @returns {*} - Object, array or null
+     */
+    parseBlock(minIndent) {
+        if (this.skipBlank() >= this.lines.length) return null;
+
+        const line = this.lines[this.index];
+        const indent = this.indentOf(line);
+        if (indent < minIndent) return null;
+
+        return this.isSequenceItem(line)
+            ? this.parseSequence(indent)
+            : this.parseMapping(indent);
+    }
+
+    parseMapping(indent) {
+        const result = {};
+
+        while (this.skipBlank() < this.lines.length) {
+            const line = this.lines[this.index];
+            const lineIndent = this.indentOf(line);
+
+            if (lineIndent !== indent || this.isSequenceItem(line)) break;
+
+            const match = line.slice(indent).match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^:#][^:]*?)\s*:(?:\s+(.*))?$/);
+            if (!match) {
+                throw new Error(`Unable to parse front matter line ${this.index + 1}: "${line.trim()}"`);
+            }
+
+            const key = parseScalar(match[1]);
+            const rest = (match[2] || '').trim();
+            this.index++;
+
+            result[key] = this.parseValue(rest, indent, true);
+        }
+
+        return result;
+    }
+
+    parseSequence(indent) {
+        const result = [];
+
+        while (this.skipBlank() < this.lines.length) {
+            const line = this.lines[this.index];
+
+            if (this.indentOf(line) !== indent || !this.isSequenceItem(line)) break;
+
+            const content = line.slice(indent + 1).replace(/^\s+/, '');
+            const contentIndent = line.length - content.length;
+
+            if (!content) {
+                this.index++;
+                result.push(this.parseBlock(indent + 1));
+            } else if (/^[^"'[{][^:]*:(\s|$)|^"[^"]*"\s*:(\s|$)|^'[^']*'\s*:(\s|$)/.test(content)) {
+                // "- key: value" starts an object; re-read it as a mapping at the content column
+                this.lines[this.index] = ' '.repeat(contentIndent) + content;
+                result.push(this.parseMapping(contentIndent));
+            } else {
+                this.index++;
+                result.push(this.parseValue(content, indent, false));
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse the value that follows "key:" or "- "
+     * @param {string} rest - Text after the indicator on the same line
+     * @param {number} indent - Indentation of the owning line
+     * @param {boolean} allowCompactSequence - Whether a "- " list at the same indent belongs to this key
+     * @returns {*} - The parsed value
+     */
+    parseValue(rest, indent, allowCompactSequence) {
+        if (!rest || rest.startsWith('#')) {
+            if (this.skipBlank() >= this.lines.length) return null;
+
+            const next = this.lines[this.index];
+            const nextIndent = this.indentOf(next);
+
+            if (nextIndent > indent || (allowCompactSequence && nextIndent === indent && this.isSequenceItem(next))) {
+                return this.parseBlock(nextIndent);
+            }
+            return null;
+        }
+
+        const blockMatch = rest.match(/^([|>])([+-]?)\s*(#.*)?$/);
+        if (blockMatch) {
+            return this.parseBlockScalar(indent, blockMatch[1], blockMatch[2]);
+        }
+
+        // Gather continuation lines for wrapped plain or quoted values
+        const parts = [rest];
+        while (this.index < this.lines.length) {
+            const next = this.lines[this.index];
+            if (next.trim() && this.indentOf(next) <= indent) break;
+            if (!next.trim() && !this.hasContinuation(indent)) break;
+            parts.push(next.trim());
+            this.index++;
+        }
+
+        return parseScalar(foldLines(parts));
+    }
+
+    hasContinuation(indent) {
+        for (let i = this.index; i < this.lines.length; i++) {
+            if (this.lines[i].trim()) return this.indentOf(this.lines[i]) > indent;
+        }
+        return false;
+    }
+
+    parseBlockScalar(indent, style, chomping) {
+        const collected = [];
+        let blockIndent = null;
+
+        while (this.index < this.lines.length) {
+            const line = this.lines[this.index];
+
+            if (line.trim()) {
+                const lineIndent = this.indentOf(line);
+                if (lineIndent <= indent) break;
+                if (blockIndent === null) blockIndent = lineIndent;
+                collected.push(line.slice(Math.min(blockIndent, lineIndent)));
+            } else {
+                collected.push('');
+            }
+            this.index++;
+        }
+
+        // Trailing blank lines belong to the chomping indicator, not the content
+        let trailing = 0;
+        while (collected.length && collected[collected.length - 1] === '') {
+            collected.pop();
+            trailing++;
+        }
+
+        let text = style === '|'
+            ? collected.join('\n')
+            : foldLines(collected);
+
+        if (chomping === '+') {
+            text += '\n'.repeat(trailing + 1);
+        } else if (chomping !== '-') {
+            text += '\n';
+        }
+
+        return text;
+    }
+}
+
+// ============================================
+// Scalars
+// ============================================
+
+/**
+ * Join wrapped lines the way YAML folds them: single breaks become
+ * spaces, blank lines become newlines
+ * @param {string[]} lines - The wrapped lines
+ * @returns {string} - The folded text
+ */
+function foldLines(lines) {
+    return lines.reduce((text, line, i) => {
+        if (i === 0) return line;
+        if (line === '') return text + '\n';
+        return text.endsWith('\n') ? text + line : `${text} ${line}`;
+    }, '');
+}
+
+/**
+ * Convert a single YAML scalar to its JavaScript value
+ * @param {string} raw - The scalar text
+ * @returns {*} - String, number, boolean, null or array
+ */
+function parseScalar(raw) {
+    const value = raw.trim();
+
+    if (value.startsWith('"')) {
+        return JSON.parse(value.slice(0, value.lastIndexOf('"') + 1).replace(/\\'/g, "'"));
+    }
+
+    if (value.startsWith("'")) {
+        return value.slice(1, value.lastIndexOf("'")).replace(/''/g, "'");
+    }
+
+    const plain = value.replace(/\s+#.*$/, '');
+
+    if (plain.startsWith('[') && plain.endsWith(']')) {
+        const inner = plain.slice(1, -1).trim();
+        return inner ? splitFlow(inner).map(parseScalar) : [];
+    }
+
+    if (plain === '{}') return {};
+    if (plain === '' || plain === '~' || plain === 'null') return null;
+    if (plain === 'true') return true;
+    if (plain === 'false') return false;
+    if (/^-?\d+(\.\d+)?$/.test(plain)) return Number(plain);
+
+    return plain;
+}
+
+/**
+ * Split an inline [a, "b, c", d] list on top-level commas
+ * @param {string} text - The text between the brackets
+ * @returns {string[]} - The raw items
+ */
+function splitFlow(text) {
+    const items = [];
+    let current = '';
+    let quote = null;
+
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === ',') {
+            items.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+
+    items.push(current);
+    return items;
+}
+
+module.exports = { parseFrontMatter, parseYaml };
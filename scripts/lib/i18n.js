@@ -0,0 +1,100 @@
+/**
+ * Delmar Nazarene Church - Build-time Translations
+ * =================================================
+ *
+ * Reads the same dictionaries as language-switcher.js
+ * (assets/i18n/<lang>.json) so the site build can write the header,
+ * navigation and footer in each page's own language. The markup keeps
+ * its data-i18n attributes, so visitors can still switch in place.
+ *
+ * Lookups follow the browser's rules: English fills any gaps, plural
+ * entries are picked by params.count and {placeholders} are filled
+ * from params. A key missing from English too is a typo, so it throws.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, DEFAULT_LANGUAGE } = require('./content');
+
+const DICTIONARY_DIR = path.join(ROOT_DIR, 'assets', 'i18n');
+
+// How each language writes a time of day
+const TIME_STYLES = {
+    en: '12h',
+    ht: '12h',
+    fr: 'fr'
+};
+
+const dictionaries = {};
+
+/**
+ * Load (and cache) a language's dictionary
+ * @param {string} lang - Language code
+ * @returns {Object} - The dictionary ({} if there isn't one)
+ */
+function loadDictionary(lang) {
+    if (!dictionaries[lang]) {
+        const file = path.join(DICTIONARY_DIR, `${lang}.json`);
+        dictionaries[lang] = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    }
+    return dictionaries[lang];
+}
+
+/**
+ * Look up a dotted key in a dictionary
+ * @param {Object} dictionary - The dictionary
+ * @param {string} key - e.g. 'nav.home'
+ * @returns {string|Object|undefined} - The entry, if any
+ */
+function lookup(dictionary, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), dictionary);
+}
+
+/**
+ * Create a translate function for one language
+ * @param {string} lang - Language code
+ * @returns {function(string, Object=): string} - t(key, params)
+ */
+function createTranslator(lang) {
+    return function t(key, params = {}) {
+        let entry = lookup(loadDictionary(lang), key);
+        if (entry === undefined) {
+            entry = lookup(loadDictionary(DEFAULT_LANGUAGE), key);
+        }
+
+        if (entry === undefined) {
+            throw new Error(`Missing translation "${key}" in assets/i18n/${DEFAULT_LANGUAGE}.json`);
+        }
+
+        if (typeof entry === 'object') {
+            const count = params.count ?? 0;
+            entry = count === 0 && entry.zero !== undefined
+                ? entry.zero
+                : entry[new Intl.PluralRules(lang).select(count)] ?? entry.other;
+        }
+
+        return String(entry).replace(/\{(\w+)\}/g, (match, name) =>
+            (params[name] !== undefined && params[name] !== null ? String(params[name]) : match));
+    };
+}
+
+/**
+ * Write a 24-hour "HH:mm" time the way a language expects
+ * @param {string} time - e.g. "18:00"
+ * @param {string} lang - Language code
+ * @returns {string} - e.g. "6:00 PM" (en, ht) or "18 h 00" (fr)
+ */
+function formatTime(time, lang) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    const mm = String(minutes || 0).padStart(2, '0');
+
+    if (TIME_STYLES[lang] === 'fr') {
+        return `${hours} h ${mm}`;
+    }
+
+    return `${hours % 12 || 12}:${mm} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+module.exports = { createTranslator, formatTime };
@@ -0,0 +1,376 @@
+/**
+ * Delmar Nazarene Church - Responsive Images
+ * ===========================================
+ *
+ * Makes smaller copies of the site's photos so phones don't download
+ * 2048px JPEGs. For every JPEG and PNG in assets/images/ and
+ * images/uploads/ (CMS uploads), scripts/build-site.js gets:
+ *
+ *   - AVIF and WebP versions at several widths, next to the original
+ *     (homepage-hero-worship.jpg → homepage-hero-worship-960w.avif)
+ *   - a tiny blurred placeholder, inlined as the image's background
+ *     until the real one arrives (photos only: a logo with transparent
+ *     parts would show it through)
+ *
+ * and rewrites each <img> of those files into a <picture> with srcsets.
+ * Images that aren't loading="eager" also get loading="lazy", so the
+ * browser fetches them as they come into view; their sources stay real,
+ * so they show without JavaScript too. Give an <img> a sizes attribute
+ * when it's shown smaller than the screen; without one it's taken to be
+ * full width.
+ *
+ * The encoding is done by libvips (vips) or ImageMagick (magick or
+ * convert), whichever the build machine has, so the build still needs
+ * no packages. Without either, images are published as they are, with
+ * only their width and height filled in. Encoded files are kept in
+ * .cache/images/, so only new or changed images are encoded again.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { ROOT_DIR } = require('./content');
+
+// Folders (in the built site) with images to make smaller copies of
+const IMAGE_DIRS = ['assets/images', 'images/uploads'];
+
+const CACHE_DIR = path.join(ROOT_DIR, '.cache', 'images');
+
+// Widths to make, in pixels; only those smaller than the original, plus
+// the original's own width if it's under the largest
+const WIDTHS = [320, 640, 960, 1440, 1920];
+
+// Best first: browsers take the first <source> they can show
+const FORMATS = ['avif', 'webp'];
+const QUALITY = { avif: 50, webp: 75 };
+
+const PLACEHOLDER = { width: 16, quality: 40 };
+
+const IMG_PATTERN = /<img\b[^>]*>/gi;
+
+// ============================================
+// Reading image sizes
+// ============================================
+
+/**
+ * The EXIF orientation of a JPEG (5-8 are turned sideways)
+ * @param {Buffer} tiff - The Exif segment, from its TIFF header
+ * @returns {number} - 1-8
+ */
+function readOrientation(tiff) {
+    try {
+        const little = tiff.toString('latin1', 0, 2) === 'II';
+        const u16 = (offset) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+        const u32 = (offset) => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+        const directory = u32(4);
+        for (let i = 0; i < u16(directory); i++) {
+            const entry = directory + 2 + i * 12;
+            if (u16(entry) === 0x0112) return u16(entry + 8);
+        }
+    } catch {
+        // Cut short or not really EXIF
+    }
+    return 1;
+}
+
+/**
+ * Width and height of a JPEG, as shown (after EXIF rotation)
+ * @param {Buffer} buffer
+ * @returns {Object|null} - { width, height, alpha: false }
+ */
+function readJpegSize(buffer) {
+    let offset = 2;
+    let orientation = 1;
+
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        const length = buffer.readUInt16BE(offset + 2);
+
+        if (marker === 0xe1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+            orientation = readOrientation(buffer.subarray(offset + 10, offset + 2 + length));
+        }
+        // Start of frame (C4, C8 and CC are other segments)
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            const height = buffer.readUInt16BE(offset + 5);
+            const width = buffer.readUInt16BE(offset + 7);
+            return orientation >= 5 ? { width: height, height: width, alpha: false } : { width, height, alpha: false };
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+/**
+ * Width and height of a PNG, and whether it has transparent parts
+ * @param {Buffer} buffer
+ * @returns {Object|null} - { width, height, alpha }
+ */
+function readPngSize(buffer) {
+    if (buffer.toString('latin1', 1, 4) !== 'PNG' || buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+
+    // Colour types 4 and 6 have an alpha channel; others can still have
+    // a transparent colour (a tRNS chunk before the image data)
+    let alpha = [4, 6].includes(buffer[25]);
+    for (let offset = 8; !alpha && offset + 8 <= buffer.length;) {
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        if (type === 'IDAT') break;
+        alpha = type === 'tRNS';
+        offset += 12 + buffer.readUInt32BE(offset);
+    }
+
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20), alpha };
+}
+
+/**
+ * @param {string} file - A .jpg, .jpeg or .png
+ * @returns {Object|null} - { width, height, alpha }, or null if it can't be read
+ */
+function readImageSize(file) {
+    const buffer = fs.readFileSync(file);
+    try {
+        return /\.png$/i.test(file) ? readPngSize(buffer) : readJpegSize(buffer);
+    } catch {
+        return null;
+    }
+}
+
+// ============================================
+// Encoding
+// ============================================
+
+const run = (command, args) => execFileSync(command, args, { stdio: ['ignore', 'pipe', 'pipe'] }).toString();
+
+/**
+ * Command lines for the encoders the build knows how to use
+ */
+const ENCODERS = [
+    {
+        name: 'libvips',
+        commands: ['vips'],
+        formats: (command) => {
+            const savers = run(command, ['-l']);
+            return FORMATS.filter(format => savers.includes(format === 'avif' ? '(heifsave)' : `(${format}save)`));
+        },
+        // The height is only a limit: the width decides
+        args: (source, output, width, quality) => ['thumbnail', source, `${output}[Q=${quality},strip]`, String(width), '--height', '100000']
+    },
+    {
+        name: 'ImageMagick',
+        commands: ['magick', 'convert'],
+        formats: (command) => {
+            const list = run(command, ['-list', 'format']);
+            return FORMATS.filter(format => new RegExp(`^\\s*${format}\\*?\\s+\\S+\\s+rw`, 'im').test(list));
+        },
+        args: (source, output, width, quality) => [source, '-auto-orient', '-strip', '-resize', `${width}x`, '-quality', String(quality), output]
+    }
+];
+
+/**
+ * Find an encoder on this machine
+ * @returns {Object|null} - { name, command, formats, args }
+ */
+function findEncoder() {
+    for (const encoder of ENCODERS) {
+        for (const command of encoder.commands) {
+            try {
+                const formats = encoder.formats(command);
+                if (formats.length) return { ...encoder, command, formats };
+            } catch {
+                // Not installed
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Encode one copy of an image, or take it from the cache
+ * @param {Object} encoder - From findEncoder()
+ * @param {string} source - The original
+ * @param {string} cached - Where the copy is kept in .cache/images/
+ * @param {number} width
+ * @param {number} quality
+ * @returns {Buffer}
+ */
+function encode(encoder, source, cached, width, quality) {
+    if (!fs.existsSync(cached)) {
+        fs.mkdirSync(path.dirname(cached), { recursive: true });
+        // Written aside first, so a build stopped halfway leaves no broken file
+        const partial = cached.replace(/(\.\w+)$/, '.partial$1');
+        run(encoder.command, encoder.args(source, partial, width, quality));
+        fs.renameSync(partial, cached);
+    }
+    return fs.readFileSync(cached);
+}
+
+// ============================================
+// Building
+// ============================================
+
+/**
+ * Every JPEG and PNG in a folder and its subfolders
+ * @param {string} dir
+ * @returns {string[]} - File paths
+ */
+function findImages(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return findImages(file);
+        return /\.(jpe?g|png)$/i.test(entry.name) ? [file] : [];
+    });
+}
+
+// Commas separate srcset candidates, so they can't be left in a URL
+const srcsetUrl = (url) => encodeURI(url).replace(/,/g, '%2C');
+
+/**
+ * Make the smaller copies of every image in the built site
+ * @param {string} outputDir - The built site (images already copied in)
+ * @returns {Object} - { manifest, encoder, written }. The manifest has
+ *                     each image's URL → { width, height, sources:
+ *                     { avif: srcset, webp: srcset }, placeholder }.
+ */
+function buildImages(outputDir) {
+    const encoder = findEncoder();
+    const failed = new Set();
+    const manifest = {};
+    let written = 0;
+
+    if (!encoder) {
+        console.warn('  ! No image encoder found (libvips or ImageMagick): images are published as they are');
+    }
+
+    IMAGE_DIRS.flatMap(dir => findImages(path.join(outputDir, dir))).forEach(file => {
+        const url = `/${path.relative(outputDir, file).split(path.sep).join('/')}`;
+        const size = readImageSize(file);
+        if (!size) {
+            console.warn(`  ! ${url}: couldn't read the image size`);
+            return;
+        }
+
+        const entry = { width: size.width, height: size.height };
+        manifest[url] = entry;
+        if (!encoder) return;
+
+        const key = crypto.createHash('sha1')
+            .update(fs.readFileSync(file))
+            .update(JSON.stringify([encoder.name, QUALITY, PLACEHOLDER]))
+            .digest('hex');
+        const widths = WIDTHS.filter(width => width < size.width);
+        if (size.width <= WIDTHS[WIDTHS.length - 1]) widths.push(size.width);
+
+        const sources = {};
+        encoder.formats.filter(format => !failed.has(format)).forEach(format => {
+            try {
+                sources[format] = widths.map(width => {
+                    const variant = `${url.replace(/\.\w+$/, '')}-${width}w.${format}`;
+                    const cached = path.join(CACHE_DIR, key, `${width}.${format}`);
+                    fs.writeFileSync(path.join(outputDir, variant), encode(encoder, file, cached, width, QUALITY[format]));
+                    written++;
+                    return `${srcsetUrl(variant)} ${width}w`;
+                }).join(', ');
+            } catch (error) {
+                // e.g. an ImageMagick built without AVIF: leave the format out
+                console.warn(`  ! ${encoder.name} couldn't make ${format.toUpperCase()} images: ${error.message.split('\n')[0]}`);
+                failed.add(format);
+            }
+        });
+        if (Object.keys(sources).length) entry.sources = sources;
+
+        if (!size.alpha) {
+            const format = sources.webp ? 'webp' : 'jpg';
+            try {
+                const placeholder = encode(encoder, file, path.join(CACHE_DIR, key, `placeholder.${format}`), PLACEHOLDER.width, PLACEHOLDER.quality);
+                entry.placeholder = `data:image/${format === 'jpg' ? 'jpeg' : format};base64,${placeholder.toString('base64')}`;
+            } catch (error) {
+                console.warn(`  ! ${url}: couldn't make a placeholder: ${error.message.split('\n')[0]}`);
+            }
+        }
+    });
+
+    return { manifest, encoder: encoder && encoder.name, written };
+}
+
+// ============================================
+// Rewriting <img> tags
+// ============================================
+
+/**
+ * @param {string} tag - An <img> tag
+ * @param {string} name - Attribute name
+ * @returns {string|undefined} - Its value, as written
+ */
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*"([^"]*)"`, 'i'));
+    return match ? match[1] : undefined;
+}
+
+/**
+ * Set an attribute on a tag, replacing it if it's there already
+ * @param {string} tag
+ * @param {string} name
+ * @param {string} value - Already escaped
+ * @returns {string} - The tag
+ */
+function setAttribute(tag, name, value) {
+    const pattern = new RegExp(`\\s${name}\\s*=\\s*"[^"]*"`, 'i');
+    const attribute = ` ${name}="${value}"`;
+    return pattern.test(tag) ? tag.replace(pattern, attribute) : tag.replace(/\s*\/?>$/, `${attribute}>`);
+}
+
+const removeAttribute = (tag, name) => tag.replace(new RegExp(`\\s+${name}\\s*=\\s*"[^"]*"`, 'i'), '');
+
+/**
+ * Turn the <img> tags of processed images into <picture>s
+ * @param {string} html - A page, or a rich text field
+ * @param {Object} manifest - From buildImages()
+ * @returns {string} - The HTML
+ */
+function rewriteImages(html, manifest) {
+    return html.replace(IMG_PATTERN, (original) => {
+        const src = getAttribute(original, 'src');
+        if (!src || /\s(data-)?srcset\s*=/i.test(original) || /\sdata-src\s*=/i.test(original)) return original;
+
+        let url = src.replace(/&amp;/g, '&');
+        try {
+            url = decodeURI(url);
+        } catch {
+            // Left as written
+        }
+        const image = manifest[url];
+        if (!image) return original;
+
+        let tag = original;
+        const eager = getAttribute(tag, 'loading') === 'eager';
+        if (!getAttribute(tag, 'width') && !getAttribute(tag, 'height')) {
+            tag = setAttribute(setAttribute(tag, 'width', image.width), 'height', image.height);
+        }
+        if (!eager) tag = setAttribute(tag, 'loading', 'lazy');
+        if (!image.sources) return tag;
+
+        const sizes = getAttribute(tag, 'sizes') || '100vw';
+        tag = removeAttribute(tag, 'sizes');
+
+        if (image.placeholder) {
+            tag = setAttribute(tag, 'class', `${getAttribute(tag, 'class') || ''} image-placeholder`.trim());
+            tag = setAttribute(tag, 'style', `background-image: url(${image.placeholder});${getAttribute(tag, 'style') ? ` ${getAttribute(tag, 'style')}` : ''}`);
+        }
+        const sources = Object.entries(image.sources).map(([format, srcset]) =>
+            `<source type="image/${format}" srcset="${srcset}" sizes="${sizes}">`);
+
+        return `<picture class="responsive-image">${sources.join('')}${tag}</picture>`;
+    });
+}
+
+module.exports = { buildImages, rewriteImages };
@@ -0,0 +1,124 @@
+/**
+ * Delmar Nazarene Church - Link Checker
+ * ======================================
+ *
+ * Makes sure every internal link and image in the built site points at
+ * a file that exists, so a renamed page or a mistyped image path fails
+ * the build instead of reaching visitors.
+ *
+ * Checks href, src, srcset, poster and form action attributes, plus
+ * url(...) in inline styles. Links to the site's own domain count as
+ * internal; other sites, mailto:, tel: and #fragments are skipped.
+ * /.netlify/functions/<name> (e.g. a form's action) must match a file
+ * in netlify/functions/.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./content');
+
+const ATTRIBUTE_PATTERN = /\s(href|src|srcset|poster|action|content)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+const CSS_URL_PATTERN = /url\(\s*['"]?([^'")]+)['"]?\s*\)/gi;
+const EXTERNAL_PATTERN = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+const FUNCTION_PATTERN = /^\/\.netlify\/functions\/([\w-]+)$/;
+
+/**
+ * Find the internal paths an HTML page references
+ * @param {string} html - The page
+ * @param {string} siteUrl - The site's own origin, e.g. 'https://delmarnaz.com'
+ * @returns {string[]} - Paths, e.g. ['/en/about/staff/', '/assets/js/main.js']
+ */
+function findReferences(html, siteUrl) {
+    const references = [];
+
+    const add = (value) => {
+        let url = value.trim();
+        if (siteUrl && url.startsWith(siteUrl)) {
+            url = url.slice(siteUrl.length) || '/';
+        }
+        if (!url || url.startsWith('#') || EXTERNAL_PATTERN.test(url)) return;
+        references.push(url);
+    };
+
+    for (const match of html.matchAll(ATTRIBUTE_PATTERN)) {
+        const [, attribute, doubleQuoted, singleQuoted] = match;
+        const value = doubleQuoted ?? singleQuoted;
+
+        if (attribute.toLowerCase() === 'srcset') {
+            value.split(',').forEach(candidate => add(candidate.trim().split(/\s+/)[0]));
+        } else if (attribute.toLowerCase() === 'content') {
+            // Only <meta> tags that hold a URL (og:image, og:url, ...)
+            if (value.startsWith('/') || (siteUrl && value.startsWith(siteUrl))) add(value);
+        } else {
+            add(value);
+        }
+    }
+
+    for (const match of html.matchAll(CSS_URL_PATTERN)) {
+        add(match[1]);
+    }
+
+    return references;
+}
+
+/**
+ * Does a path resolve to a file in the output folder?
+ * @param {string} reference - Path from a page
+ * @param {string} pageUrl - The URL of the page it is on (for relative paths)
+ * @param {string} outputDir - The built site
+ * @returns {boolean}
+ */
+function resolves(reference, pageUrl, outputDir) {
+    let url = reference.split(/[?#]/)[0];
+    if (!url) return true;
+
+    try {
+        url = decodeURI(new URL(url, `https://site${pageUrl}`).pathname);
+    } catch (error) {
+        return false;
+    }
+
+    const serverless = url.match(FUNCTION_PATTERN);
+    if (serverless) {
+        return fs.existsSync(path.join(ROOT_DIR, 'netlify', 'functions', `${serverless[1]}.js`));
+    }
+
+    const file = path.join(outputDir, url);
+    if (url.endsWith('/')) {
+        return fs.existsSync(path.join(file, 'index.html'));
+    }
+
+    return fs.existsSync(file) && fs.statSync(file).isFile()
+        || fs.existsSync(path.join(file, 'index.html'));
+}
+
+/**
+ * Check every link and image on the built pages
+ * @param {Object[]} pages - { url, output } for each built page
+ * @param {string} outputDir - The built site
+ * @param {string} siteUrl - The site's own origin
+ * @returns {Object[]} - Problems: { page, reference }
+ */
+function checkLinks(pages, outputDir, siteUrl) {
+    const problems = [];
+
+    pages.forEach(page => {
+        const html = fs.readFileSync(path.join(outputDir, page.output), 'utf8');
+        const seen = new Set();
+
+        findReferences(html, siteUrl).forEach(reference => {
+            if (seen.has(reference)) return;
+            seen.add(reference);
+
+            if (!resolves(reference, page.url, outputDir)) {
+                problems.push({ page, reference });
+            }
+        });
+    });
+
+    return problems;
+}
+
+module.exports = { checkLinks, findReferences };
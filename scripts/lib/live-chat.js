@@ -0,0 +1,231 @@
+/**
+ * Delmar Nazarene Church - Live Chat
+ * ===================================
+ *
+ * The chat beside the livestream (assets/js/live-chat.js), over
+ * WebSockets. scripts/dev-server.js runs it at /chat for local
+ * development; on the live site it runs on its own
+ * (scripts/live-chat-server.js), since Netlify functions can't keep a
+ * connection open.
+ *
+ * Everyone joins with a name; moderators join with a ticket from the
+ * live-chat function (see netlify/lib/live-chat.js) and use
+ * admin/live-chat.html. Messages go out to everyone straight away,
+ * except those with a link or a word from CHAT_HOLD_WORDS, which wait
+ * for a moderator to approve them. Moderators can take any message down
+ * and mute whoever sent it. Mutes go by address rather than name, since
+ * anyone can reconnect under another name (so everyone sharing that
+ * Wi-Fi is muted too). The chat keeps nothing: the last
+ * few messages are held in memory for people who join late, and mutes
+ * last until the server restarts.
+ *
+ * Messages are JSON, { type, ... }. From the browser:
+ *
+ *   join      { name, ticket }     once per connection; ticket only
+ *                                  for moderators
+ *   say       { text }
+ *   approve   { id }               moderators only
+ *   remove    { id }               moderators only
+ *   mute      { id }               moderators only: the message's sender
+ *
+ * To the browser:
+ *
+ *   welcome   { moderator, messages, held }   held only for moderators
+ *   message   { message }          { id, name, text, at, moderator }
+ *   held      { message }          Yours, waiting for a moderator
+ *   review    { message }          To moderators: one waiting
+ *   removed   { id }
+ *   error     { code }             name, empty, too-long, slow-down,
+ *                                  muted, not-joined, joined, ticket
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { acceptWebSocket, rejectUpgrade } = require('./websocket');
+const { readTicket } = require('../../netlify/lib/live-chat');
+
+const MAX_NAME = 40;
+const MAX_TEXT = 500;
+// Messages kept for people who join late
+const HISTORY = 50;
+// Seconds between one person's messages
+const SLOW_MODE = 3;
+const MAX_CONNECTIONS = 500;
+
+const LINK_PATTERN = /(https?:\/\/|www\.|\b[\w-]+\.(com|net|org|io|ly|me|co)\b)/i;
+
+/**
+ * Create a chat room
+ * @param {Object} [options]
+ * @param {string[]} [options.origins] - Pages allowed to connect, e.g.
+ *                                       ['https://delmarnaz.com']; all if not given
+ * @param {string[]} [options.holdWords] - Words that send a message to
+ *                                         the moderators first
+ * @param {boolean} [options.trustProxy] - Take people's addresses (for
+ *                                         muting) from X-Forwarded-For
+ * @returns {Object} - { handleUpgrade(request, socket), size() }
+ */
+function createLiveChat({ origins = null, holdWords = [], trustProxy = false } = {}) {
+    const clients = new Set();
+    const messages = [];
+    const held = new Map();
+    const muted = new Set();
+    const holdPattern = holdWords.length
+        ? new RegExp(`\\b(${holdWords.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})\\b`, 'i')
+        : null;
+
+    const send = (client, data) => client.connection.send(JSON.stringify(data));
+    const broadcast = (data) => clients.forEach(client => client.name && send(client, data));
+    const moderators = (data) => clients.forEach(client => client.moderator && send(client, data));
+
+    /**
+     * A message as the browser sees it
+     * @param {Object} message - As kept here
+     * @returns {Object}
+     */
+    const toPublic = ({ id, name, text, at, moderator }) => ({ id, name, text, at, moderator });
+
+    const publish = (message) => {
+        messages.push(message);
+        if (messages.length > HISTORY) messages.shift();
+        broadcast({ type: 'message', message: toPublic(message) });
+    };
+
+    const remove = (id) => {
+        const index = messages.findIndex(message => message.id === id);
+        if (index !== -1) messages.splice(index, 1);
+        const wasHeld = held.delete(id);
+        if (index !== -1 || wasHeld) broadcast({ type: 'removed', id });
+    };
+
+    const find = (id) => held.get(id) || messages.find(message => message.id === id);
+
+    const actions = {
+        join(client, data) {
+            if (client.name) return send(client, { type: 'error', code: 'joined' });
+
+            const name = String(data.name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_NAME);
+            if (!name) return send(client, { type: 'error', code: 'name' });
+
+            if (data.ticket) {
+                let ticket = null;
+                try {
+                    ticket = readTicket(data.ticket);
+                } catch (error) {
+                    console.warn('Could not check a moderator ticket:', error.message);
+                }
+                if (!ticket) return send(client, { type: 'error', code: 'ticket' });
+                client.moderator = true;
+            }
+
+            client.name = name;
+            send(client, {
+                type: 'welcome',
+                moderator: client.moderator,
+                messages: messages.map(toPublic),
+                ...(client.moderator && { held: [...held.values()].map(toPublic) })
+            });
+        },
+
+        say(client, data) {
+            const text = String(data.text || '').trim();
+            const now = Date.now();
+
+            if (!client.name) return send(client, { type: 'error', code: 'not-joined' });
+            if (!text) return send(client, { type: 'error', code: 'empty' });
+            if (text.length > MAX_TEXT) return send(client, { type: 'error', code: 'too-long' });
+            if (muted.has(client.address)) return send(client, { type: 'error', code: 'muted' });
+            if (!client.moderator && now - client.lastSaid < SLOW_MODE * 1000) {
+                return send(client, { type: 'error', code: 'slow-down' });
+            }
+
+            client.lastSaid = now;
+            const message = {
+                id: crypto.randomUUID(),
+                name: client.name,
+                text,
+                at: new Date(now).toISOString(),
+                moderator: client.moderator,
+                address: client.address
+            };
+
+            if (!client.moderator && (LINK_PATTERN.test(text) || (holdPattern && holdPattern.test(text)))) {
+                held.set(message.id, message);
+                send(client, { type: 'held', message: toPublic(message) });
+                moderators({ type: 'review', message: toPublic(message) });
+                return;
+            }
+            publish(message);
+        },
+
+        approve(client, data) {
+            const message = held.get(data.id);
+            if (!client.moderator || !message) return;
+            held.delete(message.id);
+            publish(message);
+        },
+
+        remove(client, data) {
+            if (client.moderator) remove(data.id);
+        },
+
+        mute(client, data) {
+            const message = find(data.id);
+            if (!client.moderator || !message || message.moderator) return;
+
+            muted.add(message.address);
+            [...held.values(), ...messages]
+                .filter(item => item.address === message.address)
+                .forEach(item => remove(item.id));
+        }
+    };
+
+    return {
+        /**
+         * Take over a connection from an HTTP server's 'upgrade' event
+         * @param {http.IncomingMessage} request
+         * @param {net.Socket} socket
+         */
+        handleUpgrade(request, socket) {
+            if (origins && !origins.includes(request.headers.origin)) {
+                rejectUpgrade(socket, 403, 'Forbidden');
+                return;
+            }
+            if (clients.size >= MAX_CONNECTIONS) {
+                rejectUpgrade(socket, 503, 'Service Unavailable');
+                return;
+            }
+
+            const connection = acceptWebSocket(request, socket, { maxMessage: 4 * 1024 });
+            if (!connection) return;
+
+            const client = {
+                connection,
+                name: '',
+                moderator: false,
+                lastSaid: 0,
+                // Behind a proxy, the first forwarded address is the browser's
+                address: String((trustProxy && request.headers['x-forwarded-for']) || request.socket.remoteAddress || '').split(',')[0].trim()
+            };
+            clients.add(client);
+
+            connection.on('message', (text) => {
+                let data;
+                try {
+                    data = JSON.parse(text);
+                } catch {
+                    return;
+                }
+                if (data && Object.hasOwn(actions, data.type)) actions[data.type](client, data);
+            });
+            connection.on('close', () => clients.delete(client));
+        },
+
+        size() {
+            return clients.size;
+        }
+    };
+}
+
+module.exports = { createLiveChat };
@@ -0,0 +1,195 @@
+/**
+ * Delmar Nazarene Church - Markdown Renderer
+ * ===========================================
+ *
+ * Converts the markdown written in Decap CMS markdown widgets
+ * (event descriptions, sermon notes, bios...) into HTML at build time.
+ *
+ * Supports the formatting the CMS editor toolbar offers:
+ * headings, paragraphs, bold, italic, inline code, links, images,
+ * bulleted/numbered lists, blockquotes, code blocks and rules.
+ * Raw HTML in the source is escaped.
+ *
+ * Sermon notes can also have fill-in-the-blanks: [[grace]] is shown as
+ * the word underlined in the sermon archive, and as a blank to fill in
+ * beside the livestream (assets/js/sermon-notes.js).
+ */
+
+'use strict';
+
+/**
+ * Escape text for safe use in HTML
+ * @param {string} text - The text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Only allow safe link targets (no javascript: URLs)
+ * @param {string} url - The URL from the markdown source
+ * @returns {string} - The URL, or '#' if it is not allowed
+ */
+function safeUrl(url) {
+    const trimmed = url.trim();
+    return /^(https?:|mailto:|tel:|\/|#|\.)/i.test(trimmed) ? trimmed : '#';
+}
+
+/**
+ * Render inline formatting within a single block of text
+ * @param {string} text - Raw markdown text
+ * @returns {string} - HTML
+ */
+function renderInline(text) {
+    // Finished HTML (code, images, link URLs) is set aside so the
+    // emphasis rules below can't reach inside it
+    const stashed = [];
+    const stash = (html) => {
+        stashed.push(html);
+        return `\u0000${stashed.length - 1}\u0000`;
+    };
+
+    const html = escapeHtml(text)
+        .replace(/`([^`]+)`/g, (match, code) => stash(`<code>${code}</code>`))
+        // The CMS editor may save [[grace]] as \[\[grace\]\]
+        .replace(/\\?\[\\?\[([^[\]\\]+)\\?\]\\?\]/g, (match, answer) =>
+            stash(`<span class="sermon-blank" data-blank>${answer.trim()}</span>`))
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) =>
+            stash(`<img src="${safeUrl(src)}" alt="${alt}" loading="lazy">`))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+            const url = safeUrl(href);
+            const external = /^https?:/i.test(url) ? ' target="_blank" rel="noopener noreferrer"' : '';
+            return `${stash(`<a href="${url}"${external}>`)}${label}${stash('</a>')}`;
+        })
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?![\w])/g, '$1<em>$2</em>')
+        .replace(/ {2,}\n/g, '<br>\n');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, i) => stashed[i]);
+}
+
+/**
+ * Render a markdown document to HTML
+ * @param {string} markdown - Markdown source
+ * @returns {string} - HTML
+ */
+function renderMarkdown(markdown) {
+    if (!markdown) return '';
+
+    const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    const isBlockStart = (line) =>
+        /^(#{1,6}\s|>|```|\s*([-*+]|\d+[.)])\s|(\*\s*){3,}$|(-\s*){3,}$)/.test(line);
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        // Fenced code block
+        if (line.startsWith('```')) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].startsWith('```')) {
+                code.push(lines[i++]);
+            }
+            i++;
+            blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        // Heading
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+        if (heading) {
+            const level = heading[1].length;
+            blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        // Horizontal rule
+        if (/^((\*\s*){3,}|(-\s*){3,}|(_\s*){3,})$/.test(line.trim())) {
+            blocks.push('<hr>');
+            i++;
+            continue;
+        }
+
+        // Blockquote
+        if (line.startsWith('>')) {
+            const quoted = [];
+            while (i < lines.length && lines[i].startsWith('>')) {
+                quoted.push(lines[i++].replace(/^>\s?/, ''));
+            }
+            blocks.push(`<blockquote>${renderMarkdown(quoted.join('\n'))}</blockquote>`);
+            continue;
+        }
+
+        // Lists
+        const listMatch = line.match(/^\s*([-*+]|\d+[.)])\s+/);
+        if (listMatch) {
+            const ordered = /\d/.test(listMatch[1]);
+            const items = [];
+            while (i < lines.length) {
+                const itemMatch = lines[i].match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+                if (itemMatch && /\d/.test(itemMatch[1]) === ordered) {
+                    items.push(itemMatch[2]);
+                } else if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length) {
+                    items[items.length - 1] += `\n${lines[i].trim()}`;
+                } else {
+                    break;
+                }
+                i++;
+            }
+            const tag = ordered ? 'ol' : 'ul';
+            blocks.push(`<${tag}>${items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${tag}>`);
+            continue;
+        }
+
+        // Paragraph
+        const paragraph = [line];
+        i++;
+        while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i])) {
+            paragraph.push(lines[i++]);
+        }
+        blocks.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+    }
+
+    return blocks.join('\n');
+}
+
+/**
+ * Strip markdown formatting to get a plain-text summary
+ * @param {string} markdown - Markdown source
+ * @param {number} maxLength - Truncate to this many characters
+ * @returns {string} - Plain text
+ */
+function toPlainText(markdown, maxLength = 0) {
+    const text = String(markdown || '')
+        .replace(/```[\s\S]*?```/g, '')
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/^#{1,6}\s+/gm, '')
+        .replace(/^\s*([-*+]|\d+[.)]|>)\s+/gm, '')
+        .replace(/(\*\*|__|\*|_|`)/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    if (maxLength && text.length > maxLength) {
+        return text.slice(0, maxLength).replace(/\s+\S*$/, '') + '…';
+    }
+    return text;
+}
+
+module.exports = { renderMarkdown, renderInline, toPlainText, escapeHtml };
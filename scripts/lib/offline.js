@@ -0,0 +1,128 @@
+/**
+ * Delmar Nazarene Church - Offline Support
+ * =========================================
+ *
+ * The build side of the installable, offline-capable site:
+ *
+ *   - Versioned asset names. netlify.toml lets browsers keep the
+ *     stylesheets and scripts under /assets/ for a year without asking
+ *     again, so a changed one has to get a new name: each is published
+ *     a second time with a hash of its contents (main.js →
+ *     main.3f9a2c1e.js) and the pages point at that copy.
+ *   - The web app manifest (/manifest.webmanifest), for "Add to Home
+ *     Screen".
+ *   - The service worker (/sw.js, from src/service-worker.js), with the
+ *     list of files it saves when it installs and a version that
+ *     changes whenever they do.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { findReferences } = require('./links');
+
+// Published with hashed names (paths in the built site)
+const VERSIONED_DIRS = ['assets/css', 'assets/js'];
+
+const ASSET_URL_PATTERN = /(\s(?:src|href)=")(\/assets\/[^"?#]+)(")/g;
+
+const hash = (contents) => crypto.createHash('sha256').update(contents).digest('hex').slice(0, 8);
+
+/**
+ * Publish a copy of each stylesheet and script under a hashed name
+ * @param {string} outputDir - The built site (assets already copied in)
+ * @returns {Map<string, string>} - URL → versioned URL, e.g.
+ *          '/assets/js/main.js' → '/assets/js/main.3f9a2c1e.js'
+ */
+function versionAssets(outputDir) {
+    const versions = new Map();
+
+    VERSIONED_DIRS.forEach(dir => {
+        const folder = path.join(outputDir, dir);
+        if (!fs.existsSync(folder)) return;
+
+        fs.readdirSync(folder)
+            .filter(name => /\.(css|js)$/.test(name))
+            .forEach(name => {
+                const contents = fs.readFileSync(path.join(folder, name));
+                const versioned = name.replace(/\.(css|js)$/, `.${hash(contents)}.$1`);
+                fs.writeFileSync(path.join(folder, versioned), contents);
+                versions.set(`/${dir}/${name}`, `/${dir}/${versioned}`);
+            });
+    });
+
+    return versions;
+}
+
+/**
+ * Point a page's stylesheet and script tags at the versioned copies
+ * @param {string} html - The page
+ * @param {Map<string, string>} versions - From versionAssets()
+ * @returns {string} - The page
+ */
+function useVersionedAssets(html, versions) {
+    return html.replace(ASSET_URL_PATTERN, (match, before, url, after) =>
+        (versions.has(url) ? `${before}${versions.get(url)}${after}` : match));
+}
+
+/**
+ * The web app manifest
+ * @param {Object} site - From loadSite()
+ * @param {Object} images - The image manifest (scripts/lib/images.js), for the icon's size
+ * @returns {string} - JSON
+ */
+function buildManifest(site, images) {
+    const icon = images[site.logo];
+
+    return `${JSON.stringify({
+        name: site.name,
+        short_name: site.short_name,
+        description: `${site.name}: service times, events, sermons and the Sunday livestream.`,
+        lang: 'en',
+        // The root page takes people to their own language
+        start_url: '/',
+        scope: '/',
+        display: 'standalone',
+        background_color: site.background_color,
+        theme_color: site.theme_color,
+        icons: [{
+            src: site.logo,
+            ...(icon && { sizes: `${icon.width}x${icon.height}` }),
+            type: 'image/png',
+            purpose: 'any'
+        }],
+        shortcuts: [
+            { name: 'Service Times', url: '/en/worship/service-times/' },
+            { name: 'Watch Live', url: '/en/worship/livestream/' }
+        ]
+    }, null, 2)}\n`;
+}
+
+/**
+ * The service worker, from src/service-worker.js
+ * @param {Object} options
+ * @param {string} options.template - src/service-worker.js
+ * @param {string} options.offlinePage - The offline page's URL
+ * @param {string} options.offlineHtml - The offline page, as built
+ * @param {string[]} options.extra - Other URLs to save when it installs
+ * @returns {string} - The worker
+ */
+function buildServiceWorker({ template, offlinePage, offlineHtml, extra }) {
+    // The offline page and its stylesheet and scripts. Images are saved
+    // as they're first shown instead (the logo alone comes in 8 sizes).
+    const shell = [...new Set([
+        offlinePage,
+        ...findReferences(offlineHtml).filter(url => /^\/assets\/.*\.(css|js)$/.test(url)),
+        ...extra
+    ])];
+
+    // A new version whenever the worker, the offline page or anything
+    // it saves changes: browsers then install it and clear the old caches
+    const version = hash([template, offlineHtml, ...shell].join('\n'));
+
+    return template.replace(/^const BUILD = .*$/m, `const BUILD = ${JSON.stringify({ version, shell })};`);
+}
+
+module.exports = { versionAssets, useVersionedAssets, buildManifest, buildServiceWorker };
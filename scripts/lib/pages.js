@@ -0,0 +1,139 @@
+/**
+ * Delmar Nazarene Church - Site Pages
+ * ====================================
+ *
+ * Finds the page sources under src/pages/ and works out where each one
+ * is published. Pages live in a folder per language and get clean URLs:
+ *
+ *   src/pages/en/index.html              →  /en/
+ *   src/pages/en/about/staff.html        →  /en/about/staff/
+ *   src/pages/en/ministries/index.html   →  /en/ministries/
+ *   src/pages/404.html                   →  /404.html
+ *
+ * A page in another language folder at the same path is a translation
+ * (src/pages/ht/index.html translates src/pages/en/index.html).
+ *
+ * Each source is HTML with YAML front matter (see src/partials/head.js
+ * and src/partials/scripts.js for the settings pages can use; "search:
+ * false" leaves a page out of the site search, scripts/lib/search.js).
+ *
+ * Each entry in the "ministries" CMS collection is a page too, drawn by
+ * src/layouts/ministry.js:
+ *
+ *   content/ministries/en/youth.md       →  /en/ministries/youth/
+ *   content/ministries/ht/youth.md       →  /ht/ministries/youth/
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontMatter } = require('./front-matter');
+const { ROOT_DIR, LANGUAGES, DEFAULT_LANGUAGE, loadCollection } = require('./content');
+
+const PAGES_DIR = path.join(ROOT_DIR, 'src', 'pages');
+
+/**
+ * List every file under a folder, recursively
+ * @param {string} dir - Folder to search
+ * @returns {string[]} - Paths relative to dir, with forward slashes
+ */
+function listFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        if (entry.isDirectory()) {
+            return listFiles(path.join(dir, entry.name)).map(file => `${entry.name}/${file}`);
+        }
+        return [entry.name];
+    });
+}
+
+/**
+ * Work out a page's public URL from its source path
+ * @param {string} file - Path relative to src/pages, e.g. 'en/about/staff.html'
+ * @returns {string} - e.g. '/en/about/staff/'
+ */
+function urlFor(file) {
+    const parts = file.replace(/\.html$/, '').split('/');
+
+    // Top-level pages (404.html, the root redirect) keep their file name
+    if (parts.length === 1) {
+        return parts[0] === 'index' ? '/' : `/${file}`;
+    }
+
+    if (parts[parts.length - 1] === 'index') parts.pop();
+    return `/${parts.join('/')}/`;
+}
+
+/**
+ * Where a URL is written in the output folder
+ * @param {string} url - Public URL
+ * @returns {string} - Relative file path, e.g. 'en/about/staff/index.html'
+ */
+function outputPathFor(url) {
+    return (url.endsWith('/') ? `${url}index.html` : url).slice(1);
+}
+
+/**
+ * A page for each ministry, in English and each language it has been
+ * translated into
+ * @returns {Object[]} - Pages, as loadPages() returns them
+ */
+function loadMinistryPages() {
+    return LANGUAGES.flatMap(lang => loadCollection('ministries', lang)
+        .filter(ministry => ministry.language === lang)
+        .map(ministry => {
+            const url = `/${lang}/ministries/${ministry.slug}/`;
+
+            return {
+                source: `content/ministries/${lang}/${ministry.slug}.md`,
+                url,
+                output: outputPathFor(url),
+                lang,
+                data: {
+                    title: ministry.title,
+                    description: ministry.excerpt,
+                    layout: 'ministry',
+                    scripts: ['events'],
+                    ...(lang === DEFAULT_LANGUAGE && ministry.redirect_from && { redirect_from: ministry.redirect_from }),
+                    ministry
+                },
+                content: ''
+            };
+        }));
+}
+
+/**
+ * Read every page source, and make the ministry pages
+ * @returns {Object[]} - Pages: { source, url, output, lang, data, content }
+ */
+function loadPages() {
+    const pages = listFiles(PAGES_DIR)
+        .filter(file => file.endsWith('.html'))
+        .sort()
+        .map(file => {
+            const { data, body } = parseFrontMatter(fs.readFileSync(path.join(PAGES_DIR, file), 'utf8'));
+            const folder = file.split('/')[0];
+            const url = urlFor(file);
+
+            return {
+                source: `src/pages/${file}`,
+                url,
+                output: outputPathFor(url),
+                lang: LANGUAGES.includes(folder) ? folder : DEFAULT_LANGUAGE,
+                data,
+                content: body
+            };
+        });
+
+    const urls = new Set(pages.map(page => page.url));
+    const ministries = loadMinistryPages();
+    ministries.forEach(page => {
+        if (urls.has(page.url)) {
+            throw new Error(`${page.source}: ${page.url} is also a page in src/pages/`);
+        }
+    });
+
+    return [...pages, ...ministries];
+}
+
+module.exports = { PAGES_DIR, loadPages, urlFor };
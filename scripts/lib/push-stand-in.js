@@ -0,0 +1,174 @@
+/**
+ * Delmar Nazarene Church - Push Service Stand-in
+ * ===============================================
+ *
+ * A pretend push service for local development, so notifications can
+ * be tried out with a local VAPID key pair and nothing outside this
+ * machine. scripts/dev-server.js serves it under /push-service/:
+ *
+ *   POST /push-service/subscriptions
+ *        A new subscription, shaped like a browser's
+ *        PushSubscription.toJSON(). Hand it to /.netlify/functions/push.
+ *   POST /push-service/<id>
+ *        Where the sender delivers. The VAPID signature is checked and
+ *        the message decrypted, as a real push service and browser
+ *        would, and saved to .data/push-outbox/ as JSON.
+ *
+ * A subscription the stand-in doesn't know answers 410 Gone, like one a
+ * browser has dropped.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ROOT_DIR } = require('./content');
+
+const KEYS_FILE = path.join(ROOT_DIR, '.data', 'push-stand-in.json');
+const OUTBOX_DIR = path.join(ROOT_DIR, '.data', 'push-outbox');
+
+/**
+ * The subscriptions handed out so far, kept so they survive a restart
+ * @returns {Object} - { <id>: { privateKey, auth } }
+ */
+function readSubscriptions() {
+    return fs.existsSync(KEYS_FILE) ? JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8')) : {};
+}
+
+/**
+ * Check the sender's VAPID signature
+ * @param {string} header - The Authorization header
+ * @param {string} origin - This service's origin (the JWT's audience)
+ * @returns {string|null} - What's wrong, or null if it's good
+ */
+function checkSignature(header, origin) {
+    const match = String(header || '').match(/^vapid t=([\w-]+\.[\w-]+)\.([\w-]+),\s*k=([\w-]+)$/);
+    if (!match) return 'no VAPID Authorization header';
+
+    const [, unsigned, signature, publicKey] = match;
+    if (publicKey !== process.env.VAPID_PUBLIC_KEY) return 'signed with a different key than VAPID_PUBLIC_KEY';
+
+    const point = Buffer.from(publicKey, 'base64url');
+    const key = crypto.createPublicKey({
+        key: { kty: 'EC', crv: 'P-256', x: point.subarray(1, 33).toString('base64url'), y: point.subarray(33, 65).toString('base64url') },
+        format: 'jwk'
+    });
+    if (!crypto.verify('sha256', Buffer.from(unsigned), { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64url'))) {
+        return 'bad signature';
+    }
+
+    const claims = JSON.parse(Buffer.from(unsigned.split('.')[1], 'base64url').toString('utf8'));
+    const now = Date.now() / 1000;
+    if (claims.aud !== origin) return `audience "${claims.aud}" isn't ${origin}`;
+    if (!(claims.exp > now && claims.exp <= now + 24 * 60 * 60)) return 'expired, or good for more than a day';
+    if (!/^(mailto:|https:)/.test(String(claims.sub || ''))) return 'no mailto: or https: subject';
+    return null;
+}
+
+/**
+ * Decrypt a message the way the browser would (RFC 8291)
+ * @param {Buffer} body - The request body
+ * @param {Object} subscription - { privateKey, auth }, base64url
+ * @returns {string} - The message
+ */
+function decrypt(body, { privateKey, auth }) {
+    const salt = body.subarray(0, 16);
+    const keyLength = body.readUInt8(20);
+    const serverKey = body.subarray(21, 21 + keyLength);
+    const encrypted = body.subarray(21 + keyLength);
+
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.setPrivateKey(Buffer.from(privateKey, 'base64url'));
+    const browserKey = ecdh.getPublicKey();
+
+    const hkdf = (key, salt, info, length) => Buffer.from(crypto.hkdfSync('sha256', key, salt, info, length));
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), browserKey, serverKey]);
+    const ikm = hkdf(ecdh.computeSecret(serverKey), Buffer.from(auth, 'base64url'), keyInfo, 32);
+    const contentKey = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+    const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+    decipher.setAuthTag(encrypted.subarray(-16));
+    const padded = Buffer.concat([decipher.update(encrypted.subarray(0, -16)), decipher.final()]);
+
+    // Drop the padding after the last record's 0x02 delimiter
+    return padded.subarray(0, padded.lastIndexOf(2)).toString('utf8');
+}
+
+/**
+ * Create the stand-in
+ * @param {string} baseUrl - Where it's served, e.g. 'http://localhost:8888/push-service/'
+ * @returns {Object} - { handle(req, url, res) } for the dev server
+ */
+function createPushStandIn(baseUrl) {
+    const origin = new URL(baseUrl).origin;
+
+    return {
+        async handle(req, url, res) {
+            const reply = (status, body) => {
+                res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify(body));
+            };
+            const id = url.pathname.slice(new URL(baseUrl).pathname.length);
+
+            if (req.method !== 'POST') {
+                reply(405, { error: 'method-not-allowed' });
+                return;
+            }
+
+            const chunks = [];
+            for await (const chunk of req) chunks.push(chunk);
+            const subscriptions = readSubscriptions();
+
+            if (id === 'subscriptions') {
+                const ecdh = crypto.createECDH('prime256v1');
+                const newId = crypto.randomUUID();
+                const keys = { p256dh: ecdh.generateKeys().toString('base64url'), auth: crypto.randomBytes(16).toString('base64url') };
+
+                subscriptions[newId] = { privateKey: ecdh.getPrivateKey().toString('base64url'), auth: keys.auth };
+                fs.mkdirSync(path.dirname(KEYS_FILE), { recursive: true });
+                fs.writeFileSync(KEYS_FILE, `${JSON.stringify(subscriptions, null, 2)}\n`);
+
+                reply(201, { endpoint: `${baseUrl}${newId}`, expirationTime: null, keys });
+                return;
+            }
+
+            if (!subscriptions[id]) {
+                reply(410, { error: 'gone' });
+                return;
+            }
+
+            const problem = checkSignature(req.headers.authorization, origin);
+            if (problem) {
+                console.warn(`  Push to ${id} turned down: ${problem}`);
+                reply(403, { error: problem });
+                return;
+            }
+
+            let message;
+            try {
+                message = JSON.parse(decrypt(Buffer.concat(chunks), subscriptions[id]));
+            } catch (error) {
+                console.warn(`  Push to ${id} couldn't be decrypted: ${error.message}`);
+                reply(400, { error: 'decryption failed' });
+                return;
+            }
+
+            const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.json`;
+            fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+            fs.writeFileSync(path.join(OUTBOX_DIR, name), `${JSON.stringify({
+                subscription: id,
+                ttl: Number(req.headers.ttl),
+                urgency: req.headers.urgency || 'normal',
+                topic: req.headers.topic || null,
+                message
+            }, null, 2)}\n`);
+            console.log(`  Push "${message.title}" saved to .data/push-outbox/${name}`);
+
+            reply(201, {});
+        }
+    };
+}
+
+module.exports = { createPushStandIn };
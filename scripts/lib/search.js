@@ -0,0 +1,228 @@
+/**
+ * Delmar Nazarene Church - Search Index
+ * ======================================
+ *
+ * Builds what the site search (assets/js/search.js) looks through: one
+ * JSON file per language, /data/search/<lang>.json, covering
+ *
+ *   - every page (from the built HTML, so service times and other
+ *     {{ tags }} are in it), except those with "search: false" in their
+ *     front matter
+ *   - sermons, upcoming events, current announcements and staff, from
+ *     the CMS collections
+ *
+ * A page that hasn't been translated is indexed in English, with the
+ * parts the language switcher translates (data-i18n) in the language.
+ *
+ * To keep the files small, each entry holds its words once each rather
+ * than its text, and a short summary to show in the results:
+ *
+ *   { u: url, t: title, k: kind, s: summary, w: 'words ...', d: date }
+ *
+ * Words are lowercased with accents taken off; search.js does the same
+ * to what's typed, so "eglise" finds "Église".
+ */
+
+'use strict';
+
+const { LANGUAGES, DEFAULT_LANGUAGE, loadCollection } = require('./content');
+const { createTranslator } = require('./i18n');
+
+// Too common to help find anything
+const STOP_WORDS = new Set([
+    // English
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'how', 'in', 'is', 'it',
+    'of', 'on', 'or', 'our', 'that', 'the', 'this', 'to', 'us', 'was', 'we', 'what', 'when', 'where',
+    'which', 'who', 'will', 'with', 'you', 'your',
+    // French
+    'au', 'aux', 'ce', 'ces', 'dans', 'de', 'des', 'du', 'elle', 'en', 'est', 'et', 'il', 'la', 'le', 'les',
+    'leur', 'nos', 'notre', 'nous', 'ou', 'par', 'pas', 'pour', 'qu', 'que', 'qui', 'sa', 'se', 'ses', 'son',
+    'sont', 'sur', 'un', 'une', 'vos', 'votre', 'vous',
+    // Kreyol
+    'ak', 'ki', 'li', 'nan', 'ou', 'pou', 'sa', 'yo', 'nou', 'ke', 'pa'
+]);
+
+// A summary this long at most
+const SUMMARY_LENGTH = 160;
+
+const ENTITIES = { amp: '&', quot: '"', '#39': "'", apos: "'", lt: '<', gt: '>', nbsp: ' ', hellip: '...', bull: '·', rarr: '→', larr: '←', middot: '·', mdash: '—', ndash: '–', copy: '©' };
+
+/**
+ * Lowercase words without accents, as search.js matches them
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 1);
+}
+
+/**
+ * The distinct words worth searching for
+ * @param {...string} texts
+ * @returns {string} - Space-separated
+ */
+function searchWords(...texts) {
+    return [...new Set(texts.flatMap(tokenize).filter(word => !STOP_WORDS.has(word)))].join(' ');
+}
+
+/**
+ * Shorten text to a summary
+ * @param {string} text
+ * @returns {string}
+ */
+function summarize(text) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > SUMMARY_LENGTH ? `${clean.slice(0, SUMMARY_LENGTH - 3).replace(/\s+\S*$/, '')}...` : clean;
+}
+
+/**
+ * Decode the HTML entities in some text
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#?\w+);/g, (entity, name) => ENTITIES[name] ?? (/^#\d+$/.test(name) ? String.fromCharCode(Number(name.slice(1))) : ' '));
+}
+
+/**
+ * A <meta> tag's content in a built page (with its {{ tags }} filled in,
+ * unlike the front matter it came from)
+ * @param {string} html
+ * @param {string} name - e.g. 'description'
+ * @returns {string}
+ */
+function metaContent(html, name) {
+    const match = html.match(new RegExp(`<meta name="${name}" content="([^"]*)"`));
+    return match ? decodeEntities(match[1]) : '';
+}
+
+/**
+ * The readable text of a page's main content
+ * @param {string} html - The built page
+ * @param {Function} [t] - Translate data-i18n text into another language
+ * @returns {string}
+ */
+function pageText(html, t) {
+    const main = (html.match(/<main\b[^>]*>([\s\S]*)<\/main>/) || [])[1] || '';
+    let text = main
+        .replace(/<(script|style|noscript|svg)\b[\s\S]*?<\/\1>/g, ' ')
+        .replace(/<!--[\s\S]*?-->/g, ' ');
+
+    if (t) {
+        // Only plain text, with no {placeholders} to fill
+        text = text.replace(/(<([a-z0-9]+)\b[^>]*?\sdata-i18n="([\w.-]+)"(?![^>]*data-i18n-params)[^>]*>)[^<]*(<\/\2>)/g,
+            (match, open, tag, key, close) => `${open}${t(key)}${close}`);
+    }
+
+    return decodeEntities(text.replace(/<[^>]+>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Index entries for the pages in one language
+ * @param {Object[]} pages - { page, html } for every page built
+ * @param {string} lang
+ * @param {Function} localize - (url, lang) → the page in that language, if it has one
+ * @returns {Object[]}
+ */
+function pageEntries(pages, lang, localize) {
+    const byUrl = new Map(pages.map(item => [item.page.url, item]));
+    const t = lang === DEFAULT_LANGUAGE ? null : createTranslator(lang);
+
+    return pages
+        .filter(({ page }) => page.lang === DEFAULT_LANGUAGE && page.url.startsWith(`/${DEFAULT_LANGUAGE}/`))
+        .filter(({ page }) => page.data.search !== false && page.data.layout !== 'none')
+        .map(({ page, html }) => {
+            const url = localize(page.url, lang);
+            const translated = url !== page.url ? byUrl.get(url) : null;
+            const source = translated || { page, html };
+            const text = pageText(source.html, translated ? null : t);
+            const title = source.page.data.title || source.page.data.document_title;
+            const description = metaContent(source.html, 'description');
+
+            return {
+                u: url,
+                t: title,
+                k: 'page',
+                s: summarize(description || text),
+                w: searchWords(title, description, metaContent(source.html, 'keywords'), text)
+            };
+        });
+}
+
+/**
+ * Index entries for the CMS collections in one language
+ * @param {string} lang
+ * @param {Function} localize - (url, lang) → the page in that language, if it has one
+ * @param {string} today - 'YYYY-MM-DD' at the church
+ * @returns {Object[]}
+ */
+function contentEntries(lang, localize, today) {
+    const day = (value) => String(value || '').slice(0, 10);
+
+    const sermons = loadCollection('sermons', lang).map(sermon => ({
+        u: `${localize('/en/worship/sermons/', lang)}?sermon=${encodeURIComponent(sermon.slug)}`,
+        t: sermon.title,
+        k: 'sermon',
+        s: summarize([sermon.speaker, sermon.scripture].filter(Boolean).join(' · ') || sermon.excerpt),
+        w: searchWords(sermon.title, sermon.speaker, sermon.scripture, sermon.series, sermon.excerpt),
+        d: day(sermon.date)
+    }));
+
+    const events = loadCollection('events', lang)
+        .filter(event => event.date && day(event.end_date || event.date) >= today)
+        .map(event => ({
+            u: `${localize('/en/events/', lang)}#${event.slug}`,
+            t: event.title,
+            k: 'event',
+            s: summarize(event.excerpt),
+            w: searchWords(event.title, event.location, event.category, event.excerpt),
+            d: day(event.date)
+        }));
+
+    const announcements = loadCollection('announcements', lang)
+        .filter(item => !item.display_until || day(item.display_until) >= today)
+        .map(item => ({
+            u: `${localize('/en/announcements/', lang)}#${item.slug}`,
+            t: item.title,
+            k: 'announcement',
+            s: summarize(item.excerpt),
+            w: searchWords(item.title, item.category, item.excerpt),
+            d: day(item.date)
+        }));
+
+    const staff = loadCollection('staff', lang).map(person => ({
+        u: `${localize('/en/about/staff/', lang)}#${person.slug}`,
+        t: person.name,
+        k: 'staff',
+        s: summarize(person.position),
+        w: searchWords(person.name, person.position, person.bio)
+    }));
+
+    return [...sermons, ...events, ...announcements, ...staff];
+}
+
+/**
+ * Build each language's search index
+ * @param {Object} options
+ * @param {Object[]} options.pages - { page, html } for every page built
+ * @param {Function} options.localize - (url, lang) → the page in that language, if it has one
+ * @param {string} options.timezone - The church's, for what counts as upcoming
+ * @returns {Object} - { <lang>: entries }
+ */
+function buildSearchIndex({ pages, localize, timezone }) {
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: timezone });
+
+    return Object.fromEntries(LANGUAGES.map(lang => [lang, [
+        ...pageEntries(pages, lang, localize),
+        ...contentEntries(lang, localize, today)
+    ].map(entry => Object.fromEntries(Object.entries(entry).filter(([, value]) => value)))]));
+}
+
+module.exports = { buildSearchIndex };
@@ -0,0 +1,205 @@
+/**
+ * Delmar Nazarene Church - Church Settings
+ * =========================================
+ *
+ * The church's contact details, address, social links and weekly
+ * service times, edited in the CMS under "Site Settings" and saved to
+ * content/settings/church.json. This file is the only place they are
+ * written down: the header, footer, structured data and every page that
+ * mentions a time or the address are filled in from it at build time.
+ *
+ * Page sources use {{ tags }} for these values:
+ *
+ *   {{ phone }}  {{ phone_href }}  {{ email }}
+ *   {{ address }}               Street<br>City, ST Zip
+ *   {{ address_line }}          Street, City, ST Zip
+ *   {{ map_url }}               Google Maps search for the address
+ *   {{ map_embed_url }}         Google Maps embed (for an <iframe>)
+ *   {{ youtube_url }}           The church's YouTube channel
+ *   {{ facebook_url }}          The church's Facebook page
+ *   {{ chat_url }}              The livestream chat server (chat_url in
+ *                               src/data/site.json; blank for the local one)
+ *   {{ time sundayWorship }}    Start time, e.g. "10:30 AM"
+ *   {{ hours bibleStudy }}      Start and end, e.g. "6:00 PM - 8:00 PM"
+ *   {{ day bibleStudy }}        Day of the week, e.g. "Wednesday"
+ *
+ * Times and days are written in the page's language.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./content');
+const { formatTime } = require('./i18n');
+
+const SETTINGS_FILE = path.join(ROOT_DIR, 'content', 'settings', 'church.json');
+const SITE_FILE = path.join(ROOT_DIR, 'src', 'data', 'site.json');
+const FORMS_FILE = path.join(ROOT_DIR, 'content', 'settings', 'forms.json');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DEFAULT_EXPIRE_DAYS = 30;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TAG_PATTERN = /\{\{\s*([a-z_]+)(?:\s+([A-Za-z]+))?\s*\}\}/g;
+
+/**
+ * Read and check content/settings/church.json
+ * @returns {Object} - { phone, email, address, services, social }
+ */
+function loadSettings() {
+    const file = path.relative(ROOT_DIR, SETTINGS_FILE);
+    const settings = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8'));
+
+    ['phone', 'email'].forEach(field => {
+        if (!settings[field]) throw new Error(`${file}: "${field}" is required`);
+    });
+    ['street', 'city', 'state', 'zip'].forEach(field => {
+        if (!settings.address || !settings.address[field]) {
+            throw new Error(`${file}: "address.${field}" is required`);
+        }
+    });
+
+    const ids = new Set();
+    settings.services = (settings.services || []).map(service => {
+        const label = `service "${service.id}"`;
+
+        if (!service.id) throw new Error(`${file}: every service needs an "id"`);
+        if (ids.has(service.id)) throw new Error(`${file}: ${label} is listed twice`);
+        if (!WEEKDAYS.includes(service.day)) throw new Error(`${file}: ${label} has no valid "day"`);
+        if (!TIME_PATTERN.test(service.start_time || '')) {
+            throw new Error(`${file}: ${label} needs a "start_time" like "10:30"`);
+        }
+        if (service.end_time && !TIME_PATTERN.test(service.end_time)) {
+            throw new Error(`${file}: ${label} has an "end_time" that isn't like "12:00"`);
+        }
+
+        ids.add(service.id);
+        return {
+            ...service,
+            end_time: service.end_time || '',
+            show_in_header: Boolean(service.show_in_header),
+            livestream: Boolean(service.livestream)
+        };
+    });
+
+    if (!settings.services.length) throw new Error(`${file}: list at least one service`);
+    settings.social = settings.social || {};
+
+    return settings;
+}
+
+/**
+ * The site details (src/data/site.json) with the church settings merged in
+ * @returns {Object} - { name, url, timezone, ..., phone, email, address, services, social }
+ */
+function loadSite() {
+    return { ...JSON.parse(fs.readFileSync(SITE_FILE, 'utf8')), ...loadSettings() };
+}
+
+/**
+ * Where form submissions are sent, from content/settings/forms.json
+ * These stay out of the published data. An inbox left blank gets the
+ * church's main email address.
+ * @returns {Object} - Email address by inbox, e.g. { office, prayer, welcome, ... }
+ */
+function loadInboxes() {
+    const file = path.relative(ROOT_DIR, FORMS_FILE);
+    const { inboxes = {} } = fs.existsSync(FORMS_FILE) ? JSON.parse(fs.readFileSync(FORMS_FILE, 'utf8')) : {};
+    const fallback = loadSettings().email;
+
+    return Object.fromEntries(['office', 'pastor', 'prayer', 'care', 'welcome', 'ministries'].map(name => {
+        const address = String(inboxes[name] || '').trim();
+        if (address && !EMAIL_PATTERN.test(address)) {
+            throw new Error(`${file}: "inboxes.${name}" isn't an email address`);
+        }
+        return [name, address || fallback];
+    }));
+}
+
+/**
+ * Prayer wall settings, from content/settings/forms.json
+ * @returns {Object} - { expireDays } (how long an approved request stays up)
+ */
+function loadPrayerWall() {
+    const file = path.relative(ROOT_DIR, FORMS_FILE);
+    const { prayer_wall: wall = {} } = fs.existsSync(FORMS_FILE) ? JSON.parse(fs.readFileSync(FORMS_FILE, 'utf8')) : {};
+    const expireDays = wall.expire_days ?? DEFAULT_EXPIRE_DAYS;
+
+    if (!Number.isInteger(expireDays) || expireDays < 1) {
+        throw new Error(`${file}: "prayer_wall.expire_days" should be a whole number of days`);
+    }
+    return { expireDays };
+}
+
+/**
+ * The address on one line, e.g. "36926 Hideaway Ln, Delmar, DE 19940"
+ * @param {Object} address - { street, city, state, zip }
+ * @returns {string}
+ */
+function addressLine(address) {
+    return `${address.street}, ${address.city}, ${address.state} ${address.zip}`;
+}
+
+/**
+ * A service's start and end time, e.g. "6:00 PM - 8:00 PM"
+ * @param {Object} service - A service from the settings
+ * @param {string} lang - Language code
+ * @returns {string}
+ */
+function formatHours(service, lang) {
+    const start = formatTime(service.start_time, lang);
+    return service.end_time ? `${start} - ${formatTime(service.end_time, lang)}` : start;
+}
+
+/**
+ * The next date a weekly service meets, counting today
+ * @param {string} day - e.g. 'sunday'
+ * @param {Date} [from] - Start counting from (defaults to now)
+ * @returns {string} - "YYYY-MM-DD"
+ */
+function nextServiceDate(day, from = new Date()) {
+    const date = new Date(from);
+    date.setDate(date.getDate() + ((WEEKDAYS.indexOf(day) - date.getDay() + 7) % 7));
+
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Replace the {{ tags }} in page text with the church's settings
+ * @param {string} text - Page content or a front matter value
+ * @param {Object} ctx - Render context (site, lang, t, esc, service)
+ * @returns {string}
+ */
+function fillTags(text, ctx) {
+    const { site, lang, t, esc } = ctx;
+    const { address } = site;
+    const query = encodeURIComponent(addressLine(address)).replace(/%20/g, '+');
+
+    const values = {
+        phone: () => esc(site.phone),
+        phone_href: () => esc(ctx.phoneHref),
+        email: () => esc(site.email),
+        address: () => `${esc(address.street)}<br>${esc(address.city)}, ${esc(address.state)} ${esc(address.zip)}`,
+        address_line: () => esc(addressLine(address)),
+        map_url: () => esc(`https://www.google.com/maps/search/?api=1&query=${query}`),
+        map_embed_url: () => esc(`https://maps.google.com/maps?q=${query}&output=embed`),
+        youtube_url: () => esc(site.social.youtube || ''),
+        facebook_url: () => esc(site.social.facebook || ''),
+        chat_url: () => esc(site.chat_url || ''),
+        time: (id) => esc(formatTime(ctx.service(id).start_time, lang)),
+        hours: (id) => esc(formatHours(ctx.service(id), lang)),
+        day: (id) => esc(t(`weekdays.${ctx.service(id).day}`))
+    };
+
+    return text.replace(TAG_PATTERN, (tag, name, argument) => {
+        if (!values[name]) throw new Error(`unknown tag ${tag}`);
+        if ((values[name].length > 0) !== Boolean(argument)) {
+            throw new Error(`${tag} ${argument ? 'takes no service' : 'needs a service, e.g. {{ time sundayWorship }}'}`);
+        }
+        return values[name](argument);
+    });
+}
+
+module.exports = { SETTINGS_FILE, WEEKDAYS, loadSettings, loadSite, loadInboxes, loadPrayerWall, addressLine, formatHours, nextServiceDate, fillTags };
@@ -0,0 +1,108 @@
+/**
+ * Delmar Nazarene Church - SMTP Stand-in
+ * =======================================
+ *
+ * A pretend mail server for local development. It accepts whatever the
+ * functions send over SMTP and saves each message to .data/outbox/ as
+ * an .eml file (open it in any mail program) instead of delivering it.
+ *
+ * scripts/dev-server.js starts it unless SMTP_URL points somewhere
+ * else already (e.g. a Mailpit you run yourself).
+ */
+
+'use strict';
+
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./content');
+
+const OUTBOX_DIR = path.join(ROOT_DIR, '.data', 'outbox');
+
+/**
+ * Save a received message
+ * @param {string[]} recipients - RCPT TO addresses
+ * @param {string} data - The message
+ * @returns {string} - The file name
+ */
+function save(recipients, data) {
+    const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${(recipients[0] || 'unknown').replace(/[^\w.@-]/g, '_')}.eml`;
+    fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+    fs.writeFileSync(path.join(OUTBOX_DIR, name), data);
+    return name;
+}
+
+/**
+ * Start the stand-in
+ * @param {number} port - Port to listen on
+ * @returns {Promise<net.Server>} - Resolves once it's listening
+ */
+function startSmtpStandIn(port) {
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let recipients = [];
+        let reading = false;
+
+        const reply = (line) => socket.write(`${line}\r\n`);
+
+        socket.setEncoding('utf8');
+        reply('220 localhost SMTP stand-in ready');
+
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+
+            while (buffer) {
+                if (reading) {
+                    const end = buffer.indexOf('\r\n.\r\n');
+                    if (end === -1) return;
+
+                    // Undo the sender's dot-doubling
+                    const data = buffer.slice(0, end + 2).replace(/\r\n\.\./g, '\r\n.');
+                    buffer = buffer.slice(end + 5);
+                    reading = false;
+
+                    console.log(`  Email to ${recipients.join(', ')} saved to .data/outbox/${save(recipients, data)}`);
+                    recipients = [];
+                    reply('250 Saved');
+                    continue;
+                }
+
+                const lineEnd = buffer.indexOf('\r\n');
+                if (lineEnd === -1) return;
+
+                const line = buffer.slice(0, lineEnd);
+                buffer = buffer.slice(lineEnd + 2);
+                const command = line.slice(0, 4).toUpperCase();
+
+                if (command === 'EHLO' || command === 'HELO') {
+                    reply('250 localhost');
+                } else if (command === 'AUTH') {
+                    reply('235 Accepted');
+                } else if (command === 'RCPT') {
+                    recipients.push((line.match(/<([^>]*)>/) || [])[1] || '');
+                    reply('250 OK');
+                } else if (command === 'DATA') {
+                    reading = true;
+                    reply('354 End with <CRLF>.<CRLF>');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                    return;
+                } else {
+                    // MAIL, RSET, NOOP, ...
+                    if (command === 'RSET') recipients = [];
+                    reply('250 OK');
+                }
+            }
+        });
+
+        socket.on('error', () => {});
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => resolve(server));
+    });
+}
+
+module.exports = { startSmtpStandIn };
@@ -0,0 +1,209 @@
+/**
+ * Delmar Nazarene Church - WebSocket Server
+ * ==========================================
+ *
+ * Just enough of the WebSocket protocol (RFC 6455) for the livestream
+ * chat (scripts/lib/live-chat.js): the opening handshake, text messages
+ * both ways, ping/pong to notice dropped connections, and closing.
+ * Node has a WebSocket client built in but no server, and a chat this
+ * small doesn't need a package for one.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Fixed by the protocol, for the handshake
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Close codes
+const CLOSE = { normal: 1000, protocol: 1002, unsupported: 1003, tooBig: 1009 };
+
+/**
+ * A frame, ready to write (server frames aren't masked)
+ * @param {number} opcode - From OPCODES
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header.writeUInt16BE(length, 2);
+        header[1] = 126;
+    } else {
+        header = Buffer.alloc(10);
+        header.writeBigUInt64BE(BigInt(length), 2);
+        header[1] = 127;
+    }
+    header[0] = 0x80 | opcode;
+
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Turn down an upgrade request with a plain HTTP answer
+ * @param {net.Socket} socket
+ * @param {number} status - e.g. 403
+ * @param {string} reason - e.g. 'Forbidden'
+ */
+function rejectUpgrade(socket, status, reason) {
+    socket.end(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+/**
+ * Complete the handshake for an HTTP server's 'upgrade' event
+ * @param {http.IncomingMessage} request
+ * @param {net.Socket} socket
+ * @param {Object} [options] - { maxMessage: bytes, pingInterval: ms }
+ * @returns {EventEmitter|null} - The connection, with send(text) and
+ *                                close(); emits 'message' (text) and
+ *                                'close'. null if it wasn't a WebSocket
+ *                                request.
+ */
+function acceptWebSocket(request, socket, { maxMessage = 16 * 1024, pingInterval = 30 * 1000 } = {}) {
+    const key = request.headers['sec-websocket-key'];
+    if (String(request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+        rejectUpgrade(socket, 400, 'Bad Request');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const connection = new EventEmitter();
+    let buffered = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentsLength = 0;
+    let closed = false;
+    let alive = true;
+
+    const write = (opcode, payload) => {
+        if (!closed && socket.writable) socket.write(encodeFrame(opcode, payload));
+    };
+
+    const finish = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(pinger);
+        connection.emit('close');
+    };
+
+    connection.send = (text) => write(OPCODES.text, Buffer.from(text, 'utf8'));
+
+    connection.close = (code = CLOSE.normal) => {
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        write(OPCODES.close, payload);
+        finish();
+        socket.end();
+    };
+
+    // A connection that misses a ping is gone (a phone that lost signal)
+    const pinger = setInterval(() => {
+        if (!alive) {
+            socket.destroy();
+            finish();
+            return;
+        }
+        alive = false;
+        write(OPCODES.ping, Buffer.alloc(0));
+    }, pingInterval);
+
+    const handleFrame = (fin, opcode, payload) => {
+        if (opcode === OPCODES.close) {
+            connection.close();
+        } else if (opcode === OPCODES.ping) {
+            write(OPCODES.pong, payload);
+        } else if (opcode === OPCODES.pong) {
+            alive = true;
+        } else if (opcode === OPCODES.binary) {
+            connection.close(CLOSE.unsupported);
+        } else if (opcode === OPCODES.text || opcode === OPCODES.continuation) {
+            if (opcode === OPCODES.text) {
+                fragments = [];
+                fragmentsLength = 0;
+            }
+            fragments.push(payload);
+            fragmentsLength += payload.length;
+
+            if (fragmentsLength > maxMessage) {
+                connection.close(CLOSE.tooBig);
+            } else if (fin) {
+                const text = Buffer.concat(fragments).toString('utf8');
+                fragments = [];
+                fragmentsLength = 0;
+                alive = true;
+                connection.emit('message', text);
+            }
+        } else {
+            connection.close(CLOSE.protocol);
+        }
+    };
+
+    socket.on('data', (chunk) => {
+        buffered = Buffer.concat([buffered, chunk]);
+
+        while (buffered.length >= 2 && !closed) {
+            const fin = Boolean(buffered[0] & 0x80);
+            const opcode = buffered[0] & 0x0f;
+            const masked = Boolean(buffered[1] & 0x80);
+            let length = buffered[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (buffered.length < 4) return;
+                length = buffered.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffered.length < 10) return;
+                const big = buffered.readBigUInt64BE(2);
+                length = big > BigInt(maxMessage) ? Infinity : Number(big);
+                offset = 10;
+            }
+
+            // Browsers always mask what they send
+            if (!masked) {
+                connection.close(CLOSE.protocol);
+                return;
+            }
+            if (length > maxMessage) {
+                connection.close(CLOSE.tooBig);
+                return;
+            }
+            if (buffered.length < offset + 4 + length) return;
+
+            const mask = buffered.subarray(offset, offset + 4);
+            const payload = Buffer.from(buffered.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+
+            buffered = buffered.subarray(offset + 4 + length);
+            handleFrame(fin, opcode, payload);
+        }
+    });
+
+    socket.on('close', finish);
+    socket.on('error', () => {
+        socket.destroy();
+        finish();
+    });
+
+    return connection;
+}
+
+module.exports = { acceptWebSocket, rejectUpgrade };
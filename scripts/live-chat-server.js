@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Delmar Nazarene Church - Live Chat Server
+ * ==========================================
+ *
+ * Runs the livestream chat (scripts/lib/live-chat.js) on its own, for
+ * the live site: Netlify can't keep WebSockets open, so this goes on any
+ * small Node host. Put its address in src/data/site.json as chat_url,
+ * e.g. "wss://chat.delmarnaz.com/chat". Locally, scripts/dev-server.js
+ * runs the same chat and this isn't needed.
+ *
+ * Options come from the environment:
+ *   PORT=8080                  Listen on another port
+ *   CHAT_SECRET=...            The same secret as on Netlify, to check
+ *                              moderators' tickets
+ *   CHAT_ORIGINS=https://...   Sites allowed to connect, comma-separated
+ *                              (defaults to the site's url)
+ *   CHAT_HOLD_WORDS=a,b        Hold messages with these words for a moderator
+ *   CHAT_TRUST_PROXY=1         Behind a proxy that sets X-Forwarded-For
+ *
+ * Usage:
+ *   CHAT_SECRET=... node scripts/live-chat-server.js
+ */
+
+'use strict';
+
+const http = require('http');
+const { loadSite } = require('./lib/settings');
+const { createLiveChat } = require('./lib/live-chat');
+
+const PORT = Number(process.env.PORT) || 8080;
+
+const list = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+function start() {
+    if (!process.env.CHAT_SECRET) {
+        throw new Error('CHAT_SECRET is not set (use the same one as on Netlify)');
+    }
+
+    const origins = list(process.env.CHAT_ORIGINS);
+    const chat = createLiveChat({
+        origins: origins.length ? origins : [loadSite().url],
+        holdWords: list(process.env.CHAT_HOLD_WORDS),
+        trustProxy: Boolean(process.env.CHAT_TRUST_PROXY)
+    });
+
+    const server = http.createServer((req, res) => {
+        // For the host's health check
+        res.writeHead(200, { 'Content-Type': 'text/plain' }).end(`Live chat: ${chat.size()} connected\n`);
+    });
+
+    server.on('upgrade', (req, socket) => {
+        if (new URL(req.url, 'http://localhost').pathname === '/chat') {
+            chat.handleUpgrade(req, socket);
+        } else {
+            socket.destroy();
+        }
+    });
+
+    server.listen(PORT, () => console.log(`Live chat at ws://localhost:${PORT}/chat`));
+}
+
+try {
+    start();
+} catch (error) {
+    console.error(`Live chat failed to start: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+/**
+ * Delmar Nazarene Church - VAPID Keys
+ * ====================================
+ *
+ * Makes the key pair push notifications are signed with (see
+ * netlify/lib/web-push.js). Set the two lines it prints as environment
+ * variables in Netlify's site settings, once: a new pair leaves every
+ * browser that turned notifications on without them.
+ *
+ * The local server makes its own pair (.data/vapid-keys.json), so this
+ * is only needed for the live site.
+ *
+ * Usage:
+ *   node scripts/vapid-keys.js
+ */
+
+'use strict';
+
+const { generateVapidKeys } = require('../netlify/lib/web-push');
+
+const { publicKey, privateKey } = generateVapidKeys();
+
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
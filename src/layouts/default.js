@@ -0,0 +1,41 @@
+/**
+ * Delmar Nazarene Church - Default Layout
+ * ========================================
+ *
+ * The full page: header and navigation, the page's content, the footer
+ * and the back-to-top button.
+ */
+
+'use strict';
+
+const head = require('../partials/head');
+const header = require('../partials/header');
+const footer = require('../partials/footer');
+const scripts = require('../partials/scripts');
+
+module.exports = function defaultLayout(ctx) {
+    const { page, t, esc } = ctx;
+
+    return `<!DOCTYPE html>
+<html lang="${ctx.lang}">
+<head>${head(ctx)}
+</head>
+<body class="${esc(page.body_class || 'font-sans text-gray-800 bg-cream')}">
+    <!-- Skip Link for Accessibility -->
+    <a href="#main-content" class="skip-link" data-i18n="common.skipToContent">${esc(t('common.skipToContent'))}</a>
+${header(ctx)}
+
+    ${page.content}
+${footer(ctx)}
+
+    <!-- Back to Top Button -->
+    <button class="back-to-top fixed bottom-8 right-8 w-12 h-12 bg-primary-700 text-white rounded-full shadow-lg opacity-0 invisible transition-all duration-300 hover:bg-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 z-50" aria-label="${esc(t('common.backToTop'))}" data-i18n-aria-label="common.backToTop">
+        <svg xmlns="http://www.w3.org/2000/svg" class="h-6 w-6 mx-auto" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 10l7-7m0 0l7 7m-7-7v18" />
+        </svg>
+    </button>
+${scripts(ctx)}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,65 @@
+/**
+ * Delmar Nazarene Church - Minimal Layout
+ * ========================================
+ *
+ * A logo-only header and a one-line footer, for pages that shouldn't
+ * lead visitors off into the menus (form "thank you" pages, the 404).
+ */
+
+'use strict';
+
+const head = require('../partials/head');
+const scripts = require('../partials/scripts');
+
+module.exports = function minimalLayout(ctx) {
+    const { page, site, t, esc } = ctx;
+    const { address } = site;
+
+    return `<!DOCTYPE html>
+<html lang="${ctx.lang}">
+<head>${head(ctx)}
+</head>
+<body class="${esc(page.body_class || 'font-sans text-gray-800 bg-cream')}">
+    <a href="#main-content" class="skip-link" data-i18n="common.skipToContent">${esc(t('common.skipToContent'))}</a>
+
+    <div class="min-h-screen flex flex-col">
+        <!-- HEADER -->
+        <header class="site-header">
+            <div class="header-top bg-primary-900 text-white py-2">
+                <div class="nav-container flex justify-between items-center text-sm">
+                    <div class="flex items-center gap-6">
+                        <a href="tel:${esc(ctx.phoneHref)}" class="flex items-center gap-2 hover:text-accent-400 transition-colors">
+                            <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 5a2 2 0 012-2h3.28a1 1 0 01.948.684l1.498 4.493a1 1 0 01-.502 1.21l-2.257 1.13a11.042 11.042 0 005.516 5.516l1.13-2.257a1 1 0 011.21-.502l4.493 1.498a1 1 0 01.684.949V19a2 2 0 01-2 2h-1C9.716 21 3 14.284 3 6V5z" />
+                            </svg>
+                            ${esc(site.phone)}
+                        </a>
+                        <span class="hidden sm:block text-primary-300">${esc(address.street)}, ${esc(address.city)}, ${esc(address.state)} ${esc(address.zip)}</span>
+                    </div>
+                </div>
+            </div>
+            <div class="header-main bg-white shadow-sm">
+                <div class="nav-container">
+                    <a href="${esc(ctx.localize('/en/'))}" class="site-logo flex items-center gap-3">
+                        <img src="${esc(site.logo)}" alt="${esc(t('common.logoAlt'))}" data-i18n-alt="common.logoAlt" class="h-12 md:h-14 w-auto" sizes="56px" loading="eager">
+                        <div class="site-logo-text text-primary-800 hidden sm:block">Delmar Church <span class="text-primary-600">of Nazarene</span></div>
+                    </a>
+                </div>
+            </div>
+        </header>
+
+    ${page.content}
+
+        <!-- FOOTER -->
+        <footer class="bg-primary-900 text-white py-8">
+            <div class="container mx-auto px-4 text-center">
+                <p class="text-primary-300" data-i18n="footer.copyright" data-i18n-params='{"year": "${ctx.year}"}'>${esc(t('footer.copyright', { year: ctx.year }))}</p>
+                <p class="text-primary-400 text-sm mt-2">${esc(address.street)}, ${esc(address.city)}, ${esc(address.state)} ${esc(address.zip)} &bull; ${esc(site.phone)}</p>
+            </div>
+        </footer>
+    </div>
+${scripts(ctx)}
+</body>
+</html>
+`;
+};
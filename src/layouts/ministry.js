@@ -0,0 +1,343 @@
+/**
+ * Delmar Nazarene Church - Ministry Layout
+ * =========================================
+ *
+ * A ministry's page, from its entry in the "ministries" CMS collection
+ * (front matter "ministry", see scripts/lib/pages.js): what it's about,
+ * who it's for and when it meets, its leaders, photos and upcoming
+ * events, and a sign-up form that goes to its leaders
+ * (netlify/functions/forms.js). The rest of the page is the default
+ * layout's.
+ */
+
+'use strict';
+
+const defaultLayout = require('./default');
+const { loadCollection } = require('../../scripts/lib/content');
+const { addressLine, formatHours } = require('../../scripts/lib/settings');
+
+// Lifts the "What We Do" cards on hover
+const STYLES = `.feature-card {
+    transition: all 0.3s ease;
+}
+.feature-card:hover {
+    transform: translateY(-4px);
+    box-shadow: 0 12px 24px rgba(0, 0, 0, 0.1);
+}`;
+
+// Outline icons (their <path>s)
+const ICONS = {
+    people: ['M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z'],
+    clock: ['M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z'],
+    pin: ['M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z', 'M15 11a3 3 0 11-6 0 3 3 0 016 0z'],
+    mail: ['M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z'],
+    phone: ['M3 5a2 2 0 012-2h3.28a1 1 0 01.948.684l1.498 4.493a1 1 0 01-.502 1.21l-2.257 1.13a11.042 11.042 0 005.516 5.516l1.13-2.257a1 1 0 011.21-.502l4.493 1.498a1 1 0 01.684.949V19a2 2 0 01-2 2h-1C9.716 21 3 14.284 3 6V5z']
+};
+
+const icon = (name, className = 'h-6 w-6 text-primary-700') => `<svg xmlns="http://www.w3.org/2000/svg" class="${className}" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">${ICONS[name]
+    .map(d => `<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${d}" />`).join('')}</svg>`;
+
+/**
+ * Fixed text (a heading, a label) the language switcher can translate
+ * @param {Object} ctx - Render context
+ * @param {string} key - Translation key
+ * @param {string} [tag]
+ * @param {string} [className]
+ * @returns {string}
+ */
+function label(ctx, key, tag = 'h2', className = 'font-serif text-3xl md:text-4xl font-bold text-primary-900 mb-4') {
+    return `<${tag} class="${className}" data-i18n="${key}">${ctx.esc(ctx.t(key))}</${tag}>`;
+}
+
+/**
+ * The ministry's meeting times, e.g. "Sunday, 9:00 AM - 10:15 AM"
+ * @param {Object} ctx - Render context
+ * @param {Object} ministry - The entry
+ * @returns {Object[]} - { name, when, note }
+ */
+function getSchedule(ctx, ministry) {
+    return (ministry.schedule || []).map(item => {
+        const time = item.service ? ctx.site.services.find(service => service.id === item.service) : item;
+        if (!time) {
+            throw new Error(`the schedule uses the "${item.service}" service, which isn't in the church settings`);
+        }
+
+        return {
+            name: item.label || (item.service ? ctx.t(`services.${item.service}`) : ''),
+            when: [time.day && ctx.t(`weekdays.${time.day}`), time.start_time && formatHours(time, ctx.lang)].filter(Boolean).join(', '),
+            note: item.note || ''
+        };
+    });
+}
+
+/**
+ * The ministry's leaders, from the staff collection
+ * @param {Object} ctx - Render context
+ * @param {Object} ministry - The entry
+ * @returns {Object[]} - Staff entries
+ */
+function getLeaders(ctx, ministry) {
+    const staff = loadCollection('staff', ctx.lang);
+
+    return (ministry.leaders || []).map(slug => {
+        const person = staff.find(item => item.slug === slug);
+        if (!person) console.warn(`  ! ministries/${ministry.slug}: no "${slug}" in the staff collection`);
+        return person;
+    }).filter(Boolean);
+}
+
+function renderHero(ctx, ministry) {
+    const { esc, t } = ctx;
+
+    return `
+        <section class="relative min-h-[50vh] flex items-center justify-center text-center text-white overflow-hidden">
+            <div class="absolute inset-0 z-0">
+                ${ministry.image
+                    ? `<img src="${esc(ministry.image)}" alt="" class="w-full h-full object-cover" loading="eager">`
+                    : '<div class="w-full h-full bg-gradient-to-br from-primary-900 via-primary-800 to-primary-700"></div>'}
+            </div>
+            <div class="absolute inset-0 z-10 bg-gradient-to-br from-black/60 via-primary-900/50 to-primary-800/40"></div>
+
+            <div class="relative z-20 max-w-4xl px-4 py-16">
+                <h1 class="font-serif text-5xl md:text-6xl font-bold mb-4 text-white">${esc(ministry.title)}</h1>
+                ${ministry.tagline ? `<p class="text-xl md:text-2xl text-primary-100 mb-6 max-w-2xl mx-auto">${esc(ministry.tagline)}</p>` : ''}
+
+                <nav class="mt-8 text-sm text-white/70" aria-label="Breadcrumb">
+                    <a href="${esc(ctx.localize('/en/'))}" class="hover:text-white" data-i18n="nav.home">${esc(t('nav.home'))}</a>
+                    <span class="mx-2">/</span>
+                    <a href="${esc(ctx.localize('/en/ministries/'))}" class="hover:text-white" data-i18n="nav.ministries">${esc(t('nav.ministries'))}</a>
+                    <span class="mx-2">/</span>
+                    <span class="text-white">${esc(ministry.title)}</span>
+                </nav>
+            </div>
+        </section>`;
+}
+
+function renderHighlights(ctx, ministry) {
+    const { esc } = ctx;
+    const highlights = ministry.highlights || [];
+    if (!highlights.length) return '';
+
+    return `
+        <section class="py-16 md:py-20 bg-white">
+            <div class="container mx-auto px-4">
+                <div class="text-center mb-12">
+                    ${label(ctx, 'ministries.whatWeDo')}
+                </div>
+                <div class="grid md:grid-cols-2 ${highlights.length % 4 ? (highlights.length > 2 ? 'lg:grid-cols-3' : '') : 'lg:grid-cols-4'} gap-8 max-w-6xl mx-auto">
+                    ${highlights.map(item => `
+                    <div class="feature-card bg-pale-green rounded-2xl p-8 text-center">
+                        <h3 class="font-serif text-xl font-bold text-primary-900 mb-4">${esc(item.title)}</h3>
+                        <p class="text-gray-600">${esc(item.description)}</p>
+                    </div>`).join('')}
+                </div>
+            </div>
+        </section>`;
+}
+
+function renderWhoWhen(ctx, ministry) {
+    const { esc } = ctx;
+    const schedule = getSchedule(ctx, ministry);
+    const row = (iconName, key, body) => `
+                            <div class="flex items-center gap-4 p-4 bg-cream rounded-xl">
+                                <div class="w-12 h-12 bg-primary-100 rounded-lg flex items-center justify-center flex-shrink-0">
+                                    ${icon(iconName)}
+                                </div>
+                                <div>
+                                    ${label(ctx, key, 'p', 'font-semibold text-primary-800')}
+                                    ${body}
+                                </div>
+                            </div>`;
+
+    return `
+        <section class="py-16 md:py-20 bg-pale-green">
+            <div class="container mx-auto px-4">
+                <div class="max-w-3xl mx-auto">
+                    <div class="bg-white rounded-2xl shadow-lg p-8 md:p-12">
+                        ${label(ctx, 'ministries.whoWhen', 'h2', 'font-serif text-3xl font-bold text-primary-900 mb-8 text-center')}
+                        <div class="space-y-4">
+                            ${ministry.age_range ? row('people', 'ministries.ageRange', `<p class="text-gray-600">${esc(ministry.age_range)}</p>`) : ''}
+                            ${row('clock', 'ministries.schedule', schedule.length
+                                ? `<ul class="text-gray-600">${schedule.map(item => `
+                                        <li>${item.name ? `<span class="font-medium text-gray-800">${esc(item.name)}${item.when ? ':' : ''}</span> ` : ''}${esc(item.when)}${item.note ? ` (${esc(item.note)})` : ''}</li>`).join('')}
+                                    </ul>`
+                                : label(ctx, 'ministries.scheduleContact', 'p', 'text-gray-600'))}
+                            ${row('pin', 'ministries.location', `<p class="text-gray-600">${esc(ministry.location || addressLine(ctx.site.address))}</p>`)}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </section>`;
+}
+
+function renderLeaders(ctx, ministry) {
+    const { esc } = ctx;
+    const leaders = getLeaders(ctx, ministry);
+    if (!leaders.length) return '';
+
+    return `
+        <section class="py-16 md:py-20 bg-white">
+            <div class="container mx-auto px-4">
+                <div class="text-center mb-12">
+                    ${label(ctx, 'ministries.leadership')}
+                </div>
+                <div class="max-w-3xl mx-auto space-y-8">
+                    ${leaders.map(person => `
+                    <div class="bg-cream rounded-2xl p-8 md:p-10"${person.language !== ctx.lang ? ` lang="${esc(person.language)}"` : ''}>
+                        <div class="flex flex-col md:flex-row items-center gap-8">
+                            <div class="w-40 h-40 rounded-2xl overflow-hidden flex-shrink-0 bg-primary-100">
+                                ${person.photo ? `<img src="${esc(person.photo)}" alt="${esc(person.name)}" class="w-full h-full object-cover object-top" sizes="160px">` : ''}
+                            </div>
+                            <div class="text-center md:text-left">
+                                <h3 class="font-serif text-2xl font-bold text-primary-900 mb-1">${esc(person.name)}</h3>
+                                <p class="text-primary-600 font-semibold mb-4">${esc(person.position)}</p>
+                                ${person.bio_html ? `<div class="rich-text">${person.bio_html}</div>` : ''}
+                            </div>
+                        </div>
+                    </div>`).join('')}
+                </div>
+            </div>
+        </section>`;
+}
+
+function renderGallery(ctx, ministry) {
+    const { esc } = ctx;
+    const photos = (ministry.gallery || []).filter(photo => photo.image);
+    if (!photos.length) return '';
+
+    return `
+        <section class="py-16 md:py-20 bg-cream">
+            <div class="container mx-auto px-4">
+                <div class="text-center mb-12">
+                    ${label(ctx, 'ministries.gallery')}
+                </div>
+                <div class="grid sm:grid-cols-2 lg:grid-cols-3 gap-6 max-w-6xl mx-auto">
+                    ${photos.map(photo => `
+                    <figure class="rounded-2xl overflow-hidden shadow-lg bg-primary-100">
+                        <img src="${esc(photo.image)}" alt="${esc(photo.alt || '')}" class="w-full h-64 object-cover" sizes="(min-width: 1024px) 24rem, (min-width: 640px) 50vw, 100vw">
+                    </figure>`).join('')}
+                </div>
+            </div>
+        </section>`;
+}
+
+function renderEvents(ctx, ministry) {
+    const { esc, t } = ctx;
+    if (!ministry.events_category) return '';
+
+    return `
+        <section class="py-16 md:py-20 bg-white">
+            <div class="container mx-auto px-4">
+                <div class="text-center mb-12">
+                    ${label(ctx, 'ministries.upcomingEvents')}
+                </div>
+                <!-- Filled in from the "events" CMS collection by events.js -->
+                <div class="grid md:grid-cols-3 gap-8 max-w-5xl mx-auto" data-events-feed data-category="${esc(ministry.events_category)}" data-limit="3" aria-live="polite"></div>
+                <noscript>
+                    <p class="text-center text-gray-600">${esc(t('ministries.eventsNoScript'))}</p>
+                </noscript>
+                <p class="text-center mt-8">
+                    <a href="${esc(ctx.localize('/en/events/'))}" class="text-primary-700 font-semibold hover:text-accent-600" data-i18n="ministries.allEvents">${esc(t('ministries.allEvents'))}</a>
+                </p>
+            </div>
+        </section>`;
+}
+
+function renderSignUp(ctx, ministry) {
+    const { esc, t, site } = ctx;
+    const options = ministry.signup_options || [];
+    const field = (key, required = false) => `<label for="signup-${key}" class="form-label${required ? ' required' : ''}" data-i18n="ministries.form.${key}">${esc(t(`ministries.form.${key}`))}</label>`;
+
+    return `
+        <section class="py-16 md:py-20 bg-pale-green" id="get-involved">
+            <div class="container mx-auto px-4">
+                <div class="max-w-2xl mx-auto">
+                    <div class="text-center mb-8">
+                        ${label(ctx, 'ministries.getInvolved')}
+                        ${ministry.get_involved
+                            ? `<p class="text-lg text-gray-700">${esc(ministry.get_involved)}</p>`
+                            : label(ctx, 'ministries.getInvolvedIntro', 'p', 'text-lg text-gray-700')}
+                    </div>
+
+                    <div class="bg-white rounded-2xl shadow-lg p-8 md:p-10">
+                        <div id="signup-success" class="success-message mb-6" tabindex="-1">
+                            ${label(ctx, 'ministries.form.success', 'p', 'font-medium')}
+                        </div>
+
+                        <form name="ministry-signup-form" method="POST" action="/.netlify/functions/forms" data-ajax data-success="#signup-success" class="space-y-6">
+                            <input type="hidden" name="form-name" value="ministry-signup-form">
+                            <input type="hidden" name="lang" value="${esc(ctx.lang)}">
+                            <input type="hidden" name="ministry" value="${esc(ministry.slug)}">
+                            <p class="hidden">
+                                <label>Don't fill this out if you're human: <input name="bot-field"></label>
+                            </p>
+
+                            <div>
+                                ${field('name', true)}
+                                <input type="text" id="signup-name" name="name" required autocomplete="name" class="form-input">
+                            </div>
+                            <div>
+                                ${field('email', true)}
+                                <input type="email" id="signup-email" name="email" required autocomplete="email" class="form-input">
+                            </div>
+                            <div>
+                                ${field('phone')}
+                                <input type="tel" id="signup-phone" name="phone" autocomplete="tel" class="form-input">
+                            </div>
+                            ${options.length ? `
+                            <div>
+                                ${field('involvement')}
+                                <select id="signup-involvement" name="involvement" class="form-select">
+                                    <option value="" data-i18n="ministries.form.choose">${esc(t('ministries.form.choose'))}</option>
+                                    ${options.map(option => `<option value="${esc(option)}">${esc(option)}</option>`).join('')}
+                                </select>
+                            </div>` : ''}
+                            <div>
+                                ${field('message')}
+                                <textarea id="signup-message" name="message" rows="4" class="form-textarea"></textarea>
+                            </div>
+
+                            <button type="submit" class="w-full bg-primary-700 hover:bg-primary-600 text-white font-bold py-4 px-8 rounded-lg transition-all shadow-lg" data-i18n="ministries.form.submit">${esc(t('ministries.form.submit'))}</button>
+                        </form>
+                    </div>
+
+                    <div class="flex flex-col sm:flex-row items-center justify-center gap-4 mt-8">
+                        <a href="mailto:${esc(site.email)}" class="flex items-center gap-2 text-primary-700 hover:text-primary-900 font-semibold">
+                            ${icon('mail', 'h-5 w-5')}
+                            ${esc(site.email)}
+                        </a>
+                        <span class="hidden sm:inline text-gray-300">|</span>
+                        <a href="tel:${esc(ctx.phoneHref)}" class="flex items-center gap-2 text-primary-700 hover:text-primary-900 font-semibold">
+                            ${icon('phone', 'h-5 w-5')}
+                            ${esc(site.phone)}
+                        </a>
+                    </div>
+                </div>
+            </div>
+        </section>`;
+}
+
+module.exports = function ministryLayout(ctx) {
+    const { ministry } = ctx.page;
+
+    const content = `
+    <main id="main-content">
+${renderHero(ctx, ministry)}
+
+        <section class="py-16 md:py-20 bg-cream">
+            <div class="container mx-auto px-4">
+                <div class="max-w-3xl mx-auto rich-text text-lg">
+                    ${ministry.body_html}
+                </div>
+            </div>
+        </section>
+${renderHighlights(ctx, ministry)}
+${renderWhoWhen(ctx, ministry)}
+${renderLeaders(ctx, ministry)}
+${renderGallery(ctx, ministry)}
+${renderEvents(ctx, ministry)}
+${renderSignUp(ctx, ministry)}
+    </main>`;
+
+    return defaultLayout({ ...ctx, page: { ...ctx.page, styles: `${ctx.page.styles || ''}${STYLES}`, content } });
+};
@@ -0,0 +1,133 @@
+/**
+ * Delmar Nazarene Church - Footer Partial
+ * ========================================
+ *
+ * Contact details, quick links, service times and social media, from
+ * the church settings (content/settings/church.json) and
+ * src/data/navigation.json.
+ */
+
+'use strict';
+
+const SOCIAL_ICONS = {
+    facebook: {
+        label: 'footer.followFacebook',
+        path: 'M9 8h-3v4h3v12h5v-12h3.642l.358-4h-4v-1.667c0-.955.192-1.333 1.115-1.333h2.885v-5h-3.808c-3.596 0-5.192 1.583-5.192 4.615v3.385z'
+    },
+    instagram: {
+        label: 'footer.followInstagram',
+        path: 'M12 2.163c3.204 0 3.584.012 4.85.07 3.252.148 4.771 1.691 4.919 4.919.058 1.265.069 1.645.069 4.849 0 3.205-.012 3.584-.069 4.849-.149 3.225-1.664 4.771-4.919 4.919-1.266.058-1.644.07-4.85.07-3.204 0-3.584-.012-4.849-.07-3.26-.149-4.771-1.699-4.919-4.92-.058-1.265-.07-1.644-.07-4.849 0-3.204.013-3.583.07-4.849.149-3.227 1.664-4.771 4.919-4.919 1.266-.057 1.645-.069 4.849-.069zm0-2.163c-3.259 0-3.667.014-4.947.072-4.358.2-6.78 2.618-6.98 6.98-.059 1.281-.073 1.689-.073 4.948 0 3.259.014 3.668.072 4.948.2 4.358 2.618 6.78 6.98 6.98 1.281.058 1.689.072 4.948.072 3.259 0 3.668-.014 4.948-.072 4.354-.2 6.782-2.618 6.979-6.98.059-1.28.073-1.689.073-4.948 0-3.259-.014-3.667-.072-4.947-.196-4.354-2.617-6.78-6.979-6.98-1.281-.059-1.69-.073-4.949-.073zm0 5.838c-3.403 0-6.162 2.759-6.162 6.162s2.759 6.163 6.162 6.163 6.162-2.759 6.162-6.163c0-3.403-2.759-6.162-6.162-6.162zm0 10.162c-2.209 0-4-1.79-4-4 0-2.209 1.791-4 4-4s4 1.791 4 4c0 2.21-1.791 4-4 4zm6.406-11.845c-.796 0-1.441.645-1.441 1.44s.645 1.44 1.441 1.44c.795 0 1.439-.645 1.439-1.44s-.644-1.44-1.439-1.44z'
+    },
+    youtube: {
+        label: 'footer.watchYouTube',
+        path: 'M19.615 3.184c-3.604-.246-11.631-.245-15.23 0-3.897.266-4.356 2.62-4.385 8.816.029 6.185.484 8.549 4.385 8.816 3.6.245 11.626.246 15.23 0 3.897-.266 4.356-2.62 4.385-8.816-.029-6.185-.484-8.549-4.385-8.816zm-10.615 12.816v-8l8 3.993-8 4.007z'
+    },
+    tiktok: {
+        label: 'footer.followTikTok',
+        path: 'M12.525.02c1.31-.02 2.61-.01 3.91-.02.08 1.53.63 3.09 1.75 4.17 1.12 1.11 2.7 1.62 4.24 1.79v4.03c-1.44-.05-2.89-.35-4.2-.97-.57-.26-1.1-.59-1.62-.93-.01 2.92.01 5.84-.02 8.75-.08 1.4-.54 2.79-1.35 3.94-1.31 1.92-3.58 3.17-5.91 3.21-1.43.08-2.86-.31-4.08-1.03-2.02-1.19-3.44-3.37-3.65-5.71-.02-.5-.03-1-.01-1.49.18-1.9 1.12-3.72 2.58-4.96 1.66-1.44 3.98-2.13 6.15-1.72.02 1.48-.04 2.96-.04 4.44-.99-.32-2.15-.23-3.02.37-.63.41-1.11 1.04-1.36 1.75-.21.51-.15 1.07-.14 1.61.24 1.64 1.82 3.02 3.5 2.87 1.12-.01 2.19-.66 2.77-1.61.19-.33.4-.67.41-1.06.1-1.79.06-3.57.07-5.36.01-4.03-.01-8.05.02-12.07z'
+    }
+};
+
+module.exports = function footer(ctx) {
+    const { site, navigation, t, esc } = ctx;
+    const { address } = site;
+
+    return `
+    <!-- ============================================
+         FOOTER
+         ============================================ -->
+    <footer class="bg-primary-900 text-white pt-16 pb-8">
+        <div class="container mx-auto px-4">
+            <div class="grid md:grid-cols-2 lg:grid-cols-4 gap-12 mb-12">
+
+                <!-- Contact Info Column -->
+                <div>
+                    <a href="${esc(ctx.localize('/en/'))}" class="flex items-center gap-3 mb-6">
+                        <img
+                            src="${esc(site.logo)}"
+                            alt="${esc(t('common.logoAlt'))}" data-i18n-alt="common.logoAlt"
+                            class="h-12 w-auto brightness-0 invert"
+                            sizes="48px"
+                        >
+                        <span class="font-serif font-bold text-xl">Delmar Church<br><span class="text-primary-300 text-sm font-normal">of Nazarene</span></span>
+                    </a>
+                    <div class="space-y-3 text-primary-200">
+                        <p class="flex items-start gap-3">
+                            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 text-accent-500 flex-shrink-0 mt-0.5" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
+                            </svg>
+                            <span>${esc(address.street)}<br>${esc(address.city)}, ${esc(address.state)} ${esc(address.zip)}</span>
+                        </p>
+                        <p class="flex items-center gap-3">
+                            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 text-accent-500" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 5a2 2 0 012-2h3.28a1 1 0 01.948.684l1.498 4.493a1 1 0 01-.502 1.21l-2.257 1.13a11.042 11.042 0 005.516 5.516l1.13-2.257a1 1 0 011.21-.502l4.493 1.498a1 1 0 01.684.949V19a2 2 0 01-2 2h-1C9.716 21 3 14.284 3 6V5z" />
+                            </svg>
+                            <a href="tel:${esc(ctx.phoneHref)}" class="hover:text-white transition-colors">${esc(site.phone)}</a>
+                        </p>
+                        <p class="flex items-center gap-3">
+                            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 text-accent-500" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+                            </svg>
+                            <a href="mailto:${esc(site.email)}" class="hover:text-white transition-colors">${esc(site.email)}</a>
+                        </p>
+                    </div>
+                </div>
+
+                <!-- Quick Links Column -->
+                <div>
+                    <h5 class="font-bold text-white mb-6 text-lg" data-i18n="footer.quickLinks">${esc(t('footer.quickLinks'))}</h5>
+                    <ul class="space-y-3">
+${navigation.footer.map(item => `                        <li><a href="${esc(ctx.localize(item.url))}" class="text-primary-200 hover:text-white transition-colors" data-i18n="${item.label}">${esc(t(item.label))}</a></li>`).join('\n')}
+                    </ul>
+                </div>
+
+                <!-- Service Times Column -->
+                <div>
+                    <h5 class="font-bold text-white mb-6 text-lg" data-i18n="nav.serviceTimes">${esc(t('nav.serviceTimes'))}</h5>
+                    <ul class="space-y-3 text-primary-200">
+${site.services.map(service => `                        <li class="flex justify-between gap-4">
+                            <span data-i18n="services.${service.id}">${esc(t(`services.${service.id}`))}</span>
+                            <span class="text-accent-400 font-semibold whitespace-nowrap"><span data-i18n="weekdaysShort.${service.day}">${esc(t(`weekdaysShort.${service.day}`))}</span> ${esc(ctx.time(service.id))}</span>
+                        </li>`).join('\n')}
+                    </ul>
+                    <a href="${esc(ctx.localize('/en/worship/livestream/'))}" class="inline-flex items-center gap-2 text-accent-400 hover:text-accent-300 mt-4 font-semibold transition-colors">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                            <circle cx="12" cy="12" r="4"/>
+                        </svg>
+                        <span data-i18n="nav.watchLive">${esc(t('nav.watchLive'))}</span>
+                    </a>
+                </div>
+
+                <!-- Connect With Us Column -->
+                <div>
+                    <h5 class="font-bold text-white mb-6 text-lg" data-i18n="footer.connectWithUs">${esc(t('footer.connectWithUs'))}</h5>
+
+                    <!-- Social Media Icons -->
+                    <div class="flex flex-wrap gap-3 mb-6">
+${Object.entries(site.social).filter(([network, url]) => url && SOCIAL_ICONS[network]).map(([network, url]) => `                        <a href="${esc(url)}" aria-label="${esc(t(SOCIAL_ICONS[network].label))}" data-i18n-aria-label="${SOCIAL_ICONS[network].label}" target="_blank" rel="noopener noreferrer" class="w-10 h-10 bg-white/10 rounded-lg flex items-center justify-center text-white hover:bg-accent-600 hover:text-primary-900 transition-all">
+                            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true"><path d="${SOCIAL_ICONS[network].path}"/></svg>
+                        </a>`).join('\n')}
+                    </div>
+
+                    <a href="${esc(ctx.localize('/en/connect/contact/'))}" class="inline-flex items-center gap-2 text-primary-200 hover:text-white font-semibold text-sm transition-colors mt-2" data-i18n="footer.getInTouch">${esc(t('footer.getInTouch'))}</a>
+                    <a href="${esc(ctx.localize('/en/announcements/'))}#notifications" class="block text-primary-200 hover:text-white font-semibold text-sm transition-colors mt-3" data-i18n="footer.getNotified">${esc(t('footer.getNotified'))}</a>
+                </div>
+            </div>
+
+            <!-- Footer Bottom -->
+            <div class="border-t border-white/10 pt-8 text-center">
+                <p class="text-primary-400" data-i18n="footer.copyright" data-i18n-params='{"year": "${ctx.year}"}'>${esc(t('footer.copyright', { year: ctx.year }))}</p>
+                <!-- Shown by main.js when the browser offers to install the site -->
+                <p class="mt-4" data-install-app hidden>
+                    <button type="button" class="inline-flex items-center gap-2 text-primary-200 hover:text-white text-sm font-semibold transition-colors">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                        </svg>
+                        <span data-i18n="footer.installApp">${esc(t('footer.installApp'))}</span>
+                    </button>
+                </p>
+            </div>
+        </div>
+    </footer>`;
+};
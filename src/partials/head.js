@@ -0,0 +1,99 @@
+/**
+ * Delmar Nazarene Church - <head> Partial
+ * ========================================
+ *
+ * Meta tags, structured data, fonts, the Tailwind theme and the shared
+ * stylesheet.
+ * Pages add to it through front matter:
+ *
+ *   title / document_title   "<title> | Delmar Church of Nazarene", or the whole title
+ *   description, keywords    Search engine meta tags
+ *   og_description           Social sharing text (defaults to description)
+ *   styles                   Page-specific CSS
+ */
+
+'use strict';
+
+const structuredData = require('./structured-data');
+
+module.exports = function head(ctx) {
+    const { page, site, esc } = ctx;
+    const title = page.document_title || `${page.title} | ${site.name}`;
+    const description = page.description || '';
+    const shareText = page.og_description || description;
+
+    return `
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+
+    <!-- Primary Meta Tags -->
+    <title>${esc(title)}</title>
+    <meta name="description" content="${esc(description)}">
+${page.keywords ? `    <meta name="keywords" content="${esc(page.keywords)}">\n` : ''}    <meta name="author" content="${esc(site.name)}">
+    <link rel="canonical" href="${esc(site.url + page.url)}">
+${ctx.translations.map(({ lang, url }) => `    <link rel="alternate" hreflang="${lang}" href="${esc(site.url + url)}">\n`).join('')}
+    <!-- Open Graph / Facebook -->
+    <meta property="og:type" content="website">
+    <meta property="og:url" content="${esc(site.url + page.url)}">
+    <meta property="og:title" content="${esc(title)}">
+    <meta property="og:description" content="${esc(shareText)}">
+    <meta property="og:image" content="${esc(site.url + site.share_image)}">
+
+    <!-- Twitter -->
+    <meta property="twitter:card" content="summary_large_image">
+    <meta property="twitter:title" content="${esc(title)}">
+    <meta property="twitter:description" content="${esc(shareText)}">
+${structuredData(ctx)}
+
+    <!-- Favicon -->
+    <link rel="icon" type="image/png" href="${esc(site.logo)}">
+    <link rel="apple-touch-icon" href="${esc(site.logo)}">
+
+    <!-- Installable app (see scripts/lib/offline.js) -->
+    <link rel="manifest" href="/manifest.webmanifest">
+    <meta name="theme-color" content="${esc(site.theme_color)}">
+
+    <!-- Fonts -->
+    <link rel="preconnect" href="https://fonts.googleapis.com">
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&family=Merriweather:wght@400;700&display=swap" rel="stylesheet">
+
+    <!-- Tailwind CSS via CDN -->
+    <script src="https://cdn.tailwindcss.com"></script>
+    <script>
+        // Tailwind configuration - Green Theme
+        tailwind.config = {
+            theme: {
+                extend: {
+                    colors: {
+                        primary: {
+                            50: '#E8F5E3', 100: '#D4E8C8', 200: '#B5D69E', 300: '#8FBF6E',
+                            400: '#72A84E', 500: '#5A9236', 600: '#4A7C2C', 700: '#3A6620',
+                            800: '#2D5016', 900: '#1A3009',
+                        },
+                        accent: {
+                            50: '#FCF6E8', 100: '#F8ECC8', 200: '#F2DBA4', 300: '#EAC97D',
+                            400: '#E0B85C', 500: '#D4A73F', 600: '#C4962C', 700: '#A8801A',
+                            800: '#8B6914', 900: '#6B4F0F',
+                        },
+                        cream: '#FAF7F2',
+                        'pale-green': '#E8F5E3',
+                    },
+                    fontFamily: {
+                        sans: ['Inter', 'sans-serif'],
+                        serif: ['Merriweather', 'serif'],
+                    }
+                }
+            }
+        }
+    </script>
+
+    <!-- Custom Styles -->
+    <link rel="stylesheet" href="/assets/css/styles.css">
+${page.styles ? `
+    <!-- Page-specific styles -->
+    <style>
+${page.styles.trimEnd().replace(/^(?=.)/gm, '        ')}
+    </style>
+` : ''}`;
+};
@@ -0,0 +1,181 @@
+/**
+ * Delmar Nazarene Church - Header Partial
+ * ========================================
+ *
+ * The top bar, logo, main navigation (with its dropdowns), language
+ * switcher, search button and the slide-out mobile menu.
+ *
+ * Menus come from src/data/navigation.json. Links point at the page in
+ * the current language when it has been translated, and the current
+ * page (and its section) is highlighted. The top bar shows the service
+ * marked "Show in Header" in the church settings.
+ */
+
+'use strict';
+
+const languageSwitcher = require('./language-switcher');
+
+/**
+ * Is this item, or one of its children, the current page?
+ * @param {Object} ctx - Render context
+ * @param {Object} item - Navigation item
+ * @returns {boolean}
+ */
+function isActive(ctx, item) {
+    if (item.url && ctx.localize(item.url) === ctx.page.url) return true;
+    return (item.children || []).some(child => isActive(ctx, child));
+}
+
+function renderDesktopItem(ctx, item) {
+    const { t, esc } = ctx;
+    const active = isActive(ctx, item);
+
+    if (!item.children) {
+        return `
+                        <li class="nav-item">
+                            <a href="${esc(ctx.localize(item.url))}" class="nav-link${active ? ' active' : ''}"${active ? ' aria-current="page"' : ''} data-i18n="${item.label}">${esc(t(item.label))}</a>
+                        </li>`;
+    }
+
+    return `
+                        <li class="nav-item">
+                            <a href="#" class="nav-link has-dropdown${active ? ' active' : ''}" aria-expanded="false" aria-haspopup="true" data-i18n="${item.label}">${esc(t(item.label))}</a>
+                            <div class="nav-dropdown" aria-hidden="true">
+${item.children.map(child => {
+        const current = isActive(ctx, child);
+        return `                                <a href="${esc(ctx.localize(child.url))}"${current ? ' class="active" aria-current="page"' : ''} data-i18n="${child.label}">${esc(t(child.label))}</a>`;
+    }).join('\n')}
+                            </div>
+                        </li>`;
+}
+
+function renderMobileLink(ctx, item, indent) {
+    const { t, esc } = ctx;
+    const current = isActive(ctx, item);
+
+    return `${indent}<li><a href="${esc(ctx.localize(item.url))}"${current ? ' class="text-accent-600 font-semibold" aria-current="page"' : ''} data-i18n="${item.label}">${esc(t(item.label))}</a></li>`;
+}
+
+function renderMobileItem(ctx, item) {
+    const { t, esc } = ctx;
+
+    if (!item.children) {
+        return renderMobileLink(ctx, item, '            ');
+    }
+
+    return `            <li>
+                <a href="#" class="mobile-nav-submenu-toggle" aria-expanded="false" data-i18n="${item.label}">${esc(t(item.label))}</a>
+                <ul class="mobile-nav-submenu" style="display: none;">
+${item.children.map(child => renderMobileLink(ctx, child, '                    ')).join('\n')}
+                </ul>
+            </li>`;
+}
+
+module.exports = function header(ctx) {
+    const { site, navigation, t, esc } = ctx;
+    const home = ctx.localize('/en/');
+    const featured = site.services.find(service => service.show_in_header);
+
+    return `
+    <!-- ============================================
+         HEADER
+         ============================================ -->
+    <header class="site-header">
+        <!-- Top Bar -->
+        <div class="header-top bg-primary-800">
+            <div class="container flex justify-between items-center text-sm py-2">
+                <div class="hidden md:flex items-center gap-6">
+                    <a href="tel:${esc(ctx.phoneHref)}" class="flex items-center gap-2 text-white/90 hover:text-white transition-colors">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 5a2 2 0 012-2h3.28a1 1 0 01.948.684l1.498 4.493a1 1 0 01-.502 1.21l-2.257 1.13a11.042 11.042 0 005.516 5.516l1.13-2.257a1 1 0 011.21-.502l4.493 1.498a1 1 0 01.684.949V19a2 2 0 01-2 2h-1C9.716 21 3 14.284 3 6V5z" />
+                        </svg>
+                        <span>${esc(site.phone)}</span>
+                    </a>
+                    <a href="mailto:${esc(site.email)}" class="flex items-center gap-2 text-white/90 hover:text-white transition-colors">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+                        </svg>
+                        <span>${esc(site.email)}</span>
+                    </a>
+                </div>
+${featured ? `                <div class="flex items-center gap-4 ml-auto">
+                    <span class="text-white/90 flex items-center gap-2">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                        </svg>
+                        <span data-i18n="services.${featured.id}">${esc(t(`services.${featured.id}`))}</span>
+                        <span class="font-semibold text-white">${esc(ctx.time(featured.id))}</span>
+                    </span>
+                </div>
+` : ''}            </div>
+        </div>
+
+        <!-- Main Header -->
+        <div class="header-main bg-white shadow-sm">
+            <div class="nav-container">
+                <!-- Logo -->
+                <a href="${esc(home)}" class="site-logo flex items-center gap-3">
+                    <img
+                        src="${esc(site.logo)}"
+                        alt="${esc(t('common.logoAlt'))}" data-i18n-alt="common.logoAlt"
+                        class="h-12 md:h-14 w-auto"
+                        sizes="56px"
+                        loading="eager"
+                    >
+                    <div class="site-logo-text text-primary-800 hidden sm:block">
+                        Delmar Church
+                        <span class="text-primary-600">of Nazarene</span>
+                    </div>
+                </a>
+
+                <!-- Desktop Navigation -->
+                <nav class="main-nav" aria-label="${esc(t('common.mainNavigation'))}" data-i18n-aria-label="common.mainNavigation">
+                    <ul class="nav-menu">${navigation.main.map(item => renderDesktopItem(ctx, item)).join('')}
+                    </ul>
+${languageSwitcher(ctx, 'compact')}
+                </nav>
+
+                <div class="header-actions">
+                    <!-- Site Search (assets/js/search.js) -->
+                    <button type="button" class="search-toggle" aria-haspopup="dialog" aria-keyshortcuts="/ Control+K Meta+K" aria-label="${esc(t('search.open'))}" data-i18n-aria-label="search.open" data-search-open>
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+                        </svg>
+                    </button>
+
+                    <!-- Mobile Menu Toggle -->
+                    <button class="mobile-menu-toggle" aria-expanded="false" aria-controls="mobile-nav" aria-label="${esc(t('common.toggleMenu'))}" data-i18n-aria-label="common.toggleMenu">
+                        <span></span>
+                        <span></span>
+                        <span></span>
+                    </button>
+                </div>
+            </div>
+        </div>
+    </header>
+
+    <!-- Mobile Navigation -->
+    <nav class="mobile-nav" id="mobile-nav" aria-label="${esc(t('common.mobileNavigation'))}" data-i18n-aria-label="common.mobileNavigation">
+        <div class="mobile-nav-header">
+            <a href="${esc(home)}" class="site-logo flex items-center gap-2">
+                <img
+                    src="${esc(site.logo)}"
+                    alt="${esc(t('common.logoAlt'))}" data-i18n-alt="common.logoAlt"
+                    class="h-10 w-auto"
+                    sizes="40px"
+                >
+                <span class="font-serif font-bold text-primary-800 text-sm">${esc(site.name)}</span>
+            </a>
+            <button class="mobile-nav-close" aria-label="${esc(t('common.closeMenu'))}" data-i18n-aria-label="common.closeMenu">
+                <svg xmlns="http://www.w3.org/2000/svg" class="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
+                </svg>
+            </button>
+        </div>
+
+        <ul class="mobile-nav-menu">
+${navigation.main.map(item => renderMobileItem(ctx, item)).join('\n')}
+        </ul>
+${languageSwitcher(ctx, 'full')}
+    </nav>`;
+};
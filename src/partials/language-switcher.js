@@ -0,0 +1,31 @@
+/**
+ * Delmar Nazarene Church - Language Switcher Partial
+ * ===================================================
+ *
+ * The EN / HT / FR buttons, in the desktop header ("compact") or at the
+ * bottom of the mobile menu ("full"). The page's language is marked
+ * active; language-switcher.js does the switching.
+ */
+
+'use strict';
+
+module.exports = function languageSwitcher(ctx, variant = 'compact') {
+    const { site, lang, t, esc } = ctx;
+
+    if (variant === 'full') {
+        return `
+        <!-- Mobile Language Switcher -->
+        <div class="mt-6 pt-6 border-t border-gray-200">
+            <p class="text-sm text-gray-500 mb-3">Language / Langue / Lang</p>
+            <div class="flex gap-2">
+${site.languages.map(language => `                <button class="lang-btn${language.code === lang ? ' active' : ''}" data-lang="${language.code}">${esc(language.short_name)}</button>`).join('\n')}
+            </div>
+        </div>`;
+    }
+
+    return `
+                    <!-- Language Switcher -->
+                    <div class="language-switcher" aria-label="${esc(t('common.selectLanguage'))}" data-i18n-aria-label="common.selectLanguage">
+${site.languages.map(language => `                        <button class="lang-btn${language.code === lang ? ' active' : ''}" data-lang="${language.code}"${language.code === lang ? ' aria-current="true"' : ''} title="${esc(language.name)}">${esc(language.label)}</button>`).join('\n')}
+                    </div>`;
+};
@@ -0,0 +1,71 @@
+/**
+ * Delmar Nazarene Church - Scripts Partial
+ * =========================================
+ *
+ * Every page loads form-rules.js, main.js, language-switcher.js,
+ * content-loader.js and search.js.
+ * Pages list any others in front matter by file name, e.g.
+ *
+ *   scripts:
+ *     - events
+ *
+ * Pages with "netlify_identity: true" also load the Netlify Identity
+ * widget, so CMS invite and password reset links work from them.
+ */
+
+'use strict';
+
+const SHARED_SCRIPTS = ['form-rules', 'main', 'language-switcher', 'content-loader', 'search'];
+
+const NETLIFY_IDENTITY = `
+    <!-- Netlify Identity Widget (for CMS login and invite handling) -->
+    <script src="https://identity.netlify.com/v1/netlify-identity-widget.js"></script>
+    <script>
+        // Detect if we have any identity tokens in the URL (invite, confirmation, recovery)
+        function hasIdentityToken() {
+            if (window.location.hash) {
+                const hash = window.location.hash.substring(1);
+                return hash.includes('confirmation_token') ||
+                       hash.includes('recovery_token') ||
+                       hash.includes('invite_token');
+            }
+            return false;
+        }
+
+        if (window.netlifyIdentity) {
+            // Initialize the widget
+            window.netlifyIdentity.init();
+
+            // If there's an identity token in the URL, open the widget immediately
+            // This handles invite links, confirmation links, and password reset links
+            if (hasIdentityToken()) {
+                setTimeout(function() {
+                    window.netlifyIdentity.open();
+                }, 100);
+            }
+
+            // Pages that sign people in for themselves (data-identity-stay,
+            // like the donor portal) keep them where they are. Elsewhere
+            // staff go on to the CMS and donors to their giving, in the
+            // language they were reading.
+            window.netlifyIdentity.on("init", user => {
+                if (!user && !document.querySelector("[data-identity-stay]")) {
+                    window.netlifyIdentity.on("login", user => {
+                        const roles = (user.app_metadata && user.app_metadata.roles) || [];
+                        const language = window.LanguageSwitcher ? LanguageSwitcher.currentLanguage : "en";
+                        document.location.href = roles.includes("staff") ? "/admin/" : "/en/my-giving/?lang=" + language;
+                    });
+                }
+            });
+        }
+    </script>
+`;
+
+module.exports = function scripts(ctx) {
+    const { page, esc } = ctx;
+    const names = [...SHARED_SCRIPTS, ...(page.scripts || []).filter(name => !SHARED_SCRIPTS.includes(name))];
+
+    return `${page.netlify_identity ? NETLIFY_IDENTITY : ''}
+    <!-- Scripts -->
+${names.map(name => `    <script src="/assets/js/${esc(name)}.js"></script>`).join('\n')}`;
+};
@@ -0,0 +1,83 @@
+/**
+ * Delmar Nazarene Church - Structured Data Partial
+ * =================================================
+ *
+ * A schema.org Church block (JSON-LD) describing the church, its
+ * address and contact details, with each weekly service as a recurring
+ * Event. Search engines use it for the church's listing and service
+ * times, so it is built from the same settings as the rest of the page.
+ */
+
+'use strict';
+
+const { addressLine, nextServiceDate } = require('../../scripts/lib/settings');
+
+module.exports = function structuredData(ctx) {
+    const { site, t } = ctx;
+    const { address } = site;
+
+    const postalAddress = {
+        '@type': 'PostalAddress',
+        streetAddress: address.street,
+        addressLocality: address.city,
+        addressRegion: address.state,
+        postalCode: address.zip,
+        addressCountry: 'US'
+    };
+
+    const place = {
+        '@type': 'Place',
+        name: site.name,
+        address: postalAddress
+    };
+
+    const events = site.services.map(service => {
+        const day = `https://schema.org/${service.day.charAt(0).toUpperCase()}${service.day.slice(1)}`;
+        const startDate = nextServiceDate(service.day);
+
+        return {
+            '@type': 'Event',
+            name: t(`services.${service.id}`),
+            startDate: `${startDate}T${service.start_time}`,
+            ...(service.end_time && { endDate: `${startDate}T${service.end_time}` }),
+            eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+            eventStatus: 'https://schema.org/EventScheduled',
+            eventSchedule: {
+                '@type': 'Schedule',
+                byDay: day,
+                repeatFrequency: 'P1W',
+                startTime: service.start_time,
+                ...(service.end_time && { endTime: service.end_time }),
+                scheduleTimezone: site.timezone
+            },
+            location: place,
+            organizer: { '@type': 'Church', name: site.name, url: site.url },
+            isAccessibleForFree: true
+        };
+    });
+
+    const church = {
+        '@context': 'https://schema.org',
+        '@type': 'Church',
+        '@id': `${site.url}/#church`,
+        name: site.name,
+        url: site.url,
+        logo: site.url + site.logo,
+        image: site.url + site.share_image,
+        telephone: site.phone,
+        email: site.email,
+        address: postalAddress,
+        hasMap: `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(addressLine(address))}`,
+        sameAs: Object.values(site.social).filter(Boolean),
+        event: events
+    };
+
+    // "<" is escaped so nothing in the data can close the <script> tag
+    const json = JSON.stringify(church, null, 4).replace(/</g, '\\u003c');
+
+    return `
+    <!-- Structured data (schema.org) -->
+    <script type="application/ld+json">
+${json.replace(/^/gm, '    ')}
+    </script>`;
+};
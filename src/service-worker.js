@@ -0,0 +1,198 @@
+/**
+ * Delmar Nazarene Church - Service Worker
+ * ========================================
+ *
+ * Published as /sw.js by scripts/build-site.js, which fills in BUILD.
+ *
+ *   - The shell (the offline page with its stylesheet and scripts, and the
+ *     translations) is saved when the worker installs.
+ *   - Pages are shown from the cache straight away and refreshed in the
+ *     background (stale-while-revalidate), so the next visit has the
+ *     latest. Pages never seen before fall back to the offline page.
+ *   - /data/ (events, sermons...), the translations and images work the
+ *     same way, so a replaced photo shows on the next visit.
+ *   - Stylesheets and scripts are saved the first time they're used and
+ *     never asked for again: one that changes is published under a new
+ *     name (see scripts/lib/offline.js).
+ *
+ * Every build that changes the shell gets a new version, and the pages
+ * and stylesheets and scripts saved by the old one are cleared.
+ *
+ * It also shows push notifications (see netlify/lib/push.js), and opens
+ * the page a notification is about when it's clicked.
+ */
+
+'use strict';
+
+// Filled in by scripts/build-site.js
+const BUILD = { version: 'development', shell: [] };
+
+const CACHES = {
+    shell: `shell-${BUILD.version}`,
+    pages: `pages-${BUILD.version}`,
+    assets: `assets-${BUILD.version}`,
+    images: 'images'
+};
+
+// Oldest entries go first past these
+const LIMITS = {
+    [CACHES.pages]: 60,
+    [CACHES.assets]: 60,
+    [CACHES.images]: 150
+};
+
+const OFFLINE_PAGE = '/offline.html';
+
+// Refreshed in the background rather than kept (not versioned)
+const REVALIDATED_PATHS = ['/data/', '/assets/i18n/'];
+const IMAGE_PATHS = ['/assets/images/', '/assets/uploads/', '/images/'];
+
+// Saved on first use and kept (versioned)
+const CACHED_PATHS = ['/assets/css/', '/assets/js/'];
+
+// Always from the network: forms, serverless functions and the CMS
+const NETWORK_ONLY_PATHS = ['/.netlify/', '/admin/'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHES.shell)
+            .then(cache => cache.addAll(BUILD.shell.map(url => new Request(url, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = Object.values(CACHES);
+
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => !current.includes(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    if (NETWORK_ONLY_PATHS.some(prefix => url.pathname.startsWith(prefix))) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(staleWhileRevalidate(event, CACHES.pages)
+            .then(response => response || caches.match(OFFLINE_PAGE)));
+    } else if (REVALIDATED_PATHS.some(prefix => url.pathname.startsWith(prefix))) {
+        // Checked with the server rather than taken from the browser's cache
+        event.respondWith(staleWhileRevalidate(event, CACHES.pages, { cache: 'no-cache' })
+            .then(response => response || Response.error()));
+    } else if (IMAGE_PATHS.some(prefix => url.pathname.startsWith(prefix))) {
+        event.respondWith(staleWhileRevalidate(event, CACHES.images)
+            .then(response => response || Response.error()));
+    } else if (CACHED_PATHS.some(prefix => url.pathname.startsWith(prefix))) {
+        event.respondWith(cacheFirst(event, CACHES.assets));
+    }
+});
+
+self.addEventListener('push', (event) => {
+    let message;
+    try {
+        message = event.data.json();
+    } catch {
+        return;
+    }
+
+    event.waitUntil(self.registration.showNotification(message.title, {
+        body: message.body,
+        icon: message.icon,
+        tag: message.tag,
+        data: { url: message.url || '/' }
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data.url, self.location.origin).href;
+
+    // Use a tab that's already open on the site, if there is one
+    event.waitUntil(self.clients.matchAll({ type: 'window' }).then(windows => {
+        const open = windows.find(client => 'navigate' in client);
+        return open
+            ? open.focus().then(client => client.navigate(url)).catch(() => self.clients.openWindow(url))
+            : self.clients.openWindow(url);
+    }));
+});
+
+/**
+ * Only complete, successful answers are worth keeping (not redirects
+ * or error pages)
+ * @param {Response} response
+ * @returns {boolean}
+ */
+function isCacheable(response) {
+    return response.ok && !response.redirected && response.type === 'basic';
+}
+
+/**
+ * Answer from the cache if possible, and refresh the cache either way
+ * @param {FetchEvent} event
+ * @param {string} cacheName
+ * @param {Object} [init] - fetch() options
+ * @returns {Promise<Response|undefined>} - Nothing if offline and never cached
+ */
+async function staleWhileRevalidate(event, cacheName, init) {
+    const { request } = event;
+    const cache = await caches.open(cacheName);
+    const options = { ignoreSearch: request.mode === 'navigate' };
+    // The last refresh, or else the copy saved with the shell
+    const cached = await cache.match(request, options) || await caches.match(request, options);
+
+    const refresh = fetch(request, init)
+        .then(async (response) => {
+            if (isCacheable(response)) {
+                await cache.put(request, response.clone());
+                await trimCache(cacheName);
+            }
+            return response;
+        })
+        .catch(() => undefined);
+
+    if (cached) {
+        event.waitUntil(refresh);
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Answer from the cache, or fetch and keep it
+ * @param {FetchEvent} event
+ * @param {string} cacheName
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(event, cacheName) {
+    const { request } = event;
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+        const cache = await caches.open(cacheName);
+        event.waitUntil(cache.put(request, response.clone()).then(() => trimCache(cacheName)));
+    }
+    return response;
+}
+
+/**
+ * Drop the oldest entries past the cache's limit
+ * @param {string} cacheName
+ */
+async function trimCache(cacheName) {
+    const limit = LIMITS[cacheName];
+    if (!limit) return;
+
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}